@@ -0,0 +1,17 @@
+// Fill in the dashboard index attributes (title_sort, NotebookMembers rows)
+// for existing notebooks. Safe to re-run; run once after deploying the
+// notebook indexes and members table.
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', 'env') });
+
+const { DynamoDBService } = require('../src/config/storage');
+
+DynamoDBService.backfillNotebookIndexes()
+  .then(visited => {
+    console.log(`Backfilled index attributes for ${visited} notebooks`);
+  })
+  .catch(error => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  });
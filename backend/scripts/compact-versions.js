@@ -0,0 +1,22 @@
+// Apply each notebook's version retention policy: prune versions and S3
+// save copies it no longer keeps and store the remaining versions as full
+// snapshots with deltas between.
+// With --dry-run nothing changes and the totals show what would.
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', 'env') });
+
+const { compactAllVersions } = require('../src/services/retention');
+
+const dryRun = process.argv.includes('--dry-run');
+
+compactAllVersions({ dryRun })
+  .then(({ notebooks, failed, kept, pruned, prunedCopies, before, after }) => {
+    console.log(`${dryRun ? 'Would prune' : 'Pruned'} ${pruned} versions and keep ${kept} across ${notebooks} notebooks` +
+      `${failed ? ` (${failed} failed)` : ''}; ${dryRun ? 'would prune' : 'pruned'} ${prunedCopies} save copies` +
+      `; stored content ${before} -> ${after} bytes`);
+  })
+  .catch(error => {
+    console.error('Version compaction failed:', error);
+    process.exitCode = 1;
+  });
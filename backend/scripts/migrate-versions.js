@@ -0,0 +1,23 @@
+// Move notebook history into the versions table: copy rows from the old
+// notebook_id/version_id table, record versions that only exist as S3 save
+// snapshots, and each notebook's current version. Existing versions are
+// kept, so it is safe to re-run.
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', 'env') });
+
+const { DynamoDBService } = require('../src/config/storage');
+const { reconcileAllVersions } = require('../src/services/versions');
+
+async function migrate() {
+  const copied = await DynamoDBService.copyLegacyVersions();
+  console.log(`Copied ${copied} versions from the legacy versions table`);
+
+  const { notebooks, recorded } = await reconcileAllVersions();
+  console.log(`Recorded ${recorded} versions across ${notebooks} notebooks`);
+}
+
+migrate().catch(error => {
+  console.error('Version migration failed:', error);
+  process.exitCode = 1;
+});
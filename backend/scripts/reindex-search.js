@@ -0,0 +1,17 @@
+// Index every stored notebook in the configured search engine and embed it
+// for semantic search. Safe to re-run; run once after pointing the backend
+// at a new OpenSearch domain or embedding provider.
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', 'env') });
+
+const { SearchService } = require('../src/services/search');
+
+SearchService.reindexAll()
+  .then(indexed => {
+    console.log(`Indexed ${indexed} notebooks`);
+  })
+  .catch(error => {
+    console.error('Reindex failed:', error);
+    process.exitCode = 1;
+  });
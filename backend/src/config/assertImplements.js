@@ -0,0 +1,12 @@
+/**
+ * Throw unless `impl` has a function for each of `methods`. `name`
+ * describes the implementation in the error, e.g. "Search engine 'local'".
+ */
+function assertImplements(name, impl, methods) {
+  const missing = methods.filter(method => typeof impl?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`${name} is missing ${missing.join(', ')}`);
+  }
+}
+
+module.exports = { assertImplements };
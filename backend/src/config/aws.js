@@ -3,22 +3,32 @@ const {
   PutObjectCommand, 
   GetObjectCommand, 
   DeleteObjectCommand,
-  ListObjectVersionsCommand,
-  RestoreObjectCommand
+  HeadObjectCommand,
+  CopyObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
 } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const crypto = require('crypto');
 const { 
   DynamoDBClient, 
   PutItemCommand, 
   GetItemCommand, 
   UpdateItemCommand,
   DeleteItemCommand,
+  TransactWriteItemsCommand,
   QueryCommand,
-  ScanCommand
+  ScanCommand,
+  BatchGetItemCommand,
+  DescribeTableCommand,
+  CreateTableCommand,
+  UpdateTableCommand
 } = require('@aws-sdk/client-dynamodb');
 const { 
   LambdaClient, 
   InvokeCommand 
 } = require('@aws-sdk/client-lambda');
+const { InvalidCursorError, encodeCursor, decodeCursor } = require('./cursor');
 const { 
   OpenSearchClient,
   SearchCommand,
@@ -35,7 +45,11 @@ const awsConfig = {
 };
 
 // Initialize AWS clients
-const s3Client = new S3Client(awsConfig);
+// S3_ENDPOINT points S3 at a compatible server (MinIO, LocalStack) for local runs
+const s3Client = new S3Client({
+  ...awsConfig,
+  ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true } : {})
+});
 const dynamoClient = new DynamoDBClient(awsConfig);
 const lambdaClient = new LambdaClient(awsConfig);
 const openSearchClient = new OpenSearchClient(awsConfig);
@@ -44,22 +58,621 @@ const openSearchClient = new OpenSearchClient(awsConfig);
 const S3_CONFIG = {
   BUCKET_NAME: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
   VERSIONING_ENABLED: true,
-  ENCRYPTION: 'AES256'
+  ENCRYPTION: 'AES256',
+  // Lifetime of presigned upload and download URLs
+  PRESIGNED_URL_TTL_SECONDS: parseInt(process.env.S3_PRESIGNED_URL_TTL_SECONDS) || 900
 };
 
 // DynamoDB Configuration
 const DYNAMODB_CONFIG = {
   NOTEBOOKS_TABLE: process.env.DYNAMODB_NOTEBOOKS_TABLE || 'AcademicNotebooks',
   USERS_TABLE: process.env.DYNAMODB_USERS_TABLE || 'AcademicUsers',
-  VERSIONS_TABLE: process.env.DYNAMODB_VERSIONS_TABLE || 'NotebookVersions',
-  COLLABORATIONS_TABLE: process.env.DYNAMODB_COLLABORATIONS_TABLE || 'NotebookCollaborations'
+  VERSIONS_TABLE: process.env.DYNAMODB_VERSIONS_TABLE || 'NotebookVersionsV2',
+  // Versions keyed by notebook_id/version_id, copied over by copyLegacyVersions
+  LEGACY_VERSIONS_TABLE: process.env.DYNAMODB_LEGACY_VERSIONS_TABLE || 'NotebookVersions',
+  COLLABORATIONS_TABLE: process.env.DYNAMODB_COLLABORATIONS_TABLE || 'NotebookCollaborations',
+  OPERATIONS_TABLE: process.env.DYNAMODB_OPERATIONS_TABLE || 'NotebookOperations',
+  CONFLICTS_TABLE: process.env.DYNAMODB_CONFLICTS_TABLE || 'NotebookConflicts',
+  PRESENCE_TABLE: process.env.DYNAMODB_PRESENCE_TABLE || 'NotebookPresence',
+  CHAT_TABLE: process.env.DYNAMODB_CHAT_TABLE || 'NotebookChat',
+  COMMENTS_TABLE: process.env.DYNAMODB_COMMENTS_TABLE || 'NotebookComments',
+  REFRESH_TOKENS_TABLE: process.env.DYNAMODB_REFRESH_TOKENS_TABLE || 'RefreshTokens',
+  ATTACHMENTS_TABLE: process.env.DYNAMODB_ATTACHMENTS_TABLE || 'NotebookAttachments',
+  MEMBERS_TABLE: process.env.DYNAMODB_MEMBERS_TABLE || 'NotebookMembers',
+  EMBEDDINGS_TABLE: process.env.DYNAMODB_EMBEDDINGS_TABLE || 'NotebookEmbeddings',
+  SEARCH_EVENTS_TABLE: process.env.DYNAMODB_SEARCH_EVENTS_TABLE || 'SearchEvents',
+  BRANCHES_TABLE: process.env.DYNAMODB_BRANCHES_TABLE || 'NotebookBranches',
+  RETENTION_POLICIES_TABLE: process.env.DYNAMODB_RETENTION_POLICIES_TABLE || 'RetentionPolicies'
 };
 
-// OpenSearch Configuration
-const OPENSEARCH_CONFIG = {
-  DOMAIN_ENDPOINT: process.env.OPENSEARCH_DOMAIN_ENDPOINT,
-  INDEX_NAME: 'academic-notebooks'
+// Global secondary indexes the queries below rely on (also defined in the
+// CDK stack). Auto-created tables get them too.
+const OWNER_INDEX = {
+  name: 'OwnerIndex',
+  keys: [{ name: 'owner', type: 'S' }, { name: 'updated_at', type: 'S' }]
 };
+const OWNER_CREATED_INDEX = {
+  name: 'OwnerCreatedIndex',
+  keys: [{ name: 'owner', type: 'S' }, { name: 'created_at', type: 'S' }]
+};
+const OWNER_TITLE_INDEX = {
+  name: 'OwnerTitleIndex',
+  keys: [{ name: 'owner', type: 'S' }, { name: 'title_sort', type: 'S' }]
+};
+const NOTEBOOK_VERSION_INDEX = {
+  name: 'NotebookVersionIndex',
+  keys: [{ name: 'notebookId', type: 'S' }, { name: 'version', type: 'N' }]
+};
+const MEMBER_NOTEBOOK_INDEX = {
+  name: 'NotebookIndex',
+  keys: [{ name: 'notebook_id', type: 'S' }, { name: 'user_id', type: 'S' }]
+};
+const MEMBER_UPDATED_INDEX = {
+  name: 'UserUpdatedIndex',
+  keys: [{ name: 'user_id', type: 'S' }, { name: 'updated_at', type: 'S' }]
+};
+const MEMBER_CREATED_INDEX = {
+  name: 'UserCreatedIndex',
+  keys: [{ name: 'user_id', type: 'S' }, { name: 'created_at', type: 'S' }]
+};
+const MEMBER_TITLE_INDEX = {
+  name: 'UserTitleIndex',
+  keys: [{ name: 'user_id', type: 'S' }, { name: 'title_sort', type: 'S' }]
+};
+
+// Dashboard sort orders. Member rows copy the notebook's listing attributes
+// so shared notebooks sort and filter in the index like owned ones.
+const NOTEBOOK_SORTS = {
+  updated_at: { attribute: 'updated_at', owned: OWNER_INDEX, shared: MEMBER_UPDATED_INDEX },
+  created_at: { attribute: 'created_at', owned: OWNER_CREATED_INDEX, shared: MEMBER_CREATED_INDEX },
+  title: { attribute: 'title_sort', owned: OWNER_TITLE_INDEX, shared: MEMBER_TITLE_INDEX }
+};
+
+// Notebook and version content larger than this (serialized) is kept in S3;
+// the item holds a pointer, hash and size instead. DynamoDB items cap at 400 KB.
+const CONTENT_SPILL_THRESHOLD_BYTES = parseInt(process.env.CONTENT_SPILL_THRESHOLD_BYTES) || 200 * 1024;
+const SPILLED_CONTENT_ATTRIBUTES = ['content_s3_key', 'content_s3_version', 'content_sha256', 'content_size'];
+
+// A live document's CRDT state only grows as it is edited, so past this size
+// it moves to its own S3 object (documents/<id>/) beside spilled content
+const CRDT_STATE_SPILL_THRESHOLD_BYTES = parseInt(process.env.CRDT_STATE_SPILL_THRESHOLD_BYTES) || 100 * 1024;
+const SPILLED_CRDT_STATE_ATTRIBUTES = ['crdt_state_s3_key', 'crdt_state_sha256', 'crdt_state_size'];
+
+const AUTO_CREATE_TABLES = (process.env.AUTO_CREATE_DYNAMODB_TABLES || 'true').toLowerCase() === 'true';
+const ensuredTables = new Map();
+
+// Adding an index to a populated table backfills it first, which is slow
+const TABLE_ACTIVE_TIMEOUT_MS = 30000;
+const INDEX_ACTIVE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function attributeDefinitions(keys) {
+  const types = new Map(keys.map(k => [k.name, k.type]));
+  return Array.from(types, ([name, type]) => ({ AttributeName: name, AttributeType: type }));
+}
+
+function keySchema(keys) {
+  return keys.map((k, i) => ({ AttributeName: k.name, KeyType: i === 0 ? 'HASH' : 'RANGE' }));
+}
+
+function globalSecondaryIndex(index) {
+  return {
+    IndexName: index.name,
+    KeySchema: keySchema(index.keys),
+    Projection: { ProjectionType: 'ALL' }
+  };
+}
+
+/**
+ * Wait until a table and all of its indexes are ACTIVE
+ */
+async function waitUntilActive(tableName, timeoutMs) {
+  const start = Date.now();
+  while (true) {
+    const desc = await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }));
+    const status = desc?.Table?.TableStatus;
+    const pending = (desc?.Table?.GlobalSecondaryIndexes || []).filter(i => i.IndexStatus !== 'ACTIVE');
+    if (status === 'ACTIVE' && pending.length === 0) return;
+    if (Date.now() - start > timeoutMs) {
+      throw new Error(`DynamoDB table ${tableName} not ACTIVE after ${timeoutMs}ms (status=${status}, pending indexes=${pending.map(i => i.IndexName).join(',') || 'none'})`);
+    }
+    await new Promise(r => setTimeout(r, 1000));
+  }
+}
+
+async function createOrUpdateTable(tableName, keys, indexes) {
+  let table;
+  try {
+    table = (await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }))).Table;
+  } catch (err) {
+    if (err.name !== 'ResourceNotFoundException') throw err;
+
+    await dynamoClient.send(new CreateTableCommand({
+      TableName: tableName,
+      BillingMode: 'PAY_PER_REQUEST',
+      AttributeDefinitions: attributeDefinitions([...keys, ...indexes.flatMap(index => index.keys)]),
+      KeySchema: keySchema(keys),
+      ...(indexes.length > 0 ? { GlobalSecondaryIndexes: indexes.map(globalSecondaryIndex) } : {})
+    }));
+    await waitUntilActive(tableName, TABLE_ACTIVE_TIMEOUT_MS);
+    return;
+  }
+
+  // Tables created before an index existed get it added, one per update
+  const existing = new Set((table.GlobalSecondaryIndexes || []).map(i => i.IndexName));
+  for (const index of indexes.filter(i => !existing.has(i.name))) {
+    console.log(`Adding index ${index.name} to DynamoDB table ${tableName}`);
+    await dynamoClient.send(new UpdateTableCommand({
+      TableName: tableName,
+      AttributeDefinitions: attributeDefinitions(index.keys),
+      GlobalSecondaryIndexUpdates: [{ Create: globalSecondaryIndex(index) }]
+    }));
+    await waitUntilActive(tableName, INDEX_ACTIVE_TIMEOUT_MS);
+  }
+}
+
+/**
+ * Create a table on first use when AUTO_CREATE_DYNAMODB_TABLES is enabled.
+ * `keys` lists the partition key and optional sort key as { name, type };
+ * `indexes` lists global secondary indexes as { name, keys }.
+ */
+async function ensureTableExists(tableName, keys = [{ name: 'id', type: 'S' }], indexes = []) {
+  if (!AUTO_CREATE_TABLES) return;
+  // Concurrent first requests share one check instead of racing to create
+  if (!ensuredTables.has(tableName)) {
+    const ensuring = createOrUpdateTable(tableName, keys, indexes);
+    ensuredTables.set(tableName, ensuring);
+    ensuring.catch(() => ensuredTables.delete(tableName));
+  }
+  await ensuredTables.get(tableName);
+}
+
+function ensureNotebooksTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.NOTEBOOKS_TABLE, [{ name: 'id', type: 'S' }], [
+    OWNER_INDEX, OWNER_CREATED_INDEX, OWNER_TITLE_INDEX
+  ]);
+}
+
+function ensureVersionsTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.VERSIONS_TABLE, [{ name: 'id', type: 'S' }], [NOTEBOOK_VERSION_INDEX]);
+}
+
+function ensureBranchesTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.BRANCHES_TABLE, [
+    { name: 'notebookId', type: 'S' },
+    { name: 'branchId', type: 'S' }
+  ]);
+}
+
+function ensureOperationsTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.OPERATIONS_TABLE, [
+    { name: 'notebookId', type: 'S' },
+    { name: 'version', type: 'N' }
+  ]);
+}
+
+function operationsItem(notebookId, entry) {
+  return {
+    notebookId: { S: notebookId },
+    version: { N: entry.version.toString() },
+    baseVersion: { N: entry.baseVersion.toString() },
+    userId: { S: entry.userId },
+    operations: { S: JSON.stringify(entry.operations) },
+    created_at: { S: new Date().toISOString() }
+  };
+}
+
+function ensureRetentionPoliciesTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.RETENTION_POLICIES_TABLE, [{ name: 'scope', type: 'S' }]);
+}
+
+function ensureMembersTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.MEMBERS_TABLE, [
+    { name: 'user_id', type: 'S' },
+    { name: 'notebook_id', type: 'S' }
+  ], [MEMBER_NOTEBOOK_INDEX, MEMBER_UPDATED_INDEX, MEMBER_CREATED_INDEX, MEMBER_TITLE_INDEX]);
+}
+
+function ensureEmbeddingsTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.EMBEDDINGS_TABLE, [
+    { name: 'notebook_id', type: 'S' },
+    { name: 'chunk', type: 'N' }
+  ]);
+}
+
+async function queryEmbeddingRows(notebookId, { keysOnly = false } = {}) {
+  const { items } = await queryItems({
+    TableName: DYNAMODB_CONFIG.EMBEDDINGS_TABLE,
+    KeyConditionExpression: 'notebook_id = :notebookId',
+    ExpressionAttributeValues: { ':notebookId': { S: notebookId } },
+    ...(keysOnly ? { ProjectionExpression: 'notebook_id, #chunk', ExpressionAttributeNames: { '#chunk': 'chunk' } } : {})
+  });
+  return items;
+}
+
+function deleteEmbeddingRows(rows) {
+  return Promise.all(rows.map(row => dynamoClient.send(new DeleteItemCommand({
+    TableName: DYNAMODB_CONFIG.EMBEDDINGS_TABLE,
+    Key: { notebook_id: row.notebook_id, chunk: row.chunk }
+  }))));
+}
+
+// Search events are partitioned by day (the first ten characters of the
+// search id) so a date range is one query per day
+function ensureSearchEventsTable() {
+  return ensureTableExists(DYNAMODB_CONFIG.SEARCH_EVENTS_TABLE, [
+    { name: 'day', type: 'S' },
+    { name: 'search_id', type: 'S' }
+  ]);
+}
+
+function searchEventKey(searchId) {
+  return { day: { S: searchId.slice(0, 10) }, search_id: { S: searchId } };
+}
+
+function parseSearchEvent(item) {
+  return {
+    searchId: item.search_id.S,
+    userId: item.user_id.S,
+    userName: item.user_name?.S || '',
+    userRole: item.user_role?.S || '',
+    query: item.query.S,
+    normalizedQuery: item.normalized_query.S,
+    mode: item.mode.S,
+    filters: item.filters ? JSON.parse(item.filters.S) : {},
+    course: item.course?.S || null,
+    resultCount: Number(item.result_count.N),
+    resultIds: (item.result_ids?.L || []).map(id => id.S),
+    offset: Number(item.result_offset?.N || 0),
+    latencyMs: Number(item.latency_ms.N),
+    timestamp: item.timestamp.S,
+    clicks: (item.clicks?.L || []).map(click => JSON.parse(click.S))
+  };
+}
+
+/**
+ * Run a Query from `startKey`. With `limit`, reads until that many items
+ * match; without, reads every page. `lastKey` is where the next read
+ * starts, or undefined when nothing is left. A start key from another
+ * query is rejected by DynamoDB and reported as InvalidCursorError.
+ */
+async function queryItems(input, { limit, startKey } = {}) {
+  const items = [];
+  let lastKey = startKey;
+  do {
+    let result;
+    try {
+      result = await dynamoClient.send(new QueryCommand({
+        ...input,
+        ...(limit ? { Limit: limit - items.length } : {}),
+        ExclusiveStartKey: lastKey
+      }));
+    } catch (error) {
+      if (startKey && error?.name === 'ValidationException') throw new InvalidCursorError();
+      throw error;
+    }
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey && (!limit || items.length < limit));
+
+  return { items, lastKey };
+}
+
+/**
+ * queryItems with an opaque cursor in place of the start key
+ */
+async function queryPage(input, { limit, cursor } = {}) {
+  const { items, lastKey } = await queryItems(input, { limit, startKey: decodeCursor(cursor) });
+  return { items, cursor: encodeCursor(lastKey) };
+}
+
+/**
+ * Comment threads keep their anchor, status and replies in separate
+ * attributes so remapping an anchor never races with a reply
+ */
+function parseCommentThread(item) {
+  return {
+    threadId: item.threadId.S,
+    notebookId: item.notebookId.S,
+    anchor: JSON.parse(item.anchor.S),
+    status: item.status.S,
+    createdBy: JSON.parse(item.created_by.S),
+    createdAt: item.created_at.S,
+    resolvedBy: item.resolved_by?.S ? JSON.parse(item.resolved_by.S) : null,
+    resolvedAt: item.resolved_at?.S || null,
+    comments: (item.comments?.L || []).map(c => JSON.parse(c.S))
+  };
+}
+
+function parseRefreshToken(item) {
+  return {
+    familyId: item.family_id.S,
+    tokenId: item.token_id.S,
+    userId: item.user_id.S,
+    tokenHash: item.token_hash.S,
+    status: item.status.S,
+    device: item.device?.S || '',
+    createdAt: item.created_at.S,
+    expiresAt: item.expires_at.S,
+    rotatedAt: item.rotated_at?.S || null,
+    replacedBy: item.replaced_by?.S || null
+  };
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Item attributes holding `content`: inline JSON when small, otherwise the
+ * S3 object written through S3Service.uploadNotebook
+ */
+async function contentAttributes(notebookId, content, metadata = {}) {
+  const serialized = JSON.stringify(content);
+  const size = Buffer.byteLength(serialized);
+  if (size <= CONTENT_SPILL_THRESHOLD_BYTES) {
+    return { content: { S: serialized } };
+  }
+
+  const { key, versionId } = await S3Service.uploadNotebook(notebookId, content, { ...metadata, storage: 'spill' });
+  return {
+    content_s3_key: { S: key },
+    ...(versionId ? { content_s3_version: { S: versionId } } : {}),
+    content_sha256: { S: sha256(serialized) },
+    content_size: { N: size.toString() }
+  };
+}
+
+/**
+ * Content of a notebook or version item, fetched from S3 if it was spilled
+ */
+async function readContent(item) {
+  if (!item.content_s3_key) {
+    return item.content ? JSON.parse(item.content.S) : {};
+  }
+
+  const key = item.content_s3_key.S;
+  const stored = await S3Service.getNotebook(key, item.content_s3_version?.S);
+  if (sha256(JSON.stringify(stored.content)) !== item.content_sha256.S) {
+    throw new Error(`Notebook content at ${key} does not match its recorded hash`);
+  }
+  return stored.content;
+}
+
+/**
+ * Item attributes holding a live document's CRDT state: binary when small,
+ * otherwise a pointer, hash and size for an object under documents/<id>/.
+ * Each spilled state gets a new key, so a rejected write never overwrites
+ * the state the item still points to.
+ */
+async function crdtStateAttributes(notebookId, state) {
+  if (state.byteLength <= CRDT_STATE_SPILL_THRESHOLD_BYTES) {
+    return { crdt_state: { B: state } };
+  }
+
+  const key = `documents/${notebookId}/${Date.now()}-${crypto.randomUUID()}.bin`;
+  await S3Service.putObject(key, state, 'application/octet-stream');
+  return {
+    crdt_state_s3_key: { S: key },
+    crdt_state_sha256: { S: sha256(state) },
+    crdt_state_size: { N: state.byteLength.toString() }
+  };
+}
+
+/**
+ * CRDT state of a notebook item, fetched from S3 if it was spilled
+ */
+async function readCrdtState(item) {
+  if (!item.crdt_state_s3_key) {
+    return item.crdt_state?.B || null;
+  }
+
+  const key = item.crdt_state_s3_key.S;
+  const result = await s3Client.send(new GetObjectCommand({
+    Bucket: S3_CONFIG.BUCKET_NAME,
+    Key: key
+  }));
+  const state = await result.Body.transformToByteArray();
+  if (sha256(state) !== item.crdt_state_sha256.S) {
+    throw new Error(`Document state at ${key} does not match its recorded hash`);
+  }
+  return state;
+}
+
+// The S3 key of a notebook's spilled CRDT state, null when it is inline
+async function spilledStateKey(notebookId) {
+  const result = await dynamoClient.send(new GetItemCommand({
+    TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+    Key: { id: { S: notebookId } },
+    ProjectionExpression: 'crdt_state_s3_key'
+  }));
+  return result.Item?.crdt_state_s3_key?.S || null;
+}
+
+async function deleteSpilledStateSafely(key) {
+  try {
+    await S3Service.deleteObjects([key]);
+  } catch (error) {
+    console.warn(`Failed to delete document state ${key} (non-fatal):`, error?.message || error);
+  }
+}
+
+/**
+ * Send a notebook update, in a transaction with its operations row when
+ * there is one. Returns the updated item.
+ */
+async function writeNotebookUpdate(update, operations) {
+  if (!operations) {
+    const result = await dynamoClient.send(new UpdateItemCommand({ ...update, ReturnValues: 'ALL_NEW' }));
+    return result.Attributes;
+  }
+
+  await ensureOperationsTable();
+  try {
+    await dynamoClient.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        { Update: update },
+        {
+          Put: {
+            TableName: DYNAMODB_CONFIG.OPERATIONS_TABLE,
+            Item: operationsItem(update.Key.id.S, operations),
+            ConditionExpression: 'attribute_not_exists(version)'
+          }
+        }
+      ]
+    }));
+  } catch (error) {
+    // Either condition failing cancels the whole transaction
+    if (error?.name === 'TransactionCanceledException' &&
+      error.CancellationReasons?.some(reason => reason.Code === 'ConditionalCheckFailed')) {
+      const conflict = new Error('The conditional request failed');
+      conflict.name = 'ConditionalCheckFailedException';
+      throw conflict;
+    }
+    throw error;
+  }
+
+  // Transactions return no attributes
+  const result = await dynamoClient.send(new GetItemCommand({
+    TableName: update.TableName,
+    Key: update.Key,
+    ConsistentRead: true
+  }));
+  return result.Item;
+}
+
+function parseAttachment(item) {
+  return {
+    id: item.attachmentId.S,
+    notebookId: item.notebookId.S,
+    key: item.s3_key.S,
+    name: item.name.S,
+    type: item.content_type.S,
+    size: parseInt(item.size.N),
+    status: item.status.S,
+    uploadedBy: item.uploaded_by.S,
+    createdAt: item.created_at.S,
+    uploadedAt: item.uploaded_at?.S || null
+  };
+}
+
+function parseUserAccount(item) {
+  return {
+    id: item.id.S,
+    email: item.email.S,
+    password: item.password.S,
+    name: item.name.S,
+    role: item.role.S,
+    institution: item.institution?.S || '',
+    department: item.department?.S || '',
+    created_at: item.created_at.S,
+    updated_at: item.updated_at.S,
+    status: item.status.S,
+    email_verified: item.email_verified?.BOOL || false,
+    last_login: item.last_login?.S
+  };
+}
+
+async function parseNotebookVersion(item) {
+  return {
+    id: item.id.S,
+    notebookId: item.notebookId.S,
+    version: parseInt(item.version.N),
+    content: await readContent(item),
+    title: item.title.S,
+    // Versions saved before tags were recorded have none
+    ...(item.tags ? { tags: item.tags.L.map(v => v.S) } : {}),
+    label: item.label?.S || null,
+    pinned: item.pinned?.BOOL || false,
+    // Delta rows hold changes against the full version `baseVersion`
+    ...(item.encoding ? { encoding: item.encoding.S, baseVersion: parseInt(item.baseVersion.N) } : {}),
+    contributor: item.contributor.S,
+    contributorName: item.contributorName?.S || item.contributor.S,
+    action: item.action.S,
+    created_at: item.created_at.S,
+    metadata: JSON.parse(item.metadata.S)
+  };
+}
+
+/**
+ * Notebook as listed on the dashboard and searched
+ */
+async function parseNotebookSummary(item, { withContent = true } = {}) {
+  return {
+    id: item.id.S,
+    title: item.title.S,
+    ...(withContent ? { content: await readContent(item) } : {}),
+    owner: item.owner.S,
+    collaborators: item.collaborators?.L?.map(v => v.S) || [],
+    created_at: item.created_at.S,
+    updated_at: item.updated_at.S,
+    version: parseInt(item.version.N),
+    status: item.status.S,
+    subject: item.subject?.S || '',
+    course: item.course?.S || '',
+    tags: item.tags?.L?.map(v => v.S) || []
+  };
+}
+
+/**
+ * Dashboard title ordering ignores case
+ */
+function titleSortKey(title) {
+  return title.toLowerCase();
+}
+
+// Notebook attributes copied onto its member rows
+const LISTING_ATTRIBUTES = ['owner', 'title_sort', 'subject', 'course', 'tags', 'created_at', 'updated_at'];
+
+// Notebook attributes read for a listing without content
+const SUMMARY_ATTRIBUTES = [
+  'id', 'title', 'owner', 'collaborators', 'version', 'status',
+  'title_sort', 'subject', 'course', 'tags', 'created_at', 'updated_at'
+];
+
+/**
+ * ProjectionExpression for SUMMARY_ATTRIBUTES, adding their names to `names`
+ */
+function summaryProjection(names) {
+  return SUMMARY_ATTRIBUTES.map(attribute => {
+    names[`#${attribute}`] = attribute;
+    return `#${attribute}`;
+  }).join(', ');
+}
+
+/**
+ * FilterExpression conditions for the dashboard's subject, course, tag and
+ * title filters; every given tag must be present
+ */
+function listingFilter({ subject, course, tags = [], search }, names, values) {
+  const conditions = [];
+  if (subject) {
+    names['#subject'] = 'subject';
+    values[':subject'] = { S: subject };
+    conditions.push('#subject = :subject');
+  }
+  if (course) {
+    names['#course'] = 'course';
+    values[':course'] = { S: course };
+    conditions.push('#course = :course');
+  }
+  tags.forEach((tag, i) => {
+    names['#tags'] = 'tags';
+    values[`:tag${i}`] = { S: tag };
+    conditions.push(`contains(#tags, :tag${i})`);
+  });
+  if (search) {
+    values[':search'] = { S: titleSortKey(search) };
+    conditions.push('contains(title_sort, :search)');
+  }
+  return conditions;
+}
+
+/**
+ * Order of two sort key values as DynamoDB orders them (UTF-8 bytes)
+ */
+function compareSortKeys(a, b) {
+  return Buffer.compare(Buffer.from(a || ''), Buffer.from(b || ''));
+}
 
 // S3 Operations
 class S3Service {
@@ -95,40 +708,159 @@ class S3Service {
     return JSON.parse(content);
   }
 
-  static async listVersions(notebookId) {
-    const command = new ListObjectVersionsCommand({
+  /**
+   * Presigned PUT the browser uploads a file to directly. The signature
+   * covers the content type, so the upload must send the same header.
+   */
+  static async getUploadUrl(key, { contentType, expiresIn = S3_CONFIG.PRESIGNED_URL_TTL_SECONDS } = {}) {
+    const command = new PutObjectCommand({
       Bucket: S3_CONFIG.BUCKET_NAME,
-      Prefix: `notebooks/${notebookId}/`
+      Key: key,
+      ContentType: contentType,
+      ServerSideEncryption: S3_CONFIG.ENCRYPTION
     });
 
-    const result = await s3Client.send(command);
-    return result.Versions || [];
+    return getSignedUrl(s3Client, command, { expiresIn });
   }
 
-  static async restoreVersion(key, versionId) {
-    const command = new RestoreObjectCommand({
+  /**
+   * Presigned GET; `fileName` makes browsers save the file under that name
+   */
+  static async getDownloadUrl(key, { fileName, contentType, inline = false, expiresIn = S3_CONFIG.PRESIGNED_URL_TTL_SECONDS } = {}) {
+    const disposition = inline ? 'inline' : 'attachment';
+    const command = new GetObjectCommand({
       Bucket: S3_CONFIG.BUCKET_NAME,
       Key: key,
-      VersionId: versionId
+      ResponseContentType: contentType,
+      ResponseContentDisposition: fileName
+        ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        : disposition
     });
 
-    return await s3Client.send(command);
+    return getSignedUrl(s3Client, command, { expiresIn });
+  }
+
+  static async putObject(key, body, contentType, { storageClass, metadata } = {}) {
+    const result = await s3Client.send(new PutObjectCommand({
+      Bucket: S3_CONFIG.BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ServerSideEncryption: S3_CONFIG.ENCRYPTION,
+      ...(storageClass ? { StorageClass: storageClass } : {}),
+      ...(metadata ? { Metadata: metadata } : {})
+    }));
+    return { key, versionId: result.VersionId, etag: result.ETag };
+  }
+
+  static async getObjectText(key) {
+    const result = await s3Client.send(new GetObjectCommand({
+      Bucket: S3_CONFIG.BUCKET_NAME,
+      Key: key
+    }));
+    return result.Body.transformToString();
+  }
+
+  /**
+   * Up to `maxKeys` objects under `prefix` (Infinity for all), newest first
+   */
+  static async listObjects(prefix, { maxKeys = 100 } = {}) {
+    const contents = [];
+    let continuationToken;
+    do {
+      const result = await s3Client.send(new ListObjectsV2Command({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Prefix: prefix,
+        MaxKeys: Math.min(maxKeys - contents.length, 1000),
+        ContinuationToken: continuationToken
+      }));
+      contents.push(...(result.Contents || []));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken && contents.length < maxKeys);
+
+    return contents.map(obj => ({
+      key: obj.Key,
+      lastModified: obj.LastModified,
+      size: obj.Size,
+      etag: obj.ETag,
+      storageClass: obj.StorageClass
+    })).sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  }
+
+  /**
+   * Delete objects in batches; returns how many were deleted
+   */
+  static async deleteObjects(keys) {
+    const batchSize = 1000; // S3 delete limit
+    let deletedCount = 0;
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const batch = keys.slice(i, i + batchSize);
+      const result = await s3Client.send(new DeleteObjectsCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Delete: {
+          Objects: batch.map(key => ({ Key: key })),
+          Quiet: true
+        }
+      }));
+      deletedCount += batch.length - (result.Errors?.length || 0);
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Size and type of a stored object, or null if there is none
+   */
+  static async headObject(key) {
+    try {
+      const result = await s3Client.send(new HeadObjectCommand({
+        Bucket: S3_CONFIG.BUCKET_NAME,
+        Key: key
+      }));
+      return { size: result.ContentLength, contentType: result.ContentType };
+    } catch (error) {
+      if (error?.name === 'NotFound' || error?.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  static async copyObject(sourceKey, key) {
+    await s3Client.send(new CopyObjectCommand({
+      Bucket: S3_CONFIG.BUCKET_NAME,
+      CopySource: `${S3_CONFIG.BUCKET_NAME}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+      Key: key,
+      ServerSideEncryption: S3_CONFIG.ENCRYPTION
+    }));
+    return { key };
   }
 }
 
 // DynamoDB Operations
 class DynamoDBService {
   static async createNotebook(notebook) {
+    await ensureNotebooksTable();
+
+    const content = await contentAttributes(notebook.id, notebook.content, {
+      contributor: notebook.owner,
+      action: 'create',
+      version: 1
+    });
+
     const command = new PutItemCommand({
       TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
       Item: {
         id: { S: notebook.id },
         title: { S: notebook.title },
-        content: { S: JSON.stringify(notebook.content) },
+        ...content,
         owner: { S: notebook.owner },
         ...(Array.isArray(notebook.collaborators)
           ? { collaborators: { L: notebook.collaborators.map(c => ({ S: c })) } }
           : {}),
+        title_sort: { S: titleSortKey(notebook.title) },
+        subject: { S: notebook.subject || '' },
+        course: { S: notebook.course || '' },
+        tags: { L: (notebook.tags || []).map(tag => ({ S: tag })) },
         created_at: { S: new Date().toISOString() },
         updated_at: { S: new Date().toISOString() },
         version: { N: '1' },
@@ -137,10 +869,15 @@ class DynamoDBService {
     });
 
     await dynamoClient.send(command);
+    if (Array.isArray(notebook.collaborators) && notebook.collaborators.length > 0) {
+      await this.syncNotebookMembers(command.input.Item);
+    }
     return notebook;
   }
 
   static async getNotebook(id) {
+    await ensureNotebooksTable();
+
     const command = new GetItemCommand({
       TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
       Key: { id: { S: id } }
@@ -152,27 +889,93 @@ class DynamoDBService {
     return {
       id: result.Item.id.S,
       title: result.Item.title.S,
-      content: JSON.parse(result.Item.content.S),
+      content: await readContent(result.Item),
       owner: result.Item.owner.S,
       collaborators: result.Item.collaborators?.L?.map(v => v.S) || [],
       created_at: result.Item.created_at.S,
       updated_at: result.Item.updated_at.S,
+      updated_by: result.Item.updated_by?.S || result.Item.owner.S,
+      version: parseInt(result.Item.version.N),
+      status: result.Item.status.S,
+      subject: result.Item.subject?.S || '',
+      course: result.Item.course?.S || '',
+      tags: result.Item.tags?.L?.map(v => v.S) || []
+    };
+  }
+
+  /**
+   * Compacted CRDT state of the live document, stored beside the notebook
+   */
+  static async getNotebookDocumentState(id) {
+    await ensureNotebooksTable();
+
+    const command = new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+      Key: { id: { S: id } },
+      ProjectionExpression: [
+        '#content', '#version', '#crdtState', ...SPILLED_CONTENT_ATTRIBUTES, ...SPILLED_CRDT_STATE_ATTRIBUTES
+      ].join(', '),
+      ExpressionAttributeNames: {
+        '#content': 'content',
+        '#version': 'version',
+        '#crdtState': 'crdt_state'
+      }
+    });
+
+    const result = await dynamoClient.send(command);
+    if (!result.Item) return null;
+
+    return {
+      content: await readContent(result.Item),
       version: parseInt(result.Item.version.N),
-      status: result.Item.status.S
+      state: await readCrdtState(result.Item)
     };
   }
 
-  static async updateNotebook(id, updates) {
+  /**
+   * Update notebook attributes. Pass `expectedVersion` to make the write
+   * conditional on the stored version; a mismatch throws
+   * ConditionalCheckFailedException. `operations` is an operations entry
+   * ({ version, baseVersion, userId, operations }) written in the same
+   * transaction, so a version is never visible without the operations that
+   * produced it.
+   */
+  static async updateNotebook(id, updates, { expectedVersion, operations } = {}) {
+    await ensureNotebooksTable();
+
     const updateExpression = [];
+    const removeExpression = [];
     const expressionAttributeValues = {};
     const expressionAttributeNames = {};
 
+    // Written before the item, so a rejected conditional write can leave an
+    // unreferenced S3 object behind
+    const content = 'content' in updates
+      ? await contentAttributes(id, updates.content, {
+        contributor: updates.updated_by || 'system',
+        action: 'update',
+        ...(updates.version ? { version: updates.version } : {})
+      })
+      : null;
+    const crdtState = 'crdt_state' in updates ? await crdtStateAttributes(id, updates.crdt_state) : null;
+    const previousStateKey = crdtState ? await spilledStateKey(id) : null;
+
     Object.keys(updates).forEach(key => {
-      if (key === 'content') {
-        updateExpression.push(`#${key} = :${key}`);
-        expressionAttributeValues[`:${key}`] = { S: JSON.stringify(updates[key]) };
-        expressionAttributeNames[`#${key}`] = key;
-      } else if (key === 'collaborators') {
+      if (key === 'content' || key === 'crdt_state') {
+        // Switch between inline and spilled storage as the size changes
+        const [stored, spilled] = key === 'content'
+          ? [content, SPILLED_CONTENT_ATTRIBUTES]
+          : [crdtState, SPILLED_CRDT_STATE_ATTRIBUTES];
+        [key, ...spilled].forEach(attribute => {
+          expressionAttributeNames[`#${attribute}`] = attribute;
+          if (stored[attribute]) {
+            updateExpression.push(`#${attribute} = :${attribute}`);
+            expressionAttributeValues[`:${attribute}`] = stored[attribute];
+          } else {
+            removeExpression.push(`#${attribute}`);
+          }
+        });
+      } else if (key === 'collaborators' || key === 'tags') {
         updateExpression.push(`#${key} = :${key}`);
         const listValue = Array.isArray(updates[key]) ? updates[key].map(c => ({ S: c })) : [];
         expressionAttributeValues[`:${key}`] = { L: listValue };
@@ -181,6 +984,10 @@ class DynamoDBService {
         updateExpression.push(`#${key} = :${key}`);
         expressionAttributeValues[`:${key}`] = { N: updates[key].toString() };
         expressionAttributeNames[`#${key}`] = key;
+      } else if (updates[key] instanceof Uint8Array) {
+        updateExpression.push(`#${key} = :${key}`);
+        expressionAttributeValues[`:${key}`] = { B: updates[key] };
+        expressionAttributeNames[`#${key}`] = key;
       } else {
         updateExpression.push(`#${key} = :${key}`);
         expressionAttributeValues[`:${key}`] = { S: updates[key] };
@@ -188,36 +995,77 @@ class DynamoDBService {
       }
     });
 
+    if ('title' in updates) {
+      updateExpression.push('title_sort = :title_sort');
+      expressionAttributeValues[':title_sort'] = { S: titleSortKey(updates.title) };
+    }
+
     // Always update the timestamp
     updateExpression.push('updated_at = :updated_at');
     expressionAttributeValues[':updated_at'] = { S: new Date().toISOString() };
 
-    const command = new UpdateItemCommand({
+    let conditionExpression;
+    if (expectedVersion !== undefined && expectedVersion !== null) {
+      conditionExpression = '#expectedVersion = :expectedVersion';
+      expressionAttributeNames['#expectedVersion'] = 'version';
+      expressionAttributeValues[':expectedVersion'] = { N: expectedVersion.toString() };
+    }
+
+    const update = {
       TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
       Key: { id: { S: id } },
-      UpdateExpression: `SET ${updateExpression.join(', ')}`,
+      UpdateExpression: `SET ${updateExpression.join(', ')}${removeExpression.length ? ` REMOVE ${removeExpression.join(', ')}` : ''}`,
+      ...(conditionExpression ? { ConditionExpression: conditionExpression } : {}),
       ExpressionAttributeValues: expressionAttributeValues,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ReturnValues: 'ALL_NEW'
-    });
+      ExpressionAttributeNames: expressionAttributeNames
+    };
 
-    const result = await dynamoClient.send(command);
-    return result.Attributes;
+    let attributes;
+    try {
+      attributes = await writeNotebookUpdate(update, operations);
+    } catch (error) {
+      if (crdtState?.crdt_state_s3_key) await deleteSpilledStateSafely(crdtState.crdt_state_s3_key.S);
+      throw error;
+    }
+    // Nothing points at the state this update replaced any more
+    if (previousStateKey && previousStateKey !== crdtState.crdt_state_s3_key?.S) {
+      await deleteSpilledStateSafely(previousStateKey);
+    }
+
+    // Member rows carry updated_at, so every save refreshes them
+    if ('collaborators' in updates || attributes.collaborators?.L?.length) {
+      await this.syncNotebookMembers(attributes, { prune: 'collaborators' in updates });
+    }
+    return attributes;
   }
 
   static async createNotebookVersion(notebookId, versionData) {
+    await ensureVersionsTable();
+
+    const content = await contentAttributes(notebookId, versionData.content, {
+      contributor: versionData.contributor,
+      action: versionData.action,
+      version: versionData.version
+    });
+
     const command = new PutItemCommand({
       TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
       Item: {
         id: { S: `${notebookId}-v${versionData.version}` },
         notebookId: { S: notebookId },
         version: { N: versionData.version.toString() },
-        content: { S: JSON.stringify(versionData.content) },
+        ...content,
         title: { S: versionData.title },
+        ...(Array.isArray(versionData.tags) ? { tags: { L: versionData.tags.map(tag => ({ S: tag })) } } : {}),
+        ...(versionData.label ? { label: { S: versionData.label } } : {}),
+        ...(versionData.pinned ? { pinned: { BOOL: true } } : {}),
+        ...(versionData.encoding === 'delta'
+          ? { encoding: { S: 'delta' }, baseVersion: { N: versionData.baseVersion.toString() } }
+          : {}),
         contributor: { S: versionData.contributor },
         contributorName: { S: versionData.contributorName || versionData.contributor },
         action: { S: versionData.action },
-        created_at: { S: new Date().toISOString() },
+        created_at: { S: versionData.created_at || new Date().toISOString() },
         metadata: { S: JSON.stringify(versionData.metadata || {}) }
       }
     });
@@ -226,270 +1074,1402 @@ class DynamoDBService {
     return versionData;
   }
 
-  static async getNotebookVersions(notebookId) {
-    const command = new ScanCommand({
+  /**
+   * A notebook's versions, newest first, read from the NotebookVersionIndex.
+   * Pass `limit` to get one page and a `cursor` for the next.
+   */
+  static async listNotebookVersions(notebookId, { limit, cursor } = {}) {
+    await ensureVersionsTable();
+
+    const page = await queryPage({
       TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
-      FilterExpression: 'notebookId = :notebookId',
+      IndexName: NOTEBOOK_VERSION_INDEX.name,
+      KeyConditionExpression: 'notebookId = :notebookId',
       ExpressionAttributeValues: {
         ':notebookId': { S: notebookId }
-      }
-    });
+      },
+      ScanIndexForward: false
+    }, { limit, cursor });
 
-    const result = await dynamoClient.send(command);
-    
-    const versions = result.Items?.map(item => ({
-      id: item.id.S,
-      notebookId: item.notebookId.S,
-      version: parseInt(item.version.N),
-      content: JSON.parse(item.content.S),
-      title: item.title.S,
-      contributor: item.contributor.S,
-      contributorName: item.contributorName?.S || item.contributor.S,
-      action: item.action.S,
-      created_at: item.created_at.S,
-      metadata: JSON.parse(item.metadata.S)
-    })).sort((a, b) => b.version - a.version) || [];
-    
+    return {
+      versions: await Promise.all(page.items.map(parseNotebookVersion)),
+      cursor: page.cursor
+    };
+  }
+
+  static async getNotebookVersions(notebookId) {
+    const { versions } = await this.listNotebookVersions(notebookId);
     return versions;
   }
 
   static async getNotebookVersion(notebookId, version) {
+    await ensureVersionsTable();
+
     const command = new GetItemCommand({
       TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
       Key: { id: { S: `${notebookId}-v${version}` } }
     });
 
     const result = await dynamoClient.send(command);
-    if (!result.Item) return null;
-
-    return {
-      id: result.Item.id.S,
-      notebookId: result.Item.notebookId.S,
-      version: parseInt(result.Item.version.N),
-      content: JSON.parse(result.Item.content.S),
-      title: result.Item.title.S,
-      contributor: result.Item.contributor.S,
-      contributorName: result.Item.contributorName?.S || result.Item.contributor.S,
-      action: result.Item.action.S,
-      created_at: result.Item.created_at.S,
-      metadata: JSON.parse(result.Item.metadata.S)
-    };
+    return result.Item ? parseNotebookVersion(result.Item) : null;
   }
 
-  static async deleteNotebook(id) {
-    const command = new DeleteItemCommand({
-      TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
-      Key: { id: { S: id } }
-    });
+  static async deleteNotebookVersion(notebookId, version) {
+    await ensureVersionsTable();
 
-    await dynamoClient.send(command);
-    return { id };
+    const result = await dynamoClient.send(new DeleteItemCommand({
+      TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
+      Key: { id: { S: `${notebookId}-v${version}` } },
+      ReturnValues: 'ALL_OLD'
+    }));
+
+    // Spilled content goes with the row
+    if (result.Attributes?.content_s3_key) {
+      await S3Service.deleteObjects([result.Attributes.content_s3_key.S]);
+    }
   }
 
-  static async getUserById(id) {
-    const command = new GetItemCommand({
-      TableName: DYNAMODB_CONFIG.USERS_TABLE,
-      Key: { id: { S: id } }
-    });
+  /**
+   * Set or clear a version's label (null clears) and pin. Fails with
+   * ConditionalCheckFailedException if the version was never recorded.
+   */
+  static async updateNotebookVersionLabel(notebookId, version, { label, pinned }) {
+    await ensureVersionsTable();
 
-    const result = await dynamoClient.send(command);
-    
-    if (!result.Item) {
-      return null;
+    const sets = [];
+    const removes = [];
+    const values = {};
+    if (label !== undefined) {
+      if (label) {
+        sets.push('label = :label');
+        values[':label'] = { S: label };
+      } else {
+        removes.push('label');
+      }
+    }
+    if (pinned !== undefined) {
+      sets.push('pinned = :pinned');
+      values[':pinned'] = { BOOL: pinned };
     }
 
-    return {
-      id: result.Item.id.S,
-      name: result.Item.name?.S || '',
-      email: result.Item.email.S,
-      created_at: result.Item.created_at.S
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
+      Key: { id: { S: `${notebookId}-v${version}` } },
+      UpdateExpression: [
+        sets.length ? `SET ${sets.join(', ')}` : '',
+        removes.length ? `REMOVE ${removes.join(', ')}` : ''
+      ].filter(Boolean).join(' '),
+      ConditionExpression: 'attribute_exists(id)',
+      ...(Object.keys(values).length ? { ExpressionAttributeValues: values } : {}),
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return parseNotebookVersion(result.Attributes);
+  }
+
+  /**
+   * Operations applied after `afterVersion`, oldest first
+   */
+  static async getNotebookOperations(notebookId, afterVersion) {
+    await ensureOperationsTable();
+
+    const entries = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.OPERATIONS_TABLE,
+        KeyConditionExpression: 'notebookId = :notebookId AND #version > :afterVersion',
+        ExpressionAttributeNames: { '#version': 'version' },
+        ExpressionAttributeValues: {
+          ':notebookId': { S: notebookId },
+          ':afterVersion': { N: afterVersion.toString() }
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      (result.Items || []).forEach(item => entries.push({
+        notebookId: item.notebookId.S,
+        version: parseInt(item.version.N),
+        baseVersion: parseInt(item.baseVersion.N),
+        userId: item.userId.S,
+        operations: JSON.parse(item.operations.S),
+        created_at: item.created_at.S
+      }));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return entries.sort((a, b) => a.version - b.version);
+  }
+
+  static async createNotebookConflict(conflict) {
+    await ensureTableExists(DYNAMODB_CONFIG.CONFLICTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'conflictId', type: 'S' }
+    ]);
+
+    const command = new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.CONFLICTS_TABLE,
+      Item: {
+        notebookId: { S: conflict.notebookId },
+        conflictId: { S: conflict.conflictId },
+        data: { S: JSON.stringify(conflict) },
+        resolved: { BOOL: !!conflict.resolved },
+        created_at: { S: conflict.timestamp }
+      }
+    });
+
+    await dynamoClient.send(command);
+    return conflict;
+  }
+
+  static async getNotebookConflict(notebookId, conflictId) {
+    await ensureTableExists(DYNAMODB_CONFIG.CONFLICTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'conflictId', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.CONFLICTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        conflictId: { S: conflictId }
+      }
+    }));
+
+    return result.Item ? JSON.parse(result.Item.data.S) : null;
+  }
+
+  static async getNotebookConflicts(notebookId, { includeResolved = false } = {}) {
+    await ensureTableExists(DYNAMODB_CONFIG.CONFLICTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'conflictId', type: 'S' }
+    ]);
+
+    const conflicts = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.CONFLICTS_TABLE,
+        KeyConditionExpression: 'notebookId = :notebookId',
+        ...(includeResolved ? {} : { FilterExpression: 'resolved = :resolved' }),
+        ExpressionAttributeValues: {
+          ':notebookId': { S: notebookId },
+          ...(includeResolved ? {} : { ':resolved': { BOOL: false } })
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      (result.Items || []).forEach(item => conflicts.push(JSON.parse(item.data.S)));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return conflicts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Mark a conflict resolved. Fails with ConditionalCheckFailedException if
+   * someone else resolved it first.
+   */
+  static async resolveNotebookConflict(notebookId, conflictId, resolution) {
+    const conflict = await this.getNotebookConflict(notebookId, conflictId);
+    if (!conflict) return null;
+
+    const resolved = { ...conflict, ...resolution, resolved: true };
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.CONFLICTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        conflictId: { S: conflictId }
+      },
+      UpdateExpression: 'SET #data = :data, resolved = :resolved',
+      ConditionExpression: 'resolved = :unresolved',
+      ExpressionAttributeNames: { '#data': 'data' },
+      ExpressionAttributeValues: {
+        ':data': { S: JSON.stringify(resolved) },
+        ':resolved': { BOOL: true },
+        ':unresolved': { BOOL: false }
+      }
+    }));
+
+    return resolved;
+  }
+
+  static async createNotebookBranch(branch) {
+    await ensureBranchesTable();
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.BRANCHES_TABLE,
+      Item: {
+        notebookId: { S: branch.notebookId },
+        branchId: { S: branch.branchId },
+        data: { S: JSON.stringify(branch) },
+        status: { S: branch.status },
+        created_at: { S: branch.created_at }
+      }
+    }));
+    return branch;
+  }
+
+  static async getNotebookBranch(notebookId, branchId) {
+    await ensureBranchesTable();
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.BRANCHES_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        branchId: { S: branchId }
+      }
+    }));
+
+    return result.Item ? JSON.parse(result.Item.data.S) : null;
+  }
+
+  static async getNotebookBranches(notebookId) {
+    await ensureBranchesTable();
+
+    const { items } = await queryItems({
+      TableName: DYNAMODB_CONFIG.BRANCHES_TABLE,
+      KeyConditionExpression: 'notebookId = :notebookId',
+      ExpressionAttributeValues: { ':notebookId': { S: notebookId } }
+    });
+
+    return items
+      .map(item => JSON.parse(item.data.S))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Mark an open branch merged. Fails with ConditionalCheckFailedException
+   * if it was merged first.
+   */
+  static async mergeNotebookBranch(notebookId, branchId, merge) {
+    const branch = await this.getNotebookBranch(notebookId, branchId);
+    if (!branch) return null;
+
+    const merged = { ...branch, ...merge, status: 'merged' };
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.BRANCHES_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        branchId: { S: branchId }
+      },
+      UpdateExpression: 'SET #data = :data, #status = :merged',
+      ConditionExpression: '#status = :open',
+      ExpressionAttributeNames: { '#data': 'data', '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':data': { S: JSON.stringify(merged) },
+        ':merged': { S: 'merged' },
+        ':open': { S: 'open' }
+      }
+    }));
+
+    return merged;
+  }
+
+  static async getRetentionPolicy(scope) {
+    await ensureRetentionPoliciesTable();
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.RETENTION_POLICIES_TABLE,
+      Key: { scope: { S: scope } }
+    }));
+
+    return result.Item ? JSON.parse(result.Item.data.S) : null;
+  }
+
+  static async listRetentionPolicies() {
+    await ensureRetentionPoliciesTable();
+
+    const policies = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamoClient.send(new ScanCommand({
+        TableName: DYNAMODB_CONFIG.RETENTION_POLICIES_TABLE,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      (result.Items || []).forEach(item => policies.push(JSON.parse(item.data.S)));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return policies;
+  }
+
+  static async putRetentionPolicy(scope, policy) {
+    await ensureRetentionPoliciesTable();
+
+    const stored = { ...policy, scope, updated_at: new Date().toISOString() };
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.RETENTION_POLICIES_TABLE,
+      Item: {
+        scope: { S: scope },
+        data: { S: JSON.stringify(stored) }
+      }
+    }));
+    return stored;
+  }
+
+  static async deleteRetentionPolicy(scope) {
+    await ensureRetentionPoliciesTable();
+
+    await dynamoClient.send(new DeleteItemCommand({
+      TableName: DYNAMODB_CONFIG.RETENTION_POLICIES_TABLE,
+      Key: { scope: { S: scope } }
+    }));
+  }
+
+  static async createChatMessage(message) {
+    await ensureTableExists(DYNAMODB_CONFIG.CHAT_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'messageId', type: 'S' }
+    ]);
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.CHAT_TABLE,
+      Item: {
+        notebookId: { S: message.notebookId },
+        messageId: { S: message.id },
+        data: { S: JSON.stringify(message) },
+        created_at: { S: message.timestamp }
+      }
+    }));
+
+    return message;
+  }
+
+  static async getChatMessage(notebookId, messageId) {
+    await ensureTableExists(DYNAMODB_CONFIG.CHAT_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'messageId', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.CHAT_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        messageId: { S: messageId }
+      }
+    }));
+
+    return result.Item ? JSON.parse(result.Item.data.S) : null;
+  }
+
+  /**
+   * One page of chat, newest first. Message ids sort by time, so `before`
+   * is the id of the oldest message the caller already has.
+   */
+  static async getChatMessages(notebookId, { before, limit = 50 } = {}) {
+    await ensureTableExists(DYNAMODB_CONFIG.CHAT_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'messageId', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new QueryCommand({
+      TableName: DYNAMODB_CONFIG.CHAT_TABLE,
+      KeyConditionExpression: before
+        ? 'notebookId = :notebookId AND messageId < :before'
+        : 'notebookId = :notebookId',
+      ExpressionAttributeValues: {
+        ':notebookId': { S: notebookId },
+        ...(before ? { ':before': { S: before } } : {})
+      },
+      ScanIndexForward: false,
+      Limit: limit
+    }));
+
+    return {
+      messages: (result.Items || []).map(item => JSON.parse(item.data.S)),
+      hasMore: Boolean(result.LastEvaluatedKey)
     };
   }
 
-  static async getUserNotebooks(userId) {
-    const command = new ScanCommand({
-      TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
-      FilterExpression: '#owner = :userId OR contains(#collaborators, :userId)',
-      ExpressionAttributeNames: {
-        '#owner': 'owner',
-        '#collaborators': 'collaborators'
+  /**
+   * Replace a stored chat message. Fails with ConditionalCheckFailedException
+   * if it no longer exists.
+   */
+  static async updateChatMessage(message) {
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.CHAT_TABLE,
+      Key: {
+        notebookId: { S: message.notebookId },
+        messageId: { S: message.id }
+      },
+      UpdateExpression: 'SET #data = :data',
+      ConditionExpression: 'attribute_exists(messageId)',
+      ExpressionAttributeNames: { '#data': 'data' },
+      ExpressionAttributeValues: {
+        ':data': { S: JSON.stringify(message) }
+      }
+    }));
+
+    return message;
+  }
+
+  static async createCommentThread(thread) {
+    await ensureTableExists(DYNAMODB_CONFIG.COMMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'threadId', type: 'S' }
+    ]);
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+      Item: {
+        notebookId: { S: thread.notebookId },
+        threadId: { S: thread.threadId },
+        anchor: { S: JSON.stringify(thread.anchor) },
+        anchor_version: { N: thread.anchor.version.toString() },
+        status: { S: thread.status },
+        created_by: { S: JSON.stringify(thread.createdBy) },
+        created_at: { S: thread.createdAt },
+        comments: { L: thread.comments.map(c => ({ S: JSON.stringify(c) })) }
+      }
+    }));
+
+    return thread;
+  }
+
+  static async getCommentThread(notebookId, threadId) {
+    await ensureTableExists(DYNAMODB_CONFIG.COMMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'threadId', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        threadId: { S: threadId }
+      }
+    }));
+
+    return result.Item ? parseCommentThread(result.Item) : null;
+  }
+
+  static async getCommentThreads(notebookId) {
+    await ensureTableExists(DYNAMODB_CONFIG.COMMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'threadId', type: 'S' }
+    ]);
+
+    const threads = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+        KeyConditionExpression: 'notebookId = :notebookId',
+        ExpressionAttributeValues: {
+          ':notebookId': { S: notebookId }
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      (result.Items || []).forEach(item => threads.push(parseCommentThread(item)));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return threads.sort((a, b) => a.anchor.start - b.anchor.start || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Append a reply atomically; returns the updated thread
+   */
+  static async appendThreadComment(notebookId, threadId, comment) {
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        threadId: { S: threadId }
+      },
+      UpdateExpression: 'SET comments = list_append(comments, :comment)',
+      ConditionExpression: 'attribute_exists(threadId)',
+      ExpressionAttributeValues: {
+        ':comment': { L: [{ S: JSON.stringify(comment) }] }
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return parseCommentThread(result.Attributes);
+  }
+
+  /**
+   * Set a thread's status; `resolvedBy` is cleared when it is reopened
+   */
+  static async updateCommentThreadStatus(notebookId, threadId, status, resolvedBy = null) {
+    const resolving = status === 'resolved';
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        threadId: { S: threadId }
+      },
+      UpdateExpression: resolving
+        ? 'SET #status = :status, resolved_by = :resolvedBy, resolved_at = :resolvedAt'
+        : 'SET #status = :status REMOVE resolved_by, resolved_at',
+      ConditionExpression: 'attribute_exists(threadId)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':status': { S: status },
+        ...(resolving ? {
+          ':resolvedBy': { S: JSON.stringify(resolvedBy) },
+          ':resolvedAt': { S: new Date().toISOString() }
+        } : {})
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return parseCommentThread(result.Attributes);
+  }
+
+  /**
+   * Move a thread's anchor to a newer version. Fails with
+   * ConditionalCheckFailedException if it was already moved from `fromVersion`.
+   */
+  static async updateCommentThreadAnchor(notebookId, threadId, anchor, fromVersion) {
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.COMMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        threadId: { S: threadId }
+      },
+      UpdateExpression: 'SET anchor = :anchor, anchor_version = :version',
+      ConditionExpression: 'anchor_version = :fromVersion',
+      ExpressionAttributeValues: {
+        ':anchor': { S: JSON.stringify(anchor) },
+        ':version': { N: anchor.version.toString() },
+        ':fromVersion': { N: fromVersion.toString() }
+      }
+    }));
+
+    return anchor;
+  }
+
+  static async createRefreshToken(token) {
+    await ensureTableExists(DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE, [
+      { name: 'family_id', type: 'S' },
+      { name: 'token_id', type: 'S' }
+    ]);
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE,
+      Item: {
+        family_id: { S: token.familyId },
+        token_id: { S: token.tokenId },
+        user_id: { S: token.userId },
+        token_hash: { S: token.tokenHash },
+        status: { S: token.status },
+        device: { S: token.device || '' },
+        created_at: { S: token.createdAt },
+        expires_at: { S: token.expiresAt },
+        // DynamoDB TTL removes the record once it can no longer be used
+        ttl: { N: Math.floor(new Date(token.expiresAt).getTime() / 1000).toString() }
+      }
+    }));
+
+    return token;
+  }
+
+  static async getRefreshToken(familyId, tokenId) {
+    await ensureTableExists(DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE, [
+      { name: 'family_id', type: 'S' },
+      { name: 'token_id', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE,
+      Key: {
+        family_id: { S: familyId },
+        token_id: { S: tokenId }
+      },
+      ConsistentRead: true
+    }));
+
+    return result.Item ? parseRefreshToken(result.Item) : null;
+  }
+
+  /**
+   * Retire a refresh token in favour of its successor. Fails with
+   * ConditionalCheckFailedException if it was not active any more, so only
+   * one of two concurrent refreshes can win.
+   */
+  static async markRefreshTokenRotated(familyId, tokenId, replacedBy) {
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE,
+      Key: {
+        family_id: { S: familyId },
+        token_id: { S: tokenId }
+      },
+      UpdateExpression: 'SET #status = :rotated, rotated_at = :rotatedAt, replaced_by = :replacedBy',
+      ConditionExpression: '#status = :active',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':rotated': { S: 'rotated' },
+        ':active': { S: 'active' },
+        ':rotatedAt': { S: new Date().toISOString() },
+        ':replacedBy': { S: replacedBy }
+      }
+    }));
+  }
+
+  /**
+   * Revoke every token issued to one device session
+   */
+  static async revokeRefreshTokenFamily(familyId) {
+    await ensureTableExists(DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE, [
+      { name: 'family_id', type: 'S' },
+      { name: 'token_id', type: 'S' }
+    ]);
+
+    const tokens = [];
+    let startKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE,
+        KeyConditionExpression: 'family_id = :familyId',
+        ExpressionAttributeValues: { ':familyId': { S: familyId } },
+        ExclusiveStartKey: startKey
+      }));
+      tokens.push(...(result.Items || []).map(parseRefreshToken));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    const revokedAt = new Date().toISOString();
+    await Promise.all(tokens.filter(t => t.status !== 'revoked').map(t => dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.REFRESH_TOKENS_TABLE,
+      Key: {
+        family_id: { S: t.familyId },
+        token_id: { S: t.tokenId }
+      },
+      UpdateExpression: 'SET #status = :revoked, revoked_at = :revokedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':revoked': { S: 'revoked' },
+        ':revokedAt': { S: revokedAt }
+      }
+    }))));
+
+    return tokens.length;
+  }
+
+  static async createAttachment(attachment) {
+    await ensureTableExists(DYNAMODB_CONFIG.ATTACHMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'attachmentId', type: 'S' }
+    ]);
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.ATTACHMENTS_TABLE,
+      Item: {
+        notebookId: { S: attachment.notebookId },
+        attachmentId: { S: attachment.id },
+        s3_key: { S: attachment.key },
+        name: { S: attachment.name },
+        content_type: { S: attachment.type },
+        size: { N: attachment.size.toString() },
+        status: { S: attachment.status },
+        uploaded_by: { S: attachment.uploadedBy },
+        created_at: { S: attachment.createdAt },
+        ...(attachment.uploadedAt ? { uploaded_at: { S: attachment.uploadedAt } } : {})
+      }
+    }));
+
+    return attachment;
+  }
+
+  static async getAttachment(notebookId, attachmentId) {
+    await ensureTableExists(DYNAMODB_CONFIG.ATTACHMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'attachmentId', type: 'S' }
+    ]);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.ATTACHMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        attachmentId: { S: attachmentId }
+      }
+    }));
+
+    return result.Item ? parseAttachment(result.Item) : null;
+  }
+
+  static async getAttachments(notebookId) {
+    await ensureTableExists(DYNAMODB_CONFIG.ATTACHMENTS_TABLE, [
+      { name: 'notebookId', type: 'S' },
+      { name: 'attachmentId', type: 'S' }
+    ]);
+
+    const attachments = [];
+    let startKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.ATTACHMENTS_TABLE,
+        KeyConditionExpression: 'notebookId = :notebookId',
+        ExpressionAttributeValues: { ':notebookId': { S: notebookId } },
+        ExclusiveStartKey: startKey
+      }));
+      attachments.push(...(result.Items || []).map(parseAttachment));
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Mark a pending upload as stored. Fails with
+   * ConditionalCheckFailedException if the record does not exist.
+   */
+  static async markAttachmentUploaded(notebookId, attachmentId, size) {
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.ATTACHMENTS_TABLE,
+      Key: {
+        notebookId: { S: notebookId },
+        attachmentId: { S: attachmentId }
       },
+      UpdateExpression: 'SET #status = :ready, #size = :size, uploaded_at = :uploadedAt',
+      ConditionExpression: 'attribute_exists(attachmentId)',
+      ExpressionAttributeNames: { '#status': 'status', '#size': 'size' },
       ExpressionAttributeValues: {
-        ':userId': { S: userId }
+        ':ready': { S: 'ready' },
+        ':size': { N: size.toString() },
+        ':uploadedAt': { S: new Date().toISOString() }
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return parseAttachment(result.Attributes);
+  }
+
+  /**
+   * Replace a notebook's chunk embeddings. `embeddings` is { model,
+   * sourceUpdatedAt, chunks: [{ text, vector }] }; each chunk is one row.
+   */
+  static async putNotebookEmbeddings(notebookId, embeddings) {
+    await ensureEmbeddingsTable();
+
+    const previous = await queryEmbeddingRows(notebookId, { keysOnly: true });
+    await Promise.all(embeddings.chunks.map((chunk, index) => dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.EMBEDDINGS_TABLE,
+      Item: {
+        notebook_id: { S: notebookId },
+        chunk: { N: index.toString() },
+        model: { S: embeddings.model },
+        source_updated_at: { S: embeddings.sourceUpdatedAt || '' },
+        text: { S: chunk.text },
+        vector: { B: Buffer.from(chunk.vector.buffer, chunk.vector.byteOffset, chunk.vector.byteLength) }
+      }
+    }))));
+    await deleteEmbeddingRows(previous.filter(row => Number(row.chunk.N) >= embeddings.chunks.length));
+
+    return embeddings;
+  }
+
+  static async getNotebookEmbeddings(notebookId) {
+    await ensureEmbeddingsTable();
+
+    const rows = (await queryEmbeddingRows(notebookId))
+      .sort((a, b) => Number(a.chunk.N) - Number(b.chunk.N));
+    if (rows.length === 0) return null;
+
+    return {
+      model: rows[0].model.S,
+      sourceUpdatedAt: rows[0].source_updated_at.S,
+      chunks: rows.map(row => ({
+        text: row.text.S,
+        // Copy into an aligned buffer before viewing as floats
+        vector: new Float32Array(Uint8Array.from(row.vector.B).buffer)
+      }))
+    };
+  }
+
+  static async deleteNotebookEmbeddings(notebookId) {
+    await ensureEmbeddingsTable();
+    await deleteEmbeddingRows(await queryEmbeddingRows(notebookId, { keysOnly: true }));
+  }
+
+  /**
+   * Store a collaboration event; it expires at `event.expiresAt` through
+   * the table's TTL attribute
+   */
+  static async createCollaborationEvent(event) {
+    await ensureTableExists(DYNAMODB_CONFIG.COLLABORATIONS_TABLE, [
+      { name: 'notebook_id', type: 'S' },
+      { name: 'event_id', type: 'S' }
+    ]);
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.COLLABORATIONS_TABLE,
+      Item: {
+        notebook_id: { S: event.notebookId },
+        event_id: { S: event.eventId },
+        user_id: { S: event.userId },
+        user_name: { S: event.userName },
+        action: { S: event.action },
+        timestamp: { S: event.timestamp },
+        metadata: { S: JSON.stringify(event.metadata) },
+        ttl: { N: Math.floor(Date.parse(event.expiresAt) / 1000).toString() }
       }
+    }));
+
+    return event;
+  }
+
+  /**
+   * A notebook's events with ids between `from` and `to`, oldest first.
+   * With `limit`, only the newest `limit` events.
+   */
+  static async getCollaborationEvents(notebookId, { from, to, limit } = {}) {
+    await ensureTableExists(DYNAMODB_CONFIG.COLLABORATIONS_TABLE, [
+      { name: 'notebook_id', type: 'S' },
+      { name: 'event_id', type: 'S' }
+    ]);
+
+    const events = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamoClient.send(new QueryCommand({
+        TableName: DYNAMODB_CONFIG.COLLABORATIONS_TABLE,
+        KeyConditionExpression: 'notebook_id = :notebookId AND event_id BETWEEN :from AND :to',
+        ExpressionAttributeValues: {
+          ':notebookId': { S: notebookId },
+          ':from': { S: from },
+          ':to': { S: to }
+        },
+        ScanIndexForward: !limit,
+        ...(limit ? { Limit: limit } : {}),
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      (result.Items || []).forEach(item => events.push({
+        eventId: item.event_id.S,
+        notebookId: item.notebook_id.S,
+        userId: item.user_id.S,
+        userName: item.user_name?.S || '',
+        action: item.action.S,
+        timestamp: item.timestamp.S,
+        metadata: item.metadata ? JSON.parse(item.metadata.S) : {}
+      }));
+      exclusiveStartKey = limit && events.length >= limit ? undefined : result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return events.sort((a, b) => a.eventId.localeCompare(b.eventId));
+  }
+
+  /**
+   * Store a logged search; it expires at `event.expiresAt` through the
+   * table's TTL attribute
+   */
+  static async createSearchEvent(event) {
+    await ensureSearchEventsTable();
+
+    await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.SEARCH_EVENTS_TABLE,
+      Item: {
+        ...searchEventKey(event.searchId),
+        user_id: { S: event.userId },
+        user_name: { S: event.userName },
+        user_role: { S: event.userRole },
+        query: { S: event.query },
+        normalized_query: { S: event.normalizedQuery },
+        mode: { S: event.mode },
+        filters: { S: JSON.stringify(event.filters) },
+        ...(event.course ? { course: { S: event.course } } : {}),
+        result_count: { N: event.resultCount.toString() },
+        result_ids: { L: event.resultIds.map(id => ({ S: id })) },
+        result_offset: { N: event.offset.toString() },
+        latency_ms: { N: event.latencyMs.toString() },
+        timestamp: { S: event.timestamp },
+        clicks: { L: [] },
+        ttl: { N: Math.floor(Date.parse(event.expiresAt) / 1000).toString() }
+      }
+    }));
+
+    return event;
+  }
+
+  static async getSearchEvent(searchId) {
+    await ensureSearchEventsTable();
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.SEARCH_EVENTS_TABLE,
+      Key: searchEventKey(searchId)
+    }));
+    return result.Item ? parseSearchEvent(result.Item) : null;
+  }
+
+  /**
+   * Append a click atomically; returns the updated search. Fails with
+   * ConditionalCheckFailedException if the search was not logged.
+   */
+  static async appendSearchClick(searchId, click) {
+    await ensureSearchEventsTable();
+
+    const result = await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.SEARCH_EVENTS_TABLE,
+      Key: searchEventKey(searchId),
+      UpdateExpression: 'SET clicks = list_append(clicks, :click)',
+      ConditionExpression: 'attribute_exists(search_id)',
+      ExpressionAttributeValues: {
+        ':click': { L: [{ S: JSON.stringify(click) }] }
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return parseSearchEvent(result.Attributes);
+  }
+
+  /**
+   * Searches logged on one day (YYYY-MM-DD), oldest first
+   */
+  static async getSearchEvents(day) {
+    await ensureSearchEventsTable();
+
+    const { items } = await queryItems({
+      TableName: DYNAMODB_CONFIG.SEARCH_EVENTS_TABLE,
+      KeyConditionExpression: '#day = :day',
+      ExpressionAttributeNames: { '#day': 'day' },
+      ExpressionAttributeValues: { ':day': { S: day } }
+    });
+    return items.map(parseSearchEvent);
+  }
+
+  static async deleteNotebook(id) {
+    await ensureNotebooksTable();
+
+    const command = new DeleteItemCommand({
+      TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+      Key: { id: { S: id } }
+    });
+
+    await dynamoClient.send(command);
+    await this.syncNotebookMembers({ id: { S: id } });
+    return { id };
+  }
+
+  static async getUserById(id) {
+    const command = new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE,
+      Key: { id: { S: id } }
     });
 
     const result = await dynamoClient.send(command);
-    return result.Items?.map(item => ({
+    
+    if (!result.Item) {
+      return null;
+    }
+
+    return {
+      id: result.Item.id.S,
+      name: result.Item.name?.S || '',
+      email: result.Item.email.S,
+      role: result.Item.role?.S,
+      created_at: result.Item.created_at.S
+    };
+  }
+
+  static async createUser(user) {
+    await ensureTableExists(DYNAMODB_CONFIG.USERS_TABLE);
+
+    const result = await dynamoClient.send(new PutItemCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE,
+      Item: {
+        id: { S: user.id },
+        email: { S: user.email },
+        password: { S: user.password },
+        name: { S: user.name },
+        role: { S: user.role },
+        institution: { S: user.institution },
+        department: { S: user.department },
+        created_at: { S: user.created_at },
+        updated_at: { S: user.updated_at },
+        status: { S: user.status },
+        email_verified: { BOOL: user.email_verified }
+      }
+    }));
+
+    if (process.env.NODE_ENV === 'development') {
+      // Log where the user was saved for troubleshooting
+      console.log(
+        `DynamoDB PutItem to table ${DYNAMODB_CONFIG.USERS_TABLE} in region ${awsConfig.region} (RequestId: ${result?.$metadata?.requestId || 'n/a'})`
+      );
+    }
+    return user;
+  }
+
+  /**
+   * Full account record, password hash included, for authentication
+   */
+  static async getUserAccount(id) {
+    await ensureTableExists(DYNAMODB_CONFIG.USERS_TABLE);
+
+    const result = await dynamoClient.send(new GetItemCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE,
+      Key: { id: { S: id } }
+    }));
+
+    return result.Item ? parseUserAccount(result.Item) : null;
+  }
+
+  static async getUserByEmail(email) {
+    await ensureTableExists(DYNAMODB_CONFIG.USERS_TABLE);
+
+    const result = await dynamoClient.send(new ScanCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE,
+      FilterExpression: 'email = :email',
+      ExpressionAttributeValues: {
+        ':email': { S: email }
+      }
+    }));
+
+    return result.Items?.length ? parseUserAccount(result.Items[0]) : null;
+  }
+
+  static async updateUser(id, updates) {
+    const updateExpression = [];
+    const expressionAttributeValues = {};
+
+    Object.keys(updates).forEach(key => {
+      updateExpression.push(`${key} = :${key}`);
+      expressionAttributeValues[`:${key}`] = { S: updates[key] };
+    });
+
+    updateExpression.push('updated_at = :updated_at');
+    expressionAttributeValues[':updated_at'] = { S: new Date().toISOString() };
+
+    await dynamoClient.send(new UpdateItemCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE,
+      Key: { id: { S: id } },
+      UpdateExpression: `SET ${updateExpression.join(', ')}`,
+      ExpressionAttributeValues: expressionAttributeValues
+    }));
+  }
+
+  static async listUsers() {
+    await ensureTableExists(DYNAMODB_CONFIG.USERS_TABLE);
+
+    const result = await dynamoClient.send(new ScanCommand({
+      TableName: DYNAMODB_CONFIG.USERS_TABLE
+    }));
+
+    return (result.Items || []).map(item => ({
       id: item.id.S,
-      title: item.title.S,
-      content: item.content ? JSON.parse(item.content.S) : {},
-      owner: item.owner.S,
-      collaborators: item.collaborators?.L?.map(v => v.S) || [],
-      created_at: item.created_at.S,
-      updated_at: item.updated_at.S,
-      version: parseInt(item.version.N),
-      status: item.status.S,
-      subject: item.subject?.S || '',
-      course: item.course?.S || '',
-      tags: item.tags?.L?.map(v => v.S) || []
-    })) || [];
-  }
-}
-
-// OpenSearch Operations
-class SearchService {
-  static async indexNotebook(notebook) {
-    const document = {
-      id: notebook.id,
-      title: notebook.title,
-      content: typeof notebook.content === 'string' ? notebook.content : JSON.stringify(notebook.content),
-      owner: notebook.owner,
-      collaborators: notebook.collaborators,
-      created_at: notebook.created_at,
-      updated_at: notebook.updated_at,
-      tags: notebook.tags || [],
-      subject: notebook.subject || '',
-      course: notebook.course || ''
+      email: item.email.S,
+      name: item.name?.S || '',
+      role: item.role?.S || 'student'
+    }));
+  }
+
+  /**
+   * One page of the notebooks a user can open, sorted and filtered in the
+   * indexes. `ownership` is 'all', 'mine' or 'shared'; 'all' merges the
+   * owned and shared queries and the cursor tracks a position in each.
+   * With `withContent: false` notebooks are read without their content.
+   */
+  static async listNotebooks(userId, {
+    ownership = 'all', sort = 'updated_at', order, subject, course, tags, search, limit, cursor, withContent = true
+  } = {}) {
+    const sortBy = NOTEBOOK_SORTS[sort];
+    if (!sortBy) throw new Error(`Unknown notebook sort: ${sort}`);
+    const direction = order || (sort === 'title' ? 'asc' : 'desc');
+    const sources = ownership === 'all' ? ['owned', 'shared'] : [ownership === 'mine' ? 'owned' : 'shared'];
+
+    // A source missing from the cursor has been read to the end
+    const position = decodeCursor(cursor);
+    if (position && (position.sort !== sort || position.order !== direction || !position.after || typeof position.after !== 'object')) {
+      throw new InvalidCursorError();
+    }
+    const after = position ? position.after : Object.fromEntries(sources.map(source => [source, null]));
+
+    await Promise.all([ensureNotebooksTable(), ensureMembersTable()]);
+    const filters = { subject, course, tags, search };
+    const pages = await Promise.all(sources.map(source => (source in after
+      ? this.queryNotebookListing(source, userId, sortBy, direction, filters, { limit, startKey: after[source] || undefined, withContent })
+      : null)));
+
+    // Merge the pages in sort order. Each holds `limit` items unless its
+    // source is exhausted, so nothing unread can sort before the last pick.
+    const compare = (a, b) => (direction === 'asc' ? 1 : -1) * compareSortKeys(a[sortBy.attribute]?.S, b[sortBy.attribute]?.S);
+    const heads = pages.map(() => 0);
+    const picked = [];
+    while (!limit || picked.length < limit) {
+      let next = -1;
+      pages.forEach((page, i) => {
+        if (!page || heads[i] >= page.items.length) return;
+        if (next === -1 || compare(page.items[heads[i]], pages[next].items[heads[next]]) < 0) next = i;
+      });
+      if (next === -1) break;
+      picked.push({ source: sources[next], item: pages[next].items[heads[next]] });
+      heads[next]++;
+    }
+
+    const nextAfter = {};
+    pages.forEach((page, i) => {
+      if (!page) return;
+      if (heads[i] < page.items.length) {
+        nextAfter[sources[i]] = heads[i] > 0
+          ? Object.fromEntries(page.keyNames.map(name => [name, page.items[heads[i] - 1][name]]))
+          : after[sources[i]];
+      } else if (page.lastKey) {
+        nextAfter[sources[i]] = page.lastKey;
+      }
+    });
+
+    const shared = await this.batchGetNotebookItems(picked.filter(p => p.source === 'shared').map(p => p.item.notebook_id.S), { withContent });
+    const sharedById = new Map(shared.map(item => [item.id.S, item]));
+    const items = picked
+      .map(p => (p.source === 'owned' ? p.item : sharedById.get(p.item.notebook_id.S)))
+      .filter(Boolean);
+
+    return {
+      notebooks: await Promise.all(items.map(item => parseNotebookSummary(item, { withContent }))),
+      cursor: Object.keys(nextAfter).length > 0 ? encodeCursor({ sort, order: direction, after: nextAfter }) : null
     };
+  }
+
+  /**
+   * Raw listing rows from one source: notebook items by owner, or member
+   * rows for notebooks shared with the user. `keyNames` rebuild a start key.
+   */
+  static async queryNotebookListing(source, userId, sortBy, direction, filters, { limit, startKey, withContent = true }) {
+    const names = { '#owner': 'owner' };
+    const values = { ':userId': { S: userId } };
+    const conditions = listingFilter(filters, names, values);
+
+    const input = source === 'owned'
+      ? {
+        TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+        IndexName: sortBy.owned.name,
+        KeyConditionExpression: '#owner = :userId',
+        ...(withContent ? {} : { ProjectionExpression: summaryProjection(names) })
+      }
+      : {
+        TableName: DYNAMODB_CONFIG.MEMBERS_TABLE,
+        IndexName: sortBy.shared.name,
+        KeyConditionExpression: 'user_id = :userId'
+      };
+    // The owner can be listed as a collaborator too; show it once, as owned
+    if (source === 'shared') conditions.push('#owner <> :userId');
 
-    console.log('Indexing notebook:', document.id);
-    return document;
+    const page = await queryItems({
+      ...input,
+      ...(conditions.length > 0 ? { FilterExpression: conditions.join(' AND ') } : {}),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ScanIndexForward: direction === 'asc'
+    }, { limit, startKey });
+
+    return {
+      ...page,
+      keyNames: source === 'owned'
+        ? ['id', 'owner', sortBy.attribute]
+        : ['user_id', 'notebook_id', sortBy.attribute]
+    };
   }
 
-  static async searchNotebooks(query, userId, filters = {}) {
+  /**
+   * Notebook items by id, in the order given; missing ones are skipped
+   */
+  static async batchGetNotebookItems(ids, { withContent = true } = {}) {
+    const names = {};
+    const projection = withContent ? {} : { ProjectionExpression: summaryProjection(names), ExpressionAttributeNames: names };
+    const found = new Map();
+    for (let i = 0; i < ids.length; i += 100) {
+      let keys = ids.slice(i, i + 100).map(id => ({ id: { S: id } }));
+      while (keys && keys.length > 0) {
+        const result = await dynamoClient.send(new BatchGetItemCommand({
+          RequestItems: { [DYNAMODB_CONFIG.NOTEBOOKS_TABLE]: { Keys: keys, ...projection } }
+        }));
+        (result.Responses?.[DYNAMODB_CONFIG.NOTEBOOKS_TABLE] || []).forEach(item => found.set(item.id.S, item));
+        // Throttled keys come back unprocessed; retry them
+        keys = result.UnprocessedKeys?.[DYNAMODB_CONFIG.NOTEBOOKS_TABLE]?.Keys;
+      }
+    }
+    return ids.filter(id => found.has(id)).map(id => found.get(id));
+  }
+
+  /**
+   * Every notebook, a page at a time, for rebuilding derived indexes
+   */
+  static async scanNotebooks({ limit = 100, cursor } = {}) {
+    await ensureNotebooksTable();
+
+    let result;
     try {
-      const { DynamoDBService } = require('./aws');
-      
-      // Get all notebooks the user has access to
-      const userNotebooks = await DynamoDBService.getUserNotebooks(userId);
-      
-      const results = [];
-      const queryLower = query.toLowerCase();
-      
-      for (const notebook of userNotebooks) {
-        let score = 0;
-        const highlights = [];
-        const matchedFields = [];
-        
-        // Search in title (highest weight)
-        if (notebook.title && notebook.title.toLowerCase().includes(queryLower)) {
-          score += 10;
-          highlights.push(notebook.title);
-          matchedFields.push('title');
-        }
-        
-        // Search in content
-        if (notebook.content) {
-          let contentStr = '';
-          
-          // Handle different content formats
-          if (typeof notebook.content === 'string') {
-            contentStr = notebook.content;
-          } else if (typeof notebook.content === 'object') {
-            // Extract body text from content object
-            if (notebook.content.body) {
-              contentStr = notebook.content.body;
-            } else {
-              // Fallback to JSON string if no body field
-              contentStr = JSON.stringify(notebook.content);
-            }
-          }
-          
-          // Debug logging
-          if (process.env.NODE_ENV === 'development') {
-            console.log(`Searching notebook ${notebook.id}:`, {
-              hasContent: !!notebook.content,
-              contentType: typeof notebook.content,
-              hasBody: !!(notebook.content && notebook.content.body),
-              bodyLength: contentStr.length,
-              query: queryLower
-            });
-          }
-          
-          if (contentStr && contentStr.toLowerCase().includes(queryLower)) {
-            score += 5;
-            // Extract relevant snippet
-            const snippet = this.extractSnippet(contentStr, queryLower);
-            if (snippet) highlights.push(snippet);
-            matchedFields.push('content');
-          }
-        }
-        
-        // Search in subject
-        if (notebook.subject && notebook.subject.toLowerCase().includes(queryLower)) {
-          score += 3;
-          highlights.push(notebook.subject);
-          matchedFields.push('subject');
-        }
-        
-        // Search in course
-        if (notebook.course && notebook.course.toLowerCase().includes(queryLower)) {
-          score += 3;
-          highlights.push(notebook.course);
-          matchedFields.push('course');
+      result = await dynamoClient.send(new ScanCommand({
+        TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+        Limit: limit,
+        ExclusiveStartKey: decodeCursor(cursor)
+      }));
+    } catch (error) {
+      if (cursor && error?.name === 'ValidationException') throw new InvalidCursorError();
+      throw error;
+    }
+
+    return {
+      notebooks: await Promise.all((result.Items || []).map(parseNotebookSummary)),
+      cursor: encodeCursor(result.LastEvaluatedKey)
+    };
+  }
+
+  /**
+   * Every notebook a user owns or collaborates on
+   */
+  static async getUserNotebooks(userId) {
+    const { notebooks } = await this.listNotebooks(userId);
+    return notebooks;
+  }
+
+  /**
+   * Write a member row, with the notebook's listing attributes, for each of
+   * the collaborators on a raw notebook item. With `prune`, rows for users
+   * no longer listed are deleted (an item without collaborators drops all).
+   */
+  static async syncNotebookMembers(item, { prune = true } = {}) {
+    await ensureMembersTable();
+
+    const notebookId = item.id.S;
+    const wanted = new Set(item.collaborators?.L?.map(v => v.S) || []);
+    const removed = [];
+    if (prune) {
+      const current = await queryPage({
+        TableName: DYNAMODB_CONFIG.MEMBERS_TABLE,
+        IndexName: MEMBER_NOTEBOOK_INDEX.name,
+        KeyConditionExpression: 'notebook_id = :notebookId',
+        ExpressionAttributeValues: { ':notebookId': { S: notebookId } }
+      });
+      removed.push(...current.items.map(row => row.user_id.S).filter(userId => !wanted.has(userId)));
+    }
+
+    const listed = LISTING_ATTRIBUTES.filter(name => item[name]);
+    const assignments = listed.map(name => `#${name} = :${name}`);
+    const names = Object.fromEntries(listed.map(name => [`#${name}`, name]));
+    const values = Object.fromEntries(listed.map(name => [`:${name}`, item[name]]));
+
+    await Promise.all([
+      ...[...wanted].map(userId => dynamoClient.send(new UpdateItemCommand({
+        TableName: DYNAMODB_CONFIG.MEMBERS_TABLE,
+        Key: {
+          user_id: { S: userId },
+          notebook_id: { S: notebookId }
+        },
+        UpdateExpression: `SET #role = if_not_exists(#role, :role), added_at = if_not_exists(added_at, :addedAt)${assignments.map(a => `, ${a}`).join('')}`,
+        ExpressionAttributeNames: { '#role': 'role', ...names },
+        ExpressionAttributeValues: { ':role': { S: 'collaborator' }, ':addedAt': { S: new Date().toISOString() }, ...values }
+      }))),
+      ...removed.map(userId => dynamoClient.send(new DeleteItemCommand({
+        TableName: DYNAMODB_CONFIG.MEMBERS_TABLE,
+        Key: {
+          user_id: { S: userId },
+          notebook_id: { S: notebookId }
         }
-        
-        // Search in tags
-        if (notebook.tags && Array.isArray(notebook.tags)) {
-          const matchingTags = notebook.tags.filter(tag => 
-            tag.toLowerCase().includes(queryLower)
-          );
-          if (matchingTags.length > 0) {
-            score += 2;
-            highlights.push(...matchingTags);
-            matchedFields.push('tags');
-          }
+      })))
+    ]);
+  }
+
+  /**
+   * Fill in what the dashboard indexes need on notebooks written before
+   * they existed: title_sort on the notebook, and a member row per
+   * collaborator carrying its listing attributes. Returns notebooks visited.
+   */
+  static async backfillNotebookIndexes() {
+    await ensureNotebooksTable();
+
+    let visited = 0;
+    let startKey;
+    do {
+      const result = await dynamoClient.send(new ScanCommand({
+        TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+        ProjectionExpression: 'id, title, collaborators, #owner, title_sort, subject, course, tags, created_at, updated_at',
+        ExpressionAttributeNames: { '#owner': 'owner' },
+        ExclusiveStartKey: startKey
+      }));
+      for (const item of result.Items || []) {
+        if (!item.title_sort && item.title) {
+          item.title_sort = { S: titleSortKey(item.title.S) };
+          await dynamoClient.send(new UpdateItemCommand({
+            TableName: DYNAMODB_CONFIG.NOTEBOOKS_TABLE,
+            Key: { id: item.id },
+            UpdateExpression: 'SET title_sort = :titleSort',
+            ExpressionAttributeValues: { ':titleSort': item.title_sort }
+          }));
         }
-        
-        // Search in attachments (if content has attachments)
-        if (notebook.content && typeof notebook.content === 'object' && notebook.content.attachments) {
-          const attachmentMatches = notebook.content.attachments.filter(att => 
-            att.name && att.name.toLowerCase().includes(queryLower)
-          );
-          if (attachmentMatches.length > 0) {
-            score += 1;
-            highlights.push(...attachmentMatches.map(att => att.name));
-            matchedFields.push('attachments');
-          }
+        await this.syncNotebookMembers(item);
+        visited++;
+      }
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return visited;
+  }
+
+  /**
+   * Copy rows from the legacy versions table (keyed notebook_id/version_id)
+   * into the versions table, keyed by id. Rows already copied, or recorded
+   * since, are left alone. Returns how many were copied.
+   */
+  static async copyLegacyVersions() {
+    await ensureVersionsTable();
+
+    let copied = 0;
+    let startKey;
+    do {
+      let result;
+      try {
+        result = await dynamoClient.send(new ScanCommand({
+          TableName: DYNAMODB_CONFIG.LEGACY_VERSIONS_TABLE,
+          ExclusiveStartKey: startKey
+        }));
+      } catch (error) {
+        // Nothing to copy on deployments that never had the old table
+        if (error?.name === 'ResourceNotFoundException') return copied;
+        throw error;
+      }
+
+      for (const { notebook_id: notebookId, version_id: versionId, ...attributes } of result.Items || []) {
+        const version = attributes.version ? parseInt(attributes.version.N) : parseInt(versionId.S.replace(/^\D+/, ''));
+        if (!Number.isInteger(version) || version < 1) {
+          console.warn(`Skipping legacy version ${notebookId.S}/${versionId.S}: no version number`);
+          continue;
         }
-        
-        if (score > 0) {
-          results.push({
-            notebookId: notebook.id,
-            score: score / 10, // Normalize to 0-1
-            highlights: [...new Set(highlights)].slice(0, 3), // Remove duplicates, limit to 3
-            matchedFields: [...new Set(matchedFields)],
-            notebook: notebook
-          });
+
+        try {
+          await dynamoClient.send(new PutItemCommand({
+            TableName: DYNAMODB_CONFIG.VERSIONS_TABLE,
+            Item: {
+              title: { S: '' },
+              contributor: { S: 'unknown' },
+              action: { S: 'update' },
+              created_at: { S: new Date(0).toISOString() },
+              metadata: { S: '{}' },
+              ...attributes,
+              id: { S: `${notebookId.S}-v${version}` },
+              notebookId,
+              version: { N: version.toString() }
+            },
+            ConditionExpression: 'attribute_not_exists(id)'
+          }));
+          copied++;
+        } catch (error) {
+          if (error?.name !== 'ConditionalCheckFailedException') throw error;
         }
       }
-      
-      // Sort by relevance score
-      results.sort((a, b) => b.score - a.score);
-      
-      return results;
-    } catch (error) {
-      console.error('Search error:', error);
-      return [];
-    }
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+
+    return copied;
   }
-  
-  static extractSnippet(text, query, maxLength = 150) {
-    const queryLower = query.toLowerCase();
-    const textLower = text.toLowerCase();
-    const index = textLower.indexOf(queryLower);
-    
-    if (index === -1) return null;
-    
-    const start = Math.max(0, index - 50);
-    const end = Math.min(text.length, index + query.length + 50);
-    let snippet = text.substring(start, end);
-    
-    if (start > 0) snippet = '...' + snippet;
-    if (end < text.length) snippet = snippet + '...';
-    
-    return snippet;
+}
+
+// Lambda Operations
+class LambdaService {
+  /**
+   * Invoke a function without waiting for it to finish
+   */
+  static async invokeAsync(functionName, payload) {
+    const result = await lambdaClient.send(new InvokeCommand({
+      FunctionName: functionName,
+      InvocationType: 'Event',
+      Payload: JSON.stringify(payload)
+    }));
+    return { statusCode: result.StatusCode };
   }
 }
 
@@ -500,8 +2480,8 @@ module.exports = {
   openSearchClient,
   S3Service,
   DynamoDBService,
-  SearchService,
+  LambdaService,
+  ensureTableExists,
   S3_CONFIG,
-  DYNAMODB_CONFIG,
-  OPENSEARCH_CONFIG
+  DYNAMODB_CONFIG
 };
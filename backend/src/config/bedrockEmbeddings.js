@@ -0,0 +1,66 @@
+const { SignatureV4 } = require('@smithy/signature-v4');
+const { Sha256 } = require('@aws-crypto/sha256-js');
+const { defaultProvider } = require('@aws-sdk/credential-provider-node');
+
+// Amazon Titan text embeddings through the Bedrock runtime API
+const BEDROCK_EMBEDDING_MODEL = process.env.BEDROCK_EMBEDDING_MODEL || 'amazon.titan-embed-text-v2:0';
+const DIMENSIONS = 1024;
+
+const region = process.env.AWS_REGION || 'us-east-1';
+
+const signer = new SignatureV4({
+  service: 'bedrock',
+  region,
+  credentials: process.env.AWS_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.AWS_ACCESS_KEY_ID, secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY }
+    : defaultProvider(),
+  sha256: Sha256
+});
+
+async function invokeModel(body) {
+  const hostname = `bedrock-runtime.${region}.amazonaws.com`;
+  const path = `/model/${encodeURIComponent(BEDROCK_EMBEDDING_MODEL)}/invoke`;
+  const payload = JSON.stringify(body);
+
+  const signed = await signer.sign({
+    method: 'POST',
+    protocol: 'https:',
+    hostname,
+    path,
+    headers: {
+      host: hostname,
+      'content-type': 'application/json',
+      accept: 'application/json'
+    },
+    body: payload
+  });
+
+  const response = await fetch(`https://${hostname}${path}`, { method: 'POST', headers: signed.headers, body: payload });
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Bedrock ${BEDROCK_EMBEDDING_MODEL} failed with ${response.status}: ${text.slice(0, 500)}`);
+  }
+  return JSON.parse(text);
+}
+
+class BedrockEmbeddingModel {
+  constructor() {
+    this.model = `bedrock:${BEDROCK_EMBEDDING_MODEL}:${DIMENSIONS}`;
+    this.dimensions = DIMENSIONS;
+    this.minSimilarity = 0.3;
+  }
+
+  // Titan embeds one text per request
+  async embed(texts) {
+    const vectors = [];
+    for (const text of texts) {
+      const result = await invokeModel({ inputText: text, dimensions: DIMENSIONS, normalize: true });
+      vectors.push(Float32Array.from(result.embedding));
+    }
+    return vectors;
+  }
+}
+
+module.exports = {
+  BedrockEmbeddingModel
+};
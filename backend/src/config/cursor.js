@@ -0,0 +1,34 @@
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid pagination cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.status = 400;
+    this.code = 'INVALID_CURSOR';
+  }
+}
+
+/**
+ * Opaque page token for a provider's position (e.g. a DynamoDB
+ * LastEvaluatedKey); null when there are no more pages
+ */
+function encodeCursor(position) {
+  if (!position) return null;
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') return undefined;
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object') throw new Error('not an object');
+    return position;
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+}
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor
+};
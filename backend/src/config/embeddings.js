@@ -0,0 +1,40 @@
+const { assertImplements } = require('./assertImplements');
+
+// 'local' (deterministic hashing model, works offline) or 'bedrock'
+// (Amazon Titan text embeddings)
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+/**
+ * What every embedding provider exposes. embed(texts) resolves to one unit
+ * length Float32Array per text; `model` names the model and size so stored
+ * vectors from another model are recognized as stale; `minSimilarity` is
+ * the cosine below which a match is treated as noise.
+ */
+const EMBEDDING_INTERFACE = ['embed'];
+
+function createProvider(name) {
+  switch (name) {
+    case 'local': {
+      const { LocalEmbeddingModel } = require('./localEmbeddings');
+      return new LocalEmbeddingModel();
+    }
+    case 'bedrock': {
+      const { BedrockEmbeddingModel } = require('./bedrockEmbeddings');
+      return new BedrockEmbeddingModel();
+    }
+    default:
+      throw new Error(`Unknown embedding provider: ${name}`);
+  }
+}
+
+const embeddingProvider = createProvider(EMBEDDING_PROVIDER);
+
+assertImplements(`Embedding provider '${EMBEDDING_PROVIDER}'`, embeddingProvider, EMBEDDING_INTERFACE);
+if (typeof embeddingProvider.model !== 'string') {
+  throw new Error(`Embedding provider '${EMBEDDING_PROVIDER}' is missing model`);
+}
+
+module.exports = {
+  EMBEDDING_PROVIDER,
+  embeddingProvider
+};
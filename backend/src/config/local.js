@@ -0,0 +1,901 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { InvalidCursorError, encodeCursor, decodeCursor } = require('./cursor');
+
+/*
+ * Filesystem implementation of the storage interface, for running the API
+ * offline. Each table is one JSON file and each object one file under
+ * LOCAL_STORAGE_DIR. Everything runs in a single process: reads and
+ * conditional writes happen on the in-memory copy, so they are atomic
+ * without locks, and every write is flushed to disk before it resolves.
+ */
+
+const LOCAL_STORAGE_CONFIG = {
+  ROOT: path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', '.local-storage')),
+  // Signs the URLs that stand in for S3 presigned URLs
+  URL_SECRET: process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET || 'local-storage-secret',
+  URL_PATH: '/api/storage/objects'
+};
+
+const S3_CONFIG = {
+  PRESIGNED_URL_TTL_SECONDS: parseInt(process.env.S3_PRESIGNED_URL_TTL_SECONDS) || 900
+};
+
+const OBJECTS_DIR = path.join(LOCAL_STORAGE_CONFIG.ROOT, 'objects');
+const OBJECT_METADATA_DIR = path.join(LOCAL_STORAGE_CONFIG.ROOT, 'object-metadata');
+const TABLES_DIR = path.join(LOCAL_STORAGE_CONFIG.ROOT, 'tables');
+
+/**
+ * Same name as DynamoDB's error, so callers handle both providers alike
+ */
+function conditionalCheckFailed() {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Items grouped by partition key, each partition keyed by sort key
+ */
+class LocalTable {
+  constructor(name) {
+    this.file = path.join(TABLES_DIR, `${name}.json`);
+    this.partitions = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  async load() {
+    if (this.partitions) return this.partitions;
+    if (!this.loading) {
+      this.loading = fs.readFile(this.file, 'utf8')
+        .then(text => JSON.parse(text))
+        .catch(error => {
+          if (error.code === 'ENOENT') return {};
+          throw error;
+        })
+        .then(partitions => {
+          this.partitions = partitions;
+          return partitions;
+        });
+    }
+    return this.loading;
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.partitions);
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(TABLES_DIR, { recursive: true });
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, snapshot);
+      await fs.rename(temporary, this.file);
+    });
+    return this.writing;
+  }
+
+  async get(partitionKey, sortKey = '') {
+    const partitions = await this.load();
+    return clone(partitions[partitionKey]?.[sortKey]) || null;
+  }
+
+  async put(partitionKey, sortKey, item, { ifNotExists = false } = {}) {
+    const partitions = await this.load();
+    if (ifNotExists && partitions[partitionKey]?.[sortKey]) {
+      throw conditionalCheckFailed();
+    }
+    partitions[partitionKey] = partitions[partitionKey] || {};
+    partitions[partitionKey][sortKey] = clone(item);
+    await this.save();
+    return item;
+  }
+
+  /**
+   * Replace an item with `apply(current)`. `apply` may throw to reject the
+   * write; a missing item fails the condition unless `upsert` is set.
+   */
+  async update(partitionKey, sortKey, apply, { upsert = false } = {}) {
+    const partitions = await this.load();
+    const current = partitions[partitionKey]?.[sortKey];
+    if (!current && !upsert) {
+      throw conditionalCheckFailed();
+    }
+
+    const next = apply(clone(current) || null);
+    partitions[partitionKey] = partitions[partitionKey] || {};
+    partitions[partitionKey][sortKey] = clone(next);
+    await this.save();
+    return next;
+  }
+
+  /**
+   * Put into a table already loaded, without saving, so the write can ride
+   * along with an update of another table; the caller saves afterwards
+   */
+  putLoaded(partitionKey, sortKey, item, { ifNotExists = false } = {}) {
+    if (ifNotExists && this.partitions[partitionKey]?.[sortKey]) {
+      throw conditionalCheckFailed();
+    }
+    this.partitions[partitionKey] = this.partitions[partitionKey] || {};
+    this.partitions[partitionKey][sortKey] = clone(item);
+    return item;
+  }
+
+  async delete(partitionKey, sortKey = '') {
+    const partitions = await this.load();
+    if (!partitions[partitionKey]?.[sortKey]) return;
+    delete partitions[partitionKey][sortKey];
+    if (Object.keys(partitions[partitionKey]).length === 0) {
+      delete partitions[partitionKey];
+    }
+    await this.save();
+  }
+
+  async query(partitionKey) {
+    const partitions = await this.load();
+    return Object.values(partitions[partitionKey] || {}).map(clone);
+  }
+
+  async scan() {
+    const partitions = await this.load();
+    return Object.values(partitions).flatMap(partition => Object.values(partition).map(clone));
+  }
+}
+
+const tables = new Map();
+
+function table(name) {
+  if (!tables.has(name)) {
+    tables.set(name, new LocalTable(name));
+  }
+  return tables.get(name);
+}
+
+/**
+ * Path of an object inside the storage directory; keys cannot escape it
+ */
+function objectPath(directory, key) {
+  const resolved = path.resolve(directory, key);
+  if (!resolved.startsWith(directory + path.sep)) {
+    throw new Error(`Invalid object key: ${key}`);
+  }
+  return resolved;
+}
+
+async function readObjectMetadata(key) {
+  try {
+    return JSON.parse(await fs.readFile(objectPath(OBJECT_METADATA_DIR, `${key}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function listObjectKeys(prefix) {
+  const directory = path.dirname(objectPath(OBJECTS_DIR, `${prefix}_`));
+  const keys = [];
+  const walk = async relative => {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(OBJECTS_DIR, relative), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const key = path.posix.join(relative.split(path.sep).join('/'), entry.name);
+      if (entry.isDirectory()) {
+        await walk(path.join(relative, entry.name));
+      } else if (key.startsWith(prefix) && !entry.name.endsWith('.tmp')) {
+        keys.push(key);
+      }
+    }
+  };
+  await walk(path.relative(OBJECTS_DIR, directory));
+  return keys;
+}
+
+function signObjectRequest({ method, key, expires, contentType = '', disposition = '' }) {
+  return crypto
+    .createHmac('sha256', LOCAL_STORAGE_CONFIG.URL_SECRET)
+    .update([method, key, expires, contentType, disposition].join('\n'))
+    .digest('hex');
+}
+
+function signedObjectUrl(method, key, { contentType, disposition, expiresIn }) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({ expires: expires.toString() });
+  if (contentType) params.set('contentType', contentType);
+  if (disposition) params.set('disposition', disposition);
+  params.set('signature', signObjectRequest({ method, key, expires, contentType, disposition }));
+
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${LOCAL_STORAGE_CONFIG.URL_PATH}/${encodedKey}?${params.toString()}`;
+}
+
+/**
+ * Check a URL issued by getUploadUrl or getDownloadUrl. Returns the signed
+ * content type and disposition, or null if the URL is invalid or expired.
+ */
+function verifyObjectUrl(method, key, query) {
+  const expires = parseInt(query.expires);
+  if (!expires || expires * 1000 < Date.now() || typeof query.signature !== 'string') {
+    return null;
+  }
+
+  const contentType = query.contentType || '';
+  const disposition = query.disposition || '';
+  const expected = Buffer.from(signObjectRequest({ method, key, expires, contentType, disposition }), 'hex');
+  const presented = Buffer.from(query.signature, 'hex');
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return null;
+  }
+  return { contentType, disposition };
+}
+
+class S3Service {
+  static async uploadNotebook(notebookId, content, metadata) {
+    const key = `notebooks/${notebookId}/${Date.now()}.json`;
+    await this.putObject(key, JSON.stringify({ content, metadata }), 'application/json', {
+      metadata: {
+        notebookId,
+        timestamp: new Date().toISOString(),
+        contributor: metadata.contributor || 'system'
+      }
+    });
+    return { key, versionId: undefined };
+  }
+
+  static async getNotebook(key) {
+    return JSON.parse(await this.getObjectText(key));
+  }
+
+  static async getUploadUrl(key, { contentType, expiresIn = S3_CONFIG.PRESIGNED_URL_TTL_SECONDS } = {}) {
+    return signedObjectUrl('PUT', key, { contentType, expiresIn });
+  }
+
+  static async getDownloadUrl(key, { fileName, contentType, inline = false, expiresIn = S3_CONFIG.PRESIGNED_URL_TTL_SECONDS } = {}) {
+    const disposition = inline ? 'inline' : 'attachment';
+    return signedObjectUrl('GET', key, {
+      contentType,
+      disposition: fileName
+        ? `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`
+        : disposition,
+      expiresIn
+    });
+  }
+
+  static async putObject(key, body, contentType, { storageClass, metadata } = {}) {
+    const file = objectPath(OBJECTS_DIR, key);
+    const metadataFile = objectPath(OBJECT_METADATA_DIR, `${key}.json`);
+    const data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    const etag = `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.mkdir(path.dirname(metadataFile), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, data);
+    await fs.rename(`${file}.tmp`, file);
+    await fs.writeFile(metadataFile, JSON.stringify({
+      contentType,
+      storageClass: storageClass || 'STANDARD',
+      metadata: metadata || {},
+      etag
+    }));
+    return { key, versionId: undefined, etag };
+  }
+
+  static async getObject(key) {
+    const [body, stored] = await Promise.all([
+      fs.readFile(objectPath(OBJECTS_DIR, key)),
+      readObjectMetadata(key)
+    ]);
+    return { body, contentType: stored?.contentType || 'application/octet-stream' };
+  }
+
+  static async getObjectText(key) {
+    const { body } = await this.getObject(key);
+    return body.toString('utf8');
+  }
+
+  static async headObject(key) {
+    try {
+      const stats = await fs.stat(objectPath(OBJECTS_DIR, key));
+      const stored = await readObjectMetadata(key);
+      return { size: stats.size, contentType: stored?.contentType };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  static async copyObject(sourceKey, key) {
+    const { body, contentType } = await this.getObject(sourceKey);
+    const stored = await readObjectMetadata(sourceKey);
+    await this.putObject(key, body, contentType, stored || {});
+    return { key };
+  }
+
+  static async listObjects(prefix, { maxKeys = 100 } = {}) {
+    const keys = await listObjectKeys(prefix);
+    const objects = await Promise.all(keys.map(async key => {
+      const [stats, stored] = await Promise.all([
+        fs.stat(objectPath(OBJECTS_DIR, key)),
+        readObjectMetadata(key)
+      ]);
+      return {
+        key,
+        lastModified: stats.mtime,
+        size: stats.size,
+        etag: stored?.etag,
+        storageClass: stored?.storageClass || 'STANDARD'
+      };
+    }));
+
+    return objects
+      .sort((a, b) => b.lastModified - a.lastModified || b.key.localeCompare(a.key))
+      .slice(0, maxKeys);
+  }
+
+  static async deleteObjects(keys) {
+    let deletedCount = 0;
+    for (const key of keys) {
+      await fs.rm(objectPath(OBJECTS_DIR, key), { force: true });
+      await fs.rm(objectPath(OBJECT_METADATA_DIR, `${key}.json`), { force: true });
+      deletedCount++;
+    }
+    return deletedCount;
+  }
+}
+
+/**
+ * One page of an already sorted list; the cursor is an offset into it
+ */
+function paginate(items, { limit, cursor } = {}) {
+  const offset = decodeCursor(cursor)?.offset ?? 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new InvalidCursorError();
+  }
+  if (!limit) {
+    return { items: items.slice(offset), cursor: null };
+  }
+  const end = offset + limit;
+  return {
+    items: items.slice(offset, end),
+    cursor: end < items.length ? encodeCursor({ offset: end }) : null
+  };
+}
+
+function notebookFromItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    content: item.content || {},
+    owner: item.owner,
+    collaborators: item.collaborators || [],
+    created_at: item.created_at,
+    updated_at: item.updated_at,
+    updated_by: item.updated_by || item.owner,
+    version: item.version,
+    status: item.status,
+    subject: item.subject || '',
+    course: item.course || '',
+    tags: item.tags || []
+  };
+}
+
+function operationsRow(notebookId, entry) {
+  return {
+    notebookId,
+    version: entry.version,
+    baseVersion: entry.baseVersion,
+    userId: entry.userId,
+    operations: entry.operations,
+    created_at: new Date().toISOString()
+  };
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    name: user.name || '',
+    email: user.email,
+    role: user.role,
+    created_at: user.created_at
+  };
+}
+
+class DynamoDBService {
+  static async createNotebook(notebook) {
+    const now = new Date().toISOString();
+    await table('notebooks').put(notebook.id, '', {
+      id: notebook.id,
+      title: notebook.title,
+      content: notebook.content,
+      owner: notebook.owner,
+      ...(Array.isArray(notebook.collaborators) ? { collaborators: notebook.collaborators } : {}),
+      subject: notebook.subject || '',
+      course: notebook.course || '',
+      tags: notebook.tags || [],
+      created_at: now,
+      updated_at: now,
+      version: 1,
+      status: 'active'
+    });
+    return notebook;
+  }
+
+  static async getNotebook(id) {
+    const item = await table('notebooks').get(id);
+    return item ? notebookFromItem(item) : null;
+  }
+
+  static async getNotebookDocumentState(id) {
+    const item = await table('notebooks').get(id);
+    if (!item) return null;
+
+    return {
+      content: item.content || {},
+      version: item.version,
+      state: item.crdt_state ? Buffer.from(item.crdt_state, 'base64') : null
+    };
+  }
+
+  static async updateNotebook(id, updates, { expectedVersion, operations } = {}) {
+    const conditional = expectedVersion !== undefined && expectedVersion !== null;
+    // The operations row is written in the same step as the notebook
+    const operationsTable = table('operations');
+    if (operations) await operationsTable.load();
+
+    const notebook = await table('notebooks').update(id, '', current => {
+      if (conditional && current?.version !== expectedVersion) {
+        throw conditionalCheckFailed();
+      }
+      if (operations) {
+        operationsTable.putLoaded(id, String(operations.version), operationsRow(id, operations), { ifNotExists: true });
+      }
+
+      const next = { ...(current || { id }) };
+      Object.keys(updates).forEach(key => {
+        // Binary attributes (the CRDT state) are kept as base64
+        next[key] = updates[key] instanceof Uint8Array
+          ? Buffer.from(updates[key]).toString('base64')
+          : updates[key];
+      });
+      next.updated_at = new Date().toISOString();
+      return next;
+    }, { upsert: !conditional });
+
+    if (operations) await operationsTable.save();
+    return notebook;
+  }
+
+  static async createNotebookVersion(notebookId, versionData) {
+    await table('versions').put(notebookId, String(versionData.version), {
+      id: `${notebookId}-v${versionData.version}`,
+      notebookId,
+      version: versionData.version,
+      content: versionData.content,
+      title: versionData.title,
+      ...(Array.isArray(versionData.tags) ? { tags: versionData.tags } : {}),
+      label: versionData.label || null,
+      pinned: Boolean(versionData.pinned),
+      ...(versionData.encoding === 'delta' ? { encoding: 'delta', baseVersion: versionData.baseVersion } : {}),
+      contributor: versionData.contributor,
+      contributorName: versionData.contributorName || versionData.contributor,
+      action: versionData.action,
+      created_at: versionData.created_at || new Date().toISOString(),
+      metadata: versionData.metadata || {}
+    });
+    return versionData;
+  }
+
+  static async listNotebookVersions(notebookId, { limit, cursor } = {}) {
+    const versions = (await table('versions').query(notebookId)).sort((a, b) => b.version - a.version);
+    const page = paginate(versions, { limit, cursor });
+    return { versions: page.items, cursor: page.cursor };
+  }
+
+  static async getNotebookVersions(notebookId) {
+    const { versions } = await this.listNotebookVersions(notebookId);
+    return versions;
+  }
+
+  static async getNotebookVersion(notebookId, version) {
+    return table('versions').get(notebookId, String(version));
+  }
+
+  static async deleteNotebookVersion(notebookId, version) {
+    await table('versions').delete(notebookId, String(version));
+  }
+
+  static async updateNotebookVersionLabel(notebookId, version, { label, pinned }) {
+    return table('versions').update(notebookId, String(version), current => ({
+      ...current,
+      ...(label !== undefined ? { label: label || null } : {}),
+      ...(pinned !== undefined ? { pinned } : {})
+    }));
+  }
+
+  static async getNotebookOperations(notebookId, afterVersion) {
+    const entries = await table('operations').query(notebookId);
+    return entries
+      .filter(entry => entry.version > afterVersion)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  static async createNotebookConflict(conflict) {
+    await table('conflicts').put(conflict.notebookId, conflict.conflictId, conflict);
+    return conflict;
+  }
+
+  static async getNotebookConflict(notebookId, conflictId) {
+    return table('conflicts').get(notebookId, conflictId);
+  }
+
+  static async getNotebookConflicts(notebookId, { includeResolved = false } = {}) {
+    const conflicts = await table('conflicts').query(notebookId);
+    return conflicts
+      .filter(conflict => includeResolved || !conflict.resolved)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  static async resolveNotebookConflict(notebookId, conflictId, resolution) {
+    const conflict = await this.getNotebookConflict(notebookId, conflictId);
+    if (!conflict) return null;
+
+    return table('conflicts').update(notebookId, conflictId, current => {
+      if (current.resolved) throw conditionalCheckFailed();
+      return { ...current, ...resolution, resolved: true };
+    });
+  }
+
+  static async createNotebookBranch(branch) {
+    await table('branches').put(branch.notebookId, branch.branchId, branch);
+    return branch;
+  }
+
+  static async getNotebookBranch(notebookId, branchId) {
+    return table('branches').get(notebookId, branchId);
+  }
+
+  static async getNotebookBranches(notebookId) {
+    const branches = await table('branches').query(notebookId);
+    return branches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  static async mergeNotebookBranch(notebookId, branchId, merge) {
+    const branch = await this.getNotebookBranch(notebookId, branchId);
+    if (!branch) return null;
+
+    return table('branches').update(notebookId, branchId, current => {
+      if (current.status !== 'open') throw conditionalCheckFailed();
+      return { ...current, ...merge, status: 'merged' };
+    });
+  }
+
+  static async getRetentionPolicy(scope) {
+    return table('retention-policies').get(scope);
+  }
+
+  static async listRetentionPolicies() {
+    return table('retention-policies').scan();
+  }
+
+  static async putRetentionPolicy(scope, policy) {
+    const stored = { ...policy, scope, updated_at: new Date().toISOString() };
+    await table('retention-policies').put(scope, '', stored);
+    return stored;
+  }
+
+  static async deleteRetentionPolicy(scope) {
+    await table('retention-policies').delete(scope);
+  }
+
+  static async createChatMessage(message) {
+    await table('chat').put(message.notebookId, message.id, message);
+    return message;
+  }
+
+  static async getChatMessage(notebookId, messageId) {
+    return table('chat').get(notebookId, messageId);
+  }
+
+  static async getChatMessages(notebookId, { before, limit = 50 } = {}) {
+    const messages = (await table('chat').query(notebookId))
+      .filter(message => !before || message.id < before)
+      .sort((a, b) => b.id.localeCompare(a.id));
+
+    return {
+      messages: messages.slice(0, limit),
+      hasMore: messages.length > limit
+    };
+  }
+
+  static async updateChatMessage(message) {
+    await table('chat').update(message.notebookId, message.id, () => message);
+    return message;
+  }
+
+  static async createCommentThread(thread) {
+    await table('comments').put(thread.notebookId, thread.threadId, {
+      ...thread,
+      resolvedBy: null,
+      resolvedAt: null
+    });
+    return thread;
+  }
+
+  static async getCommentThread(notebookId, threadId) {
+    return table('comments').get(notebookId, threadId);
+  }
+
+  static async getCommentThreads(notebookId) {
+    const threads = await table('comments').query(notebookId);
+    return threads.sort((a, b) => a.anchor.start - b.anchor.start || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  static async appendThreadComment(notebookId, threadId, comment) {
+    return table('comments').update(notebookId, threadId, thread => ({
+      ...thread,
+      comments: [...thread.comments, comment]
+    }));
+  }
+
+  static async updateCommentThreadStatus(notebookId, threadId, status, resolvedBy = null) {
+    const resolving = status === 'resolved';
+    return table('comments').update(notebookId, threadId, thread => ({
+      ...thread,
+      status,
+      resolvedBy: resolving ? resolvedBy : null,
+      resolvedAt: resolving ? new Date().toISOString() : null
+    }));
+  }
+
+  static async updateCommentThreadAnchor(notebookId, threadId, anchor, fromVersion) {
+    await table('comments').update(notebookId, threadId, thread => {
+      if (thread.anchor.version !== fromVersion) throw conditionalCheckFailed();
+      return { ...thread, anchor };
+    });
+    return anchor;
+  }
+
+  static async createRefreshToken(token) {
+    await table('refresh-tokens').put(token.familyId, token.tokenId, {
+      ...token,
+      device: token.device || '',
+      rotatedAt: null,
+      replacedBy: null
+    });
+    return token;
+  }
+
+  static async getRefreshToken(familyId, tokenId) {
+    return table('refresh-tokens').get(familyId, tokenId);
+  }
+
+  static async markRefreshTokenRotated(familyId, tokenId, replacedBy) {
+    await table('refresh-tokens').update(familyId, tokenId, token => {
+      if (token.status !== 'active') throw conditionalCheckFailed();
+      return { ...token, status: 'rotated', rotatedAt: new Date().toISOString(), replacedBy };
+    });
+  }
+
+  static async revokeRefreshTokenFamily(familyId) {
+    const tokens = await table('refresh-tokens').query(familyId);
+    const revokedAt = new Date().toISOString();
+    for (const token of tokens.filter(t => t.status !== 'revoked')) {
+      await table('refresh-tokens').update(familyId, token.tokenId, current => ({
+        ...current,
+        status: 'revoked',
+        revokedAt
+      }));
+    }
+    return tokens.length;
+  }
+
+  static async createAttachment(attachment) {
+    await table('attachments').put(attachment.notebookId, attachment.id, {
+      ...attachment,
+      uploadedAt: attachment.uploadedAt || null
+    });
+    return attachment;
+  }
+
+  static async getAttachment(notebookId, attachmentId) {
+    return table('attachments').get(notebookId, attachmentId);
+  }
+
+  static async getAttachments(notebookId) {
+    const attachments = await table('attachments').query(notebookId);
+    return attachments.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  static async markAttachmentUploaded(notebookId, attachmentId, size) {
+    return table('attachments').update(notebookId, attachmentId, attachment => ({
+      ...attachment,
+      status: 'ready',
+      size,
+      uploadedAt: new Date().toISOString()
+    }));
+  }
+
+  // One item per notebook; vectors are kept as plain arrays in the file
+  static async putNotebookEmbeddings(notebookId, embeddings) {
+    await table('embeddings').put(notebookId, '', {
+      ...embeddings,
+      chunks: embeddings.chunks.map(chunk => ({ text: chunk.text, vector: Array.from(chunk.vector) }))
+    });
+    return embeddings;
+  }
+
+  static async getNotebookEmbeddings(notebookId) {
+    const embeddings = await table('embeddings').get(notebookId);
+    if (!embeddings) return null;
+    return {
+      ...embeddings,
+      chunks: embeddings.chunks.map(chunk => ({ text: chunk.text, vector: Float32Array.from(chunk.vector) }))
+    };
+  }
+
+  static async deleteNotebookEmbeddings(notebookId) {
+    await table('embeddings').delete(notebookId);
+  }
+
+  static async createCollaborationEvent(event) {
+    await table('collaboration-events').put(event.notebookId, event.eventId, event);
+    return event;
+  }
+
+  static async getCollaborationEvents(notebookId, { from, to, limit } = {}) {
+    const now = new Date().toISOString();
+    const events = (await table('collaboration-events').query(notebookId))
+      .filter(event => event.eventId >= from && event.eventId <= to && (!event.expiresAt || event.expiresAt > now))
+      .sort((a, b) => a.eventId.localeCompare(b.eventId))
+      .map(({ expiresAt, ...event }) => event);
+
+    return limit ? events.slice(-limit) : events;
+  }
+
+  static async createSearchEvent(event) {
+    await table('search-events').put(event.searchId.slice(0, 10), event.searchId, event);
+    return event;
+  }
+
+  static async getSearchEvent(searchId) {
+    const event = await table('search-events').get(searchId.slice(0, 10), searchId);
+    if (!event || event.expiresAt <= new Date().toISOString()) return null;
+    const { expiresAt, ...search } = event;
+    return search;
+  }
+
+  static async appendSearchClick(searchId, click) {
+    const { expiresAt, ...search } = await table('search-events').update(searchId.slice(0, 10), searchId, event => ({
+      ...event,
+      clicks: [...event.clicks, click]
+    }));
+    return search;
+  }
+
+  static async getSearchEvents(day) {
+    const now = new Date().toISOString();
+    return (await table('search-events').query(day))
+      .filter(event => event.expiresAt > now)
+      .sort((a, b) => a.searchId.localeCompare(b.searchId))
+      .map(({ expiresAt, ...search }) => search);
+  }
+
+  static async deleteNotebook(id) {
+    await table('notebooks').delete(id);
+    return { id };
+  }
+
+  static async getUserById(id) {
+    const user = await table('users').get(id);
+    return user ? publicUser(user) : null;
+  }
+
+  static async createUser(user) {
+    await table('users').put(user.id, '', user);
+    return user;
+  }
+
+  static async getUserAccount(id) {
+    return table('users').get(id);
+  }
+
+  static async getUserByEmail(email) {
+    const users = await table('users').scan();
+    return users.find(user => user.email === email) || null;
+  }
+
+  static async updateUser(id, updates) {
+    await table('users').update(id, '', user => ({
+      ...user,
+      ...updates,
+      updated_at: new Date().toISOString()
+    }), { upsert: true });
+  }
+
+  static async listUsers() {
+    const users = await table('users').scan();
+    return users.map(user => ({
+      id: user.id,
+      email: user.email,
+      name: user.name || '',
+      role: user.role || 'student'
+    }));
+  }
+
+  /**
+   * Same contract as the DynamoDB provider, filtered and sorted in memory
+   */
+  static async listNotebooks(userId, {
+    ownership = 'all', sort = 'updated_at', order, subject, course, tags = [], search, limit, cursor, withContent = true
+  } = {}) {
+    const attribute = { updated_at: 'updated_at', created_at: 'created_at', title: 'title' }[sort];
+    if (!attribute) throw new Error(`Unknown notebook sort: ${sort}`);
+    const direction = order || (sort === 'title' ? 'asc' : 'desc');
+    const sortValue = item => (sort === 'title' ? (item.title || '').toLowerCase() : item[attribute] || '');
+
+    const notebooks = (await table('notebooks').scan())
+      .filter(item => {
+        const owned = item.owner === userId;
+        const shared = !owned && (item.collaborators || []).includes(userId);
+        if (ownership === 'mine' ? !owned : ownership === 'shared' ? !shared : !owned && !shared) return false;
+        if (subject && item.subject !== subject) return false;
+        if (course && item.course !== course) return false;
+        if (!tags.every(tag => (item.tags || []).includes(tag))) return false;
+        return !search || (item.title || '').toLowerCase().includes(search.toLowerCase());
+      })
+      .sort((a, b) => (direction === 'asc' ? 1 : -1) * sortValue(a).localeCompare(sortValue(b)) || a.id.localeCompare(b.id));
+
+    const page = paginate(notebooks, { limit, cursor });
+    const listed = page.items.map(notebookFromItem);
+    if (!withContent) listed.forEach(notebook => delete notebook.content);
+    return { notebooks: listed, cursor: page.cursor };
+  }
+
+  static async scanNotebooks({ limit = 100, cursor } = {}) {
+    const page = paginate(await table('notebooks').scan(), { limit, cursor });
+    return { notebooks: page.items.map(notebookFromItem), cursor: page.cursor };
+  }
+
+  static async getUserNotebooks(userId) {
+    const { notebooks } = await this.listNotebooks(userId);
+    return notebooks;
+  }
+
+  // Sharing and sorting are read straight from the notebooks, so there is
+  // nothing to rebuild
+  static async backfillNotebookIndexes() {
+    return 0;
+  }
+
+  // Local history has only ever been keyed by id
+  static async copyLegacyVersions() {
+    return 0;
+  }
+}
+
+class LambdaService {
+  static async invokeAsync(functionName) {
+    throw new Error(`Lambda function ${functionName} is not available with local storage`);
+  }
+}
+
+// Local tables need no provisioning
+async function ensureTableExists() {}
+
+module.exports = {
+  S3Service,
+  DynamoDBService,
+  LambdaService,
+  ensureTableExists,
+  verifyObjectUrl,
+  S3_CONFIG,
+  LOCAL_STORAGE_CONFIG
+};
@@ -0,0 +1,67 @@
+const { analyze } = require('../services/textAnalysis');
+
+// Deterministic embedding model that needs no network or model files.
+// Words, their character trigrams and adjacent word pairs are hashed into a
+// fixed number of dimensions, so texts sharing stems or word fragments
+// ("descent", "descending") land close together. It does not know synonyms;
+// use a hosted model when meaning matters more than wording.
+
+const DIMENSIONS = 2048;
+
+const WORD_WEIGHT = 1;
+// Shared across a word's trigrams so long words don't dominate
+const TRIGRAM_WEIGHT = 0.5;
+const PAIR_WEIGHT = 0.5;
+
+// 32-bit FNV-1a
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Features only add, so a collision can raise similarity a little but never
+// cancel a word two texts share; minSimilarity absorbs the noise
+function addFeature(vector, feature, weight) {
+  vector[hash(feature) % DIMENSIONS] += weight;
+}
+
+function embedText(text) {
+  const vector = new Float32Array(DIMENSIONS);
+  const terms = analyze(text).map(token => token.term);
+
+  terms.forEach((term, i) => {
+    addFeature(vector, `w:${term}`, WORD_WEIGHT);
+    const padded = `#${term}#`;
+    const trigrams = Math.max(padded.length - 2, 1);
+    for (let j = 0; j < padded.length - 2; j++) {
+      addFeature(vector, `c:${padded.slice(j, j + 3)}`, TRIGRAM_WEIGHT / Math.sqrt(trigrams));
+    }
+    if (i > 0) addFeature(vector, `p:${terms[i - 1]} ${term}`, PAIR_WEIGHT);
+  });
+
+  // Damp repeated features so one frequent word doesn't drown the rest
+  const damped = vector.map(Math.sqrt);
+  const norm = Math.sqrt(damped.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? damped.map(value => value / norm) : damped;
+}
+
+class LocalEmbeddingModel {
+  constructor() {
+    this.model = `local-hash-${DIMENSIONS}-v1`;
+    this.dimensions = DIMENSIONS;
+    // Unrelated texts still share a few hashed fragments
+    this.minSimilarity = 0.12;
+  }
+
+  async embed(texts) {
+    return texts.map(embedText);
+  }
+}
+
+module.exports = {
+  LocalEmbeddingModel
+};
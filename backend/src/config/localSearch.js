@@ -0,0 +1,394 @@
+const { analyze, buildSnippet } = require('../services/textAnalysis');
+const { positiveTextClauses } = require('../services/searchQuery');
+
+// In-process inverted index with BM25 ranking. It lives in memory and is
+// rebuilt from storage on first use, so it suits one instance, offline runs
+// and tests; deployments with several instances should use OpenSearch.
+
+// Relative weight of a match in each field
+const FIELD_BOOSTS = { title: 3, tags: 2, subject: 2, course: 2, body: 1, attachments: 1 };
+const SEARCH_FIELDS = Object.keys(FIELD_BOOSTS);
+
+// BM25 term-frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Keeps phrases from matching across two tags or two attachment names
+const VALUE_POSITION_GAP = 100;
+
+/**
+ * Analyzed terms of a field, with positions. List fields (tags,
+ * attachments) are analyzed value by value.
+ */
+function fieldTerms(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const terms = [];
+  let offset = 0;
+  values.forEach(text => {
+    const analyzed = analyze(text);
+    analyzed.forEach(token => terms.push({ term: token.term, position: offset + token.position }));
+    offset += (analyzed.length > 0 ? analyzed[analyzed.length - 1].position + 1 : 0) + VALUE_POSITION_GAP;
+  });
+  return terms;
+}
+
+function matchesFilters(doc, userId, filters = {}) {
+  if (userId && doc.owner !== userId && !(doc.collaborators || []).includes(userId)) return false;
+  if (filters.subject && doc.subject !== filters.subject) return false;
+  if (filters.course && doc.course !== filters.course) return false;
+  if (filters.owner && doc.owner !== filters.owner) return false;
+  if (filters.tags && !filters.tags.every(tag => (doc.tags || []).includes(tag))) return false;
+  const updated = doc.updated_at || '';
+  if (filters.dateFrom && updated < filters.dateFrom) return false;
+  // A date-only bound includes that whole day
+  if (filters.dateTo && updated.slice(0, filters.dateTo.length) > filters.dateTo) return false;
+  return true;
+}
+
+function requiredTerms(query) {
+  const phraseTerms = query.phrases.flatMap(phrase => phrase.map(p => p.term));
+  return [...new Set([...query.terms, ...phraseTerms])];
+}
+
+// Whether any word of `text` (or the whole text) starts with `prefix`
+function hasWordPrefix(text, prefix) {
+  const lower = text.toLowerCase();
+  return lower.startsWith(prefix) || lower.includes(` ${prefix}`);
+}
+
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+// Most used first, then alphabetical, as [{ value, count }]
+function topCounts(counts, size) {
+  return [...counts.entries()]
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+    .slice(0, size)
+    .map(([value, count]) => ({ value, count }));
+}
+
+class LocalSearchEngine {
+  constructor() {
+    this.documents = new Map();
+    // term -> document id -> field -> positions
+    this.postings = new Map();
+    this.fieldLengthTotals = Object.fromEntries(SEARCH_FIELDS.map(field => [field, 0]));
+  }
+
+  async indexDocument(doc) {
+    await this.removeDocument(doc.id);
+
+    const lengths = {};
+    const documentTerms = new Set();
+    SEARCH_FIELDS.forEach(field => {
+      const terms = fieldTerms(doc[field] || '');
+      lengths[field] = terms.length;
+      this.fieldLengthTotals[field] += terms.length;
+      terms.forEach(({ term, position }) => {
+        documentTerms.add(term);
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const byDocument = this.postings.get(term);
+        if (!byDocument.has(doc.id)) byDocument.set(doc.id, new Map());
+        const byField = byDocument.get(doc.id);
+        if (!byField.has(field)) byField.set(field, []);
+        byField.get(field).push(position);
+      });
+    });
+
+    this.documents.set(doc.id, { doc, lengths, terms: documentTerms });
+  }
+
+  async removeDocument(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return;
+
+    SEARCH_FIELDS.forEach(field => {
+      this.fieldLengthTotals[field] -= entry.lengths[field];
+    });
+    entry.terms.forEach(term => {
+      const byDocument = this.postings.get(term);
+      byDocument.delete(id);
+      if (byDocument.size === 0) this.postings.delete(term);
+    });
+    this.documents.delete(id);
+  }
+
+  /**
+   * Documents containing every term and phrase, ranked by BM25 summed over
+   * fields. `query` is { terms, phrases } from parseQuery.
+   */
+  async search({ query, userId, filters = {}, from = 0, size = 20 }) {
+    const hits = this.matchingHits(query, userId, filters);
+    const required = requiredTerms(query);
+
+    return {
+      total: hits.length,
+      maxScore: hits.length > 0 ? hits[0].score : 0,
+      hits: hits.slice(from, from + size).map(hit => ({
+        id: hit.id,
+        score: hit.score,
+        matchedFields: hit.matchedFields,
+        highlights: this.highlight(hit.doc, hit.matchedFields, required)
+      }))
+    };
+  }
+
+  matchingHits(query, userId, filters) {
+    const required = requiredTerms(query);
+    if (required.length === 0) return [];
+
+    // Walk the rarest term's postings and check the others against them
+    const postingLists = required.map(term => this.postings.get(term) || new Map())
+      .sort((a, b) => a.size - b.size);
+    const candidates = [...postingLists[0].keys()].filter(id => postingLists.every(list => list.has(id)));
+
+    const hits = [];
+    candidates.forEach(id => {
+      const { doc, lengths } = this.documents.get(id);
+      if (!matchesFilters(doc, userId, filters)) return;
+      if (!query.phrases.every(phrase => this.containsPhrase(id, phrase))) return;
+
+      const matchedFields = new Set();
+      const score = required.reduce((sum, term) =>
+        sum + this.termScore(term, id, lengths, SEARCH_FIELDS, matchedFields), 0);
+
+      hits.push({ id, doc, score, matchedFields: [...matchedFields] });
+    });
+
+    return hits.sort((a, b) => b.score - a.score || (b.doc.updated_at || '').localeCompare(a.doc.updated_at || ''));
+  }
+
+  /**
+   * Completions for `prefix` from the titles, tags, courses, subjects and
+   * words of the notebooks the user can open, each counted by how many of
+   * those notebooks use it. Words complete `termPrefix` (the last word
+   * typed); the rest match `prefix` at the start of any of their words.
+   */
+  async suggest({ prefix, termPrefix = prefix, userId, size = 5 }) {
+    const wanted = prefix.toLowerCase();
+    const wantedTerm = termPrefix.toLowerCase();
+    const titles = new Map();
+    const counts = { tags: new Map(), course: new Map(), subject: new Map(), words: new Map() };
+
+    this.documents.forEach(({ doc }) => {
+      if (!matchesFilters(doc, userId)) return;
+      if (doc.title && hasWordPrefix(doc.title, wanted)) {
+        const title = titles.get(doc.title) || { count: 0, latest: null };
+        title.count++;
+        if (!title.latest || (doc.updated_at || '') > (title.latest.updated_at || '')) title.latest = doc;
+        titles.set(doc.title, title);
+      }
+      (doc.tags || []).filter(tag => hasWordPrefix(tag, wanted)).forEach(tag => increment(counts.tags, tag));
+      if (doc.course && hasWordPrefix(doc.course, wanted)) increment(counts.course, doc.course);
+      if (doc.subject && hasWordPrefix(doc.subject, wanted)) increment(counts.subject, doc.subject);
+      if (wantedTerm) {
+        (doc.words || []).filter(word => word.startsWith(wantedTerm)).forEach(word => increment(counts.words, word));
+      }
+    });
+
+    return {
+      titles: [...titles.entries()]
+        .sort(([a, x], [b, y]) => y.count - x.count ||
+          (y.latest.updated_at || '').localeCompare(x.latest.updated_at || '') || a.localeCompare(b))
+        .slice(0, size)
+        .map(([value, title]) => ({ value, count: title.count, notebookId: title.latest.id })),
+      tags: topCounts(counts.tags, size),
+      courses: topCounts(counts.course, size),
+      subjects: topCounts(counts.subject, size),
+      terms: topCounts(counts.words, size)
+    };
+  }
+
+  /**
+   * Counts of subject, course, tag and owner values, and of documents
+   * updated since each of `dateBuckets` ({ key, from }), over the
+   * documents matching `query` (when it has terms) and `filters`
+   */
+  async facets({ query, userId, filters = {}, dateBuckets = [], size = 20 }) {
+    const docs = query && requiredTerms(query).length > 0
+      ? this.matchingHits(query, userId, filters).map(hit => hit.doc)
+      : [...this.documents.values()].map(entry => entry.doc).filter(doc => matchesFilters(doc, userId, filters));
+
+    const counts = { subject: new Map(), course: new Map(), tags: new Map(), owner: new Map() };
+    docs.forEach(doc => {
+      if (doc.subject) increment(counts.subject, doc.subject);
+      if (doc.course) increment(counts.course, doc.course);
+      new Set(doc.tags || []).forEach(tag => increment(counts.tags, tag));
+      if (doc.owner) increment(counts.owner, doc.owner);
+    });
+
+    return {
+      total: docs.length,
+      subject: topCounts(counts.subject, size),
+      course: topCounts(counts.course, size),
+      tags: topCounts(counts.tags, size),
+      owner: topCounts(counts.owner, size),
+      updated: dateBuckets.map(bucket => ({
+        key: bucket.key,
+        count: docs.filter(doc => (doc.updated_at || '') >= bucket.from).length
+      }))
+    };
+  }
+
+  /**
+   * Documents matching a parsed advanced query (see services/searchQuery),
+   * ranked by BM25 over its text clauses or ordered by a date field
+   */
+  async advancedSearch({ tree, userId, filters = {}, sort = 'relevance', order = 'desc', from = 0, size = 20 }) {
+    const hits = [];
+    this.documents.forEach(({ doc, lengths }, id) => {
+      if (!matchesFilters(doc, userId, filters)) return;
+      const match = this.evaluate(tree, id, doc, lengths);
+      if (match) hits.push({ id, doc, score: match.score, matchedFields: [...match.fields] });
+    });
+
+    const byUpdated = (a, b) => (b.doc.updated_at || '').localeCompare(a.doc.updated_at || '');
+    if (sort === 'relevance') {
+      hits.sort((a, b) => b.score - a.score || byUpdated(a, b));
+    } else {
+      const direction = order === 'asc' ? 1 : -1;
+      hits.sort((a, b) => direction * (a.doc[sort] || '').localeCompare(b.doc[sort] || '') ||
+        a.id.localeCompare(b.id));
+    }
+
+    const terms = positiveTextClauses(tree).flatMap(clause => analyze(clause.text).map(token => token.term));
+    return {
+      total: hits.length,
+      maxScore: hits.reduce((max, hit) => Math.max(max, hit.score), 0),
+      hits: hits.slice(from, from + size).map(hit => ({
+        id: hit.id,
+        score: hit.score,
+        matchedFields: hit.matchedFields,
+        highlights: this.highlight(hit.doc, hit.matchedFields, terms)
+      }))
+    };
+  }
+
+  // { score, fields } when the document satisfies the node, otherwise null
+  evaluate(node, id, doc, lengths) {
+    switch (node.type) {
+      case 'and': {
+        const fields = new Set();
+        let score = 0;
+        for (const clause of node.clauses) {
+          const match = this.evaluate(clause, id, doc, lengths);
+          if (!match) return null;
+          score += match.score;
+          match.fields.forEach(field => fields.add(field));
+        }
+        return { score, fields };
+      }
+      case 'or': {
+        const matches = node.clauses.map(clause => this.evaluate(clause, id, doc, lengths)).filter(Boolean);
+        if (matches.length === 0) return null;
+        return {
+          score: matches.reduce((sum, match) => sum + match.score, 0),
+          fields: new Set(matches.flatMap(match => [...match.fields]))
+        };
+      }
+      case 'not':
+        return this.evaluate(node.clause, id, doc, lengths) ? null : { score: 0, fields: new Set() };
+      case 'keyword': {
+        const wanted = node.value.toLowerCase();
+        const values = Array.isArray(doc[node.field]) ? doc[node.field] : [doc[node.field]];
+        const found = values.some(value => String(value || '').toLowerCase() === wanted);
+        return found ? { score: 0, fields: new Set([node.field]) } : null;
+      }
+      case 'range': {
+        // Compare at the value's precision so a date covers its whole day
+        const stored = (doc[node.field] || '').slice(0, node.value.length);
+        if (!stored) return null;
+        const cmp = stored.localeCompare(node.value);
+        const ok = { '=': cmp === 0, '>': cmp > 0, '>=': cmp >= 0, '<': cmp < 0, '<=': cmp <= 0 }[node.op];
+        return ok ? { score: 0, fields: new Set() } : null;
+      }
+      case 'text': {
+        const fields = node.field ? [node.field] : SEARCH_FIELDS;
+        const tokens = analyze(node.text);
+        // Only stop words: nothing to require
+        if (tokens.length === 0) return { score: 0, fields: new Set() };
+
+        const matchedFields = new Set();
+        if (node.phrase && tokens.length > 1) {
+          const phrase = tokens.map(token => ({ term: token.term, offset: token.position - tokens[0].position }));
+          const phraseFields = this.phraseFields(id, phrase, fields);
+          if (phraseFields.length === 0) return null;
+          const score = tokens.reduce((sum, token) =>
+            sum + this.termScore(token.term, id, lengths, phraseFields, matchedFields), 0);
+          return { score, fields: matchedFields };
+        }
+
+        let score = 0;
+        for (const { term } of tokens) {
+          if (!this.hasTerm(term, id, fields)) return null;
+          score += this.termScore(term, id, lengths, fields, matchedFields);
+        }
+        return { score, fields: matchedFields };
+      }
+      default:
+        return null;
+    }
+  }
+
+  hasTerm(term, id, fields) {
+    const byField = this.postings.get(term)?.get(id);
+    return Boolean(byField) && fields.some(field => byField.has(field));
+  }
+
+  // BM25 contribution of `term` in the given fields of a document
+  termScore(term, id, lengths, fields, matchedFields) {
+    const byField = this.postings.get(term)?.get(id);
+    if (!byField) return 0;
+    const idf = this.inverseDocumentFrequency(term);
+    let score = 0;
+    byField.forEach((positions, field) => {
+      if (!fields.includes(field)) return;
+      matchedFields.add(field);
+      const average = this.fieldLengthTotals[field] / this.documents.size || 1;
+      const tf = positions.length;
+      score += FIELD_BOOSTS[field] * idf *
+        (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengths[field] / average));
+    });
+    return score;
+  }
+
+  inverseDocumentFrequency(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.documents.size - df + 0.5) / (df + 0.5));
+  }
+
+  containsPhrase(id, phrase) {
+    return this.phraseFields(id, phrase, SEARCH_FIELDS).length > 0;
+  }
+
+  // Fields among `fields` in which the document contains the phrase
+  phraseFields(id, phrase, fields) {
+    const [first, ...rest] = phrase;
+    const firstFields = this.postings.get(first.term)?.get(id);
+    if (!firstFields) return [];
+
+    return [...firstFields]
+      .filter(([field, positions]) => fields.includes(field) && positions.some(start =>
+        rest.every(({ term, offset }) => this.postings.get(term)?.get(id)?.get(field)?.includes(start + offset))
+      ))
+      .map(([field]) => field);
+  }
+
+  // Marked-up excerpts from the matched fields, most important field first
+  highlight(doc, matchedFields, terms) {
+    return SEARCH_FIELDS
+      .filter(field => matchedFields.includes(field))
+      .flatMap(field => (Array.isArray(doc[field]) ? doc[field] : [doc[field]]))
+      .map(text => buildSnippet(text, terms))
+      .filter(Boolean)
+      .slice(0, 3);
+  }
+}
+
+module.exports = {
+  LocalSearchEngine,
+  matchesFilters,
+  SEARCH_FIELDS,
+  FIELD_BOOSTS
+};
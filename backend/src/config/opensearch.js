@@ -0,0 +1,372 @@
+const { SignatureV4 } = require('@smithy/signature-v4');
+const { Sha256 } = require('@aws-crypto/sha256-js');
+const { defaultProvider } = require('@aws-sdk/credential-provider-node');
+const { FIELD_BOOSTS } = require('./localSearch');
+
+// OpenSearch Configuration
+const OPENSEARCH_CONFIG = {
+  DOMAIN_ENDPOINT: process.env.OPENSEARCH_DOMAIN_ENDPOINT,
+  INDEX_NAME: 'academic-notebooks'
+};
+
+// Same analysis as the local engine: English stop words and stemming
+const TEXT_FIELD = { type: 'text', analyzer: 'english' };
+const FACET_FIELD = { ...TEXT_FIELD, fields: { keyword: { type: 'keyword' } } };
+
+const INDEX_MAPPINGS = {
+  properties: {
+    title: TEXT_FIELD,
+    body: TEXT_FIELD,
+    attachments: TEXT_FIELD,
+    tags: FACET_FIELD,
+    subject: FACET_FIELD,
+    course: FACET_FIELD,
+    words: { type: 'keyword' },
+    owner: { type: 'keyword' },
+    collaborators: { type: 'keyword' },
+    created_at: { type: 'date' },
+    updated_at: { type: 'date' }
+  }
+};
+
+// OpenSearch Serverless collections sign as 'aoss' and need the payload
+// hash header; managed domains sign as 'es'
+const SIGNING_SERVICE = /\.aoss\.amazonaws\.com$/.test(new URL(OPENSEARCH_CONFIG.DOMAIN_ENDPOINT || 'http://localhost').hostname)
+  ? 'aoss'
+  : 'es';
+
+const signer = new SignatureV4({
+  service: SIGNING_SERVICE,
+  applyChecksum: true,
+  region: process.env.AWS_REGION || 'us-east-1',
+  credentials: process.env.AWS_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.AWS_ACCESS_KEY_ID, secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY }
+    : defaultProvider(),
+  sha256: Sha256
+});
+
+/**
+ * Signed request to the domain's REST API. Resolves to the parsed body, or
+ * null for a 404 when `allowMissing` is set.
+ */
+async function request(method, path, body, { allowMissing = false } = {}) {
+  if (!OPENSEARCH_CONFIG.DOMAIN_ENDPOINT) {
+    throw new Error('OPENSEARCH_DOMAIN_ENDPOINT is not configured');
+  }
+  const endpoint = new URL(OPENSEARCH_CONFIG.DOMAIN_ENDPOINT);
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+
+  const signed = await signer.sign({
+    method,
+    protocol: endpoint.protocol,
+    hostname: endpoint.hostname,
+    port: endpoint.port ? Number(endpoint.port) : undefined,
+    path,
+    headers: {
+      host: endpoint.host,
+      ...(payload !== undefined ? { 'content-type': 'application/json' } : {})
+    },
+    body: payload
+  });
+
+  const response = await fetch(new URL(path, endpoint), { method, headers: signed.headers, body: payload });
+  if (allowMissing && response.status === 404) return null;
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`OpenSearch ${method} ${path} failed with ${response.status}: ${text.slice(0, 500)}`);
+  }
+  return text ? JSON.parse(text) : {};
+}
+
+const HIGHLIGHT = {
+  pre_tags: ['<mark>'],
+  post_tags: ['</mark>'],
+  fields: {
+    title: { number_of_fragments: 0 },
+    tags: { number_of_fragments: 0 },
+    subject: { number_of_fragments: 0 },
+    course: { number_of_fragments: 0 },
+    body: { fragment_size: 160, number_of_fragments: 2 },
+    attachments: { number_of_fragments: 0 }
+  }
+};
+
+const BOOSTED_FIELDS = Object.entries(FIELD_BOOSTS).map(([field, boost]) => `${field}^${boost}`);
+
+// Access and the simple search filters, as non-scoring filter clauses
+function filterClauses(userId, filters) {
+  const filter = [];
+  if (userId) {
+    filter.push({
+      bool: {
+        should: [{ term: { owner: userId } }, { term: { collaborators: userId } }],
+        minimum_should_match: 1
+      }
+    });
+  }
+  if (filters.subject) filter.push({ term: { 'subject.keyword': filters.subject } });
+  if (filters.course) filter.push({ term: { 'course.keyword': filters.course } });
+  if (filters.owner) filter.push({ term: { owner: filters.owner } });
+  (filters.tags || []).forEach(tag => filter.push({ term: { 'tags.keyword': tag } }));
+  if (filters.dateFrom || filters.dateTo) {
+    filter.push({
+      range: {
+        updated_at: {
+          ...(filters.dateFrom ? { gte: filters.dateFrom } : {}),
+          ...(filters.dateTo ? { lte: filters.dateTo } : {})
+        }
+      }
+    });
+  }
+  return filter;
+}
+
+function simpleQuery(text) {
+  return {
+    simple_query_string: {
+      query: text,
+      fields: BOOSTED_FIELDS,
+      default_operator: 'and'
+    }
+  };
+}
+
+/**
+ * Terms aggregation `include` pattern for values starting with `prefix` in
+ * any letter case; with `anyWord`, for values with a word starting with it
+ */
+function prefixPattern(prefix, { anyWord = false } = {}) {
+  const pattern = [...prefix].map(c => (/[a-z]/i.test(c)
+    ? `[${c.toLowerCase()}${c.toUpperCase()}]`
+    : c.replace(/[.?+*|{}[\]()"\\#@&<>~]/g, '\\$&'))).join('');
+  return anyWord ? `(${pattern}|.* ${pattern}).*` : `${pattern}.*`;
+}
+
+function bucketCounts(aggregation) {
+  return (aggregation?.buckets || []).map(bucket => ({ value: bucket.key, count: bucket.doc_count }));
+}
+
+const RANGE_OPERATORS = { '>': ['gt'], '>=': ['gte'], '<': ['lt'], '<=': ['lte'], '=': ['gte', 'lte'] };
+
+/**
+ * Query DSL for a parsed advanced query (see services/searchQuery)
+ */
+function toQueryDsl(node) {
+  switch (node.type) {
+    case 'and':
+      return { bool: { must: node.clauses.map(toQueryDsl) } };
+    case 'or':
+      return { bool: { should: node.clauses.map(toQueryDsl), minimum_should_match: 1 } };
+    case 'not':
+      return { bool: { must_not: [toQueryDsl(node.clause)] } };
+    case 'keyword':
+      return node.field === 'owner'
+        ? { term: { owner: node.value } }
+        : { term: { [`${node.field}.keyword`]: { value: node.value, case_insensitive: true } } };
+    case 'range': {
+      // Date-only values round to the whole day
+      const value = node.value.length === 10 ? `${node.value}||/d` : node.value;
+      const bounds = Object.fromEntries(RANGE_OPERATORS[node.op].map(op => [op, value]));
+      return { range: { [node.field]: bounds } };
+    }
+    case 'text':
+      return {
+        multi_match: {
+          query: node.text,
+          fields: node.field ? [node.field] : BOOSTED_FIELDS,
+          ...(node.phrase ? { type: 'phrase' } : { type: 'cross_fields', operator: 'and' })
+        }
+      };
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+function toSearchResult(result) {
+  return {
+    total: result.hits.total.value,
+    maxScore: result.hits.max_score || 0,
+    hits: result.hits.hits.map(hit => ({
+      id: hit._id,
+      score: hit._score || 0,
+      matchedFields: Object.keys(hit.highlight || {}),
+      highlights: Object.keys(FIELD_BOOSTS)
+        .flatMap(field => hit.highlight?.[field] || [])
+        .slice(0, 3)
+    }))
+  };
+}
+
+class OpenSearchEngine {
+  constructor(indexName = OPENSEARCH_CONFIG.INDEX_NAME) {
+    this.indexName = indexName;
+    this.ensuring = null;
+  }
+
+  /**
+   * Create the index with its mappings the first time it is used
+   */
+  async ensureIndex() {
+    if (!this.ensuring) {
+      this.ensuring = (async () => {
+        const existing = await request('HEAD', `/${this.indexName}`, undefined, { allowMissing: true });
+        if (!existing) {
+          await request('PUT', `/${this.indexName}`, { mappings: INDEX_MAPPINGS });
+        } else {
+          // Adds fields introduced since the index was created
+          await request('PUT', `/${this.indexName}/_mapping`, INDEX_MAPPINGS);
+        }
+      })();
+      this.ensuring.catch(() => { this.ensuring = null; });
+    }
+    await this.ensuring;
+  }
+
+  async indexDocument(doc) {
+    await this.ensureIndex();
+    const { id, ...source } = doc;
+    await request('PUT', `/${this.indexName}/_doc/${encodeURIComponent(id)}`, source);
+  }
+
+  async removeDocument(id) {
+    await this.ensureIndex();
+    await request('DELETE', `/${this.indexName}/_doc/${encodeURIComponent(id)}`, undefined, { allowMissing: true });
+  }
+
+  /**
+   * Same contract as LocalSearchEngine.search; every term must match
+   * (default_operator AND) and "quoted phrases" match as phrases
+   */
+  async search({ query, userId, filters = {}, from = 0, size = 20 }) {
+    await this.ensureIndex();
+
+    const result = await request('POST', `/${this.indexName}/_search`, {
+      from,
+      size,
+      track_total_hits: true,
+      _source: false,
+      query: {
+        bool: {
+          must: [simpleQuery(query.text)],
+          filter: filterClauses(userId, filters)
+        }
+      },
+      highlight: HIGHLIGHT
+    });
+
+    return toSearchResult(result);
+  }
+
+  /**
+   * Same contract as LocalSearchEngine.advancedSearch
+   */
+  async advancedSearch({ tree, userId, filters = {}, sort = 'relevance', order = 'desc', from = 0, size = 20 }) {
+    await this.ensureIndex();
+
+    const result = await request('POST', `/${this.indexName}/_search`, {
+      from,
+      size,
+      track_total_hits: true,
+      track_scores: true,
+      _source: false,
+      query: {
+        bool: {
+          must: [toQueryDsl(tree)],
+          filter: filterClauses(userId, filters)
+        }
+      },
+      sort: sort === 'relevance'
+        ? ['_score', { updated_at: 'desc' }]
+        : [{ [sort]: order }],
+      highlight: HIGHLIGHT
+    });
+
+    return toSearchResult(result);
+  }
+
+  /**
+   * Same contract as LocalSearchEngine.suggest
+   */
+  async suggest({ prefix, termPrefix = prefix, userId, size = 5 }) {
+    await this.ensureIndex();
+
+    const result = await request('POST', `/${this.indexName}/_search`, {
+      size: 0,
+      query: { bool: { filter: filterClauses(userId, {}) } },
+      aggs: {
+        titles: {
+          filter: prefix ? { match_phrase_prefix: { title: prefix } } : { match_all: {} },
+          aggs: {
+            latest: {
+              top_hits: { size: size * 2, sort: [{ updated_at: 'desc' }], _source: ['title'] }
+            }
+          }
+        },
+        tags: { terms: { field: 'tags.keyword', include: prefixPattern(prefix, { anyWord: true }), size } },
+        courses: { terms: { field: 'course.keyword', include: prefixPattern(prefix, { anyWord: true }), size } },
+        subjects: { terms: { field: 'subject.keyword', include: prefixPattern(prefix, { anyWord: true }), size } },
+        ...(termPrefix ? { terms: { terms: { field: 'words', include: prefixPattern(termPrefix.toLowerCase()), size } } } : {})
+      }
+    });
+
+    const titles = new Map();
+    result.aggregations.titles.latest.hits.hits.forEach(hit => {
+      const title = hit._source.title;
+      if (titles.has(title)) {
+        titles.get(title).count++;
+      } else {
+        titles.set(title, { value: title, count: 1, notebookId: hit._id });
+      }
+    });
+
+    return {
+      titles: [...titles.values()].sort((a, b) => b.count - a.count).slice(0, size),
+      tags: bucketCounts(result.aggregations.tags),
+      courses: bucketCounts(result.aggregations.courses),
+      subjects: bucketCounts(result.aggregations.subjects),
+      terms: bucketCounts(result.aggregations.terms)
+    };
+  }
+
+  /**
+   * Same contract as LocalSearchEngine.facets
+   */
+  async facets({ query, userId, filters = {}, dateBuckets = [], size = 20 }) {
+    await this.ensureIndex();
+
+    const result = await request('POST', `/${this.indexName}/_search`, {
+      size: 0,
+      track_total_hits: true,
+      query: {
+        bool: {
+          must: query?.text ? [simpleQuery(query.text)] : [],
+          filter: filterClauses(userId, filters)
+        }
+      },
+      aggs: {
+        subject: { terms: { field: 'subject.keyword', size } },
+        course: { terms: { field: 'course.keyword', size } },
+        tags: { terms: { field: 'tags.keyword', size } },
+        owner: { terms: { field: 'owner', size } },
+        ...(dateBuckets.length > 0
+          ? { updated: { date_range: { field: 'updated_at', ranges: dateBuckets.map(({ key, from }) => ({ key, from })) } } }
+          : {})
+      }
+    });
+
+    const updated = new Map((result.aggregations.updated?.buckets || []).map(bucket => [bucket.key, bucket.doc_count]));
+    return {
+      total: result.hits.total.value,
+      subject: bucketCounts(result.aggregations.subject),
+      course: bucketCounts(result.aggregations.course),
+      tags: bucketCounts(result.aggregations.tags),
+      owner: bucketCounts(result.aggregations.owner),
+      updated: dateBuckets.map(({ key }) => ({ key, count: updated.get(key) || 0 }))
+    };
+  }
+}
+
+module.exports = {
+  OpenSearchEngine,
+  INDEX_MAPPINGS
+};
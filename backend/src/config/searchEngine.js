@@ -0,0 +1,42 @@
+const { assertImplements } = require('./assertImplements');
+
+// 'opensearch' (the domain at OPENSEARCH_DOMAIN_ENDPOINT) or 'local' (an
+// in-memory index); defaults to OpenSearch when an endpoint is configured
+const SEARCH_ENGINE = (process.env.SEARCH_ENGINE ||
+  (process.env.OPENSEARCH_DOMAIN_ENDPOINT ? 'opensearch' : 'local')).toLowerCase();
+
+/**
+ * Methods every search engine implements. Documents are flat notebook
+ * records built by SearchService; search() takes { query, userId, filters,
+ * from, size } and resolves to { total, maxScore, hits }; advancedSearch()
+ * takes a parsed query tree as `tree`, plus `sort` and `order`, and
+ * resolves to the same shape. suggest() and facets() count values over the
+ * documents the user can open (see LocalSearchEngine).
+ */
+const SEARCH_ENGINE_INTERFACE = ['indexDocument', 'removeDocument', 'search', 'advancedSearch', 'suggest', 'facets'];
+
+function createEngine(name) {
+  switch (name) {
+    case 'opensearch': {
+      const { OpenSearchEngine } = require('./opensearch');
+      return new OpenSearchEngine();
+    }
+    case 'local': {
+      const { LocalSearchEngine } = require('./localSearch');
+      return new LocalSearchEngine();
+    }
+    default:
+      throw new Error(`Unknown search engine: ${name}`);
+  }
+}
+
+const searchEngine = createEngine(SEARCH_ENGINE);
+
+assertImplements(`Search engine '${SEARCH_ENGINE}'`, searchEngine, SEARCH_ENGINE_INTERFACE);
+
+module.exports = {
+  SEARCH_ENGINE,
+  searchEngine,
+  // The local index starts empty and is filled from storage on first use
+  SEARCH_INDEX_IS_PERSISTENT: SEARCH_ENGINE !== 'local'
+};
@@ -0,0 +1,64 @@
+const { SearchService } = require('../services/search');
+const { assertImplements } = require('./assertImplements');
+
+// 'aws' (S3, DynamoDB, Lambda) or 'local' (files under LOCAL_STORAGE_DIR)
+const STORAGE_PROVIDER = (process.env.STORAGE_PROVIDER || 'aws').toLowerCase();
+
+/**
+ * Methods every storage provider implements. Routes and services talk to
+ * storage only through these, so either provider can back the whole API.
+ */
+const STORAGE_INTERFACE = {
+  S3Service: [
+    'uploadNotebook', 'getNotebook',
+    'getUploadUrl', 'getDownloadUrl', 'putObject', 'getObjectText', 'headObject',
+    'copyObject', 'listObjects', 'deleteObjects'
+  ],
+  DynamoDBService: [
+    'createNotebook', 'getNotebook', 'getNotebookDocumentState', 'updateNotebook', 'deleteNotebook',
+    'createNotebookVersion', 'listNotebookVersions', 'getNotebookVersions', 'getNotebookVersion',
+    'updateNotebookVersionLabel', 'deleteNotebookVersion',
+    'getNotebookOperations',
+    'createNotebookConflict', 'getNotebookConflict', 'getNotebookConflicts', 'resolveNotebookConflict',
+    'createNotebookBranch', 'getNotebookBranch', 'getNotebookBranches', 'mergeNotebookBranch',
+    'getRetentionPolicy', 'listRetentionPolicies', 'putRetentionPolicy', 'deleteRetentionPolicy',
+    'createChatMessage', 'getChatMessage', 'getChatMessages', 'updateChatMessage',
+    'createCommentThread', 'getCommentThread', 'getCommentThreads', 'appendThreadComment',
+    'updateCommentThreadStatus', 'updateCommentThreadAnchor',
+    'createRefreshToken', 'getRefreshToken', 'markRefreshTokenRotated', 'revokeRefreshTokenFamily',
+    'createAttachment', 'getAttachment', 'getAttachments', 'markAttachmentUploaded',
+    'putNotebookEmbeddings', 'getNotebookEmbeddings', 'deleteNotebookEmbeddings',
+    'createCollaborationEvent', 'getCollaborationEvents',
+    'createSearchEvent', 'getSearchEvent', 'appendSearchClick', 'getSearchEvents',
+    'createUser', 'getUserById', 'getUserAccount', 'getUserByEmail', 'updateUser', 'listUsers',
+    'listNotebooks', 'getUserNotebooks', 'scanNotebooks', 'backfillNotebookIndexes', 'copyLegacyVersions'
+  ],
+  LambdaService: ['invokeAsync']
+};
+
+function loadProvider(name) {
+  switch (name) {
+    case 'aws':
+      return require('./aws');
+    case 'local':
+      return require('./local');
+    default:
+      throw new Error(`Unknown storage provider: ${name}`);
+  }
+}
+
+const provider = loadProvider(STORAGE_PROVIDER);
+
+Object.entries(STORAGE_INTERFACE).forEach(([service, methods]) => {
+  assertImplements(`Storage provider '${STORAGE_PROVIDER}' ${service}`, provider[service], methods);
+});
+
+module.exports = {
+  STORAGE_PROVIDER,
+  S3Service: provider.S3Service,
+  DynamoDBService: provider.DynamoDBService,
+  LambdaService: provider.LambdaService,
+  SearchService,
+  ensureTableExists: provider.ensureTableExists,
+  S3_CONFIG: provider.S3_CONFIG
+};
@@ -13,8 +13,13 @@ const authRoutes = require('./routes/auth');
 const collaborationRoutes = require('./routes/collaboration');
 const searchRoutes = require('./routes/search');
 const versionRoutes = require('./routes/versions');
+const { STORAGE_PROVIDER } = require('./config/storage');
 const { authenticateToken } = require('./middleware/auth');
 const { setupWebSocket } = require('./services/websocket');
+const { attachAdapter } = require('./services/socketAdapter');
+const { persistAllDocuments } = require('./services/documentSync');
+const { flushEdits } = require('./services/collaborationEvents');
+const { flushAllCheckpoints } = require('./services/versionCheckpoints');
 
 const app = express();
 const server = createServer(app);
@@ -54,9 +59,10 @@ app.use('/api/notebooks', authenticateToken, notebookRoutes);
 app.use('/api/collaboration', authenticateToken, collaborationRoutes);
 app.use('/api/search', authenticateToken, searchRoutes);
 app.use('/api/versions', authenticateToken, versionRoutes);
-
-// WebSocket setup
-setupWebSocket(io);
+if (STORAGE_PROVIDER === 'local') {
+  // Signed upload and download URLs for files kept on local disk
+  app.use('/api/storage', require('./routes/storage'));
+}
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -80,9 +86,30 @@ app.use('*', (req, res) => {
 });
 
 const PORT = process.env.PORT || 5003;
+let socketAdapter = null;
+
+async function start() {
+  // WebSocket setup; the adapter must be in place before clients connect
+  socketAdapter = await attachAdapter(io);
+  setupWebSocket(io, { clustered: socketAdapter.clustered });
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Academic Notebook Backend running on port ${PORT}`);
+    console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 WebSocket enabled for real-time collaboration`);
+  });
+}
+
+start().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
 
-server.listen(PORT, () => {
-  console.log(`🚀 Academic Notebook Backend running on port ${PORT}`);
-  console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 WebSocket enabled for real-time collaboration`);
+// Flush live collaborative documents before the process stops
+process.on('SIGTERM', async () => {
+  await persistAllDocuments();
+  await flushAllCheckpoints();
+  await flushEdits();
+  await socketAdapter?.close();
+  server.close(() => process.exit(0));
 });
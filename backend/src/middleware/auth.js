@@ -11,6 +11,9 @@ const cognitoClient = new CognitoIdentityProviderClient({
 // JWT secret for local development (use Cognito in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'academic-notebook-secret-key';
 
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
 // Role definitions
 const ROLES = {
   STUDENT: 'student',
@@ -32,7 +35,8 @@ const PERMISSIONS = {
     'read_student_notebooks',
     'grade_notebooks',
     'manage_class_notebooks',
-    'collaborate_on_shared_notebooks'
+    'collaborate_on_shared_notebooks',
+    'view_search_analytics'
   ],
   [ROLES.RESEARCHER]: [
     'read_own_notebooks',
@@ -47,8 +51,11 @@ const PERMISSIONS = {
     'write_all_notebooks',
     'manage_users',
     'manage_system',
+    'manage_retention_policies',
+    'restore_user_notebooks',
     'export_data',
-    'analytics'
+    'analytics',
+    'view_search_analytics'
   ]
 };
 
@@ -86,6 +93,16 @@ const authenticateToken = async (req, res, next) => {
 
     next();
   } catch (error) {
+    // Expiry is routine: tell the client to refresh rather than sign in again
+    if (error?.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: {
+          message: 'Access token expired',
+          code: 'TOKEN_EXPIRED'
+        }
+      });
+    }
+
     console.error('Token verification failed:', error);
     return res.status(403).json({
       error: {
@@ -173,7 +190,7 @@ const canAccessNotebook = async (userId, userRole, notebookId, action = 'read')
   }
 
   // Import here to avoid circular dependency
-  const { DynamoDBService } = require('../config/aws');
+  const { DynamoDBService } = require('../config/storage');
   
   try {
     const notebook = await DynamoDBService.getNotebook(notebookId);
@@ -250,7 +267,7 @@ const generateToken = (user) => {
   };
 
   return jwt.sign(payload, JWT_SECRET, { 
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h' 
+    expiresIn: ACCESS_TOKEN_TTL 
   });
 };
 
@@ -261,6 +278,7 @@ module.exports = {
   requireNotebookAccess,
   generateToken,
   canAccessNotebook,
+  ACCESS_TOKEN_TTL,
   ROLES,
   PERMISSIONS
 };
@@ -2,46 +2,15 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
-const { generateToken, ROLES } = require('../middleware/auth');
-const { dynamoClient, DYNAMODB_CONFIG } = require('../config/aws');
-const { DescribeTableCommand, CreateTableCommand } = require('@aws-sdk/client-dynamodb');
-
-const AUTO_CREATE_TABLES = (process.env.AUTO_CREATE_DYNAMODB_TABLES || 'true').toLowerCase() === 'true';
-
-async function ensureUsersTableExists() {
-  if (!AUTO_CREATE_TABLES) return;
-  try {
-    await dynamoClient.send(new DescribeTableCommand({ TableName: DYNAMODB_CONFIG.USERS_TABLE }));
-  } catch (err) {
-    if (err.name === 'ResourceNotFoundException') {
-      const command = new CreateTableCommand({
-        TableName: DYNAMODB_CONFIG.USERS_TABLE,
-        BillingMode: 'PAY_PER_REQUEST',
-        AttributeDefinitions: [
-          { AttributeName: 'id', AttributeType: 'S' }
-        ],
-        KeySchema: [
-          { AttributeName: 'id', KeyType: 'HASH' }
-        ]
-      });
-      await dynamoClient.send(command);
-      // Wait until table is ACTIVE
-      const start = Date.now();
-      const timeoutMs = 30000;
-      while (true) {
-        const desc = await dynamoClient.send(new DescribeTableCommand({ TableName: DYNAMODB_CONFIG.USERS_TABLE }));
-        const status = desc?.Table?.TableStatus;
-        if (status === 'ACTIVE') break;
-        if (Date.now() - start > timeoutMs) {
-          throw new Error(`DynamoDB table ${DYNAMODB_CONFIG.USERS_TABLE} not ACTIVE after ${timeoutMs}ms (status=${status})`);
-        }
-        await new Promise(r => setTimeout(r, 1000));
-      }
-    } else {
-      throw err;
-    }
-  }
-}
+const { generateToken, authenticateToken, ROLES, ACCESS_TOKEN_TTL } = require('../middleware/auth');
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  RefreshTokenError
+} = require('../services/refreshTokens');
+const { DynamoDBService } = require('../config/storage');
 
 const router = express.Router();
 
@@ -66,7 +35,6 @@ const loginSchema = Joi.object({
  */
 router.post('/register', async (req, res) => {
   try {
-    await ensureUsersTableExists();
     const { error, value } = registerSchema.validate(req.body);
     
     if (error) {
@@ -81,7 +49,7 @@ router.post('/register', async (req, res) => {
     const { email, password, name, role, institution, department } = value;
 
     // Check if user already exists
-    const existingUser = await getUserByEmail(email);
+    const existingUser = await DynamoDBService.getUserByEmail(email);
     if (existingUser) {
       return res.status(409).json({
         error: {
@@ -112,15 +80,10 @@ router.post('/register', async (req, res) => {
     };
 
     // Save to DynamoDB
-    await createUser(user);
+    await DynamoDBService.createUser(user);
 
-    // Generate JWT token
-    const token = generateToken({
-      id: userId,
-      email,
-      role,
-      name
-    });
+    // Access token plus a refresh token for this device
+    const session = await issueSession(user, req);
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -128,7 +91,7 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       user: userResponse,
-      token
+      ...session
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -162,7 +125,7 @@ router.post('/login', async (req, res) => {
     const { email, password } = value;
 
     // Get user by email
-    const user = await getUserByEmail(email);
+    const user = await DynamoDBService.getUserByEmail(email);
     if (!user) {
       return res.status(401).json({
         error: {
@@ -194,17 +157,12 @@ router.post('/login', async (req, res) => {
     }
 
     // Update last login
-    await updateUser(user.id, {
+    await DynamoDBService.updateUser(user.id, {
       last_login: new Date().toISOString()
     });
 
-    // Generate JWT token
-    const token = generateToken({
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      name: user.name
-    });
+    // Access token plus a refresh token for this device
+    const session = await issueSession(user, req);
 
     // Remove password from response
     const { password: _, ...userResponse } = user;
@@ -212,7 +170,7 @@ router.post('/login', async (req, res) => {
     res.json({
       message: 'Login successful',
       user: userResponse,
-      token
+      ...session
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -227,11 +185,12 @@ router.post('/login', async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token
+ * Exchange a refresh token for a new access token and a rotated refresh
+ * token. Presenting a token that was already exchanged signs the device out.
  */
 router.post('/refresh', async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const { refreshToken } = req.body || {};
 
     if (!refreshToken) {
       return res.status(400).json({
@@ -242,14 +201,34 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // In a production environment, you would verify the refresh token
-    // and generate a new access token
-    
+    const rotated = await rotateRefreshToken(refreshToken, { device: req.get('user-agent') || '' });
+
+    const user = await DynamoDBService.getUserAccount(rotated.userId);
+    if (!user || user.status !== 'active') {
+      await revokeRefreshTokenFamily(rotated.familyId);
+      return res.status(401).json({
+        error: {
+          message: 'Account is not active',
+          code: 'ACCOUNT_INACTIVE'
+        }
+      });
+    }
+
     res.json({
-      message: 'Token refresh not implemented - use Cognito in production',
-      code: 'NOT_IMPLEMENTED'
+      token: generateToken(user),
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: rotated.expiresAt
     });
   } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
     console.error('Token refresh error:', error);
     res.status(500).json({
       error: {
@@ -262,40 +241,37 @@ router.post('/refresh', async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout user (in production, this would invalidate tokens)
+ * Revoke the refresh tokens of the device signing out. The access token
+ * stays valid until it expires, which is kept short for this reason.
  */
-router.post('/logout', (req, res) => {
-  // In a stateless JWT setup, logout is handled client-side
-  // In production with Cognito, you would revoke the token
-  res.json({
-    message: 'Logout successful'
-  });
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to log out',
+        code: 'LOGOUT_ERROR'
+      }
+    });
+  }
 });
 
 /**
  * GET /api/auth/me
  * Get current user profile
  */
-router.get('/me', async (req, res) => {
+router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        error: {
-          message: 'Access token required',
-          code: 'NO_TOKEN'
-        }
-      });
-    }
-
-    // Verify token and get user (simplified for demo)
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'academic-notebook-secret-key';
-    
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await getUserById(decoded.userId);
+    const user = await DynamoDBService.getUserAccount(req.user.id);
 
     if (!user) {
       return res.status(404).json({
@@ -327,23 +303,10 @@ router.get('/me', async (req, res) => {
  * GET /api/auth/users
  * List users (for collaboration sharing)
  */
-router.get('/users', async (req, res) => {
+router.get('/users', authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        error: { message: 'Access token required', code: 'NO_TOKEN' }
-      });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_SECRET || 'academic-notebook-secret-key';
-    jwt.verify(token, JWT_SECRET);
-
     const search = (req.query.search || '').toString().toLowerCase();
-    const users = await listUsers();
+    const users = await DynamoDBService.listUsers();
     const filtered = users.filter(u =>
       !search ||
       u.email.toLowerCase().includes(search) ||
@@ -361,141 +324,20 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// Helper functions for user management
-async function createUser(user) {
-  const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
-
-  const command = new PutItemCommand({
-    TableName: DYNAMODB_CONFIG.USERS_TABLE,
-    Item: {
-      id: { S: user.id },
-      email: { S: user.email },
-      password: { S: user.password },
-      name: { S: user.name },
-      role: { S: user.role },
-      institution: { S: user.institution },
-      department: { S: user.department },
-      created_at: { S: user.created_at },
-      updated_at: { S: user.updated_at },
-      status: { S: user.status },
-      email_verified: { BOOL: user.email_verified }
-    }
-  });
-
-  const result = await dynamoClient.send(command);
-  if (process.env.NODE_ENV === 'development') {
-    // Log where the user was saved for troubleshooting
-    console.log(
-      `DynamoDB PutItem to table ${DYNAMODB_CONFIG.USERS_TABLE} in region ${process.env.AWS_REGION || 'us-east-1'} (RequestId: ${result?.$metadata?.requestId || 'n/a'})`
-    );
-  }
-}
-
-async function getUserByEmail(email) {
-  const { ScanCommand } = require('@aws-sdk/client-dynamodb');
-  await ensureUsersTableExists();
-
-  const command = new ScanCommand({
-    TableName: DYNAMODB_CONFIG.USERS_TABLE,
-    FilterExpression: 'email = :email',
-    ExpressionAttributeValues: {
-      ':email': { S: email }
-    }
-  });
-
-  const result = await dynamoClient.send(command);
-  
-  if (!result.Items || result.Items.length === 0) {
-    return null;
-  }
-
-  const item = result.Items[0];
-  return {
-    id: item.id.S,
-    email: item.email.S,
-    password: item.password.S,
-    name: item.name.S,
-    role: item.role.S,
-    institution: item.institution?.S || '',
-    department: item.department?.S || '',
-    created_at: item.created_at.S,
-    updated_at: item.updated_at.S,
-    status: item.status.S,
-    email_verified: item.email_verified?.BOOL || false,
-    last_login: item.last_login?.S
-  };
-}
-
-async function getUserById(id) {
-  const { GetItemCommand } = require('@aws-sdk/client-dynamodb');
-
-  const command = new GetItemCommand({
-    TableName: DYNAMODB_CONFIG.USERS_TABLE,
-    Key: { id: { S: id } }
+/**
+ * Tokens returned by register and login
+ */
+async function issueSession(user, req) {
+  const { refreshToken, expiresAt } = await issueRefreshToken(user.id, {
+    device: req.get('user-agent') || ''
   });
 
-  const result = await dynamoClient.send(command);
-  
-  if (!result.Item) {
-    return null;
-  }
-
-  const item = result.Item;
   return {
-    id: item.id.S,
-    email: item.email.S,
-    password: item.password.S,
-    name: item.name.S,
-    role: item.role.S,
-    institution: item.institution?.S || '',
-    department: item.department?.S || '',
-    created_at: item.created_at.S,
-    updated_at: item.updated_at.S,
-    status: item.status.S,
-    email_verified: item.email_verified?.BOOL || false,
-    last_login: item.last_login?.S
+    token: generateToken(user),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
   };
 }
 
-async function updateUser(id, updates) {
-  const { UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
-
-  const updateExpression = [];
-  const expressionAttributeValues = {};
-
-  Object.keys(updates).forEach(key => {
-    updateExpression.push(`${key} = :${key}`);
-    expressionAttributeValues[`:${key}`] = { S: updates[key] };
-  });
-
-  updateExpression.push('updated_at = :updated_at');
-  expressionAttributeValues[':updated_at'] = { S: new Date().toISOString() };
-
-  const command = new UpdateItemCommand({
-    TableName: DYNAMODB_CONFIG.USERS_TABLE,
-    Key: { id: { S: id } },
-    UpdateExpression: `SET ${updateExpression.join(', ')}`,
-    ExpressionAttributeValues: expressionAttributeValues
-  });
-
-  await dynamoClient.send(command);
-}
-
-async function listUsers() {
-  const { ScanCommand } = require('@aws-sdk/client-dynamodb');
-  const { DYNAMODB_CONFIG } = require('../config/aws');
-
-  const command = new ScanCommand({
-    TableName: DYNAMODB_CONFIG.USERS_TABLE
-  });
-
-  const result = await dynamoClient.send(command);
-  return (result.Items || []).map(item => ({
-    id: item.id.S,
-    email: item.email.S,
-    name: item.name?.S || '',
-    role: item.role?.S || 'student'
-  }));
-}
-
 module.exports = router;
@@ -1,9 +1,47 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const { requireNotebookAccess } = require('../middleware/auth');
-const { DynamoDBService } = require('../config/aws');
+const { DynamoDBService } = require('../config/storage');
+const { rebaseAndApply, OperationError } = require('../services/operationalTransform');
+const { resolveConflict, ConflictError } = require('../services/conflicts');
+const { reindexNotebookSafely } = require('../services/search');
+const { recordEditCheckpoint } = require('../services/versionCheckpoints');
+const {
+  postMessage,
+  listMessages,
+  editMessage,
+  deleteMessage,
+  announce,
+  ChatError
+} = require('../services/chat');
+const {
+  createThread,
+  listThreads,
+  replyToThread,
+  setThreadStatus,
+  remapThreadsSafely,
+  CommentError
+} = require('../services/comments');
+const {
+  recordCollaborationEvent,
+  getRecentCollaborationEvents,
+  getCollaborationAnalytics
+} = require('../services/collaborationEvents');
+const {
+  PRESENCE_TTL_MS,
+  joinPresence,
+  heartbeat,
+  leavePresence,
+  getActiveCollaborators
+} = require('../services/presence');
 
 const router = express.Router();
 
+// How many concurrent versions an operation may be rebased over
+const MAX_REBASE_VERSIONS = 100;
+const MAX_APPLY_ATTEMPTS = 3;
+const MAX_ANALYTICS_DAYS = 366;
+
 /**
  * GET /api/collaboration/:notebookId/status
  * Get real-time collaboration status for a notebook
@@ -12,11 +50,11 @@ router.get('/:notebookId/status', requireNotebookAccess('read'), async (req, res
   try {
     const notebookId = req.params.notebookId;
     
-    // Get active collaborators (mock data - in production, this would come from WebSocket connections)
+    // Get active collaborators from the shared presence store
     const activeCollaborators = await getActiveCollaborators(notebookId);
     
-    // Get collaboration history
-    const collaborationHistory = await getCollaborationHistory(notebookId);
+    // Get the most recent collaboration events
+    const collaborationHistory = await getRecentCollaborationEvents(notebookId);
     
     res.json({
       notebookId,
@@ -62,6 +100,10 @@ router.post('/:notebookId/join', requireNotebookAccess('read'), async (req, res)
       });
     }
     
+    // REST clients keep their presence alive through /heartbeat
+    const sessionId = generateSessionId(userId);
+    await joinPresence(notebookId, sessionId, req.user, { source: 'rest' });
+
     // Get current active collaborators
     const activeCollaborators = await getActiveCollaborators(notebookId);
     
@@ -75,7 +117,8 @@ router.post('/:notebookId/join', requireNotebookAccess('read'), async (req, res)
         version: notebook.version
       },
       activeCollaborators,
-      sessionId: generateSessionId(notebookId, userId)
+      sessionId,
+      heartbeatInterval: Math.floor(PRESENCE_TTL_MS / 3)
     });
   } catch (error) {
     console.error('Error joining collaboration:', error);
@@ -97,6 +140,19 @@ router.post('/:notebookId/leave', requireNotebookAccess('read'), async (req, res
     const notebookId = req.params.notebookId;
     const userId = req.user.id;
     const userName = req.user.name;
+    const { sessionId } = req.body || {};
+
+    if (sessionId) {
+      if (!isOwnSession(sessionId, userId)) {
+        return res.status(400).json({
+          error: {
+            message: 'Invalid session ID',
+            code: 'INVALID_SESSION'
+          }
+        });
+      }
+      await leavePresence(notebookId, sessionId);
+    }
     
     // Record collaboration event
     await recordCollaborationEvent(notebookId, userId, 'leave', {
@@ -119,6 +175,53 @@ router.post('/:notebookId/leave', requireNotebookAccess('read'), async (req, res
   }
 });
 
+/**
+ * POST /api/collaboration/:notebookId/heartbeat
+ * Keep a REST collaboration session present; optionally update its status,
+ * cursor position or typing indicator
+ */
+router.post('/:notebookId/heartbeat', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.notebookId;
+    const { sessionId, status, cursorPosition, isTyping } = req.body || {};
+
+    if (!sessionId || !isOwnSession(sessionId, req.user.id)) {
+      return res.status(400).json({
+        error: {
+          message: 'A session ID from /join is required',
+          code: 'INVALID_SESSION'
+        }
+      });
+    }
+
+    const fields = {};
+    if (typeof status === 'string') fields.status = status;
+    if (cursorPosition !== undefined) fields.cursorPosition = cursorPosition;
+    if (isTyping !== undefined) fields.isTyping = Boolean(isTyping);
+
+    // An expired session is re-registered rather than rejected
+    const refreshed = await heartbeat(notebookId, sessionId, fields);
+    if (!refreshed) {
+      await joinPresence(notebookId, sessionId, req.user, { source: 'rest', ...fields });
+    }
+
+    res.json({
+      notebookId,
+      sessionId,
+      expiresIn: PRESENCE_TTL_MS,
+      rejoined: !refreshed
+    });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to record heartbeat',
+        code: 'HEARTBEAT_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * POST /api/collaboration/:notebookId/operations
  * Submit operational transformation operations for real-time collaboration
@@ -138,64 +241,147 @@ router.post('/:notebookId/operations', requireNotebookAccess('write'), async (re
       });
     }
     
-    // Get current notebook version
-    const notebook = await DynamoDBService.getNotebook(notebookId);
-    if (!notebook) {
-      return res.status(404).json({
-        error: {
-          message: 'Notebook not found',
-          code: 'NOTEBOOK_NOT_FOUND'
+    let applied = null;
+    for (let attempt = 0; attempt < MAX_APPLY_ATTEMPTS && !applied; attempt++) {
+      const notebook = await DynamoDBService.getNotebook(notebookId);
+      if (!notebook) {
+        return res.status(404).json({
+          error: {
+            message: 'Notebook not found',
+            code: 'NOTEBOOK_NOT_FOUND'
+          }
+        });
+      }
+
+      const base = baseVersion === undefined || baseVersion === null
+        ? notebook.version
+        : parseInt(baseVersion);
+
+      if (!Number.isInteger(base) || base > notebook.version) {
+        return res.status(400).json({
+          error: {
+            message: 'Invalid base version',
+            code: 'INVALID_BASE_VERSION',
+            currentVersion: notebook.version,
+            baseVersion
+          }
+        });
+      }
+
+      // Every version after the base must have a recorded operation to
+      // rebase over; whole-document saves and very old bases cannot be.
+      let history = [];
+      if (base < notebook.version) {
+        history = notebook.version - base <= MAX_REBASE_VERSIONS
+          ? await DynamoDBService.getNotebookOperations(notebookId, base)
+          : [];
+        history = history.filter(entry => entry.version <= notebook.version);
+        const contiguous = history.length === notebook.version - base &&
+          history.every((entry, i) => entry.version === base + i + 1);
+
+        if (!contiguous) {
+          return res.status(409).json({
+            error: {
+              message: 'Base version is too old to rebase; reload the notebook',
+              code: 'STALE_BASE_VERSION',
+              currentVersion: notebook.version,
+              baseVersion: base
+            }
+          });
         }
+      }
+
+      const currentBody = typeof notebook.content?.body === 'string' ? notebook.content.body : '';
+      const result = rebaseAndApply(currentBody, operations, history);
+      const newVersion = notebook.version + 1;
+
+      try {
+        // The operations row is written with the version, so a client
+        // rebasing over it never finds it missing
+        await DynamoDBService.updateNotebook(notebookId, {
+          content: { ...notebook.content, body: result.body },
+          version: newVersion,
+          updated_by: userId
+        }, {
+          expectedVersion: notebook.version,
+          operations: {
+            version: newVersion,
+            baseVersion: base,
+            userId,
+            operations: result.operations
+          }
+        });
+      } catch (e) {
+        // Another writer got in first: reload and rebase again
+        if (e?.name === 'ConditionalCheckFailedException') continue;
+        throw e;
+      }
+
+      await recordEditCheckpoint(notebookId);
+
+      // Comment anchors follow the same edit
+      await remapThreadsSafely(notebookId, {
+        fromVersion: notebook.version,
+        toVersion: newVersion,
+        operations: result.operations,
+        body: result.body
       });
+      await reindexNotebookSafely(notebookId);
+
+      applied = {
+        version: newVersion,
+        baseVersion: base,
+        operations: result.operations,
+        rebasedOver: history.length
+      };
     }
-    
-    // Check for version conflicts
-    if (baseVersion && baseVersion !== notebook.version) {
+
+    if (!applied) {
       return res.status(409).json({
         error: {
-          message: 'Version conflict detected',
-          code: 'VERSION_CONFLICT',
-          currentVersion: notebook.version,
-          baseVersion
+          message: 'Notebook is being edited too quickly; retry the operations',
+          code: 'VERSION_CONFLICT'
         }
       });
     }
-    
-    // Apply operations (simplified - in production, use proper OT library)
-    const updatedContent = applyOperations(notebook.content, operations);
-    const newVersion = notebook.version + 1;
-    
-    // Update notebook
-    await DynamoDBService.updateNotebook(notebookId, {
-      content: updatedContent,
-      version: newVersion
-    });
-    
+
     // Record collaboration event
-    await recordCollaborationEvent(notebookId, userId, 'edit', {
+    await trackCollaborationEvent(notebookId, userId, 'edit', {
+      userName: req.user.name,
       operations: operations.length,
-      version: newVersion,
+      version: applied.version,
       timestamp: new Date().toISOString()
     });
-    
-    // Broadcast to other collaborators via WebSocket
+
+    // Broadcast the rebased operations so every client applies the same edit
     const io = require('../services/websocket').getIO();
     if (io) {
       io.to(`notebook-${notebookId}`).emit('operations', {
         notebookId,
-        operations,
-        version: newVersion,
+        operations: applied.operations,
+        baseVersion: applied.version - 1,
+        version: applied.version,
         userId,
         timestamp: new Date().toISOString()
       });
     }
-    
+
     res.json({
       message: 'Operations applied successfully',
-      version: newVersion,
-      operationsApplied: operations.length
+      version: applied.version,
+      operationsApplied: operations.length,
+      operations: applied.operations,
+      rebasedOver: applied.rebasedOver
     });
   } catch (error) {
+    if (error instanceof OperationError) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          code: 'INVALID_OPERATIONS'
+        }
+      });
+    }
     console.error('Error applying operations:', error);
     res.status(500).json({
       error: {
@@ -208,19 +394,20 @@ router.post('/:notebookId/operations', requireNotebookAccess('write'), async (re
 
 /**
  * GET /api/collaboration/:notebookId/conflicts
- * Get any unresolved conflicts for the notebook
+ * Get unresolved conflicts for the notebook (?includeResolved=true for all)
  */
 router.get('/:notebookId/conflicts', requireNotebookAccess('read'), async (req, res) => {
   try {
     const notebookId = req.params.notebookId;
+    const includeResolved = req.query.includeResolved === 'true';
     
-    // Get conflicts (mock data - in production, this would track actual conflicts)
-    const conflicts = await getNotebookConflicts(notebookId);
+    const conflicts = await DynamoDBService.getNotebookConflicts(notebookId, { includeResolved });
+    const unresolved = conflicts.filter(conflict => !conflict.resolved);
     
     res.json({
       notebookId,
       conflicts,
-      hasConflicts: conflicts.length > 0
+      hasConflicts: unresolved.length > 0
     });
   } catch (error) {
     console.error('Error getting conflicts:', error);
@@ -235,7 +422,9 @@ router.get('/:notebookId/conflicts', requireNotebookAccess('read'), async (req,
 
 /**
  * POST /api/collaboration/:notebookId/resolve-conflict
- * Resolve a collaboration conflict
+ * Resolve a collaboration conflict. `resolution.type` is "mine" (keep the
+ * saved text), "theirs" (restore the overwritten text) or "merged" (use
+ * `resolution.body` for the passage).
  */
 router.post('/:notebookId/resolve-conflict', requireNotebookAccess('write'), async (req, res) => {
   try {
@@ -252,11 +441,11 @@ router.post('/:notebookId/resolve-conflict', requireNotebookAccess('write'), asy
       });
     }
     
-    // Resolve conflict (simplified implementation)
-    await resolveConflict(notebookId, conflictId, resolution, userId);
+    const result = await resolveConflict(notebookId, conflictId, resolution, req.user);
     
     // Record resolution event
-    await recordCollaborationEvent(notebookId, userId, 'resolve_conflict', {
+    await trackCollaborationEvent(notebookId, userId, 'resolve_conflict', {
+      userName: req.user.name,
       conflictId,
       resolution: resolution.type,
       timestamp: new Date().toISOString()
@@ -265,9 +454,19 @@ router.post('/:notebookId/resolve-conflict', requireNotebookAccess('write'), asy
     res.json({
       message: 'Conflict resolved successfully',
       conflictId,
-      resolution
+      resolution,
+      conflict: result.conflict,
+      version: result.version
     });
   } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
     console.error('Error resolving conflict:', error);
     res.status(500).json({
       error: {
@@ -280,14 +479,33 @@ router.post('/:notebookId/resolve-conflict', requireNotebookAccess('write'), asy
 
 /**
  * GET /api/collaboration/:notebookId/analytics
- * Get collaboration analytics for a notebook
+ * Get collaboration analytics for a notebook over ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * (inclusive, UTC days; defaults to the last 30 days)
  */
 router.get('/:notebookId/analytics', requireNotebookAccess('read'), async (req, res) => {
   try {
     const notebookId = req.params.notebookId;
-    
-    // Get collaboration analytics
-    const analytics = await getCollaborationAnalytics(notebookId);
+    const { from, to } = req.query;
+
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+    if ((from && !isDate(from)) || (to && !isDate(to)) || (from && to && from > to)) {
+      return res.status(400).json({
+        error: {
+          message: 'from and to must be YYYY-MM-DD dates with from on or before to',
+          code: 'INVALID_DATE_RANGE'
+        }
+      });
+    }
+    if (from && to && Date.parse(to) - Date.parse(from) > MAX_ANALYTICS_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: {
+          message: `Date range cannot exceed ${MAX_ANALYTICS_DAYS} days`,
+          code: 'INVALID_DATE_RANGE'
+        }
+      });
+    }
+
+    const analytics = await getCollaborationAnalytics(notebookId, { from, to });
     
     res.json({
       notebookId,
@@ -304,144 +522,234 @@ router.get('/:notebookId/analytics', requireNotebookAccess('read'), async (req,
   }
 });
 
-// Helper functions
-async function getActiveCollaborators(notebookId) {
-  // Mock data - in production, this would track WebSocket connections
-  return [
-    {
-      userId: 'user-1',
-      userName: 'Alice Johnson',
-      joinedAt: new Date(Date.now() - 300000).toISOString(), // 5 minutes ago
-      cursorPosition: { line: 10, column: 15 },
-      isTyping: false
-    },
-    {
-      userId: 'user-2',
-      userName: 'Bob Smith',
-      joinedAt: new Date(Date.now() - 120000).toISOString(), // 2 minutes ago
-      cursorPosition: { line: 25, column: 8 },
-      isTyping: true
-    }
-  ];
-}
+/**
+ * GET /api/collaboration/:notebookId/chat
+ * Chat history, oldest first within a page. Pass `nextCursor` back as
+ * ?before= to load older messages (?limit= up to 100).
+ */
+router.get('/:notebookId/chat', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.notebookId;
+    const { before, limit } = req.query;
 
-async function getCollaborationHistory(notebookId) {
-  // Mock data - in production, this would come from DynamoDB
-  return [
-    {
-      eventId: 'event-1',
-      userId: 'user-1',
-      userName: 'Alice Johnson',
-      action: 'join',
-      timestamp: new Date(Date.now() - 300000).toISOString(),
-      metadata: {}
-    },
-    {
-      eventId: 'event-2',
-      userId: 'user-2',
-      userName: 'Bob Smith',
-      action: 'join',
-      timestamp: new Date(Date.now() - 120000).toISOString(),
-      metadata: {}
-    },
-    {
-      eventId: 'event-3',
-      userId: 'user-1',
-      userName: 'Alice Johnson',
-      action: 'edit',
-      timestamp: new Date(Date.now() - 60000).toISOString(),
-      metadata: { operations: 3, version: 5 }
-    }
-  ];
-}
+    const page = await listMessages(notebookId, { before, limit });
+
+    res.json({
+      notebookId,
+      messages: page.messages,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    console.error('Error getting chat messages:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get chat messages',
+        code: 'GET_CHAT_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/collaboration/:notebookId/chat
+ * Send a chat message; @mentions of collaborators are resolved and notified
+ */
+router.post('/:notebookId/chat', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.notebookId;
+
+    const message = await postMessage(notebookId, req.user, req.body?.message);
+    announce('chat-message', message, message.mentions);
+
+    await trackCollaborationEvent(notebookId, req.user.id, 'chat', {
+      userName: req.user.name,
+      messageId: message.id
+    });
+
+    res.status(201).json({ message });
+  } catch (error) {
+    sendChatError(res, error, 'Failed to send message', 'SEND_CHAT_ERROR');
+  }
+});
+
+/**
+ * PUT /api/collaboration/:notebookId/chat/:messageId
+ * Edit one of your own messages
+ */
+router.put('/:notebookId/chat/:messageId', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const { notebookId, messageId } = req.params;
+
+    const result = await editMessage(notebookId, messageId, req.user, req.body?.message);
+    announce('chat-message-updated', result.message, result.newMentions);
+
+    res.json({ message: result.message });
+  } catch (error) {
+    sendChatError(res, error, 'Failed to edit message', 'EDIT_CHAT_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/collaboration/:notebookId/chat/:messageId
+ * Delete your own message, or any message as the notebook owner
+ */
+router.delete('/:notebookId/chat/:messageId', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const { notebookId, messageId } = req.params;
+
+    const message = await deleteMessage(notebookId, messageId, req.user);
+    announce('chat-message-deleted', message);
+
+    res.json({
+      message: 'Message deleted successfully',
+      chatMessage: message
+    });
+  } catch (error) {
+    sendChatError(res, error, 'Failed to delete message', 'DELETE_CHAT_ERROR');
+  }
+});
+
+/**
+ * GET /api/collaboration/:notebookId/comments
+ * Comment threads in body order; ?status=open|resolved filters them
+ */
+router.get('/:notebookId/comments', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.notebookId;
+    const threads = await listThreads(notebookId, { status: req.query.status });
+
+    res.json({ notebookId, threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to get comments', 'GET_COMMENTS_ERROR');
+  }
+});
+
+/**
+ * POST /api/collaboration/:notebookId/comments
+ * Start a thread on a range of the body: { start, end, version, text }
+ */
+router.post('/:notebookId/comments', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.notebookId;
+    const { start, end, version, text } = req.body || {};
+
+    const thread = await createThread(notebookId, req.user, { start, end, version, text });
+    broadcastCommentEvent(notebookId, 'comment-thread-created', thread);
+
+    await trackCollaborationEvent(notebookId, req.user.id, 'comment', {
+      userName: req.user.name,
+      threadId: thread.threadId
+    });
+
+    res.status(201).json({ thread });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to create comment', 'CREATE_COMMENT_ERROR');
+  }
+});
+
+/**
+ * POST /api/collaboration/:notebookId/comments/:threadId/replies
+ * Reply to a thread
+ */
+router.post('/:notebookId/comments/:threadId/replies', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const { notebookId, threadId } = req.params;
+
+    const thread = await replyToThread(notebookId, threadId, req.user, req.body?.text);
+    broadcastCommentEvent(notebookId, 'comment-thread-updated', thread);
+
+    await trackCollaborationEvent(notebookId, req.user.id, 'comment', {
+      userName: req.user.name,
+      threadId
+    });
+
+    res.status(201).json({ thread });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to reply to comment', 'REPLY_COMMENT_ERROR');
+  }
+});
+
+/**
+ * POST /api/collaboration/:notebookId/comments/:threadId/resolve
+ * POST /api/collaboration/:notebookId/comments/:threadId/reopen
+ */
+['resolve', 'reopen'].forEach(action => {
+  const status = action === 'resolve' ? 'resolved' : 'open';
+
+  router.post(`/:notebookId/comments/:threadId/${action}`, requireNotebookAccess('read'), async (req, res) => {
+    try {
+      const { notebookId, threadId } = req.params;
 
-async function recordCollaborationEvent(notebookId, userId, action, metadata) {
-  // In production, this would save to DynamoDB collaboration table
-  console.log('Recording collaboration event:', {
-    notebookId,
-    userId,
-    action,
-    metadata,
-    timestamp: new Date().toISOString()
+      const thread = await setThreadStatus(notebookId, threadId, req.user, status);
+      broadcastCommentEvent(notebookId, 'comment-thread-updated', thread);
+
+      res.json({ thread });
+    } catch (error) {
+      sendCommentError(res, error, `Failed to ${action} comment`, `${action.toUpperCase()}_COMMENT_ERROR`);
+    }
   });
-}
+});
 
-function generateSessionId(notebookId, userId) {
-  return `${notebookId}-${userId}-${Date.now()}`;
+// Helper functions
+function sendChatError(res, error, message, code) {
+  if (error instanceof ChatError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message,
+      code
+    }
+  });
 }
 
-function applyOperations(content, operations) {
-  // Simplified operational transformation
-  // In production, use a proper OT library like ShareJS or Yjs
-  let updatedContent = { ...content };
-  
-  operations.forEach(op => {
-    switch (op.type) {
-      case 'insert':
-        // Apply insert operation
-        break;
-      case 'delete':
-        // Apply delete operation
-        break;
-      case 'retain':
-        // Apply retain operation
-        break;
-      default:
-        console.log('Unknown operation type:', op.type);
+function sendCommentError(res, error, message, code) {
+  if (error instanceof CommentError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code,
+        ...(error.currentVersion !== undefined ? { currentVersion: error.currentVersion } : {})
+      }
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message,
+      code
     }
   });
-  
-  return updatedContent;
 }
 
-async function getNotebookConflicts(notebookId) {
-  // Mock conflicts - in production, this would track actual conflicts
-  return [
-    {
-      conflictId: 'conflict-1',
-      type: 'concurrent_edit',
-      description: 'Two users edited the same paragraph simultaneously',
-      users: ['user-1', 'user-2'],
-      timestamp: new Date(Date.now() - 30000).toISOString(),
-      resolved: false
-    }
-  ];
+function broadcastCommentEvent(notebookId, event, thread) {
+  const { broadcastToNotebook } = require('../services/websocket');
+  broadcastToNotebook(notebookId, event, thread);
 }
 
-async function resolveConflict(notebookId, conflictId, resolution, userId) {
-  // In production, this would update the conflict resolution in the database
-  console.log('Resolving conflict:', {
-    notebookId,
-    conflictId,
-    resolution,
-    resolvedBy: userId,
-    timestamp: new Date().toISOString()
-  });
+function generateSessionId(userId) {
+  return `rest:${userId}:${uuidv4()}`;
+}
+
+function isOwnSession(sessionId, userId) {
+  return typeof sessionId === 'string' && sessionId.startsWith(`rest:${userId}:`);
 }
 
-async function getCollaborationAnalytics(notebookId) {
-  // Mock analytics - in production, this would aggregate real data
-  return {
-    totalCollaborators: 5,
-    activeCollaborators: 2,
-    totalSessions: 23,
-    averageSessionDuration: '00:45:30',
-    totalEdits: 156,
-    conflictsResolved: 3,
-    collaborationScore: 8.5, // Out of 10
-    topContributors: [
-      { userId: 'user-1', userName: 'Alice Johnson', edits: 45 },
-      { userId: 'user-2', userName: 'Bob Smith', edits: 38 },
-      { userId: 'user-3', userName: 'Carol Davis', edits: 32 }
-    ],
-    activityTimeline: [
-      { date: '2024-01-01', sessions: 3, edits: 12 },
-      { date: '2024-01-02', sessions: 5, edits: 18 },
-      { date: '2024-01-03', sessions: 2, edits: 8 },
-      { date: '2024-01-04', sessions: 4, edits: 15 },
-      { date: '2024-01-05', sessions: 3, edits: 11 }
-    ]
-  };
+/**
+ * Record an event without failing a request whose change already succeeded
+ */
+async function trackCollaborationEvent(notebookId, userId, action, metadata) {
+  try {
+    await recordCollaborationEvent(notebookId, userId, action, metadata);
+  } catch (error) {
+    console.warn(`Failed to record ${action} event (non-fatal):`, error?.message || error);
+  }
 }
 
 module.exports = router;
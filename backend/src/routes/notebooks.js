@@ -1,85 +1,41 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
-const { DynamoDBService, S3Service, SearchService, DYNAMODB_CONFIG, dynamoClient } = require('../config/aws');
-const { DescribeTableCommand, CreateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBService, S3Service, SearchService } = require('../config/storage');
+const { InvalidCursorError } = require('../config/cursor');
 const { requirePermission, requireNotebookAccess, ROLES } = require('../middleware/auth');
-const { triggerBackupLambda } = require('../services/backup');
+const { triggerBackupLambda, archiveDeletedNotebook } = require('../services/backup');
+const { mergeConcurrentSave, recordConflicts } = require('../services/conflicts');
+const { remapThreadsSafely } = require('../services/comments');
+const { reindexNotebookSafely } = require('../services/search');
+const { compareVersions } = require('../services/versionDiff');
+const {
+  recordVersionSafely,
+  recordCurrentVersionSafely,
+  refreshCurrentVersionSafely,
+  listVersions,
+  getVersion,
+  restoreVersion,
+  labelVersion,
+  listCheckpoints,
+  VersionError
+} = require('../services/versions');
+const { createBranch, listBranches, mergeBranch, BranchError } = require('../services/branches');
+const { restoreNotebookAt, restoreUserNotebooksAt, RestoreError } = require('../services/pointInTime');
+const {
+  createUpload,
+  completeUpload,
+  getDownloadUrl,
+  listAttachments,
+  externalizeAttachments,
+  migrateInlineAttachments,
+  withAttachmentUrls,
+  copyAttachments,
+  AttachmentError
+} = require('../services/attachments');
 
 const router = express.Router();
 
-const AUTO_CREATE_TABLES = (process.env.AUTO_CREATE_DYNAMODB_TABLES || 'true').toLowerCase() === 'true';
-
-async function ensureNotebooksTableExists() {
-  if (!AUTO_CREATE_TABLES) return;
-  const tableName = DYNAMODB_CONFIG.NOTEBOOKS_TABLE;
-  try {
-    await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }));
-  } catch (err) {
-    if (err.name === 'ResourceNotFoundException') {
-      await dynamoClient.send(new CreateTableCommand({
-        TableName: tableName,
-        BillingMode: 'PAY_PER_REQUEST',
-        AttributeDefinitions: [
-          { AttributeName: 'id', AttributeType: 'S' }
-        ],
-        KeySchema: [
-          { AttributeName: 'id', KeyType: 'HASH' }
-        ]
-      }));
-      // wait until ACTIVE
-      const start = Date.now();
-      const timeoutMs = 30000;
-      while (true) {
-        const desc = await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }));
-        const status = desc?.Table?.TableStatus;
-        if (status === 'ACTIVE') break;
-        if (Date.now() - start > timeoutMs) {
-          throw new Error(`DynamoDB table ${tableName} not ACTIVE after ${timeoutMs}ms (status=${status})`);
-        }
-        await new Promise(r => setTimeout(r, 1000));
-      }
-    } else {
-      throw err;
-    }
-  }
-}
-
-async function ensureVersionsTableExists() {
-  if (!AUTO_CREATE_TABLES) return;
-  const tableName = DYNAMODB_CONFIG.VERSIONS_TABLE;
-  try {
-    await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }));
-  } catch (err) {
-    if (err.name === 'ResourceNotFoundException') {
-      await dynamoClient.send(new CreateTableCommand({
-        TableName: tableName,
-        BillingMode: 'PAY_PER_REQUEST',
-        AttributeDefinitions: [
-          { AttributeName: 'id', AttributeType: 'S' }
-        ],
-        KeySchema: [
-          { AttributeName: 'id', KeyType: 'HASH' }
-        ]
-      }));
-      // wait until ACTIVE
-      const start = Date.now();
-      const timeoutMs = 30000;
-      while (true) {
-        const desc = await dynamoClient.send(new DescribeTableCommand({ TableName: tableName }));
-        const status = desc?.Table?.TableStatus;
-        if (status === 'ACTIVE') break;
-        if (Date.now() - start > timeoutMs) {
-          throw new Error(`DynamoDB table ${tableName} not ACTIVE after ${timeoutMs}ms (status=${status})`);
-        }
-        await new Promise(r => setTimeout(r, 1000));
-      }
-    } else {
-      throw err;
-    }
-  }
-}
-
 // Validation schemas
 const notebookSchema = Joi.object({
   title: Joi.string().required().min(1).max(255),
@@ -90,62 +46,131 @@ const notebookSchema = Joi.object({
   collaborators: Joi.array().items(Joi.string().email()).optional()
 });
 
+// Tags may be repeated (?tags=a&tags=b) or comma-separated (?tags=a,b)
+const listNotebooksQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(2048).optional(),
+  sort: Joi.string().valid('updated_at', 'created_at', 'title').default('updated_at'),
+  order: Joi.string().valid('asc', 'desc').optional(),
+  ownership: Joi.string().valid('all', 'mine', 'shared').default('all'),
+  search: Joi.string().max(255).optional(),
+  subject: Joi.string().max(100).optional(),
+  course: Joi.string().max(100).optional(),
+  tags: Joi.alternatives().try(
+    Joi.array().items(Joi.string().max(50)),
+    Joi.string().max(1000)
+  ).optional()
+}).unknown(true);
+
 const updateNotebookSchema = Joi.object({
   title: Joi.string().optional().min(1).max(255),
   content: Joi.object().optional(),
   subject: Joi.string().allow('').optional().max(100),
   course: Joi.string().allow('').optional().max(100),
   tags: Joi.array().items(Joi.string().max(50)).optional(),
-  collaborators: Joi.array().items(Joi.string().email()).optional()
+  collaborators: Joi.array().items(Joi.string().email()).optional(),
+  baseVersion: Joi.number().integer().min(1).optional(),
+  expectedVersion: Joi.number().integer().min(1).optional()
+});
+
+// At least one of label and pinned; a null or empty label clears it
+const versionLabelSchema = Joi.object({
+  label: Joi.string().trim().max(100).allow(null, '').optional(),
+  pinned: Joi.boolean().optional()
+}).or('label', 'pinned');
+
+const createBranchSchema = Joi.object({
+  name: Joi.string().trim().required().min(1).max(100),
+  fromVersion: Joi.number().integer().min(1).optional()
+});
+
+// Branch merges and point-in-time restores can be previewed
+const dryRunSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
 });
 
 /**
- * GET /api/notebooks
- * Get all notebooks for the authenticated user
+ * ETag for a notebook version
  */
-router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
-  try {
-    await ensureNotebooksTableExists();
-    const { page = 1, limit = 20, search, subject, course } = req.query;
-    const userId = req.user.id;
+function versionETag(version) {
+  return `"${version}"`;
+}
 
-    // Get user's notebooks from DynamoDB
-    let notebooks = await DynamoDBService.getUserNotebooks(userId);
+/**
+ * Version the caller expects to overwrite, from If-Match or the body.
+ * Returns null when the caller did not ask for a conditional save.
+ */
+function getExpectedVersion(req, value) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const match = ifMatch.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+  return value.expectedVersion ?? null;
+}
 
-    // Apply filters
-    if (search) {
-      notebooks = notebooks.filter(notebook => 
-        notebook.title.toLowerCase().includes(search.toLowerCase())
-      );
+/**
+ * 409 response carrying the server copy and a merge of the rejected save
+ * against it, so the client can offer a three-way merge
+ */
+async function sendVersionConflict(res, currentNotebook, expectedVersion, content) {
+  let merge = null;
+  if (content && Number.isInteger(expectedVersion) && expectedVersion < currentNotebook.version) {
+    try {
+      const result = await mergeConcurrentSave(currentNotebook, expectedVersion, content);
+      merge = { body: result.content.body, conflicts: result.conflicts };
+    } catch (e) {
+      console.warn('Merge preview failed (non-fatal):', e?.message || e);
     }
+  }
 
-    if (subject) {
-      notebooks = notebooks.filter(notebook => 
-        notebook.subject === subject
-      );
-    }
+  res.set('ETag', versionETag(currentNotebook.version));
+  return res.status(409).json({
+    error: {
+      message: 'Notebook has been changed by someone else',
+      code: 'VERSION_CONFLICT',
+      currentVersion: currentNotebook.version,
+      expectedVersion
+    },
+    notebook: currentNotebook,
+    merge
+  });
+}
 
-    if (course) {
-      notebooks = notebooks.filter(notebook => 
-        notebook.course === course
-      );
+/**
+ * GET /api/notebooks
+ * One page of the notebooks the user owns or collaborates on
+ */
+router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
+  try {
+    const { error, value } = listNotebooksQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      });
     }
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedNotebooks = notebooks.slice(startIndex, endIndex);
+    const { limit, cursor, sort, order, ownership, search, subject, course } = value;
+    const tags = (Array.isArray(value.tags) ? value.tags : (value.tags || '').split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
+
+    const page = await DynamoDBService.listNotebooks(req.user.id, {
+      ownership, sort, order, search, subject, course, tags, limit, cursor
+    });
 
     res.json({
-      notebooks: paginatedNotebooks,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(notebooks.length / limit),
-        totalItems: notebooks.length,
-        itemsPerPage: parseInt(limit)
-      }
+      notebooks: page.notebooks,
+      nextCursor: page.cursor,
+      hasMore: Boolean(page.cursor)
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
     console.error('Error fetching notebooks:', error);
     res.status(500).json({
       error: {
@@ -163,9 +188,8 @@ router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
  */
 router.get('/:id', requireNotebookAccess('read'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const notebookId = req.params.id;
-    const notebook = await DynamoDBService.getNotebook(notebookId);
+    let notebook = await DynamoDBService.getNotebook(notebookId);
 
     if (!notebook) {
       return res.status(404).json({
@@ -176,7 +200,20 @@ router.get('/:id', requireNotebookAccess('read'), async (req, res) => {
       });
     }
 
-    res.json({ notebook });
+    // Notebooks saved before attachments moved to S3 still carry them inline
+    try {
+      notebook = await migrateInlineAttachments(notebook);
+    } catch (e) {
+      console.warn('Attachment migration failed (non-fatal):', e?.message || e);
+    }
+
+    res.set('ETag', versionETag(notebook.version));
+    res.json({
+      notebook: {
+        ...notebook,
+        content: await withAttachmentUrls(notebookId, notebook.content)
+      }
+    });
   } catch (error) {
     console.error('Error fetching notebook:', error);
     res.status(500).json({
@@ -195,7 +232,6 @@ router.get('/:id', requireNotebookAccess('read'), async (req, res) => {
  */
 router.post('/', requirePermission('write_own_notebooks'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const { error, value } = notebookSchema.validate(req.body);
     
     if (error) {
@@ -210,10 +246,13 @@ router.post('/', requirePermission('write_own_notebooks'), async (req, res) => {
     const notebookId = uuidv4();
     const userId = req.user.id;
 
+    // Files go to S3; the item only keeps references
+    const { content } = await externalizeAttachments(notebookId, value.content, userId);
+
     const notebook = {
       id: notebookId,
       title: value.title,
-      content: value.content,
+      content,
       owner: userId,
       collaborators: value.collaborators || [],
       subject: value.subject || '',
@@ -227,6 +266,7 @@ router.post('/', requirePermission('write_own_notebooks'), async (req, res) => {
 
     // Save to DynamoDB (authoritative source)
     await DynamoDBService.createNotebook(notebook);
+    await recordVersionSafely(notebook, req.user, 'create');
 
     // Best-effort secondary operations
     const warnings = [];
@@ -277,11 +317,12 @@ router.post('/', requirePermission('write_own_notebooks'), async (req, res) => {
 
 /**
  * PUT /api/notebooks/:id
- * Update an existing notebook
+ * Update an existing notebook. Send the version being edited as an
+ * `If-Match` ETag or `expectedVersion` to get a 409 with the server copy if
+ * it has moved on, or as `baseVersion` to have concurrent saves merged.
  */
 router.put('/:id', requireNotebookAccess('write'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const { error, value } = updateNotebookSchema.validate(req.body);
     
     if (error) {
@@ -307,46 +348,88 @@ router.put('/:id', requireNotebookAccess('write'), async (req, res) => {
       });
     }
 
+    // Reject saves made against a version that is no longer current
+    const expectedVersion = getExpectedVersion(req, value);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({
+        error: {
+          message: 'If-Match must be a notebook version ETag',
+          code: 'INVALID_IF_MATCH'
+        }
+      });
+    }
+    if (expectedVersion !== null && expectedVersion !== currentNotebook.version) {
+      return sendVersionConflict(res, currentNotebook, expectedVersion, value.content);
+    }
+
     // Prepare updates
-    const updates = { ...value };
+    const { baseVersion, expectedVersion: _, ...updates } = value;
+    if (updates.content) {
+      updates.content = (await externalizeAttachments(notebookId, updates.content, userId)).content;
+    }
+
+    // A save built on an older version is merged with what was saved since;
+    // overlapping edits become conflict records
+    let merge = null;
+    if (updates.content && baseVersion && baseVersion < currentNotebook.version) {
+      merge = await mergeConcurrentSave(currentNotebook, baseVersion, updates.content);
+      updates.content = merge.content;
+    }
+
     if (updates.content) {
       updates.version = currentNotebook.version + 1;
-      
-      // Create version snapshot before updating
-      try {
-        
-        // Get user info for display
-        let contributorName = userId; // fallback to user ID
-        try {
-          const user = await DynamoDBService.getUserById(userId);
-          contributorName = user?.name || user?.email || userId;
-        } catch (userError) {
-          console.warn('Failed to fetch user info for version:', userError?.message || userError);
+
+      // Keep the version being replaced if live edits produced it
+      await recordCurrentVersionSafely(currentNotebook);
+    }
+
+    // Update in DynamoDB (authoritative); content saves only land on the
+    // version they were prepared against
+    try {
+      await DynamoDBService.updateNotebook(notebookId, { ...updates, updated_by: userId }, {
+        expectedVersion: updates.content ? currentNotebook.version : undefined
+      });
+    } catch (e) {
+      if (e?.name === 'ConditionalCheckFailedException') {
+        const latestNotebook = await DynamoDBService.getNotebook(notebookId);
+        if (!latestNotebook) {
+          return res.status(404).json({
+            error: {
+              message: 'Notebook not found',
+              code: 'NOTEBOOK_NOT_FOUND'
+            }
+          });
         }
-        
-        await DynamoDBService.createNotebookVersion(notebookId, {
-          version: currentNotebook.version,
-          content: currentNotebook.content,
-          title: currentNotebook.title,
-          contributor: userId,
-          contributorName: contributorName,
-          action: 'update',
-          metadata: {
-            previousVersion: currentNotebook.version,
-            newVersion: updates.version,
-            changeType: 'content_update',
-            timestamp: new Date().toISOString()
-          }
+        return sendVersionConflict(res, latestNotebook, currentNotebook.version, value.content);
+      }
+      throw e;
+    }
+
+    const warnings = [];
+
+    let conflicts = [];
+    if (merge && merge.conflicts.length > 0) {
+      try {
+        conflicts = await recordConflicts(notebookId, merge.conflicts, {
+          userId,
+          otherUserId: currentNotebook.updated_by,
+          baseVersion,
+          version: updates.version
         });
       } catch (e) {
-        console.warn('Version tracking failed (non-fatal):', e?.message || e);
+        console.warn('Conflict tracking failed (non-fatal):', e?.message || e);
+        warnings.push('Conflict tracking failed');
       }
     }
 
-    // Update in DynamoDB (authoritative)
-    await DynamoDBService.updateNotebook(notebookId, updates);
-
-    const warnings = [];
+    if (updates.content) {
+      await remapThreadsSafely(notebookId, {
+        fromVersion: currentNotebook.version,
+        toVersion: updates.version,
+        previousBody: currentNotebook.content?.body || '',
+        body: updates.content.body || ''
+      });
+    }
 
     // Best-effort backup and processing
     if (updates.content) {
@@ -373,6 +456,15 @@ router.put('/:id', requireNotebookAccess('write'), async (req, res) => {
     // Get updated notebook
     const updatedNotebook = await DynamoDBService.getNotebook(notebookId);
 
+    if (updates.content) {
+      await recordVersionSafely(updatedNotebook, req.user, 'update', {
+        previousVersion: currentNotebook.version,
+        ...(merge ? { mergedFromVersion: baseVersion } : {})
+      });
+    } else {
+      await refreshCurrentVersionSafely(updatedNotebook);
+    }
+
     try {
       await SearchService.indexNotebook(updatedNotebook);
     } catch (e) {
@@ -380,9 +472,17 @@ router.put('/:id', requireNotebookAccess('write'), async (req, res) => {
       warnings.push('Search indexing failed');
     }
 
+    res.set('ETag', versionETag(updatedNotebook.version));
     res.json({
       notebook: updatedNotebook,
       message: 'Notebook updated successfully',
+      ...(merge ? {
+        merge: {
+          baseVersion,
+          mergedWithVersion: currentNotebook.version,
+          conflicts: conflicts.map(c => c.conflictId)
+        }
+      } : {}),
       warnings
     });
   } catch (error) {
@@ -404,7 +504,6 @@ router.put('/:id', requireNotebookAccess('write'), async (req, res) => {
 router.delete('/:id', requireNotebookAccess('write'), async (req, res) => {
   try {
     console.log('Delete request for notebook:', req.params.id, 'by user:', req.user.id);
-    await ensureNotebooksTableExists();
     const notebookId = req.params.id;
     const userId = req.user.id;
 
@@ -419,13 +518,20 @@ router.delete('/:id', requireNotebookAccess('write'), async (req, res) => {
       return res.status(403).json({ error: { message: 'Only the owner can delete this notebook', code: 'NOT_OWNER' } });
     }
 
+    // Archive while the notebook is still there; point-in-time restore
+    // recreates deleted notebooks from the archive
+    try {
+      await archiveDeletedNotebook(notebookId, { deletedBy: userId });
+    } catch (e) {
+      console.warn('Deletion archive failed (non-fatal):', e?.message || e);
+    }
+
     console.log('Deleting notebook:', notebookId);
     // Hard delete from DynamoDB
     await DynamoDBService.deleteNotebook(notebookId);
     console.log('Notebook deleted successfully');
 
-    // Best-effort cleanup trigger
-    try { await triggerBackupLambda(notebookId, 'delete'); } catch {}
+    await reindexNotebookSafely(notebookId);
 
     res.json({ message: 'Notebook deleted successfully' });
   } catch (error) {
@@ -446,7 +552,6 @@ router.delete('/:id', requireNotebookAccess('write'), async (req, res) => {
  */
 router.post('/:id/collaborate', requireNotebookAccess('write'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const notebookId = req.params.id;
     const { collaborators, collaboratorIds } = req.body;
     const collaboratorList = collaborators || collaboratorIds;
@@ -479,6 +584,9 @@ router.post('/:id/collaborate', requireNotebookAccess('write'), async (req, res)
       collaborators: updatedCollaborators
     });
 
+    // Search results are limited to notebooks the user can open
+    await reindexNotebookSafely(notebookId);
+
     res.json({
       message: 'Collaborators added successfully',
       collaborators: updatedCollaborators
@@ -501,18 +609,16 @@ router.post('/:id/collaborate', requireNotebookAccess('write'), async (req, res)
  */
 router.get('/:id/activity', requireNotebookAccess('read'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const notebookId = req.params.id;
-    
-    // Get S3 versions for activity tracking
-    const versions = await S3Service.listVersions(notebookId);
-    
+    const { versions } = await listVersions(notebookId);
+
     const activity = versions.map(version => ({
-      versionId: version.VersionId,
-      lastModified: version.LastModified,
-      size: version.Size,
-      contributor: version.Metadata?.contributor || 'unknown'
-    })).sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+      version: version.version,
+      action: version.action,
+      timestamp: version.created_at,
+      contributor: version.contributor,
+      contributorName: version.contributorName
+    }));
 
     res.json({
       notebookId,
@@ -520,43 +626,43 @@ router.get('/:id/activity', requireNotebookAccess('read'), async (req, res) => {
       totalVersions: activity.length
     });
   } catch (error) {
-    console.error('Error fetching notebook activity:', error);
-    res.status(500).json({
-      error: {
-        message: process.env.NODE_ENV === 'development' && error?.message ? `Failed to fetch notebook activity: ${error.message}` : 'Failed to fetch notebook activity',
-        code: 'FETCH_ACTIVITY_ERROR',
-        awsCode: error?.name || undefined
-      }
-    });
+    sendVersionError(res, error, 'Failed to fetch notebook activity', 'FETCH_ACTIVITY_ERROR');
   }
 });
 
 /**
  * GET /api/notebooks/:id/versions
- * Get version history for a notebook
+ * Get version history for a notebook, newest first; the current version is
+ * marked `current`
  */
 router.get('/:id/versions', requireNotebookAccess('read'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
-    await ensureVersionsTableExists();
     const notebookId = req.params.id;
-    
-    const versions = await DynamoDBService.getNotebookVersions(notebookId);
-    
+
+    // `limit` pages through history; without it every version is returned
+    if (req.query.limit !== undefined || req.query.cursor !== undefined) {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const page = await listVersions(notebookId, { limit, cursor: req.query.cursor });
+      return res.json({
+        notebookId,
+        versions: page.versions,
+        nextCursor: page.cursor,
+        hasMore: Boolean(page.cursor)
+      });
+    }
+
+    const { versions } = await listVersions(notebookId);
+
     res.json({
       notebookId,
       versions,
       totalVersions: versions.length
     });
   } catch (error) {
-    console.error('Error fetching notebook versions:', error);
-    res.status(500).json({
-      error: {
-        message: process.env.NODE_ENV === 'development' && error?.message ? `Failed to fetch versions: ${error.message}` : 'Failed to fetch versions',
-        code: 'FETCH_VERSIONS_ERROR',
-        awsCode: error?.name || undefined
-      }
-    });
+    if (error instanceof InvalidCursorError) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    sendVersionError(res, error, 'Failed to fetch versions', 'FETCH_VERSIONS_ERROR');
   }
 });
 
@@ -566,149 +672,219 @@ router.get('/:id/versions', requireNotebookAccess('read'), async (req, res) => {
  */
 router.get('/:id/versions/:version', requireNotebookAccess('read'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
-    await ensureVersionsTableExists();
     const notebookId = req.params.id;
-    const version = parseInt(req.params.version);
-    
-    const versionData = await DynamoDBService.getNotebookVersion(notebookId, version);
-    
-    if (!versionData) {
-      return res.status(404).json({
-        error: {
-          message: 'Version not found',
-          code: 'VERSION_NOT_FOUND'
-        }
-      });
-    }
-    
+    const versionData = await getVersion(notebookId, req.params.version);
+
     res.json({
       notebookId,
-      version: versionData
+      version: {
+        ...versionData,
+        content: await withAttachmentUrls(notebookId, versionData.content)
+      }
     });
   } catch (error) {
-    console.error('Error fetching notebook version:', error);
-    res.status(500).json({
-      error: {
-        message: process.env.NODE_ENV === 'development' && error?.message ? `Failed to fetch version: ${error.message}` : 'Failed to fetch version',
-        code: 'FETCH_VERSION_ERROR',
-        awsCode: error?.name || undefined
-      }
+    sendVersionError(res, error, 'Failed to fetch version', 'FETCH_VERSION_ERROR');
+  }
+});
+
+/**
+ * GET /api/notebooks/:id/versions/:version/compare
+ * Diff from the version given as `against`, or from the current notebook
+ * without it, to `version`. Against the current notebook this is what
+ * restoring the version would change. `context` sets the unchanged lines
+ * kept around each change.
+ */
+router.get('/:id/versions/:version/compare', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const notebookId = req.params.id;
+    const against = req.query.against;
+
+    const [base, target] = await Promise.all([
+      against !== undefined ? getVersion(notebookId, against) : DynamoDBService.getNotebook(notebookId),
+      getVersion(notebookId, req.params.version)
+    ]);
+
+    res.json({
+      notebookId,
+      from: against !== undefined
+        ? { version: base.version, title: base.title, created_at: base.created_at }
+        : { version: base.version, title: base.title, current: true, updated_at: base.updated_at },
+      to: { version: target.version, title: target.title, created_at: target.created_at },
+      differences: compareVersions(base, target, { context: req.query.context })
     });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to compare versions', 'COMPARE_VERSIONS_ERROR');
   }
 });
 
 /**
  * POST /api/notebooks/:id/versions/:version/restore
- * Restore a notebook to a specific version
+ * Restore a notebook to a specific version as a new version
  */
 router.post('/:id/versions/:version/restore', requireNotebookAccess('write'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
-    await ensureVersionsTableExists();
-    const notebookId = req.params.id;
-    const version = parseInt(req.params.version);
-    const userId = req.user.id;
-    
-    // Get the version to restore
-    const versionData = await DynamoDBService.getNotebookVersion(notebookId, version);
-    if (!versionData) {
-      return res.status(404).json({
-        error: {
-          message: 'Version not found',
-          code: 'VERSION_NOT_FOUND'
-        }
-      });
-    }
-    
-    // Get current notebook
-    const currentNotebook = await DynamoDBService.getNotebook(notebookId);
-    if (!currentNotebook) {
-      return res.status(404).json({
-        error: {
-          message: 'Notebook not found',
-          code: 'NOTEBOOK_NOT_FOUND'
-        }
-      });
-    }
-    
-    // Create version snapshot of current state before restore
-    try {
-      let contributorName = userId; // fallback to user ID
-      try {
-        const user = await DynamoDBService.getUserById(userId);
-        contributorName = user?.name || user?.email || userId;
-      } catch (userError) {
-        console.warn('Failed to fetch user info for restore backup:', userError?.message || userError);
+    const { restoredVersion, newVersion } = await restoreVersion(req.params.id, req.params.version, req.user);
+
+    res.json({
+      message: `Notebook restored to version ${restoredVersion}`,
+      restoredVersion,
+      newVersion
+    });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to restore version', 'RESTORE_VERSION_ERROR');
+  }
+});
+
+/**
+ * PUT /api/notebooks/:id/versions/:version/label
+ * Name a version ("Submitted HW3") and pin it so retention cleanup keeps it
+ */
+router.put('/:id/versions/:version/label', requireNotebookAccess('write'), async (req, res) => {
+  const { error, value } = versionLabelSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
       }
-      
-      await DynamoDBService.createNotebookVersion(notebookId, {
-        version: currentNotebook.version,
-        content: currentNotebook.content,
-        title: currentNotebook.title,
-        contributor: userId,
-        contributorName: contributorName,
-        action: 'restore_backup',
-        metadata: {
-          restoredToVersion: version,
-          changeType: 'restore_backup',
-          timestamp: new Date().toISOString()
-        }
-      });
-    } catch (e) {
-      console.warn('Version backup failed (non-fatal):', e?.message || e);
-    }
-    
-    // Restore to the specified version
-    const newVersion = currentNotebook.version + 1;
-    await DynamoDBService.updateNotebook(notebookId, {
-      content: versionData.content,
-      title: versionData.title,
-      version: newVersion
     });
-    
-    // Create version entry for the restore action
-    let contributorName = userId; // fallback to user ID
-    try {
-      const user = await DynamoDBService.getUserById(userId);
-      contributorName = user?.name || user?.email || userId;
-    } catch (userError) {
-      console.warn('Failed to fetch user info for restore:', userError?.message || userError);
-    }
-    
-    await DynamoDBService.createNotebookVersion(notebookId, {
-      version: newVersion,
-      content: versionData.content,
-      title: versionData.title,
-      contributor: userId,
-      contributorName: contributorName,
-      action: 'restore',
-      metadata: {
-        restoredFromVersion: version,
-        changeType: 'restore',
-        timestamp: new Date().toISOString()
+  }
+
+  try {
+    const version = await labelVersion(req.params.id, req.params.version, {
+      label: value.label === undefined ? undefined : value.label || null,
+      pinned: value.pinned
+    });
+    res.json({ notebookId: req.params.id, version });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to label version', 'LABEL_VERSION_ERROR');
+  }
+});
+
+/**
+ * GET /api/notebooks/:id/checkpoints
+ * Labeled and pinned versions, newest first
+ */
+router.get('/:id/checkpoints', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const checkpoints = await listCheckpoints(req.params.id);
+    res.json({ notebookId: req.params.id, checkpoints });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to fetch checkpoints', 'FETCH_CHECKPOINTS_ERROR');
+  }
+});
+
+/**
+ * GET /api/notebooks/:id/branches
+ * Branches forked from the notebook, newest first
+ */
+router.get('/:id/branches', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const branches = await listBranches(req.params.id);
+    res.json({ notebookId: req.params.id, branches });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to fetch branches', 'FETCH_BRANCHES_ERROR');
+  }
+});
+
+/**
+ * POST /api/notebooks/:id/branches
+ * Fork a version (the current one unless `fromVersion` is given) into a
+ * branch notebook that can be edited and merged back
+ */
+router.post('/:id/branches', requireNotebookAccess('write'), async (req, res) => {
+  const { error, value } = createBranchSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
       }
     });
-    
-    res.json({
-      message: `Notebook restored to version ${version}`,
-      restoredVersion: version,
-      newVersion: newVersion
+  }
+
+  try {
+    const { branch, notebook } = await createBranch(req.params.id, value, req.user);
+    res.status(201).json({ branch, notebook });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to create branch', 'CREATE_BRANCH_ERROR');
+  }
+});
+
+/**
+ * POST /api/notebooks/:id/branches/:branchId/merge
+ * Merge a branch back as a new version. Passages changed on both sides keep
+ * the branch's text and are recorded as conflicts to resolve; `dryRun`
+ * previews the merge without writing it.
+ */
+router.post('/:id/branches/:branchId/merge', requireNotebookAccess('write'), async (req, res) => {
+  const { error, value } = dryRunSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
     });
+  }
+
+  try {
+    const result = await mergeBranch(req.params.id, req.params.branchId, req.user, value);
+    res.json({ notebookId: req.params.id, ...result });
   } catch (error) {
-    console.error('Error restoring notebook version:', error);
-    res.status(500).json({
+    sendVersionError(res, error, 'Failed to merge branch', 'MERGE_BRANCH_ERROR');
+  }
+});
+
+/**
+ * POST /api/notebooks/:id/restore?at=<ISO timestamp>
+ * Restore the notebook as it was at `at` as a new version, from whichever
+ * version, backup or save copy was recorded last before it. `dryRun`
+ * previews the state found and its differences from the notebook now.
+ */
+router.post('/:id/restore', requireNotebookAccess('write'), async (req, res) => {
+  const { error, value } = dryRunSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
       error: {
-        message: process.env.NODE_ENV === 'development' && error?.message ? `Failed to restore version: ${error.message}` : 'Failed to restore version',
-        code: 'RESTORE_VERSION_ERROR',
-        awsCode: error?.name || undefined
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
       }
     });
   }
+
+  try {
+    res.json(await restoreNotebookAt(req.params.id, req.query.at, req.user, value));
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to restore notebook', 'RESTORE_NOTEBOOK_ERROR');
+  }
 });
+
+/**
+ * POST /api/notebooks/users/:userId/restore?at=<ISO timestamp>
+ * Restore every notebook a user owns to how it was at `at`, recreating
+ * those deleted since (admin only). `dryRun` reports without writing.
+ */
+router.post('/users/:userId/restore', requirePermission('restore_user_notebooks'), async (req, res) => {
+  const { error, value } = dryRunSchema.validate(req.body || {});
+  if (error) {
+    return res.status(400).json({
+      error: {
+        message: error.details[0].message,
+        code: 'VALIDATION_ERROR'
+      }
+    });
+  }
+
+  try {
+    res.json(await restoreUserNotebooksAt(req.params.userId, req.query.at, req.user, value));
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to restore user notebooks', 'RESTORE_USER_NOTEBOOKS_ERROR');
+  }
+});
+
 router.post('/:id/duplicate', requireNotebookAccess('read'), async (req, res) => {
   try {
-    await ensureNotebooksTableExists();
     const sourceNotebookId = req.params.id;
     const userId = req.user.id;
     const { title } = req.body;
@@ -724,12 +900,14 @@ router.post('/:id/duplicate', requireNotebookAccess('read'), async (req, res) =>
       });
     }
 
-    // Create new notebook
+    // Create new notebook with its own copies of the attachments
     const newNotebookId = uuidv4();
+    const migratedSource = await migrateInlineAttachments(sourceNotebook);
+    const content = await copyAttachments(sourceNotebookId, newNotebookId, migratedSource.content, userId);
     const duplicatedNotebook = {
       id: newNotebookId,
       title: title || `Copy of ${sourceNotebook.title}`,
-      content: sourceNotebook.content,
+      content,
       owner: userId,
       collaborators: [],
       subject: sourceNotebook.subject,
@@ -743,6 +921,7 @@ router.post('/:id/duplicate', requireNotebookAccess('read'), async (req, res) =>
 
     // Save to DynamoDB
     await DynamoDBService.createNotebook(duplicatedNotebook);
+    await recordVersionSafely(duplicatedNotebook, req.user, 'duplicate', { sourceNotebook: sourceNotebookId });
 
     // Create backup in S3
     await S3Service.uploadNotebook(newNotebookId, duplicatedNotebook.content, {
@@ -770,4 +949,104 @@ router.post('/:id/duplicate', requireNotebookAccess('read'), async (req, res) =>
   }
 });
 
+/**
+ * GET /api/notebooks/:id/attachments
+ * Uploaded attachments of a notebook
+ */
+router.get('/:id/attachments', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const attachments = await listAttachments(req.params.id);
+    res.json({ notebookId: req.params.id, attachments });
+  } catch (error) {
+    sendAttachmentError(res, error, 'Failed to list attachments', 'LIST_ATTACHMENTS_ERROR');
+  }
+});
+
+/**
+ * POST /api/notebooks/:id/attachments
+ * Start an upload: { name, type, size } → presigned PUT. Reference the
+ * attachment in content.attachments once /complete succeeds.
+ */
+router.post('/:id/attachments', requireNotebookAccess('write'), async (req, res) => {
+  try {
+    const { name, type, size } = req.body || {};
+    const result = await createUpload(req.params.id, req.user, { name, type, size });
+    res.status(201).json(result);
+  } catch (error) {
+    sendAttachmentError(res, error, 'Failed to start upload', 'CREATE_UPLOAD_ERROR');
+  }
+});
+
+/**
+ * POST /api/notebooks/:id/attachments/:attachmentId/complete
+ * Confirm the presigned upload finished
+ */
+router.post('/:id/attachments/:attachmentId/complete', requireNotebookAccess('write'), async (req, res) => {
+  try {
+    const attachment = await completeUpload(req.params.id, req.params.attachmentId);
+    res.json({
+      attachment: {
+        id: attachment.id,
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.size
+      }
+    });
+  } catch (error) {
+    sendAttachmentError(res, error, 'Failed to complete upload', 'COMPLETE_UPLOAD_ERROR');
+  }
+});
+
+/**
+ * GET /api/notebooks/:id/attachments/:attachmentId/download
+ * Presigned GET for an attachment; ?inline=true to display rather than save
+ */
+router.get('/:id/attachments/:attachmentId/download', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const result = await getDownloadUrl(req.params.id, req.params.attachmentId, {
+      inline: req.query.inline === 'true'
+    });
+    res.json(result);
+  } catch (error) {
+    sendAttachmentError(res, error, 'Failed to create download link', 'DOWNLOAD_ATTACHMENT_ERROR');
+  }
+});
+
+function sendAttachmentError(res, error, message, code) {
+  if (error instanceof AttachmentError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message,
+      code
+    }
+  });
+}
+
+function sendVersionError(res, error, message, code) {
+  if (error instanceof VersionError || error instanceof BranchError || error instanceof RestoreError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message: process.env.NODE_ENV === 'development' && error?.message ? `${message}: ${error.message}` : message,
+      code,
+      awsCode: error?.name || undefined
+    }
+  });
+}
+
 module.exports = router;
@@ -1,12 +1,49 @@
 const express = require('express');
-const { SearchService } = require('../config/aws');
+const Joi = require('joi');
+const { SearchService } = require('../config/storage');
 const { requirePermission } = require('../middleware/auth');
+const { SearchQueryError, QUERY_FIELDS, buildAdvancedQuery } = require('../services/searchQuery');
+const { SearchAnalyticsError, recordSearchSafely, recordClick, getSearchAnalytics } = require('../services/searchAnalytics');
 
 const router = express.Router();
 
+const advancedSearchSchema = Joi.object({
+  query: Joi.string().allow('').max(1000).optional(),
+  queries: Joi.array().items(Joi.object({
+    query: Joi.string().required().max(1000),
+    field: Joi.string().valid(...QUERY_FIELDS).optional()
+  })).max(20).default([]),
+  operator: Joi.string().uppercase().valid('AND', 'OR').default('AND'),
+  filters: Joi.object({
+    subject: Joi.string().max(100),
+    course: Joi.string().max(100),
+    owner: Joi.string().max(100),
+    tags: Joi.alternatives().try(
+      Joi.array().items(Joi.string().max(50)),
+      Joi.string().max(1000)
+    ),
+    dateFrom: Joi.string().isoDate(),
+    dateTo: Joi.string().isoDate()
+  }).default({}),
+  sortBy: Joi.string().valid('relevance', 'updated_at', 'created_at').default('relevance'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const clickSchema = Joi.object({
+  searchId: Joi.string().required().max(100),
+  notebookId: Joi.string().required().max(100)
+});
+
+// keyword: every word must match; semantic: closest in meaning by
+// embeddings; hybrid: both, merged
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
 /**
  * GET /api/search
- * Search notebooks with AI-powered natural language queries
+ * Search over the notebooks the user can open. In keyword mode words are
+ * stemmed and all must match; "quoted phrases" match in order.
  */
 router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
   try {
@@ -14,14 +51,9 @@ router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
       q: query, 
       page = 1, 
       limit = 20, 
-      subject, 
-      course, 
-      owner, 
-      tags,
-      dateFrom,
-      dateTo,
       sortBy = 'relevance',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      mode = 'keyword'
     } = req.query;
 
     if (!query) {
@@ -33,47 +65,68 @@ router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: {
+          message: `mode must be one of ${SEARCH_MODES.join(', ')}`,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
     const userId = req.user.id;
     const userRole = req.user.role;
 
-    // Build search filters
-    const filters = {
-      subject,
-      course,
-      owner,
-      tags: tags ? tags.split(',') : undefined,
-      dateFrom,
-      dateTo
-    };
-
-    // Perform search
-    const searchResults = await SearchService.searchNotebooks(query, userId, filters);
+    const filters = searchFilters(req.query);
+
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const resultsPerPage = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const startedAt = Date.now();
+
+    // The engine ranks, filters and pages; only the page is post-processed
+    const search = {
+      keyword: SearchService.searchNotebooks,
+      semantic: SearchService.semanticSearch,
+      hybrid: SearchService.hybridSearch
+    }[mode];
+    const { total, results } = await search.call(SearchService, query, userId, filters, {
+      from: (currentPage - 1) * resultsPerPage,
+      size: resultsPerPage
+    });
 
     // Apply role-based filtering
-    const filteredResults = await filterSearchResultsByRole(searchResults, userId, userRole);
-
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedResults = filteredResults.slice(startIndex, endIndex);
+    const filteredResults = await filterSearchResultsByRole(results, userId, userRole);
 
     // Enhance results with additional metadata
-    const enhancedResults = await enhanceSearchResults(paginatedResults);
+    const enhancedResults = await enhanceSearchResults(filteredResults);
+
+    const searchTime = Date.now() - startedAt;
+    const searchId = await recordSearchSafely(req.user, {
+      query,
+      mode,
+      filters,
+      total,
+      results: enhancedResults,
+      offset: (currentPage - 1) * resultsPerPage,
+      latencyMs: searchTime
+    });
 
     res.json({
+      searchId,
       query,
+      mode,
       results: enhancedResults,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(filteredResults.length / limit),
-        totalResults: filteredResults.length,
-        resultsPerPage: parseInt(limit)
+        currentPage,
+        totalPages: Math.ceil(total / resultsPerPage),
+        totalResults: total,
+        resultsPerPage
       },
       filters: {
         applied: Object.keys(filters).filter(key => filters[key]),
         available: ['subject', 'course', 'owner', 'tags', 'dateFrom', 'dateTo']
       },
-      searchTime: Date.now() // In production, calculate actual search time
+      searchTime
     });
   } catch (error) {
     console.error('Search error:', error);
@@ -88,68 +141,19 @@ router.get('/', requirePermission('read_own_notebooks'), async (req, res) => {
 
 /**
  * GET /api/search/suggestions
- * Get search suggestions based on user's notebooks and activity
+ * Autocomplete from the titles, tags, courses, subjects and words of the
+ * user's notebooks, most used first
  */
 router.get('/suggestions', requirePermission('read_own_notebooks'), async (req, res) => {
   try {
-    const { q: query } = req.query;
-    const userId = req.user.id;
+    const { q: query = '' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
 
-    // Get user's notebook titles and tags for suggestions
-    const { DynamoDBService } = require('../config/aws');
-    const userNotebooks = await DynamoDBService.getUserNotebooks(userId);
-
-    const suggestions = [];
-
-    if (query && query.length > 0) {
-      // Find matching titles
-      const titleMatches = userNotebooks
-        .filter(notebook => 
-          notebook.title.toLowerCase().includes(query.toLowerCase())
-        )
-        .map(notebook => ({
-          type: 'title',
-          text: notebook.title,
-          notebookId: notebook.id
-        }));
-
-      suggestions.push(...titleMatches.slice(0, 5));
-
-      // Find matching subjects
-      const subjects = [...new Set(userNotebooks.map(n => n.subject).filter(Boolean))];
-      const subjectMatches = subjects
-        .filter(subject => subject.toLowerCase().includes(query.toLowerCase()))
-        .map(subject => ({
-          type: 'subject',
-          text: subject
-        }));
-
-      suggestions.push(...subjectMatches.slice(0, 3));
-
-      // Find matching courses
-      const courses = [...new Set(userNotebooks.map(n => n.course).filter(Boolean))];
-      const courseMatches = courses
-        .filter(course => course.toLowerCase().includes(query.toLowerCase()))
-        .map(course => ({
-          type: 'course',
-          text: course
-        }));
-
-      suggestions.push(...courseMatches.slice(0, 3));
-    } else {
-      // Popular searches for this user (mock data)
-      suggestions.push(
-        { type: 'recent', text: 'machine learning notes' },
-        { type: 'recent', text: 'database design' },
-        { type: 'recent', text: 'algorithm analysis' },
-        { type: 'popular', text: 'data structures' },
-        { type: 'popular', text: 'web development' }
-      );
-    }
+    const suggestions = await SearchService.suggest(String(query), req.user.id, { limit });
 
     res.json({
-      query: query || '',
-      suggestions: suggestions.slice(0, 10)
+      query,
+      suggestions
     });
   } catch (error) {
     console.error('Search suggestions error:', error);
@@ -164,32 +168,28 @@ router.get('/suggestions', requirePermission('read_own_notebooks'), async (req,
 
 /**
  * GET /api/search/facets
- * Get search facets (filters) available for the user
+ * Counts per subject, course, tag, owner and update date over the user's
+ * notebooks matching the optional `q` and the same filters as GET /api/search
  */
 router.get('/facets', requirePermission('read_own_notebooks'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { DynamoDBService } = require('../config/aws');
-    
-    const userNotebooks = await DynamoDBService.getUserNotebooks(userId);
-
-    const facets = {
-      subjects: [...new Set(userNotebooks.map(n => n.subject).filter(Boolean))],
-      courses: [...new Set(userNotebooks.map(n => n.course).filter(Boolean))],
-      owners: [...new Set(userNotebooks.map(n => n.owner))],
-      collaborators: [...new Set(userNotebooks.flatMap(n => n.collaborators || []))],
-      tags: [...new Set(userNotebooks.flatMap(n => n.tags || []))],
-      dateRanges: [
-        { label: 'Last week', value: 'week' },
-        { label: 'Last month', value: 'month' },
-        { label: 'Last 3 months', value: '3months' },
-        { label: 'Last year', value: 'year' }
-      ]
-    };
+    const { q: query } = req.query;
+    const filters = searchFilters(req.query);
+
+    const { total, facets } = await SearchService.facets(query, req.user.id, filters);
+
+    // Owners are user ids; include names for display
+    const { DynamoDBService } = require('../config/storage');
+    facets.owners = await Promise.all(facets.owners.map(async owner => {
+      const user = await DynamoDBService.getUserById(owner.value).catch(() => null);
+      return { ...owner, name: user?.name || null };
+    }));
 
     res.json({
+      query: query || '',
+      filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
       facets,
-      totalNotebooks: userNotebooks.length
+      totalNotebooks: total
     });
   } catch (error) {
     console.error('Search facets error:', error);
@@ -204,66 +204,91 @@ router.get('/facets', requirePermission('read_own_notebooks'), async (req, res)
 
 /**
  * POST /api/search/advanced
- * Advanced search with complex queries
+ * Boolean search. `query` uses the query syntax (tag:ml AND course:"CS 229"
+ * -draft updated:>2026-01-01); each of `queries` is { query, field? } and
+ * they are joined by `operator`. Both parts must match when both are given.
  */
 router.post('/advanced', requirePermission('read_own_notebooks'), async (req, res) => {
   try {
-    const {
-      queries, // Array of query objects
-      operator = 'AND', // AND/OR
-      filters = {},
-      sortBy = 'relevance',
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20
-    } = req.body;
-
-    if (!queries || !Array.isArray(queries) || queries.length === 0) {
+    const { error, value } = advancedSearchSchema.validate(req.body || {});
+    if (error) {
       return res.status(400).json({
         error: {
-          message: 'At least one query is required',
-          code: 'NO_QUERIES'
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
         }
       });
     }
 
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Build complex search query
-    const searchQuery = {
-      queries,
-      operator,
-      filters,
-      sortBy,
-      sortOrder
+    const { query, queries, operator, sortBy, sortOrder, page, limit } = value;
+    const filters = {
+      ...value.filters,
+      tags: value.filters.tags
+        ? (Array.isArray(value.filters.tags) ? value.filters.tags : value.filters.tags.split(','))
+          .map(tag => tag.trim())
+          .filter(Boolean)
+        : undefined
     };
 
-    // Execute advanced search
-    const searchResults = await executeAdvancedSearch(searchQuery, userId);
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const startedAt = Date.now();
+
+    const tree = buildAdvancedQuery({ query, queries, operator });
+    const { total, results } = await SearchService.advancedSearch(tree, userId, filters, {
+      sort: sortBy,
+      order: sortOrder,
+      from: (page - 1) * limit,
+      size: limit
+    });
 
     // Apply role-based filtering
-    const filteredResults = await filterSearchResultsByRole(searchResults, userId, userRole);
-
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedResults = filteredResults.slice(startIndex, endIndex);
+    const filteredResults = await filterSearchResultsByRole(results, userId, userRole);
 
     // Enhance results
-    const enhancedResults = await enhanceSearchResults(paginatedResults);
+    const enhancedResults = await enhanceSearchResults(filteredResults);
+
+    const searchTime = Date.now() - startedAt;
+    const searchId = await recordSearchSafely(req.user, {
+      query: [query, ...queries.map(entry => (entry.field ? `${entry.field}:(${entry.query})` : entry.query))]
+        .filter(Boolean)
+        .join(` ${operator} `),
+      mode: 'advanced',
+      filters,
+      total,
+      results: enhancedResults,
+      offset: (page - 1) * limit,
+      latencyMs: searchTime
+    });
 
     res.json({
-      searchQuery,
+      searchId,
+      searchQuery: {
+        query,
+        queries,
+        operator,
+        filters,
+        sortBy,
+        sortOrder
+      },
       results: enhancedResults,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(filteredResults.length / limit),
-        totalResults: filteredResults.length,
-        resultsPerPage: parseInt(limit)
-      }
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalResults: total,
+        resultsPerPage: limit
+      },
+      searchTime
     });
   } catch (error) {
+    if (error instanceof SearchQueryError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
     console.error('Advanced search error:', error);
     res.status(500).json({
       error: {
@@ -274,45 +299,81 @@ router.post('/advanced', requirePermission('read_own_notebooks'), async (req, re
   }
 });
 
+/**
+ * POST /api/search/clicks
+ * Record that the user opened `notebookId` from the results of `searchId`
+ * (returned by GET /api/search and POST /api/search/advanced)
+ */
+router.post('/clicks', requirePermission('read_own_notebooks'), async (req, res) => {
+  try {
+    const { error, value } = clickSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: {
+          message: error.details[0].message,
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const click = await recordClick(req.user, value.searchId, value.notebookId);
+
+    res.status(201).json({
+      searchId: value.searchId,
+      click
+    });
+  } catch (error) {
+    if (error instanceof SearchAnalyticsError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
+    console.error('Search click error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to record search click',
+        code: 'CLICK_ERROR'
+      }
+    });
+  }
+});
+
 /**
  * GET /api/search/analytics
- * Get search analytics for the user
+ * Top queries, zero-result queries and click-through per course or user,
+ * from logged searches. Teachers see searches by students; admins see all.
  */
-router.get('/analytics', requirePermission('read_own_notebooks'), async (req, res) => {
+router.get('/analytics', requirePermission('view_search_analytics'), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const { from, to, course, userId, groupBy } = req.query;
 
-    // Mock analytics data (in production, this would come from actual search logs)
-    const analytics = {
-      totalSearches: 156,
-      topQueries: [
-        { query: 'machine learning', count: 23 },
-        { query: 'database design', count: 18 },
-        { query: 'algorithms', count: 15 },
-        { query: 'web development', count: 12 },
-        { query: 'data structures', count: 10 }
-      ],
-      searchTrends: [
-        { date: '2024-01-01', searches: 15 },
-        { date: '2024-01-02', searches: 22 },
-        { date: '2024-01-03', searches: 18 },
-        { date: '2024-01-04', searches: 25 },
-        { date: '2024-01-05', searches: 20 }
-      ],
-      averageResultsPerSearch: 8.5,
-      mostAccessedNotebooks: [
-        { notebookId: 'notebook-1', title: 'ML Fundamentals', accessCount: 45 },
-        { notebookId: 'notebook-2', title: 'Database Theory', accessCount: 38 },
-        { notebookId: 'notebook-3', title: 'Algorithm Design', accessCount: 32 }
-      ]
-    };
+    const analytics = await getSearchAnalytics(req.user, { from, to, course, userId, groupBy });
+
+    // Include titles for display; notebooks deleted since are left out
+    const { DynamoDBService } = require('../config/storage');
+    const notebooks = await Promise.all(analytics.mostClickedNotebooks.map(entry =>
+      DynamoDBService.getNotebook(entry.notebookId).catch(() => null)
+    ));
+    analytics.mostClickedNotebooks = analytics.mostClickedNotebooks
+      .map((entry, i) => (notebooks[i] ? { ...entry, title: notebooks[i].title } : null))
+      .filter(Boolean);
 
     res.json({
-      userId,
       analytics,
       generatedAt: new Date().toISOString()
     });
   } catch (error) {
+    if (error instanceof SearchAnalyticsError) {
+      return res.status(error.status).json({
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      });
+    }
     console.error('Search analytics error:', error);
     res.status(500).json({
       error: {
@@ -324,6 +385,17 @@ router.get('/analytics', requirePermission('read_own_notebooks'), async (req, re
 });
 
 // Helper functions
+function searchFilters({ subject, course, owner, tags, dateFrom, dateTo }) {
+  return {
+    subject,
+    course,
+    owner,
+    tags: tags ? String(tags).split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+    dateFrom,
+    dateTo
+  };
+}
+
 async function filterSearchResultsByRole(results, userId, userRole) {
   // Filter results based on user role and permissions
   const { canAccessNotebook } = require('../middleware/auth');
@@ -342,7 +414,7 @@ async function filterSearchResultsByRole(results, userId, userRole) {
 
 async function enhanceSearchResults(results) {
   // Enhance results with additional metadata
-  const { DynamoDBService } = require('../config/aws');
+  const { DynamoDBService } = require('../config/storage');
   
   const enhancedResults = [];
   
@@ -374,27 +446,4 @@ async function enhanceSearchResults(results) {
   return enhancedResults;
 }
 
-async function executeAdvancedSearch(searchQuery, userId) {
-  // Mock implementation for advanced search
-  // In production, this would use OpenSearch/Elasticsearch with complex queries
-  
-  console.log('Executing advanced search:', searchQuery, 'for user:', userId);
-  
-  // Return mock results
-  return [
-    {
-      notebookId: 'notebook-1',
-      score: 0.95,
-      highlights: ['machine learning algorithm'],
-      matchedFields: ['title', 'content']
-    },
-    {
-      notebookId: 'notebook-2',
-      score: 0.87,
-      highlights: ['neural network implementation'],
-      matchedFields: ['content', 'tags']
-    }
-  ];
-}
-
 module.exports = router;
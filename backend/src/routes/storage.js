@@ -0,0 +1,85 @@
+const express = require('express');
+const { S3Service } = require('../config/storage');
+const { verifyObjectUrl } = require('../config/local');
+const { MAX_ATTACHMENT_BYTES } = require('../services/attachments');
+
+// Stands in for S3 presigned URLs when STORAGE_PROVIDER=local. Requests
+// are authorized by the URL's signature, not a bearer token.
+const router = express.Router();
+
+function objectKey(req) {
+  return req.params[0];
+}
+
+function sendInvalidUrl(res) {
+  res.status(403).json({
+    error: {
+      message: 'The storage URL is invalid or has expired',
+      code: 'INVALID_STORAGE_URL'
+    }
+  });
+}
+
+/**
+ * PUT /api/storage/objects/*
+ * Upload to a URL from S3Service.getUploadUrl
+ */
+router.put('/objects/*', express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }), async (req, res) => {
+  try {
+    const key = objectKey(req);
+    const signed = verifyObjectUrl('PUT', key, req.query);
+    if (!signed) return sendInvalidUrl(res);
+
+    const contentType = req.get('content-type') || '';
+    if (signed.contentType && contentType !== signed.contentType) {
+      return sendInvalidUrl(res);
+    }
+
+    const { etag } = await S3Service.putObject(key, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), contentType);
+    res.set('ETag', etag).status(200).end();
+  } catch (error) {
+    console.error('Error storing object:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to store object',
+        code: 'STORAGE_UPLOAD_ERROR'
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/storage/objects/*
+ * Download from a URL from S3Service.getDownloadUrl
+ */
+router.get('/objects/*', async (req, res) => {
+  try {
+    const key = objectKey(req);
+    const signed = verifyObjectUrl('GET', key, req.query);
+    if (!signed) return sendInvalidUrl(res);
+
+    if (!await S3Service.headObject(key)) {
+      return res.status(404).json({
+        error: {
+          message: 'Object not found',
+          code: 'OBJECT_NOT_FOUND'
+        }
+      });
+    }
+
+    const { body, contentType } = await S3Service.getObject(key);
+    res.set('Content-Type', signed.contentType || contentType);
+    if (signed.disposition) res.set('Content-Disposition', signed.disposition);
+    res.send(body);
+  } catch (error) {
+    console.error('Error reading object:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to read object',
+        code: 'STORAGE_DOWNLOAD_ERROR'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,222 +1,298 @@
 const express = require('express');
-const { S3Service } = require('../config/aws');
-const { requireNotebookAccess } = require('../middleware/auth');
+const Joi = require('joi');
+const { InvalidCursorError } = require('../config/cursor');
+const { requireNotebookAccess, requirePermission } = require('../middleware/auth');
+const { compareVersions } = require('../services/versionDiff');
+const { listVersions, getVersion, restoreVersion, VersionError } = require('../services/versions');
+const {
+  getNotebookPolicy,
+  setNotebookPolicy,
+  clearNotebookPolicy,
+  listRolePolicies,
+  setRolePolicy,
+  clearRolePolicy,
+  compactVersions,
+  RetentionError
+} = require('../services/retention');
+
+/**
+ * Version history by notebook id and version number. Same store as
+ * /api/notebooks/:id/versions.
+ */
 
 const router = express.Router();
 
+// Each tier reaches at least as far back as the one before; a null
+// weeklyDays keeps weekly versions forever
+const retentionPolicySchema = Joi.object({
+  keepAllDays: Joi.number().integer().min(0).max(3650).required(),
+  hourlyDays: Joi.number().integer().min(Joi.ref('keepAllDays')).max(3650).required(),
+  dailyDays: Joi.number().integer().min(Joi.ref('hourlyDays')).max(3650).required(),
+  weeklyDays: Joi.number().integer().min(Joi.ref('dailyDays')).max(36500).allow(null).default(null)
+});
+
+/**
+ * GET /api/versions/retention/roles
+ * Retention policy of each role (admin only)
+ */
+router.get('/retention/roles', requirePermission('manage_retention_policies'), async (req, res) => {
+  try {
+    res.json({ roles: await listRolePolicies() });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to fetch retention policies', 'FETCH_RETENTION_ERROR');
+  }
+});
+
+/**
+ * PUT /api/versions/retention/roles/:role
+ * Set the retention policy for notebooks owned by a role (admin only)
+ */
+router.put('/retention/roles/:role', requirePermission('manage_retention_policies'), async (req, res) => {
+  const { error, value } = retentionPolicySchema.validate(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    res.json(await setRolePolicy(req.params.role, value, req.user));
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to update retention policy', 'UPDATE_RETENTION_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/versions/retention/roles/:role
+ * Remove a role's policy; its notebooks follow the default (admin only)
+ */
+router.delete('/retention/roles/:role', requirePermission('manage_retention_policies'), async (req, res) => {
+  try {
+    res.json(await clearRolePolicy(req.params.role));
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to remove retention policy', 'DELETE_RETENTION_ERROR');
+  }
+});
+
 /**
  * GET /api/versions/:notebookId
- * Get all versions of a notebook
+ * Get all versions of a notebook, newest first. `limit` and `cursor` page
+ * through them.
  */
 router.get('/:notebookId', requireNotebookAccess('read'), async (req, res) => {
   try {
     const notebookId = req.params.notebookId;
-    
-    // Get all versions from S3
-    const versions = await S3Service.listVersions(notebookId);
-    
+
+    const paged = req.query.limit !== undefined || req.query.cursor !== undefined;
+    const { versions, cursor } = await listVersions(notebookId, paged
+      ? { limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100), cursor: req.query.cursor }
+      : {});
+
     const versionList = versions.map(version => ({
-      versionId: version.VersionId,
-      lastModified: version.LastModified,
-      size: version.Size,
-      isLatest: version.IsLatest,
-      etag: version.ETag,
-      storageClass: version.StorageClass,
-      contributor: version.Metadata?.contributor || 'unknown',
-      action: version.Metadata?.action || 'update'
-    })).sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+      version: version.version,
+      created_at: version.created_at,
+      size: contentSize(version),
+      current: version.current,
+      title: version.title,
+      contributor: version.contributor,
+      contributorName: version.contributorName,
+      action: version.action
+    }));
 
     res.json({
       notebookId,
       versions: versionList,
-      totalVersions: versionList.length
+      ...(paged
+        ? { nextCursor: cursor, hasMore: Boolean(cursor) }
+        : { totalVersions: versionList.length })
     });
   } catch (error) {
-    console.error('Error fetching versions:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to fetch notebook versions',
-        code: 'FETCH_VERSIONS_ERROR'
-      }
-    });
+    if (error instanceof InvalidCursorError) {
+      return res.status(error.status).json({ error: { message: error.message, code: error.code } });
+    }
+    sendVersionError(res, error, 'Failed to fetch notebook versions', 'FETCH_VERSIONS_ERROR');
   }
 });
 
 /**
- * GET /api/versions/:notebookId/:versionId
- * Get a specific version of a notebook
+ * GET /api/versions/:notebookId/analytics
+ * Get version analytics for a notebook
  */
-router.get('/:notebookId/:versionId', requireNotebookAccess('read'), async (req, res) => {
+router.get('/:notebookId/analytics', requireNotebookAccess('read'), async (req, res) => {
   try {
-    const { notebookId, versionId } = req.params;
-    
-    // Get the specific version from S3
-    const key = `notebooks/${notebookId}/${versionId}.json`;
-    const versionData = await S3Service.getNotebook(key, versionId);
-    
-    if (!versionData) {
-      return res.status(404).json({
-        error: {
-          message: 'Version not found',
-          code: 'VERSION_NOT_FOUND'
-        }
-      });
-    }
+    const notebookId = req.params.notebookId;
+
+    const { versions } = await listVersions(notebookId);
+
+    // Calculate analytics
+    const analytics = {
+      totalVersions: versions.length,
+      totalSize: versions.reduce((sum, version) => sum + contentSize(version), 0),
+      contributors: [...new Set(versions.map(v => v.contributor).filter(Boolean))],
+      versionHistory: versions.map(version => ({
+        version: version.version,
+        created_at: version.created_at,
+        size: contentSize(version),
+        contributor: version.contributor,
+        action: version.action
+      })),
+      activityByDay: getActivityByDay(versions),
+      contributorStats: getContributorStats(versions)
+    };
 
     res.json({
       notebookId,
-      versionId,
-      data: versionData
+      analytics
     });
   } catch (error) {
-    console.error('Error fetching version:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to fetch notebook version',
-        code: 'FETCH_VERSION_ERROR'
-      }
-    });
+    sendVersionError(res, error, 'Failed to fetch version analytics', 'FETCH_ANALYTICS_ERROR');
   }
 });
 
 /**
- * POST /api/versions/:notebookId/:versionId/restore
- * Restore a notebook to a specific version
+ * GET /api/versions/:notebookId/retention
+ * The retention policy a notebook follows and where it comes from
+ * (notebook, role or default)
  */
-router.post('/:notebookId/:versionId/restore', requireNotebookAccess('write'), async (req, res) => {
+router.get('/:notebookId/retention', requireNotebookAccess('read'), async (req, res) => {
   try {
-    const { notebookId, versionId } = req.params;
-    const userId = req.user.id;
-    
-    // Get the version to restore
-    const key = `notebooks/${notebookId}/${versionId}.json`;
-    const versionData = await S3Service.getNotebook(key, versionId);
-    
-    if (!versionData) {
-      return res.status(404).json({
-        error: {
-          message: 'Version not found',
-          code: 'VERSION_NOT_FOUND'
-        }
-      });
-    }
-
-    // Import DynamoDB service
-    const { DynamoDBService } = require('../config/aws');
-    
-    // Get current notebook to increment version
-    const currentNotebook = await DynamoDBService.getNotebook(notebookId);
-    if (!currentNotebook) {
-      return res.status(404).json({
-        error: {
-          message: 'Notebook not found',
-          code: 'NOTEBOOK_NOT_FOUND'
-        }
-      });
-    }
+    res.json({ notebookId: req.params.notebookId, ...await getNotebookPolicy(req.params.notebookId) });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to fetch retention policy', 'FETCH_RETENTION_ERROR');
+  }
+});
 
-    const newVersion = currentNotebook.version + 1;
+/**
+ * PUT /api/versions/:notebookId/retention
+ * Give a notebook its own retention policy (owner or admin)
+ */
+router.put('/:notebookId/retention', requireNotebookAccess('write'), async (req, res) => {
+  const { error, value } = retentionPolicySchema.validate(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
 
-    // Update notebook with restored content
-    await DynamoDBService.updateNotebook(notebookId, {
-      content: versionData.content,
-      version: newVersion
-    });
+  try {
+    res.json({ notebookId: req.params.notebookId, ...await setNotebookPolicy(req.params.notebookId, value, req.user) });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to update retention policy', 'UPDATE_RETENTION_ERROR');
+  }
+});
 
-    // Create new backup with restored content
-    const backupResult = await S3Service.uploadNotebook(notebookId, versionData.content, {
-      contributor: userId,
-      action: 'restore',
-      restoredFromVersion: versionId,
-      version: newVersion
-    });
+/**
+ * DELETE /api/versions/:notebookId/retention
+ * Remove a notebook's own policy so it follows its owner's role again
+ * (owner or admin)
+ */
+router.delete('/:notebookId/retention', requireNotebookAccess('write'), async (req, res) => {
+  try {
+    res.json({ notebookId: req.params.notebookId, ...await clearNotebookPolicy(req.params.notebookId, req.user) });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to remove retention policy', 'DELETE_RETENTION_ERROR');
+  }
+});
 
-    // Update search index
-    const { SearchService } = require('../config/aws');
-    const updatedNotebook = await DynamoDBService.getNotebook(notebookId);
-    await SearchService.indexNotebook(updatedNotebook);
+/**
+ * GET /api/versions/:notebookId/retention/report
+ * Dry run of compaction: the versions the policy keeps and why, those it
+ * would prune and the stored size before and after
+ */
+router.get('/:notebookId/retention/report', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    res.json(await compactVersions(req.params.notebookId, { dryRun: true }));
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to build retention report', 'RETENTION_REPORT_ERROR');
+  }
+});
 
-    res.json({
-      message: 'Notebook restored successfully',
-      restoredFromVersion: versionId,
-      newVersion: newVersion,
-      backup: {
-        key: backupResult.key,
-        versionId: backupResult.versionId
-      }
-    });
+/**
+ * POST /api/versions/:notebookId/retention/compact
+ * Prune what the policy no longer keeps and store the rest as snapshots
+ * and deltas (owner or admin). `{ "dryRun": true }` only reports.
+ */
+router.post('/:notebookId/retention/compact', requireNotebookAccess('write'), async (req, res) => {
+  try {
+    res.json(await compactVersions(req.params.notebookId, { dryRun: req.body?.dryRun === true, user: req.user }));
   } catch (error) {
-    console.error('Error restoring version:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to restore notebook version',
-        code: 'RESTORE_VERSION_ERROR'
-      }
-    });
+    sendVersionError(res, error, 'Failed to compact notebook versions', 'COMPACT_VERSIONS_ERROR');
   }
 });
 
 /**
- * GET /api/versions/:notebookId/compare/:versionId1/:versionId2
- * Compare two versions of a notebook
+ * GET /api/versions/:notebookId/compare/:version1/:version2
+ * Line and word diff of the body, and title, tag and attachment changes,
+ * from the first version to the second. `context` sets the unchanged lines
+ * kept around each change (default 3).
  */
-router.get('/:notebookId/compare/:versionId1/:versionId2', requireNotebookAccess('read'), async (req, res) => {
+router.get('/:notebookId/compare/:version1/:version2', requireNotebookAccess('read'), async (req, res) => {
   try {
-    const { notebookId, versionId1, versionId2 } = req.params;
-    
-    // Get both versions
-    const key1 = `notebooks/${notebookId}/${versionId1}.json`;
-    const key2 = `notebooks/${notebookId}/${versionId2}.json`;
-    
+    const { notebookId, version1, version2 } = req.params;
+
     const [version1Data, version2Data] = await Promise.all([
-      S3Service.getNotebook(key1, versionId1),
-      S3Service.getNotebook(key2, versionId2)
+      getVersion(notebookId, version1),
+      getVersion(notebookId, version2)
     ]);
 
-    if (!version1Data || !version2Data) {
-      return res.status(404).json({
-        error: {
-          message: 'One or both versions not found',
-          code: 'VERSIONS_NOT_FOUND'
-        }
-      });
-    }
-
-    // Basic comparison (in production, you'd use a proper diff library)
-    const comparison = {
+    res.json({
       notebookId,
       version1: {
-        versionId: versionId1,
+        version: version1Data.version,
         data: version1Data
       },
       version2: {
-        versionId: versionId2,
+        version: version2Data.version,
         data: version2Data
       },
-      differences: compareContent(version1Data.content, version2Data.content)
-    };
+      differences: compareVersions(version1Data, version2Data, { context: req.query.context })
+    });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to compare notebook versions', 'COMPARE_VERSIONS_ERROR');
+  }
+});
 
-    res.json(comparison);
+/**
+ * GET /api/versions/:notebookId/:version
+ * Get a specific version of a notebook
+ */
+router.get('/:notebookId/:version', requireNotebookAccess('read'), async (req, res) => {
+  try {
+    const { notebookId } = req.params;
+    const versionData = await getVersion(notebookId, req.params.version);
+
+    res.json({
+      notebookId,
+      version: versionData.version,
+      data: versionData
+    });
   } catch (error) {
-    console.error('Error comparing versions:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to compare notebook versions',
-        code: 'COMPARE_VERSIONS_ERROR'
-      }
+    sendVersionError(res, error, 'Failed to fetch notebook version', 'FETCH_VERSION_ERROR');
+  }
+});
+
+/**
+ * POST /api/versions/:notebookId/:version/restore
+ * Restore a notebook to a specific version as a new version
+ */
+router.post('/:notebookId/:version/restore', requireNotebookAccess('write'), async (req, res) => {
+  try {
+    const { restoredVersion, newVersion } = await restoreVersion(req.params.notebookId, req.params.version, req.user);
+
+    res.json({
+      message: 'Notebook restored successfully',
+      restoredFromVersion: restoredVersion,
+      newVersion
     });
+  } catch (error) {
+    sendVersionError(res, error, 'Failed to restore notebook version', 'RESTORE_VERSION_ERROR');
   }
 });
 
 /**
- * DELETE /api/versions/:notebookId/:versionId
+ * DELETE /api/versions/:notebookId/:version
  * Delete a specific version (admin only)
  */
-router.delete('/:notebookId/:versionId', requireNotebookAccess('write'), async (req, res) => {
+router.delete('/:notebookId/:version', requireNotebookAccess('write'), async (req, res) => {
   try {
-    const { notebookId, versionId } = req.params;
     const userRole = req.user.role;
-    
+
     // Only admins can delete versions
     if (userRole !== 'admin') {
       return res.status(403).json({
@@ -227,89 +303,29 @@ router.delete('/:notebookId/:versionId', requireNotebookAccess('write'), async (
       });
     }
 
-    // In S3 with versioning, you can't actually delete versions
-    // This would be handled by lifecycle policies
-    res.json({
-      message: 'Version deletion is handled by S3 lifecycle policies',
-      note: 'Versions are automatically archived based on retention policies'
-    });
-  } catch (error) {
-    console.error('Error deleting version:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to delete notebook version',
-        code: 'DELETE_VERSION_ERROR'
-      }
-    });
-  }
-});
-
-/**
- * GET /api/versions/:notebookId/analytics
- * Get version analytics for a notebook
- */
-router.get('/:notebookId/analytics', requireNotebookAccess('read'), async (req, res) => {
-  try {
-    const notebookId = req.params.notebookId;
-    
-    // Get all versions
-    const versions = await S3Service.listVersions(notebookId);
-    
-    // Calculate analytics
-    const analytics = {
-      totalVersions: versions.length,
-      totalSize: versions.reduce((sum, version) => sum + (version.Size || 0), 0),
-      contributors: [...new Set(versions.map(v => v.Metadata?.contributor).filter(Boolean))],
-      versionHistory: versions.map(version => ({
-        versionId: version.VersionId,
-        lastModified: version.LastModified,
-        size: version.Size,
-        contributor: version.Metadata?.contributor,
-        action: version.Metadata?.action
-      })).sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified)),
-      activityByDay: getActivityByDay(versions),
-      contributorStats: getContributorStats(versions)
-    };
-
+    // Versions leave history only through the retention policy
     res.json({
-      notebookId,
-      analytics
+      message: 'Versions are not deleted individually',
+      note: 'Restore an earlier version to undo changes, or set a retention policy and compact to prune history'
     });
   } catch (error) {
-    console.error('Error fetching version analytics:', error);
-    res.status(500).json({
-      error: {
-        message: 'Failed to fetch version analytics',
-        code: 'FETCH_ANALYTICS_ERROR'
-      }
-    });
+    sendVersionError(res, error, 'Failed to delete notebook version', 'DELETE_VERSION_ERROR');
   }
 });
 
 // Helper functions
-function compareContent(content1, content2) {
-  // Basic content comparison
-  // In production, you'd use a proper diff library like 'diff' or 'jsdiff'
-  const str1 = JSON.stringify(content1, null, 2);
-  const str2 = JSON.stringify(content2, null, 2);
-  
-  return {
-    identical: str1 === str2,
-    size1: str1.length,
-    size2: str2.length,
-    sizeDifference: str2.length - str1.length,
-    summary: str1 === str2 ? 'No changes' : 'Content has changed'
-  };
+function contentSize(version) {
+  return Buffer.byteLength(JSON.stringify(version.content || {}));
 }
 
 function getActivityByDay(versions) {
   const activityMap = {};
-  
+
   versions.forEach(version => {
-    const date = new Date(version.LastModified).toDateString();
+    const date = new Date(version.created_at).toDateString();
     activityMap[date] = (activityMap[date] || 0) + 1;
   });
-  
+
   return Object.entries(activityMap).map(([date, count]) => ({
     date,
     versions: count
@@ -318,29 +334,57 @@ function getActivityByDay(versions) {
 
 function getContributorStats(versions) {
   const contributorMap = {};
-  
+
   versions.forEach(version => {
-    const contributor = version.Metadata?.contributor || 'unknown';
+    const contributor = version.contributor || 'unknown';
     if (!contributorMap[contributor]) {
       contributorMap[contributor] = {
         contributor,
+        contributorName: version.contributorName || contributor,
         versions: 0,
         totalSize: 0,
         lastActivity: null
       };
     }
-    
+
     contributorMap[contributor].versions++;
-    contributorMap[contributor].totalSize += version.Size || 0;
-    
-    const activityDate = new Date(version.LastModified);
-    if (!contributorMap[contributor].lastActivity || 
+    contributorMap[contributor].totalSize += contentSize(version);
+
+    const activityDate = new Date(version.created_at);
+    if (!contributorMap[contributor].lastActivity ||
         activityDate > new Date(contributorMap[contributor].lastActivity)) {
-      contributorMap[contributor].lastActivity = version.LastModified;
+      contributorMap[contributor].lastActivity = version.created_at;
     }
   });
-  
+
   return Object.values(contributorMap).sort((a, b) => b.versions - a.versions);
 }
 
+function sendValidationError(res, error) {
+  res.status(400).json({
+    error: {
+      message: error.details[0].message,
+      code: 'VALIDATION_ERROR'
+    }
+  });
+}
+
+function sendVersionError(res, error, message, code) {
+  if (error instanceof VersionError || error instanceof RetentionError) {
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: {
+      message,
+      code
+    }
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService, S3Service, S3_CONFIG } = require('../config/storage');
+
+class AttachmentError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES) || 25 * 1024 * 1024;
+const MAX_NAME_LENGTH = 255;
+
+// Files travel as S3 objects; the notebook only keeps a reference
+// { id, name, type, size } in content.attachments
+const DATA_URL_PATTERN = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s;
+
+function isAllowedType(type) {
+  return typeof type === 'string' && (type.startsWith('image/') || type === 'application/pdf');
+}
+
+function attachmentKey(notebookId, attachmentId, name) {
+  const safeName = name.replace(/[^\w.-]+/g, '_').slice(-100) || 'file';
+  return `attachments/${notebookId}/${attachmentId}/${safeName}`;
+}
+
+function toReference(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.name,
+    type: attachment.type,
+    size: attachment.size
+  };
+}
+
+async function getAttachmentOrThrow(notebookId, attachmentId) {
+  const attachment = await DynamoDBService.getAttachment(notebookId, attachmentId);
+  if (!attachment) {
+    throw new AttachmentError('Attachment not found', 404, 'ATTACHMENT_NOT_FOUND');
+  }
+  return attachment;
+}
+
+/**
+ * Register an attachment and return a presigned PUT for the browser to
+ * upload it to. The attachment stays pending until completeUpload.
+ */
+async function createUpload(notebookId, user, { name, type, size }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    throw new AttachmentError('A file name is required', 400, 'INVALID_ATTACHMENT_NAME');
+  }
+  if (!isAllowedType(type)) {
+    throw new AttachmentError('Only images and PDFs are allowed', 400, 'UNSUPPORTED_ATTACHMENT_TYPE');
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`Attachments are limited to ${MAX_ATTACHMENT_BYTES} bytes`, 400, 'ATTACHMENT_TOO_LARGE');
+  }
+
+  const id = uuidv4();
+  const attachment = {
+    id,
+    notebookId,
+    key: attachmentKey(notebookId, id, name.trim()),
+    name: name.trim(),
+    type,
+    size,
+    status: 'pending',
+    uploadedBy: user.id,
+    createdAt: new Date().toISOString()
+  };
+  await DynamoDBService.createAttachment(attachment);
+
+  return {
+    attachment: { ...toReference(attachment), status: attachment.status },
+    upload: {
+      url: await S3Service.getUploadUrl(attachment.key, { contentType: type }),
+      method: 'PUT',
+      headers: { 'Content-Type': type },
+      expiresIn: S3_CONFIG.PRESIGNED_URL_TTL_SECONDS
+    }
+  };
+}
+
+/**
+ * Confirm a presigned upload reached S3
+ */
+async function completeUpload(notebookId, attachmentId) {
+  const attachment = await getAttachmentOrThrow(notebookId, attachmentId);
+  if (attachment.status === 'ready') {
+    return attachment;
+  }
+
+  const stored = await S3Service.headObject(attachment.key);
+  if (!stored) {
+    throw new AttachmentError('The file has not been uploaded yet', 409, 'UPLOAD_INCOMPLETE');
+  }
+  if (stored.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(`Attachments are limited to ${MAX_ATTACHMENT_BYTES} bytes`, 400, 'ATTACHMENT_TOO_LARGE');
+  }
+
+  return DynamoDBService.markAttachmentUploaded(notebookId, attachmentId, stored.size);
+}
+
+async function getDownloadUrl(notebookId, attachmentId, { inline = false } = {}) {
+  const attachment = await getAttachmentOrThrow(notebookId, attachmentId);
+  if (attachment.status !== 'ready') {
+    throw new AttachmentError('The file has not been uploaded yet', 409, 'UPLOAD_INCOMPLETE');
+  }
+
+  return {
+    attachment: toReference(attachment),
+    url: await S3Service.getDownloadUrl(attachment.key, {
+      fileName: attachment.name,
+      contentType: attachment.type,
+      inline
+    }),
+    expiresIn: S3_CONFIG.PRESIGNED_URL_TTL_SECONDS
+  };
+}
+
+async function listAttachments(notebookId) {
+  const attachments = await DynamoDBService.getAttachments(notebookId);
+  return attachments
+    .filter(attachment => attachment.status === 'ready')
+    .map(attachment => ({ ...toReference(attachment), uploadedBy: attachment.uploadedBy, uploadedAt: attachment.uploadedAt }));
+}
+
+/**
+ * Upload a base64 `dataUrl` attachment (the editor's old format) and return
+ * its reference. The id is derived from the data, so the same file found
+ * again (in another save or in history) is stored once.
+ */
+async function storeInlineAttachment(notebookId, userId, inline) {
+  const match = DATA_URL_PATTERN.exec(inline.dataUrl);
+  if (!match) return null;
+
+  const id = `inline-${crypto.createHash('sha256').update(inline.dataUrl).digest('hex').slice(0, 32)}`;
+  const existing = await DynamoDBService.getAttachment(notebookId, id);
+  if (existing) return toReference(existing);
+
+  const data = Buffer.from(match[2], 'base64');
+  const name = typeof inline.name === 'string' && inline.name.trim() ? inline.name.trim().slice(0, MAX_NAME_LENGTH) : 'attachment';
+  const type = inline.type || match[1];
+  const now = new Date().toISOString();
+  const attachment = {
+    id,
+    notebookId,
+    key: attachmentKey(notebookId, id, name),
+    name,
+    type,
+    size: data.length,
+    status: 'ready',
+    uploadedBy: userId,
+    createdAt: now,
+    uploadedAt: now
+  };
+
+  await S3Service.putObject(attachment.key, data, type);
+  await DynamoDBService.createAttachment(attachment);
+  return toReference(attachment);
+}
+
+/**
+ * Content ready to store: inline attachments are moved to S3 and every
+ * attachment is reduced to its reference. `migrated` counts moved files.
+ */
+async function externalizeAttachments(notebookId, content, userId) {
+  if (!content || !Array.isArray(content.attachments)) {
+    return { content, migrated: 0 };
+  }
+
+  let migrated = 0;
+  const attachments = [];
+  for (const attachment of content.attachments) {
+    if (!attachment) continue;
+    if (typeof attachment.dataUrl === 'string') {
+      const reference = await storeInlineAttachment(notebookId, userId, attachment);
+      if (reference) {
+        attachments.push(reference);
+        migrated++;
+      }
+    } else if (attachment.id) {
+      attachments.push(toReference(attachment));
+    }
+  }
+
+  return { content: { ...content, attachments }, migrated };
+}
+
+/**
+ * Move a stored notebook's inline attachments to S3 and write the slimmer
+ * content back without changing its version. A save that lands in between
+ * wins; the next read migrates again.
+ */
+async function migrateInlineAttachments(notebook) {
+  const hasInline = Array.isArray(notebook.content?.attachments) &&
+    notebook.content.attachments.some(attachment => typeof attachment?.dataUrl === 'string');
+  if (!hasInline) return notebook;
+
+  const { content } = await externalizeAttachments(notebook.id, notebook.content, notebook.owner);
+  try {
+    await DynamoDBService.updateNotebook(notebook.id, { content }, { expectedVersion: notebook.version });
+  } catch (error) {
+    if (error?.name !== 'ConditionalCheckFailedException') throw error;
+  }
+  return { ...notebook, content };
+}
+
+/**
+ * Copy of `content` whose attachment references carry a short-lived URL
+ * for display. Inline attachments are passed through untouched.
+ */
+async function withAttachmentUrls(notebookId, content) {
+  if (!content || !Array.isArray(content.attachments)) return content;
+
+  const attachments = await Promise.all(content.attachments.map(async attachment => {
+    if (!attachment?.id || attachment.dataUrl) return attachment;
+    try {
+      const stored = await DynamoDBService.getAttachment(notebookId, attachment.id);
+      if (!stored || stored.status !== 'ready') return toReference(attachment);
+      const url = await S3Service.getDownloadUrl(stored.key, { contentType: stored.type, inline: true });
+      return { ...toReference(attachment), url };
+    } catch (error) {
+      console.warn(`Failed to sign attachment ${attachment.id} (non-fatal):`, error?.message || error);
+      return toReference(attachment);
+    }
+  }));
+
+  return { ...content, attachments };
+}
+
+/**
+ * Give a duplicated notebook its own copies of the source's attachments
+ */
+async function copyAttachments(sourceNotebookId, targetNotebookId, content, userId) {
+  if (!content || !Array.isArray(content.attachments)) return content;
+
+  const attachments = [];
+  for (const reference of content.attachments) {
+    const source = reference?.id && await DynamoDBService.getAttachment(sourceNotebookId, reference.id);
+    if (!source || source.status !== 'ready') continue;
+
+    const now = new Date().toISOString();
+    const copy = {
+      ...source,
+      notebookId: targetNotebookId,
+      key: attachmentKey(targetNotebookId, source.id, source.name),
+      uploadedBy: userId,
+      createdAt: now,
+      uploadedAt: now
+    };
+    await S3Service.copyObject(source.key, copy.key);
+    await DynamoDBService.createAttachment(copy);
+    attachments.push(toReference(copy));
+  }
+
+  return { ...content, attachments };
+}
+
+module.exports = {
+  AttachmentError,
+  createUpload,
+  completeUpload,
+  getDownloadUrl,
+  listAttachments,
+  externalizeAttachments,
+  migrateInlineAttachments,
+  withAttachmentUrls,
+  copyAttachments,
+  MAX_ATTACHMENT_BYTES
+};
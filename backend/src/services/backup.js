@@ -1,9 +1,7 @@
-const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
-const { S3Service, DynamoDBService } = require('../config/aws');
+const { S3Service, DynamoDBService, LambdaService, STORAGE_PROVIDER } = require('../config/storage');
+const { restoreState } = require('./versions');
 
-const lambdaClient = new LambdaClient({
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+const BACKUP_LAMBDA_FUNCTION_NAME = process.env.BACKUP_LAMBDA_FUNCTION_NAME || 'academic-notebook-backup';
 
 /**
  * Trigger Lambda function for backup processing
@@ -17,18 +15,22 @@ async function triggerBackupLambda(notebookId, action, metadata = {}) {
       metadata
     };
 
-    const command = new InvokeCommand({
-      FunctionName: process.env.BACKUP_LAMBDA_FUNCTION_NAME || 'academic-notebook-backup',
-      InvocationType: 'Event', // Asynchronous invocation
-      Payload: JSON.stringify(payload)
-    });
+    // Local storage has no Lambda; back up in-process instead
+    if (STORAGE_PROVIDER === 'local') {
+      await performDirectBackup(notebookId, action, metadata);
+      return {
+        success: true,
+        direct: true,
+        payload
+      };
+    }
 
-    const result = await lambdaClient.send(command);
+    const result = await LambdaService.invokeAsync(BACKUP_LAMBDA_FUNCTION_NAME, payload);
     console.log(`Backup Lambda triggered for notebook ${notebookId}, action: ${action}`);
     
     return {
       success: true,
-      statusCode: result.StatusCode,
+      statusCode: result.statusCode,
       payload
     };
   } catch (error) {
@@ -102,32 +104,20 @@ async function createBackupSnapshot(notebookId, metadata) {
     // Upload to S3 with backup-specific key
     const backupKey = `backups/${notebookId}/${Date.now()}-v${notebook.version}.json`;
     
-    const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
-    const command = new PutObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-      Key: backupKey,
-      Body: JSON.stringify(backupData, null, 2),
-      ContentType: 'application/json',
-      ServerSideEncryption: 'AES256',
-      Metadata: {
+    const result = await S3Service.putObject(backupKey, JSON.stringify(backupData, null, 2), 'application/json', {
+      metadata: {
         notebookId,
         backupType: 'snapshot',
         version: notebook.version.toString(),
         timestamp: new Date().toISOString()
       }
     });
-
-    const result = await s3Client.send(command);
     
     console.log(`Backup snapshot created: ${backupKey}`);
     return {
       backupKey,
-      versionId: result.VersionId,
-      etag: result.ETag
+      versionId: result.versionId,
+      etag: result.etag
     };
   } catch (error) {
     console.error('Error creating backup snapshot:', error);
@@ -166,27 +156,15 @@ async function archiveDeletedNotebook(notebookId, metadata) {
     // Upload to S3 archive location
     const archiveKey = `archives/deleted/${notebookId}/${Date.now()}-deletion-archive.json`;
     
-    const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
-    const command = new PutObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-      Key: archiveKey,
-      Body: JSON.stringify(archiveData, null, 2),
-      ContentType: 'application/json',
-      ServerSideEncryption: 'AES256',
-      StorageClass: 'STANDARD_IA', // Infrequent Access for cost optimization
-      Metadata: {
+    await S3Service.putObject(archiveKey, JSON.stringify(archiveData, null, 2), 'application/json', {
+      storageClass: 'STANDARD_IA', // Infrequent Access for cost optimization
+      metadata: {
         notebookId,
         archiveType: 'deletion',
         deletedAt: new Date().toISOString(),
         canRestore: 'true'
       }
     });
-
-    await s3Client.send(command);
     
     console.log(`Deletion archive created: ${archiveKey}`);
     return { archiveKey };
@@ -219,26 +197,14 @@ async function logRestoreOperation(notebookId, metadata) {
     // Upload restore log
     const logKey = `logs/restore/${notebookId}/${Date.now()}-restore-log.json`;
     
-    const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
-    const command = new PutObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-      Key: logKey,
-      Body: JSON.stringify(restoreLog, null, 2),
-      ContentType: 'application/json',
-      ServerSideEncryption: 'AES256',
-      StorageClass: 'STANDARD_IA',
-      Metadata: {
+    await S3Service.putObject(logKey, JSON.stringify(restoreLog, null, 2), 'application/json', {
+      storageClass: 'STANDARD_IA',
+      metadata: {
         notebookId,
         operationType: 'restore',
         timestamp: new Date().toISOString()
       }
     });
-
-    await s3Client.send(command);
     
     console.log(`Restore operation logged: ${logKey}`);
     return { logKey };
@@ -253,31 +219,8 @@ async function logRestoreOperation(notebookId, metadata) {
  */
 async function getBackupHistory(notebookId) {
   try {
-    const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
     // List backup files
-    const command = new ListObjectsV2Command({
-      Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-      Prefix: `backups/${notebookId}/`,
-      MaxKeys: 100
-    });
-
-    const result = await s3Client.send(command);
-    
-    if (!result.Contents || result.Contents.length === 0) {
-      return [];
-    }
-
-    const backups = result.Contents.map(obj => ({
-      key: obj.Key,
-      lastModified: obj.LastModified,
-      size: obj.Size,
-      etag: obj.ETag,
-      storageClass: obj.StorageClass
-    })).sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+    const backups = await S3Service.listObjects(`backups/${notebookId}/`, { maxKeys: 100 });
 
     return backups;
   } catch (error) {
@@ -287,47 +230,27 @@ async function getBackupHistory(notebookId) {
 }
 
 /**
- * Restore notebook from backup
+ * Restore notebook from backup as a new version; `user` is credited with it
  */
-async function restoreFromBackup(notebookId, backupKey) {
+async function restoreFromBackup(notebookId, backupKey, user = { id: 'system' }) {
   try {
-    // Get backup data from S3
-    const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-      Key: backupKey
-    });
-
-    const result = await s3Client.send(command);
-    const backupData = JSON.parse(await result.Body.transformToString());
+    // Get backup data from storage
+    const backupData = JSON.parse(await S3Service.getObjectText(backupKey));
 
     if (!backupData.notebook) {
       throw new Error('Invalid backup data structure');
     }
 
-    // Restore notebook to DynamoDB
-    const restoredNotebook = backupData.notebook;
-    restoredNotebook.version = restoredNotebook.version + 1; // Increment version
-    restoredNotebook.updated_at = new Date().toISOString();
-
-    await DynamoDBService.updateNotebook(notebookId, {
-      content: restoredNotebook.content,
-      version: restoredNotebook.version,
-      title: restoredNotebook.title,
-      subject: restoredNotebook.subject,
-      course: restoredNotebook.course,
-      tags: restoredNotebook.tags
+    const { notebook: restoredNotebook } = await restoreState(notebookId, backupData.notebook, user, {
+      restoredFromBackup: backupKey,
+      backupVersion: backupData.notebook.version
     });
 
     // Create new backup of the restored state
     await createBackupSnapshot(notebookId, {
       action: 'restore',
       restoredFromBackup: backupKey,
-      contributor: 'system'
+      contributor: user.id
     });
 
     console.log(`Notebook ${notebookId} restored from backup ${backupKey}`);
@@ -360,29 +283,7 @@ async function cleanupOldBackups(notebookId, retentionDays = 90) {
       return { deletedCount: 0 };
     }
 
-    const { S3Client, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
-    const s3Client = new S3Client({
-      region: process.env.AWS_REGION || 'us-east-1'
-    });
-
-    // Delete old backups in batches
-    const batchSize = 1000; // S3 delete limit
-    let deletedCount = 0;
-
-    for (let i = 0; i < backupsToDelete.length; i += batchSize) {
-      const batch = backupsToDelete.slice(i, i + batchSize);
-      
-      const command = new DeleteObjectsCommand({
-        Bucket: process.env.S3_BUCKET_NAME || 'academic-notebooks-storage',
-        Delete: {
-          Objects: batch.map(backup => ({ Key: backup.key })),
-          Quiet: true
-        }
-      });
-
-      const result = await s3Client.send(command);
-      deletedCount += batch.length - (result.Errors?.length || 0);
-    }
+    const deletedCount = await S3Service.deleteObjects(backupsToDelete.map(backup => backup.key));
 
     console.log(`Cleaned up ${deletedCount} old backups for notebook ${notebookId}`);
     
@@ -0,0 +1,227 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+const { mergeThreeWay } = require('./diff');
+const { copyAttachments, externalizeAttachments } = require('./attachments');
+const { recordConflicts } = require('./conflicts');
+const { reindexNotebookSafely } = require('./search');
+const { compareVersions } = require('./versionDiff');
+const {
+  getVersion,
+  writeVersion,
+  recordVersionSafely,
+  recordCurrentVersion
+} = require('./versions');
+
+/**
+ * A branch is a notebook of its own, forked from a version of the main
+ * notebook and edited like any other. Merging it back three-way merges its
+ * body with the main line's against the version it was forked from and
+ * writes the result as a new main line version; passages both sides changed
+ * become conflicts on the main notebook.
+ */
+
+class BranchError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'BranchError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function bodyOf(content) {
+  return typeof content?.body === 'string' ? content.body : '';
+}
+
+function attachmentsOf(content) {
+  return Array.isArray(content?.attachments) ? content.attachments.filter(attachment => attachment?.id) : [];
+}
+
+/**
+ * Fork `fromVersion` (the current version by default) of a notebook into a
+ * new notebook owned by `user` and shared with the main notebook's members
+ */
+async function createBranch(notebookId, { name, fromVersion }, user) {
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new BranchError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+
+  const branches = await DynamoDBService.getNotebookBranches(notebookId);
+  if (branches.some(branch => branch.name.toLowerCase() === name.toLowerCase())) {
+    throw new BranchError(`A branch named "${name}" already exists`, 409, 'BRANCH_EXISTS');
+  }
+
+  // The fork point is the merge base later, so it must be recorded
+  const baseVersion = fromVersion ?? notebook.version;
+  if (baseVersion === notebook.version) {
+    await recordCurrentVersion(notebook);
+  }
+  const base = await getVersion(notebookId, baseVersion);
+
+  const branchNotebookId = uuidv4();
+  // Uploaded attachments are copied; inline ones from older versions are stored anew
+  const inline = (base.content?.attachments || []).filter(attachment => typeof attachment?.dataUrl === 'string');
+  const copied = await copyAttachments(notebookId, branchNotebookId, base.content, user.id);
+  const { content } = await externalizeAttachments(branchNotebookId, inline.length > 0
+    ? { ...copied, attachments: [...copied.attachments, ...inline] }
+    : copied, user.id);
+
+  const now = new Date().toISOString();
+  const branchNotebook = {
+    id: branchNotebookId,
+    title: `${base.title} (${name})`,
+    content,
+    owner: user.id,
+    collaborators: [...new Set([notebook.owner, ...notebook.collaborators])].filter(id => id !== user.id),
+    subject: notebook.subject,
+    course: notebook.course,
+    tags: base.tags || notebook.tags,
+    created_at: now,
+    updated_at: now,
+    version: 1,
+    status: 'active'
+  };
+  await DynamoDBService.createNotebook(branchNotebook);
+  await recordVersionSafely(branchNotebook, user, 'branch', {
+    sourceNotebook: notebookId,
+    sourceVersion: base.version
+  });
+  await reindexNotebookSafely(branchNotebookId);
+
+  const branch = await DynamoDBService.createNotebookBranch({
+    notebookId,
+    branchId: uuidv4(),
+    name,
+    branchNotebookId,
+    baseVersion: base.version,
+    createdBy: user.id,
+    created_at: now,
+    status: 'open'
+  });
+
+  return { branch, notebook: branchNotebook };
+}
+
+function listBranches(notebookId) {
+  return DynamoDBService.getNotebookBranches(notebookId);
+}
+
+/**
+ * Attachments after merging: the main line's, less those the branch
+ * removed, plus those the branch added
+ */
+function mergeAttachments(base, branch, main) {
+  const baseIds = new Set(attachmentsOf(base).map(attachment => attachment.id));
+  const branchIds = new Set(attachmentsOf(branch).map(attachment => attachment.id));
+  return {
+    kept: (Array.isArray(main?.attachments) ? main.attachments : [])
+      .filter(attachment => !attachment?.id || !baseIds.has(attachment.id) || branchIds.has(attachment.id)),
+    added: attachmentsOf(branch).filter(attachment => !baseIds.has(attachment.id))
+  };
+}
+
+/**
+ * Merge an open branch back into the main notebook as a new version. With
+ * `dryRun` nothing is written and the result shows what merging would
+ * change and which passages would conflict. The main notebook's title and
+ * tags are kept.
+ */
+async function mergeBranch(notebookId, branchId, user, { dryRun = false } = {}) {
+  const branch = await DynamoDBService.getNotebookBranch(notebookId, branchId);
+  if (!branch) {
+    throw new BranchError('Branch not found', 404, 'BRANCH_NOT_FOUND');
+  }
+  if (branch.status !== 'open') {
+    throw new BranchError('Branch has already been merged', 409, 'BRANCH_MERGED');
+  }
+
+  const [main, branchNotebook, base] = await Promise.all([
+    DynamoDBService.getNotebook(notebookId),
+    DynamoDBService.getNotebook(branch.branchNotebookId),
+    getVersion(notebookId, branch.baseVersion)
+  ]);
+  if (!main) {
+    throw new BranchError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+  if (!branchNotebook) {
+    throw new BranchError('Branch notebook was deleted', 410, 'BRANCH_NOTEBOOK_DELETED');
+  }
+
+  // The branch's text is kept where both sides changed a passage
+  const merged = mergeThreeWay(bodyOf(base.content), bodyOf(branchNotebook.content), bodyOf(main.content));
+  const attachments = mergeAttachments(base.content, branchNotebook.content, main.content);
+  const content = {
+    ...main.content,
+    body: merged.body,
+    ...(Array.isArray(main.content?.attachments) || attachments.added.length > 0
+      ? { attachments: [...attachments.kept, ...attachments.added] }
+      : {})
+  };
+
+  const conflicts = merged.conflicts.map(({ start, end, mine, theirs, base: original }) => ({
+    start, end, branch: mine, main: theirs, base: original
+  }));
+  const differences = compareVersions(main, { ...main, content });
+
+  if (dryRun) {
+    return { dryRun: true, branch, version: main.version, conflicts, differences };
+  }
+
+  if (attachments.added.length > 0) {
+    const copied = await copyAttachments(branch.branchNotebookId, notebookId, { attachments: attachments.added }, user.id);
+    content.attachments = [...attachments.kept, ...copied.attachments];
+  }
+
+  const { newVersion } = await writeVersion(notebookId, { content }, user, {
+    action: 'merge',
+    metadata: {
+      branchId,
+      branchName: branch.name,
+      branchNotebookId: branch.branchNotebookId,
+      branchVersion: branchNotebook.version,
+      baseVersion: branch.baseVersion
+    },
+    expectedVersion: main.version
+  });
+
+  let recorded = [];
+  if (merged.conflicts.length > 0) {
+    try {
+      recorded = await recordConflicts(notebookId, merged.conflicts, {
+        userId: user.id,
+        otherUserId: main.updated_by,
+        baseVersion: branch.baseVersion,
+        version: newVersion,
+        type: 'branch_merge'
+      });
+    } catch (error) {
+      console.warn('Conflict tracking failed (non-fatal):', error?.message || error);
+    }
+  }
+
+  let mergedBranch;
+  try {
+    mergedBranch = await DynamoDBService.mergeNotebookBranch(notebookId, branchId, {
+      mergedBy: user.id,
+      mergedAt: new Date().toISOString(),
+      mergedVersion: newVersion,
+      branchVersion: branchNotebook.version,
+      conflicts: recorded.map(conflict => conflict.conflictId)
+    });
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') {
+      throw new BranchError('Branch has already been merged', 409, 'BRANCH_MERGED');
+    }
+    throw error;
+  }
+
+  return { branch: mergedBranch, version: newVersion, conflicts: recorded, differences };
+}
+
+module.exports = {
+  BranchError,
+  createBranch,
+  listBranches,
+  mergeBranch
+};
@@ -0,0 +1,215 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+
+class ChatError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// @handle, where a handle is a name, an email local part or a full email
+const MENTION_PATTERN = /(^|[^\w@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+function validateText(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new ChatError('Message text is required', 400, 'INVALID_MESSAGE');
+  }
+  if (text.trim().length > MAX_MESSAGE_LENGTH) {
+    throw new ChatError(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`, 400, 'MESSAGE_TOO_LONG');
+  }
+  return text.trim();
+}
+
+/**
+ * Resolve @handles against the notebook's owner and collaborators. A handle
+ * matches a full email, an email's local part, a name without spaces or a
+ * first name; handles matching more than one person are ignored.
+ */
+async function resolveMentions(notebook, text) {
+  const handles = [...new Set(Array.from(text.matchAll(MENTION_PATTERN), m => m[2].replace(/\.+$/, '').toLowerCase()))];
+  if (handles.length === 0) return [];
+
+  const memberIds = [...new Set([notebook.owner, ...notebook.collaborators])];
+  const members = (await Promise.all(memberIds.map(id => DynamoDBService.getUserById(id)))).filter(Boolean);
+
+  const mentions = new Map();
+  handles.forEach(handle => {
+    const matches = members.filter(member => {
+      const email = (member.email || '').toLowerCase();
+      const name = (member.name || '').toLowerCase();
+      return handle === email ||
+        handle === email.split('@')[0] ||
+        (name && handle === name.replace(/\s+/g, '')) ||
+        (name && handle === name.split(/\s+/)[0]);
+    });
+    if (matches.length === 1 && !mentions.has(matches[0].id)) {
+      mentions.set(matches[0].id, {
+        userId: matches[0].id,
+        userName: matches[0].name || matches[0].email,
+        handle
+      });
+    }
+  });
+
+  return Array.from(mentions.values());
+}
+
+async function getNotebookOrThrow(notebookId) {
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new ChatError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+  return notebook;
+}
+
+async function getMessageOrThrow(notebookId, messageId) {
+  const message = await DynamoDBService.getChatMessage(notebookId, messageId);
+  if (!message) {
+    throw new ChatError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+  }
+  return message;
+}
+
+/**
+ * Store a new chat message
+ */
+async function postMessage(notebookId, user, text) {
+  const body = validateText(text);
+  const notebook = await getNotebookOrThrow(notebookId);
+
+  // Ids start with the time so they sort chronologically
+  const message = {
+    id: `msg-${Date.now()}-${uuidv4().slice(0, 8)}`,
+    notebookId,
+    userId: user.id,
+    userName: user.name,
+    message: body,
+    mentions: await resolveMentions(notebook, body),
+    timestamp: new Date().toISOString(),
+    editedAt: null,
+    deleted: false
+  };
+
+  await DynamoDBService.createChatMessage(message);
+  return message;
+}
+
+/**
+ * A page of chat history in chronological order. `nextCursor` is passed back
+ * as `before` to load older messages.
+ */
+async function listMessages(notebookId, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const { messages, hasMore } = await DynamoDBService.getChatMessages(notebookId, {
+    before: before || undefined,
+    limit: pageSize
+  });
+
+  return {
+    messages: messages.reverse(),
+    nextCursor: hasMore && messages.length > 0 ? messages[0].id : null
+  };
+}
+
+/**
+ * Edit a message; only its sender may. Returns the message and any users
+ * mentioned for the first time.
+ */
+async function editMessage(notebookId, messageId, user, text) {
+  const body = validateText(text);
+  const message = await getMessageOrThrow(notebookId, messageId);
+
+  if (message.userId !== user.id) {
+    throw new ChatError('Only the sender can edit a message', 403, 'NOT_MESSAGE_SENDER');
+  }
+  if (message.deleted) {
+    throw new ChatError('Deleted messages cannot be edited', 409, 'MESSAGE_DELETED');
+  }
+
+  const notebook = await getNotebookOrThrow(notebookId);
+  const mentions = await resolveMentions(notebook, body);
+  const previouslyMentioned = new Set((message.mentions || []).map(m => m.userId));
+
+  const updated = {
+    ...message,
+    message: body,
+    mentions,
+    editedAt: new Date().toISOString()
+  };
+  await DynamoDBService.updateChatMessage(updated);
+
+  return {
+    message: updated,
+    newMentions: mentions.filter(m => !previouslyMentioned.has(m.userId))
+  };
+}
+
+/**
+ * Delete a message. Senders can delete their own; the notebook owner and
+ * admins can remove anyone's. The entry stays as a placeholder so history
+ * pages keep their shape.
+ */
+async function deleteMessage(notebookId, messageId, user) {
+  const message = await getMessageOrThrow(notebookId, messageId);
+  if (message.deleted) {
+    return message;
+  }
+
+  const notebook = await getNotebookOrThrow(notebookId);
+  const isSender = message.userId === user.id;
+  const isModerator = notebook.owner === user.id || user.role === 'admin';
+  if (!isSender && !isModerator) {
+    throw new ChatError('Only the sender or the notebook owner can delete a message', 403, 'CANNOT_DELETE_MESSAGE');
+  }
+
+  const deleted = {
+    ...message,
+    message: '',
+    mentions: [],
+    deleted: true,
+    deletedAt: new Date().toISOString(),
+    deletedBy: user.id,
+    moderated: !isSender
+  };
+  await DynamoDBService.updateChatMessage(deleted);
+  return deleted;
+}
+
+/**
+ * Push a chat change to the notebook room and notify mentioned users
+ * wherever they are connected
+ */
+function announce(event, message, mentions = []) {
+  // Required lazily: websocket.js depends on this module
+  const { broadcastToNotebook, notifyUser } = require('./websocket');
+  broadcastToNotebook(message.notebookId, event, message);
+
+  mentions
+    .filter(mention => mention.userId !== message.userId)
+    .forEach(mention => {
+      notifyUser(mention.userId, 'chat-mention', {
+        notebookId: message.notebookId,
+        messageId: message.id,
+        from: { id: message.userId, name: message.userName },
+        message: message.message,
+        timestamp: message.editedAt || message.timestamp
+      });
+    });
+}
+
+module.exports = {
+  ChatError,
+  postMessage,
+  listMessages,
+  editMessage,
+  deleteMessage,
+  announce,
+  MAX_MESSAGE_LENGTH
+};
@@ -0,0 +1,257 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+
+// Events expire after this many days
+const RETENTION_DAYS = parseInt(process.env.COLLABORATION_EVENT_RETENTION_DAYS || '365');
+
+// Socket edits are counted in memory and written as one event per interval
+const EDIT_FLUSH_INTERVAL_MS = 30000;
+const pendingEdits = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A session with no activity for this long is treated as abandoned
+const SESSION_IDLE_MS = 5 * 60 * 1000;
+
+/**
+ * Persist a collaboration event (join, leave, edit, chat, resolve_conflict).
+ * Event ids start with the timestamp so a notebook's events sort by time.
+ */
+async function recordCollaborationEvent(notebookId, userId, action, metadata = {}) {
+  const timestamp = metadata.timestamp || new Date().toISOString();
+  const event = {
+    eventId: `${timestamp}#${uuidv4()}`,
+    notebookId,
+    userId,
+    userName: metadata.userName || '',
+    action,
+    timestamp,
+    metadata
+  };
+
+  await DynamoDBService.createCollaborationEvent({
+    ...event,
+    expiresAt: new Date(Date.parse(timestamp) + RETENTION_DAYS * DAY_MS).toISOString()
+  });
+
+  return event;
+}
+
+/**
+ * Count an edit from a live session; edits are written in batches
+ */
+function recordEdit(notebookId, user, operations = 1) {
+  const key = `${notebookId}:${user.id}`;
+  const pending = pendingEdits.get(key) || {
+    notebookId,
+    userId: user.id,
+    userName: user.name || '',
+    operations: 0,
+    edits: 0,
+    firstAt: new Date().toISOString()
+  };
+  pending.operations += operations;
+  pending.edits += 1;
+  pendingEdits.set(key, pending);
+}
+
+/**
+ * Write batched edits, optionally only those of one user in one notebook
+ */
+async function flushEdits(notebookId, userId) {
+  const entries = Array.from(pendingEdits.entries()).filter(([, pending]) =>
+    (!notebookId || pending.notebookId === notebookId) && (!userId || pending.userId === userId)
+  );
+
+  for (const [key, pending] of entries) {
+    pendingEdits.delete(key);
+    try {
+      await recordCollaborationEvent(pending.notebookId, pending.userId, 'edit', {
+        userName: pending.userName,
+        operations: pending.operations,
+        edits: pending.edits,
+        since: pending.firstAt,
+        source: 'websocket'
+      });
+    } catch (error) {
+      console.error('Failed to record batched edits:', error);
+    }
+  }
+}
+
+setInterval(() => {
+  flushEdits().catch(error => console.error('Failed to flush edits:', error));
+}, EDIT_FLUSH_INTERVAL_MS).unref();
+
+/**
+ * Events for a notebook between two ISO timestamps, oldest first
+ */
+async function listCollaborationEvents(notebookId, { from, to, limit } = {}) {
+  return DynamoDBService.getCollaborationEvents(notebookId, {
+    from: from || '0000',
+    // '~' sorts after the '#<uuid>' suffix, so events at `to` are included
+    to: `${to || '9999'}~`,
+    limit
+  });
+}
+
+/**
+ * Most recent events for a notebook, newest first
+ */
+async function getRecentCollaborationEvents(notebookId, limit = 20) {
+  const events = await listCollaborationEvents(notebookId, { limit });
+  return events.reverse();
+}
+
+/**
+ * Pair join and leave events into sessions. A join without a leave ends at
+ * the user's next join or last event, unless the user is still active.
+ */
+function buildSessions(events, now) {
+  const sessions = [];
+  const open = new Map();
+  const lastSeen = new Map();
+
+  events.forEach(event => {
+    const time = Date.parse(event.timestamp);
+    if (event.action === 'join') {
+      const previous = open.get(event.userId);
+      if (previous) {
+        sessions.push({ ...previous, end: lastSeen.get(event.userId) || previous.start, open: false });
+      }
+      open.set(event.userId, { userId: event.userId, userName: event.userName, start: time });
+    } else if (event.action === 'leave') {
+      const session = open.get(event.userId);
+      if (session) {
+        sessions.push({ ...session, end: time, open: false });
+        open.delete(event.userId);
+      }
+    }
+    lastSeen.set(event.userId, time);
+  });
+
+  open.forEach(session => {
+    const last = lastSeen.get(session.userId);
+    if (now - last <= SESSION_IDLE_MS) {
+      sessions.push({ ...session, end: now, open: true });
+    } else {
+      sessions.push({ ...session, end: last, open: false });
+    }
+  });
+  return sessions;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Collaboration analytics for a notebook over a date range (inclusive days,
+ * YYYY-MM-DD). Defaults to the last 30 days.
+ */
+async function getCollaborationAnalytics(notebookId, { from, to } = {}) {
+  const now = Date.now();
+  const toDate = to ? new Date(`${to}T23:59:59.999Z`) : new Date(now);
+  const fromDate = from ? new Date(`${from}T00:00:00.000Z`) : new Date(toDate.getTime() - 29 * DAY_MS);
+
+  // Flush batched socket edits so the numbers include the current session
+  await flushEdits(notebookId);
+
+  const events = await listCollaborationEvents(notebookId, {
+    from: fromDate.toISOString(),
+    to: toDate.toISOString()
+  });
+
+  const sessions = buildSessions(events, Math.min(now, toDate.getTime()));
+  const contributors = new Map();
+  const timeline = new Map();
+
+  // Every day in the range appears in the timeline, including quiet ones
+  for (let day = Date.UTC(fromDate.getUTCFullYear(), fromDate.getUTCMonth(), fromDate.getUTCDate());
+    day <= toDate.getTime();
+    day += DAY_MS) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    timeline.set(date, { date, sessions: 0, edits: 0, chatMessages: 0, activeUsers: new Set() });
+  }
+
+  const contributorFor = (userId, userName) => {
+    if (!contributors.has(userId)) {
+      contributors.set(userId, { userId, userName, edits: 0, operations: 0, sessions: 0, timeSpentMs: 0, chatMessages: 0 });
+    }
+    const contributor = contributors.get(userId);
+    if (userName && !contributor.userName) contributor.userName = userName;
+    return contributor;
+  };
+
+  events.forEach(event => {
+    const contributor = contributorFor(event.userId, event.userName);
+    const day = timeline.get(event.timestamp.slice(0, 10));
+    day?.activeUsers.add(event.userId);
+
+    if (event.action === 'edit') {
+      const edits = event.metadata.edits || 1;
+      contributor.edits += edits;
+      contributor.operations += event.metadata.operations || 0;
+      if (day) day.edits += edits;
+    } else if (event.action === 'chat') {
+      contributor.chatMessages += 1;
+      if (day) day.chatMessages += 1;
+    }
+  });
+
+  sessions.forEach(session => {
+    const contributor = contributorFor(session.userId, session.userName);
+    contributor.sessions += 1;
+    contributor.timeSpentMs += session.end - session.start;
+    const day = timeline.get(new Date(session.start).toISOString().slice(0, 10));
+    if (day) day.sessions += 1;
+  });
+
+  const totalDurationMs = sessions.reduce((sum, s) => sum + (s.end - s.start), 0);
+  const averageDurationMs = sessions.length > 0 ? totalDurationMs / sessions.length : 0;
+  const contributorList = Array.from(contributors.values())
+    .map(({ timeSpentMs, ...c }) => ({ ...c, timeSpent: formatDuration(timeSpentMs) }))
+    .sort((a, b) => b.edits - a.edits);
+
+  return {
+    range: {
+      from: fromDate.toISOString().slice(0, 10),
+      to: toDate.toISOString().slice(0, 10)
+    },
+    totalCollaborators: contributors.size,
+    activeCollaborators: sessions.filter(s => s.open).length,
+    totalSessions: sessions.length,
+    averageSessionDuration: formatDuration(averageDurationMs),
+    averageSessionDurationSeconds: Math.round(averageDurationMs / 1000),
+    totalSessionDuration: formatDuration(totalDurationMs),
+    totalEdits: contributorList.reduce((sum, c) => sum + c.edits, 0),
+    totalChatMessages: contributorList.reduce((sum, c) => sum + c.chatMessages, 0),
+    conflictsResolved: events.filter(e => e.action === 'resolve_conflict').length,
+    topContributors: contributorList.slice(0, 5).map(c => ({ userId: c.userId, userName: c.userName, edits: c.edits })),
+    contributors: contributorList,
+    sessions: sessions.map(s => ({
+      userId: s.userId,
+      userName: s.userName,
+      startedAt: new Date(s.start).toISOString(),
+      endedAt: s.open ? null : new Date(s.end).toISOString(),
+      duration: formatDuration(s.end - s.start)
+    })),
+    activityTimeline: Array.from(timeline.values()).map(({ activeUsers, ...day }) => ({
+      ...day,
+      activeUsers: activeUsers.size
+    }))
+  };
+}
+
+module.exports = {
+  recordCollaborationEvent,
+  recordEdit,
+  flushEdits,
+  listCollaborationEvents,
+  getRecentCollaborationEvents,
+  getCollaborationAnalytics
+};
@@ -0,0 +1,216 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+const { transformIndex } = require('./operationalTransform');
+const { diffOperations } = require('./diff');
+
+class CommentError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'CommentError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const MAX_COMMENT_LENGTH = 5000;
+const THREAD_STATUSES = ['open', 'resolved'];
+
+function bodyOf(content) {
+  return typeof content?.body === 'string' ? content.body : '';
+}
+
+function validateText(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw new CommentError('Comment text is required', 400, 'INVALID_COMMENT');
+  }
+  if (text.trim().length > MAX_COMMENT_LENGTH) {
+    throw new CommentError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`, 400, 'COMMENT_TOO_LONG');
+  }
+  return text.trim();
+}
+
+function newComment(user, text) {
+  return {
+    id: uuidv4(),
+    userId: user.id,
+    userName: user.name,
+    text,
+    createdAt: new Date().toISOString()
+  };
+}
+
+async function getThreadOrThrow(notebookId, threadId) {
+  const thread = await DynamoDBService.getCommentThread(notebookId, threadId);
+  if (!thread) {
+    throw new CommentError('Comment thread not found', 404, 'THREAD_NOT_FOUND');
+  }
+  return thread;
+}
+
+/**
+ * Start a thread on body[start, end). `version` is the notebook version the
+ * offsets refer to; offsets from an older copy are rejected.
+ */
+async function createThread(notebookId, user, { start, end, version, text }) {
+  const body = validateText(text);
+
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new CommentError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+
+  if (version !== undefined && version !== null && parseInt(version) !== notebook.version) {
+    const error = new CommentError('The notebook has changed; reload before commenting', 409, 'STALE_ANCHOR_VERSION');
+    error.currentVersion = notebook.version;
+    throw error;
+  }
+
+  const notebookBody = bodyOf(notebook.content);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > notebookBody.length) {
+    throw new CommentError('start and end must select a non-empty range of the body', 400, 'INVALID_ANCHOR');
+  }
+
+  const thread = {
+    threadId: uuidv4(),
+    notebookId,
+    anchor: {
+      start,
+      end,
+      version: notebook.version,
+      quote: notebookBody.slice(start, end),
+      detached: false
+    },
+    status: 'open',
+    createdBy: { id: user.id, name: user.name },
+    createdAt: new Date().toISOString(),
+    resolvedBy: null,
+    resolvedAt: null,
+    comments: [newComment(user, body)]
+  };
+
+  await DynamoDBService.createCommentThread(thread);
+  return thread;
+}
+
+async function listThreads(notebookId, { status } = {}) {
+  const threads = await DynamoDBService.getCommentThreads(notebookId);
+  return THREAD_STATUSES.includes(status) ? threads.filter(t => t.status === status) : threads;
+}
+
+async function replyToThread(notebookId, threadId, user, text) {
+  const body = validateText(text);
+  await getThreadOrThrow(notebookId, threadId);
+  return DynamoDBService.appendThreadComment(notebookId, threadId, newComment(user, body));
+}
+
+async function setThreadStatus(notebookId, threadId, user, status) {
+  const thread = await getThreadOrThrow(notebookId, threadId);
+  if (thread.status === status) {
+    throw new CommentError(`Thread is already ${status}`, 409, 'THREAD_STATUS_UNCHANGED');
+  }
+
+  return DynamoDBService.updateCommentThreadStatus(
+    notebookId,
+    threadId,
+    status,
+    status === 'resolved' ? { id: user.id, name: user.name } : null
+  );
+}
+
+/**
+ * Where an anchor lands after an edit. Anchors at the edited version are
+ * mapped through its operations; text inserted at either edge stays outside
+ * the range. Anchors that missed an earlier edit fall back to finding their
+ * quote, which only works while it is unique.
+ */
+function remapAnchor(anchor, { fromVersion, toVersion, operations, body }) {
+  let start;
+  let end;
+
+  if (anchor.version === fromVersion && !anchor.detached) {
+    start = transformIndex(operations, anchor.start, 'after');
+    end = Math.max(start, transformIndex(operations, anchor.end, 'before'));
+  } else {
+    const first = anchor.quote ? body.indexOf(anchor.quote) : -1;
+    if (first !== -1 && body.indexOf(anchor.quote, first + 1) === -1) {
+      start = first;
+      end = first + anchor.quote.length;
+    } else {
+      start = Math.min(anchor.start, body.length);
+      end = start;
+    }
+  }
+
+  // A range whose text was deleted entirely keeps its last quote
+  const detached = end === start;
+  return {
+    start,
+    end,
+    version: toVersion,
+    quote: detached ? anchor.quote : body.slice(start, end),
+    detached
+  };
+}
+
+/**
+ * Move every thread's anchor from `fromVersion` to `toVersion`. Pass the
+ * applied `operations`, or `previousBody` to derive them from a whole-body
+ * save. Listeners in the notebook room get the new anchors.
+ */
+async function remapThreads(notebookId, { fromVersion, toVersion, operations, previousBody, body }) {
+  const threads = await DynamoDBService.getCommentThreads(notebookId);
+  if (threads.length === 0) return [];
+
+  const edit = {
+    fromVersion,
+    toVersion,
+    operations: operations || diffOperations(previousBody, body),
+    body
+  };
+
+  const moved = [];
+  for (const thread of threads) {
+    if (thread.anchor.version >= toVersion) continue;
+
+    const anchor = remapAnchor(thread.anchor, edit);
+    try {
+      await DynamoDBService.updateCommentThreadAnchor(notebookId, thread.threadId, anchor, thread.anchor.version);
+      moved.push({ threadId: thread.threadId, anchor });
+    } catch (error) {
+      // Another writer already moved this anchor
+      if (error?.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  if (moved.length > 0) {
+    const { broadcastToNotebook } = require('./websocket');
+    broadcastToNotebook(notebookId, 'comment-anchors-updated', {
+      notebookId,
+      version: toVersion,
+      anchors: moved
+    });
+  }
+
+  return moved;
+}
+
+/**
+ * remapThreads for callers whose own write already succeeded
+ */
+async function remapThreadsSafely(notebookId, edit) {
+  try {
+    await remapThreads(notebookId, edit);
+  } catch (error) {
+    console.warn(`Failed to remap comment anchors for ${notebookId} (non-fatal):`, error?.message || error);
+  }
+}
+
+module.exports = {
+  CommentError,
+  createThread,
+  listThreads,
+  replyToThread,
+  setThreadStatus,
+  remapThreads,
+  remapThreadsSafely
+};
@@ -0,0 +1,199 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+const { mergeThreeWay } = require('./diff');
+const { remapThreadsSafely } = require('./comments');
+const { reindexNotebookSafely } = require('./search');
+const { readVersion, recordVersionSafely, recordCurrentVersionSafely } = require('./versions');
+
+class ConflictError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const RESOLUTION_TYPES = ['mine', 'theirs', 'merged'];
+
+function bodyOf(content) {
+  return typeof content?.body === 'string' ? content.body : '';
+}
+
+/**
+ * Merge a save built on `baseVersion` into a notebook that has moved on.
+ * Non-overlapping edits are combined; overlapping ones keep the incoming
+ * text and come back as conflict descriptors to be recorded once the save
+ * has been written.
+ */
+async function mergeConcurrentSave(notebook, baseVersion, content) {
+  const mine = bodyOf(content);
+  const theirs = bodyOf(notebook.content);
+
+  // Version rows hold the content of each version
+  const baseRow = baseVersion === notebook.version
+    ? notebook
+    : await readVersion(notebook.id, baseVersion);
+
+  if (!baseRow) {
+    // Without the common ancestor the whole body is in dispute
+    return {
+      content,
+      conflicts: mine === theirs
+        ? []
+        : [{ start: 0, end: mine.length, mine, theirs, base: null }]
+    };
+  }
+
+  const merged = mergeThreeWay(bodyOf(baseRow.content), mine, theirs);
+  return {
+    content: { ...content, body: merged.body },
+    conflicts: merged.conflicts
+  };
+}
+
+/**
+ * Store conflicts produced by a merged save, or by merging a branch when
+ * `type` is 'branch_merge'
+ */
+async function recordConflicts(notebookId, descriptors, { userId, otherUserId, baseVersion, version, type = 'concurrent_edit' }) {
+  const timestamp = new Date().toISOString();
+  const conflicts = descriptors.map(descriptor => ({
+    conflictId: uuidv4(),
+    notebookId,
+    type,
+    description: type === 'branch_merge'
+      ? 'The branch and the main line changed the same passage'
+      : descriptor.base === null
+        ? 'The notebook was saved from an outdated copy'
+        : 'Two users edited the same passage concurrently',
+    users: [...new Set([userId, otherUserId].filter(Boolean))],
+    mineUser: userId,
+    theirsUser: otherUserId,
+    baseVersion,
+    version,
+    start: descriptor.start,
+    end: descriptor.end,
+    mine: descriptor.mine,
+    theirs: descriptor.theirs,
+    base: descriptor.base,
+    timestamp,
+    resolved: false
+  }));
+
+  for (const conflict of conflicts) {
+    await DynamoDBService.createNotebookConflict(conflict);
+  }
+  return conflicts;
+}
+
+/**
+ * Find the disputed passage in the current body. Offsets are exact while the
+ * notebook is still at the conflict's version; afterwards the kept text is
+ * looked up, which only works while it is unique.
+ */
+function locateConflict(body, conflict, currentVersion) {
+  if (currentVersion === conflict.version) {
+    return { start: conflict.start, end: conflict.end };
+  }
+
+  if (conflict.mine) {
+    const first = body.indexOf(conflict.mine);
+    if (first !== -1 && body.indexOf(conflict.mine, first + 1) === -1) {
+      return { start: first, end: first + conflict.mine.length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a conflict with the kept text ("mine"), the overwritten text
+ * ("theirs") or a merged passage, writing the result as a new version
+ */
+async function resolveConflict(notebookId, conflictId, resolution, user) {
+  if (!resolution || !RESOLUTION_TYPES.includes(resolution.type)) {
+    throw new ConflictError(`Resolution type must be one of: ${RESOLUTION_TYPES.join(', ')}`, 400, 'INVALID_RESOLUTION');
+  }
+  if (resolution.type === 'merged' && typeof resolution.body !== 'string') {
+    throw new ConflictError('A merged resolution requires a body', 400, 'INVALID_RESOLUTION');
+  }
+
+  const conflict = await DynamoDBService.getNotebookConflict(notebookId, conflictId);
+  if (!conflict) {
+    throw new ConflictError('Conflict not found', 404, 'CONFLICT_NOT_FOUND');
+  }
+  if (conflict.resolved) {
+    throw new ConflictError('Conflict has already been resolved', 409, 'CONFLICT_ALREADY_RESOLVED');
+  }
+
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new ConflictError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+
+  const body = bodyOf(notebook.content);
+  const range = locateConflict(body, conflict, notebook.version);
+  if (!range) {
+    throw new ConflictError(
+      'The conflicting passage has changed since the conflict was recorded; resolve it with a merged body',
+      409,
+      'CONFLICT_OUTDATED'
+    );
+  }
+
+  const replacement = {
+    mine: conflict.mine,
+    theirs: conflict.theirs,
+    merged: resolution.body
+  }[resolution.type];
+  const newBody = body.slice(0, range.start) + replacement + body.slice(range.end);
+  const newVersion = notebook.version + 1;
+
+  // Keep the version being replaced if live edits produced it
+  await recordCurrentVersionSafely(notebook);
+
+  try {
+    await DynamoDBService.updateNotebook(notebookId, {
+      content: { ...notebook.content, body: newBody },
+      version: newVersion,
+      updated_by: user.id
+    }, { expectedVersion: notebook.version });
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') {
+      throw new ConflictError('Notebook changed while resolving; retry', 409, 'VERSION_CONFLICT');
+    }
+    throw error;
+  }
+
+  await recordVersionSafely(await DynamoDBService.getNotebook(notebookId), user, 'resolve_conflict', {
+    previousVersion: notebook.version,
+    conflictId,
+    resolution: resolution.type
+  });
+
+  await remapThreadsSafely(notebookId, {
+    fromVersion: notebook.version,
+    toVersion: newVersion,
+    previousBody: body,
+    body: newBody
+  });
+
+  const resolved = await DynamoDBService.resolveNotebookConflict(notebookId, conflictId, {
+    resolution: resolution.type,
+    resolvedBy: user.id,
+    resolvedAt: new Date().toISOString(),
+    resolvedVersion: newVersion
+  });
+  await reindexNotebookSafely(notebookId);
+
+  return { conflict: resolved, version: newVersion };
+}
+
+module.exports = {
+  ConflictError,
+  mergeConcurrentSave,
+  recordConflicts,
+  resolveConflict,
+  RESOLUTION_TYPES
+};
@@ -0,0 +1,429 @@
+/**
+ * Text diffing and three-way merging for notebook bodies
+ */
+
+// Edit distance at which a region stops being searched for a shortest edit
+// script and is reported as replaced whole. Keeps time bounded on rewrites.
+const MAX_EDIT_COST = 4000;
+
+/**
+ * Shortest edit script between two arrays (Myers' algorithm, in linear
+ * space). Returns runs of { type: 'equal' | 'insert' | 'delete', items }.
+ * Regions further apart than `maxCost` edits come back as one delete and
+ * one insert.
+ */
+function diffSequences(a, b, equals = (x, y) => x === y, { maxCost = MAX_EDIT_COST } = {}) {
+  const runs = [];
+  diffRange(a, 0, a.length, b, 0, b.length, equals, maxCost, runs);
+  return runs;
+}
+
+function pushRun(runs, type, items) {
+  if (items.length === 0) return;
+  const last = runs[runs.length - 1];
+  if (last && last.type === type) {
+    last.items.push(...items);
+  } else {
+    runs.push({ type, items: [...items] });
+  }
+}
+
+// Edit script of a[aStart, aEnd) to b[bStart, bEnd), appended to `runs`
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, equals, maxCost, runs) {
+  // Common prefix and suffix never take part in the edit script
+  let prefix = 0;
+  while (aStart + prefix < aEnd && bStart + prefix < bEnd && equals(a[aStart + prefix], b[bStart + prefix])) prefix++;
+  let suffix = 0;
+  while (
+    aEnd - suffix > aStart + prefix &&
+    bEnd - suffix > bStart + prefix &&
+    equals(a[aEnd - 1 - suffix], b[bEnd - 1 - suffix])
+  ) suffix++;
+
+  pushRun(runs, 'equal', a.slice(aStart, aStart + prefix));
+  aStart += prefix;
+  bStart += prefix;
+  const suffixItems = a.slice(aEnd - suffix, aEnd);
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart === aEnd || bStart === bEnd) {
+    pushRun(runs, 'delete', a.slice(aStart, aEnd));
+    pushRun(runs, 'insert', b.slice(bStart, bEnd));
+  } else {
+    const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd, equals, maxCost);
+    if (snake) {
+      diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, equals, maxCost, runs);
+      diffRange(a, aStart + snake.x, aEnd, b, bStart + snake.y, bEnd, equals, maxCost, runs);
+    } else {
+      pushRun(runs, 'delete', a.slice(aStart, aEnd));
+      pushRun(runs, 'insert', b.slice(bStart, bEnd));
+    }
+  }
+
+  pushRun(runs, 'equal', suffixItems);
+}
+
+/**
+ * Where a shortest edit script of two non-empty ranges crosses its middle,
+ * as offsets { x, y } into them, searching from both ends at once. Null when
+ * the ranges are more than `maxCost` edits apart or share nothing.
+ */
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd, equals, maxCost) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD + 2;
+  // Furthest x reached on each diagonal, forwards and backwards
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths meet on a forward step, otherwise backward
+  const meetsForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD && d <= maxCost; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[aStart + x], b[bStart + y])) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetsForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[aEnd - 1 - x], b[bEnd - 1 - y])) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetsForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && forward[other] !== -1) {
+          const forwardX = forward[other];
+          if (forwardX >= n - x) {
+            return { x: forwardX, y: forwardX - (other - offset) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split text into lines, keeping each line's terminating newline
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Split text into words, runs of whitespace and single punctuation marks
+ */
+function splitWords(text) {
+  return text.match(/\w+|\s+|[^\w\s]/g) || [];
+}
+
+/**
+ * Changed regions of `other` relative to `base`, in base line coordinates
+ */
+function changeHunks(base, other) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  diffSequences(base, other).forEach(run => {
+    if (run.type === 'equal') {
+      if (current) hunks.push(current);
+      current = null;
+      index += run.items.length;
+      return;
+    }
+
+    if (!current) current = { start: index, end: index, lines: [] };
+    if (run.type === 'delete') {
+      index += run.items.length;
+      current.end = index;
+    } else {
+      current.lines.push(...run.items);
+    }
+  });
+
+  if (current) hunks.push(current);
+  return hunks;
+}
+
+function applyHunks(base, start, end, hunks) {
+  const lines = [];
+  let cursor = start;
+  hunks.forEach(hunk => {
+    lines.push(...base.slice(cursor, hunk.start), ...hunk.lines);
+    cursor = hunk.end;
+  });
+  lines.push(...base.slice(cursor, end));
+  return lines.join('');
+}
+
+/**
+ * Line-based three-way merge. Changes from both sides are combined; where
+ * both sides changed the same region differently, `mine` is kept in the
+ * merged text and the region is reported as a conflict with character
+ * offsets into the merged body.
+ */
+function mergeThreeWay(base, mine, theirs) {
+  const baseLines = splitLines(base);
+  const mineHunks = changeHunks(baseLines, splitLines(mine)).map(h => ({ ...h, side: 'mine' }));
+  const theirHunks = changeHunks(baseLines, splitLines(theirs)).map(h => ({ ...h, side: 'theirs' }));
+  const hunks = [...mineHunks, ...theirHunks].sort((x, y) => x.start - y.start || x.end - y.end);
+
+  let output = '';
+  const conflicts = [];
+  let cursor = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    const start = hunks[i].start;
+    let end = hunks[i].end;
+    const group = [hunks[i++]];
+
+    // Pull in every hunk that overlaps the region, or inserts at its start
+    while (i < hunks.length && (hunks[i].start < end || hunks[i].start === start)) {
+      end = Math.max(end, hunks[i].end);
+      group.push(hunks[i++]);
+    }
+
+    output += baseLines.slice(cursor, start).join('');
+    cursor = end;
+
+    const mineGroup = group.filter(h => h.side === 'mine');
+    const theirGroup = group.filter(h => h.side === 'theirs');
+    const mineText = applyHunks(baseLines, start, end, mineGroup);
+    const theirText = applyHunks(baseLines, start, end, theirGroup);
+
+    if (theirGroup.length === 0 || mineText === theirText) {
+      output += mineText;
+    } else if (mineGroup.length === 0) {
+      output += theirText;
+    } else {
+      conflicts.push({
+        start: output.length,
+        end: output.length + mineText.length,
+        mine: mineText,
+        theirs: theirText,
+        base: baseLines.slice(start, end).join('')
+      });
+      output += mineText;
+    }
+  }
+
+  output += baseLines.slice(cursor).join('');
+
+  return { body: output, conflicts };
+}
+
+/**
+ * Retain/insert/delete operations (the collaboration route's format) that
+ * turn `before` into `after`. Lines are diffed first; each replaced block is
+ * then diffed word by word so untouched words keep their place.
+ */
+function diffOperations(before, after) {
+  const operations = [];
+  const push = (type, value) => {
+    if (!value) return;
+    const last = operations[operations.length - 1];
+    if (last && last.type === type) {
+      if (type === 'insert') last.text += value;
+      else last.count += value;
+    } else {
+      operations.push(type === 'insert' ? { type, text: value } : { type, count: value });
+    }
+  };
+
+  const replace = (removed, added) => {
+    diffSequences(splitWords(removed), splitWords(added)).forEach(run => {
+      const text = run.items.join('');
+      if (run.type === 'equal') push('retain', text.length);
+      else if (run.type === 'delete') push('delete', text.length);
+      else push('insert', text);
+    });
+  };
+
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    // Line-for-line rewrites are narrowed per line
+    if (removed.length === added.length) {
+      removed.forEach((line, i) => replace(line, added[i]));
+    } else {
+      replace(removed.join(''), added.join(''));
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffSequences(splitLines(before), splitLines(after)).forEach(run => {
+    if (run.type === 'equal') {
+      flush();
+      push('retain', run.items.join('').length);
+    } else if (run.type === 'delete') {
+      removed.push(...run.items);
+    } else {
+      added.push(...run.items);
+    }
+  });
+  flush();
+
+  return operations;
+}
+
+// A replaced line is diffed word by word only when at least this share of
+// its characters survives; otherwise the whole line is shown as replaced
+const WORD_DIFF_MIN_SHARED = 0.5;
+
+function countWords(text) {
+  return (text.match(/\w+/g) || []).length;
+}
+
+/**
+ * Word runs of a line pair: `before` keeps its equal and deleted runs,
+ * `after` its equal and inserted runs. Null when the lines share too little.
+ */
+function diffLineWords(before, after) {
+  const runs = diffSequences(splitWords(before), splitWords(after)).map(run => ({
+    type: run.type,
+    text: run.items.join('')
+  }));
+  const shared = runs.filter(run => run.type === 'equal').reduce((sum, run) => sum + run.text.length, 0);
+  if (shared < Math.max(before.length, after.length) * WORD_DIFF_MIN_SHARED) return null;
+
+  return {
+    before: runs.filter(run => run.type !== 'insert'),
+    after: runs.filter(run => run.type !== 'delete')
+  };
+}
+
+/**
+ * Line diff of two texts for display, as blocks of
+ * { type: 'equal', lines }, { type: 'skip', count, oldLine, newLine } and
+ * { type: 'change', removed, added }. Line numbers start at 1. Replaced
+ * lines are paired in order and each pair that still mostly matches
+ * carries `words` runs. Unchanged stretches more than `context` lines away
+ * from a change are collapsed into a skip.
+ */
+function diffText(before, after, { context = 3 } = {}) {
+  const blocks = [];
+  const stats = { linesAdded: 0, linesRemoved: 0, wordsAdded: 0, wordsRemoved: 0 };
+  let oldLine = 1;
+  let newLine = 1;
+  let change = null;
+
+  const display = line => line.replace(/\r?\n$/, '');
+
+  const closeChange = () => {
+    if (!change) return;
+    const pairs = Math.min(change.removed.length, change.added.length);
+    for (let i = 0; i < pairs; i++) {
+      const words = diffLineWords(change.removed[i].text, change.added[i].text);
+      if (!words) continue;
+      change.removed[i].words = words.before;
+      change.added[i].words = words.after;
+    }
+    change.removed.forEach(line => {
+      stats.wordsRemoved += countWords(line.words
+        ? line.words.filter(run => run.type === 'delete').map(run => run.text).join(' ')
+        : line.text);
+    });
+    change.added.forEach(line => {
+      stats.wordsAdded += countWords(line.words
+        ? line.words.filter(run => run.type === 'insert').map(run => run.text).join(' ')
+        : line.text);
+    });
+    blocks.push(change);
+    change = null;
+  };
+
+  diffSequences(splitLines(before), splitLines(after)).forEach(run => {
+    if (run.type === 'equal') {
+      closeChange();
+      blocks.push({
+        type: 'equal',
+        lines: run.items.map((line, i) => ({ oldLine: oldLine + i, newLine: newLine + i, text: display(line) }))
+      });
+      oldLine += run.items.length;
+      newLine += run.items.length;
+      return;
+    }
+
+    if (!change) change = { type: 'change', removed: [], added: [] };
+    if (run.type === 'delete') {
+      run.items.forEach(line => change.removed.push({ oldLine: oldLine++, text: display(line) }));
+      stats.linesRemoved += run.items.length;
+    } else {
+      run.items.forEach(line => change.added.push({ newLine: newLine++, text: display(line) }));
+      stats.linesAdded += run.items.length;
+    }
+  });
+  closeChange();
+
+  // Keep `context` lines next to each change
+  const collapsed = [];
+  blocks.forEach((block, i) => {
+    if (block.type !== 'equal') {
+      collapsed.push(block);
+      return;
+    }
+    const keepBefore = i > 0 ? context : 0;
+    const keepAfter = i < blocks.length - 1 ? context : 0;
+    if (block.lines.length <= keepBefore + keepAfter) {
+      collapsed.push(block);
+      return;
+    }
+    const hidden = block.lines.slice(keepBefore, block.lines.length - keepAfter);
+    if (keepBefore > 0) collapsed.push({ type: 'equal', lines: block.lines.slice(0, keepBefore) });
+    collapsed.push({ type: 'skip', count: hidden.length, oldLine: hidden[0].oldLine, newLine: hidden[0].newLine });
+    if (keepAfter > 0) collapsed.push({ type: 'equal', lines: block.lines.slice(block.lines.length - keepAfter) });
+  });
+
+  return { blocks: collapsed, stats };
+}
+
+module.exports = {
+  MAX_EDIT_COST,
+  diffSequences,
+  splitLines,
+  splitWords,
+  mergeThreeWay,
+  diffOperations,
+  diffText
+};
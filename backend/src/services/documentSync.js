@@ -0,0 +1,408 @@
+const Y = require('yjs');
+const { DynamoDBService } = require('../config/storage');
+const { remapThreadsSafely } = require('./comments');
+const { reindexNotebookSafely } = require('./search');
+const { recordEditCheckpoint, flushCheckpoint } = require('./versionCheckpoints');
+
+// Delay between the last change and writing the document back to DynamoDB
+const PERSIST_DEBOUNCE_MS = 2000;
+const MAX_PERSIST_ATTEMPTS = 3;
+
+// Origin used for changes the server makes itself (loading, external saves)
+const SERVER_ORIGIN = 'server';
+
+// Origin used for updates relayed from another backend instance
+const REMOTE_ORIGIN = 'remote';
+
+// Live CRDT documents, one per notebook with connected clients
+const documents = new Map();
+
+/**
+ * Get the live document for a notebook, loading it from storage on first use
+ */
+async function getDocument(notebookId) {
+  let entry = documents.get(notebookId);
+  if (!entry) {
+    entry = {
+      notebookId,
+      doc: null,
+      text: null,
+      clients: new Set(),
+      // Users by client id, to credit the versions their edits produce
+      users: new Map(),
+      editor: null,
+      version: 0,
+      persistedBody: '',
+      persistedState: null,
+      storedState: null,
+      dirty: false,
+      persistTimer: null,
+      persisting: null,
+      loading: null
+    };
+    entry.loading = loadDocument(entry).catch(error => {
+      documents.delete(notebookId);
+      throw error;
+    });
+    documents.set(notebookId, entry);
+  }
+
+  await entry.loading;
+  return entry;
+}
+
+async function loadDocument(entry) {
+  const stored = await DynamoDBService.getNotebookDocumentState(entry.notebookId);
+  if (!stored) {
+    throw new Error('Notebook not found');
+  }
+
+  const doc = new Y.Doc();
+  const text = doc.getText('body');
+  const body = typeof stored.content?.body === 'string' ? stored.content.body : '';
+
+  if (stored.state) {
+    const state = new Uint8Array(stored.state);
+    Y.applyUpdate(doc, state, SERVER_ORIGIN);
+    entry.persistedState = state;
+    entry.persistedBody = text.toString();
+    entry.storedState = state;
+  } else {
+    doc.transact(() => text.insert(0, body), SERVER_ORIGIN);
+    entry.persistedState = Y.encodeStateAsUpdate(doc);
+    entry.persistedBody = body;
+  }
+
+  entry.doc = doc;
+  entry.text = text;
+  entry.version = stored.version;
+
+  // The notebook may have been saved outside a live session since the
+  // state was stored; fold that save in before anyone syncs
+  const needsPersist = !stored.state || entry.persistedBody !== body;
+  if (entry.persistedBody !== body) {
+    mergeExternalBody(entry, body);
+    entry.persistedState = Y.encodeStateAsUpdate(doc);
+  }
+
+  doc.on('update', (update, origin) => {
+    // The instance an update came from persists it and has already
+    // broadcast it to clients on every instance
+    if (origin === REMOTE_ORIGIN) return;
+
+    entry.dirty = true;
+    if (entry.users.has(origin)) entry.editor = entry.users.get(origin);
+    schedulePersist(entry);
+
+    const { broadcastToNotebook, publishToInstances } = require('./websocket');
+
+    // Keep the live copies on other instances in step. Server-to-server
+    // events are JSON encoded by the redis adapter, so send base64.
+    publishToInstances('document-update', {
+      notebookId: entry.notebookId,
+      update: Buffer.from(update).toString('base64')
+    });
+
+    // Client updates are relayed by the socket handler; server-side changes
+    // have no sender, so broadcast them here
+    if (origin === SERVER_ORIGIN) {
+      broadcastToNotebook(entry.notebookId, 'document-update', {
+        notebookId: entry.notebookId,
+        update,
+        origin: SERVER_ORIGIN
+      });
+    }
+  });
+
+  // Store the freshly built state right away so every process loads the
+  // same CRDT history instead of building its own
+  if (needsPersist) {
+    entry.dirty = true;
+    schedulePersist(entry);
+  }
+}
+
+/**
+ * Register a client in the document's room and return the data it needs to
+ * start editing: the full compacted state and the server's state vector.
+ * `user` ({ id, name?, email? }) is credited with the client's edits.
+ */
+async function joinDocument(notebookId, clientId, user) {
+  const entry = await getDocument(notebookId);
+  entry.clients.add(clientId);
+  if (user) entry.users.set(clientId, user);
+
+  return {
+    notebookId,
+    update: Y.encodeStateAsUpdate(entry.doc),
+    stateVector: Y.encodeStateVector(entry.doc),
+    version: entry.version
+  };
+}
+
+/**
+ * Updates a reconnecting client is missing, given its state vector
+ */
+async function syncDocument(notebookId, stateVector) {
+  const entry = await getDocument(notebookId);
+  const vector = stateVector ? toUint8Array(stateVector) : undefined;
+
+  return {
+    notebookId,
+    update: Y.encodeStateAsUpdate(entry.doc, vector),
+    stateVector: Y.encodeStateVector(entry.doc),
+    version: entry.version
+  };
+}
+
+/**
+ * Merge an incremental CRDT update from a client
+ */
+async function applyDocumentUpdate(notebookId, update, origin) {
+  const entry = await getDocument(notebookId);
+  Y.applyUpdate(entry.doc, toUint8Array(update), origin);
+  return entry;
+}
+
+/**
+ * Merge an update published by another instance into the local copy, if
+ * this instance has the document loaded
+ */
+async function applyRemoteDocumentUpdate(notebookId, update) {
+  const entry = documents.get(notebookId);
+  if (!entry) return;
+
+  await entry.loading;
+  Y.applyUpdate(entry.doc, toUint8Array(update), REMOTE_ORIGIN);
+}
+
+/**
+ * Apply retain/insert/delete operations (the same shape the collaboration
+ * REST route accepts) to the live document. Returns the resulting update.
+ */
+async function applyDocumentOperations(notebookId, operations, origin) {
+  const entry = await getDocument(notebookId);
+  const delta = operations.map(op => {
+    switch (op.type) {
+      case 'retain':
+        return { retain: op.count };
+      case 'delete':
+        return { delete: op.count };
+      case 'insert':
+        return { insert: op.text };
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+  });
+
+  const before = Y.encodeStateVector(entry.doc);
+  entry.doc.transact(() => entry.text.applyDelta(delta), origin);
+  return Y.encodeStateAsUpdate(entry.doc, before);
+}
+
+/**
+ * Remove a client from the document; the last one out flushes and unloads it
+ */
+async function leaveDocument(notebookId, clientId) {
+  const entry = documents.get(notebookId);
+  if (!entry) return;
+
+  entry.clients.delete(clientId);
+  entry.users.delete(clientId);
+  if (entry.clients.size > 0) return;
+
+  try {
+    await entry.loading;
+    await persistDocument(entry);
+    // The session is over: its edits get a version now
+    await flushCheckpoint(notebookId);
+  } finally {
+    if (entry.clients.size === 0) {
+      clearTimeout(entry.persistTimer);
+      entry.doc?.destroy();
+      documents.delete(notebookId);
+    }
+  }
+}
+
+function schedulePersist(entry) {
+  clearTimeout(entry.persistTimer);
+  entry.persistTimer = setTimeout(() => {
+    persistDocument(entry).catch(error => {
+      console.error(`Failed to persist live document ${entry.notebookId}:`, error);
+    });
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+/**
+ * Write the compacted document state and its plain-text body back to the
+ * notebook, bumping the version. Saves made elsewhere in the meantime are
+ * merged into the live document first.
+ */
+async function persistDocument(entry) {
+  // Serialize writes for the same document
+  while (entry.persisting) {
+    await entry.persisting;
+  }
+  if (!entry.dirty) return;
+
+  entry.persisting = (async () => {
+    for (let attempt = 0; attempt < MAX_PERSIST_ATTEMPTS; attempt++) {
+      const stored = await DynamoDBService.getNotebookDocumentState(entry.notebookId);
+      if (!stored) return;
+
+      if (stored.version !== entry.version) {
+        absorbStoredDocument(entry, stored);
+      }
+
+      entry.dirty = false;
+      const body = entry.text.toString();
+      const state = Y.encodeStateAsUpdate(entry.doc);
+      const editor = entry.editor;
+
+      try {
+        await DynamoDBService.updateNotebook(entry.notebookId, {
+          content: { ...stored.content, body },
+          crdt_state: state,
+          version: stored.version + 1,
+          ...(editor ? { updated_by: editor.id } : {})
+        }, { expectedVersion: stored.version });
+      } catch (error) {
+        entry.dirty = true;
+        if (error?.name === 'ConditionalCheckFailedException') continue;
+        throw error;
+      }
+
+      entry.version = stored.version + 1;
+      entry.persistedBody = body;
+      entry.persistedState = state;
+      entry.storedState = state;
+      if (entry.editor === editor) entry.editor = null;
+
+      await recordEditCheckpoint(entry.notebookId);
+
+      await remapThreadsSafely(entry.notebookId, {
+        fromVersion: stored.version,
+        toVersion: entry.version,
+        previousBody: typeof stored.content?.body === 'string' ? stored.content.body : '',
+        body
+      });
+      await reindexNotebookSafely(entry.notebookId);
+      return;
+    }
+
+    throw new Error('Notebook kept changing while persisting the live document');
+  })();
+
+  try {
+    await entry.persisting;
+  } finally {
+    entry.persisting = null;
+  }
+}
+
+/**
+ * Catch up with a notebook that was written since this copy last persisted.
+ * CRDT state written by another instance merges directly; a body saved
+ * outside any live session is diffed against the last merged body.
+ */
+function absorbStoredDocument(entry, stored) {
+  if (stored.state) {
+    const state = new Uint8Array(stored.state);
+    if (!entry.storedState || Buffer.compare(state, entry.storedState) !== 0) {
+      Y.applyUpdate(entry.doc, state, SERVER_ORIGIN);
+
+      const storedDoc = new Y.Doc();
+      Y.applyUpdate(storedDoc, state);
+      entry.persistedBody = storedDoc.getText('body').toString();
+      storedDoc.destroy();
+      entry.persistedState = state;
+      entry.storedState = state;
+    }
+  }
+
+  const storedBody = typeof stored.content?.body === 'string' ? stored.content.body : '';
+  mergeExternalBody(entry, storedBody);
+  entry.version = stored.version;
+}
+
+/**
+ * Fold a body saved outside the live session into the document. The edit is
+ * located between the last persisted body and the saved one, then mapped
+ * onto the live text through relative positions so concurrent live edits
+ * survive.
+ */
+function mergeExternalBody(entry, storedBody) {
+  const previous = entry.persistedBody;
+  if (previous === storedBody) return;
+
+  let prefix = 0;
+  const maxPrefix = Math.min(previous.length, storedBody.length);
+  while (prefix < maxPrefix && previous[prefix] === storedBody[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = Math.min(previous.length, storedBody.length) - prefix;
+  while (
+    suffix < maxSuffix &&
+    previous[previous.length - 1 - suffix] === storedBody[storedBody.length - 1 - suffix]
+  ) suffix++;
+
+  const inserted = storedBody.slice(prefix, storedBody.length - suffix);
+
+  // Resolve the changed range of the persisted text in the live document
+  const persistedDoc = new Y.Doc();
+  Y.applyUpdate(persistedDoc, entry.persistedState);
+  const persistedText = persistedDoc.getText('body');
+  const startRel = Y.createRelativePositionFromTypeIndex(persistedText, prefix);
+  // Anchor the end to the character before it so live inserts at the
+  // boundary stay outside the replaced range
+  const endRel = Y.createRelativePositionFromTypeIndex(persistedText, previous.length - suffix, -1);
+  persistedDoc.destroy();
+
+  const liveLength = entry.text.length;
+  const start = Y.createAbsolutePositionFromRelativePosition(startRel, entry.doc)?.index ?? Math.min(prefix, liveLength);
+  const end = Math.max(
+    start,
+    Y.createAbsolutePositionFromRelativePosition(endRel, entry.doc)?.index ?? Math.max(liveLength - suffix, start)
+  );
+
+  entry.doc.transact(() => {
+    if (end > start) entry.text.delete(start, end - start);
+    if (inserted) entry.text.insert(start, inserted);
+  }, SERVER_ORIGIN);
+
+  entry.persistedBody = storedBody;
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (typeof data === 'string') return new Uint8Array(Buffer.from(data, 'base64'));
+  if (Array.isArray(data)) return Uint8Array.from(data);
+  throw new Error('Document updates must be binary or base64 encoded');
+}
+
+/**
+ * Flush every live document (used on shutdown)
+ */
+async function persistAllDocuments() {
+  await Promise.all(Array.from(documents.values()).map(async entry => {
+    try {
+      await entry.loading;
+      await persistDocument(entry);
+    } catch (error) {
+      console.error(`Failed to persist live document ${entry.notebookId}:`, error);
+    }
+  }));
+}
+
+module.exports = {
+  joinDocument,
+  syncDocument,
+  applyDocumentUpdate,
+  applyDocumentOperations,
+  applyRemoteDocumentUpdate,
+  leaveDocument,
+  persistAllDocuments,
+  SERVER_ORIGIN
+};
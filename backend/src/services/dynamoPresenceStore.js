@@ -0,0 +1,124 @@
+const {
+  PutItemCommand,
+  GetItemCommand,
+  UpdateItemCommand,
+  DeleteItemCommand,
+  QueryCommand
+} = require('@aws-sdk/client-dynamodb');
+
+/**
+ * Presence store shared by every backend instance (see presence.js for the
+ * store interface). DynamoDB's TTL sweep is lazy, so reads also filter on
+ * the expiry time. The client, table and table check default to the AWS
+ * provider's.
+ */
+class DynamoDBPresenceStore {
+  constructor({ client, tableName, ensureTableExists } = {}) {
+    const aws = client && tableName && ensureTableExists ? null : require('../config/aws');
+    this.client = client || aws.dynamoClient;
+    this.tableName = tableName || aws.DYNAMODB_CONFIG.PRESENCE_TABLE;
+    this.ensureTableExists = ensureTableExists || aws.ensureTableExists;
+  }
+
+  ensureTable() {
+    return this.ensureTableExists(this.tableName, [
+      { name: 'notebook_id', type: 'S' },
+      { name: 'connection_id', type: 'S' }
+    ]);
+  }
+
+  async set(notebookId, connectionId, entry, ttlMs) {
+    await this.ensureTable();
+    const expiresAt = Date.now() + ttlMs;
+
+    await this.client.send(new PutItemCommand({
+      TableName: this.tableName,
+      Item: {
+        notebook_id: { S: notebookId },
+        connection_id: { S: connectionId },
+        entry: { S: JSON.stringify(entry) },
+        expires_at: { N: expiresAt.toString() },
+        ttl: { N: Math.ceil(expiresAt / 1000).toString() }
+      }
+    }));
+  }
+
+  async touch(notebookId, connectionId, fields, ttlMs) {
+    await this.ensureTable();
+    const now = Date.now();
+
+    // Read-merge-write keeps the entry a single attribute; a concurrent
+    // touch of the same connection only comes from the socket that owns it
+    const result = await this.client.send(new GetItemCommand({
+      TableName: this.tableName,
+      Key: {
+        notebook_id: { S: notebookId },
+        connection_id: { S: connectionId }
+      }
+    }));
+    const item = result.Item;
+    if (!item || parseInt(item.expires_at.N) <= now) return false;
+
+    const expiresAt = now + ttlMs;
+    try {
+      await this.client.send(new UpdateItemCommand({
+        TableName: this.tableName,
+        Key: {
+          notebook_id: { S: notebookId },
+          connection_id: { S: connectionId }
+        },
+        UpdateExpression: 'SET #entry = :entry, expires_at = :expiresAt, #ttl = :ttl',
+        ConditionExpression: 'attribute_exists(connection_id)',
+        ExpressionAttributeNames: { '#entry': 'entry', '#ttl': 'ttl' },
+        ExpressionAttributeValues: {
+          ':entry': { S: JSON.stringify({ ...JSON.parse(item.entry.S), ...fields }) },
+          ':expiresAt': { N: expiresAt.toString() },
+          ':ttl': { N: Math.ceil(expiresAt / 1000).toString() }
+        }
+      }));
+    } catch (error) {
+      // Removed between the read and the write
+      if (error?.name === 'ConditionalCheckFailedException') return false;
+      throw error;
+    }
+    return true;
+  }
+
+  async remove(notebookId, connectionId) {
+    await this.ensureTable();
+    await this.client.send(new DeleteItemCommand({
+      TableName: this.tableName,
+      Key: {
+        notebook_id: { S: notebookId },
+        connection_id: { S: connectionId }
+      }
+    }));
+  }
+
+  async list(notebookId) {
+    await this.ensureTable();
+
+    const entries = [];
+    let exclusiveStartKey;
+    do {
+      const result = await this.client.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'notebook_id = :notebookId',
+        FilterExpression: 'expires_at > :now',
+        ExpressionAttributeValues: {
+          ':notebookId': { S: notebookId },
+          ':now': { N: Date.now().toString() }
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      (result.Items || []).forEach(item => entries.push(JSON.parse(item.entry.S)));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return entries;
+  }
+}
+
+module.exports = {
+  DynamoDBPresenceStore
+};
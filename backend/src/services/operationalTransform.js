@@ -0,0 +1,272 @@
+/**
+ * Operational transformation for notebook bodies.
+ *
+ * An operation is an array of components that walk the document from start
+ * to end:
+ *   { type: 'retain', count: n }  keep the next n characters
+ *   { type: 'insert', text: 's' } insert s at the current position
+ *   { type: 'delete', count: n }  remove the next n characters
+ *
+ * Any part of the document not covered by the components is retained, so
+ * clients only need to describe the prefix they touch.
+ */
+
+class OperationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OperationError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Convert public components into the compact internal form
+ * (positive number = retain, string = insert, negative number = delete)
+ */
+function toInternal(operations) {
+  if (!Array.isArray(operations)) {
+    throw new OperationError('Operations must be an array');
+  }
+
+  const ops = [];
+  operations.forEach((op, index) => {
+    if (!op || typeof op !== 'object') {
+      throw new OperationError(`Operation ${index} is not an object`);
+    }
+
+    switch (op.type) {
+      case 'retain':
+      case 'delete': {
+        const count = Number(op.count);
+        if (!Number.isInteger(count) || count < 0) {
+          throw new OperationError(`Operation ${index} (${op.type}) needs a non-negative integer count`);
+        }
+        pushComponent(ops, op.type === 'retain' ? count : -count);
+        break;
+      }
+      case 'insert':
+        if (typeof op.text !== 'string') {
+          throw new OperationError(`Operation ${index} (insert) needs a text string`);
+        }
+        pushComponent(ops, op.text);
+        break;
+      default:
+        throw new OperationError(`Unknown operation type: ${op.type}`);
+    }
+  });
+
+  return ops;
+}
+
+/**
+ * Convert internal components back to the public shape
+ */
+function toPublic(ops) {
+  return ops.map(component => {
+    if (typeof component === 'string') {
+      return { type: 'insert', text: component };
+    }
+    return component > 0
+      ? { type: 'retain', count: component }
+      : { type: 'delete', count: -component };
+  });
+}
+
+/**
+ * Append a component, merging it with the previous one where possible.
+ * Inserts are kept before deletes so equivalent operations compare equal.
+ */
+function pushComponent(ops, component) {
+  if (component === 0 || component === '') return;
+
+  const last = ops[ops.length - 1];
+  if (typeof component === 'string') {
+    if (typeof last === 'string') {
+      ops[ops.length - 1] = last + component;
+    } else if (typeof last === 'number' && last < 0) {
+      const beforeDelete = ops[ops.length - 2];
+      if (typeof beforeDelete === 'string') {
+        ops[ops.length - 2] = beforeDelete + component;
+      } else {
+        ops.splice(ops.length - 1, 0, component);
+      }
+    } else {
+      ops.push(component);
+    }
+  } else if (typeof last === 'number' && (last > 0) === (component > 0)) {
+    ops[ops.length - 1] = last + component;
+  } else {
+    ops.push(component);
+  }
+}
+
+/**
+ * Number of characters an operation consumes from its input document
+ */
+function baseLength(ops) {
+  return ops.reduce((sum, c) => sum + (typeof c === 'number' ? Math.abs(c) : 0), 0);
+}
+
+/**
+ * Pad an operation with a trailing retain so it spans the whole document
+ */
+function normalize(ops, documentLength) {
+  const consumed = baseLength(ops);
+  if (consumed > documentLength) {
+    throw new OperationError(
+      `Operations span ${consumed} characters but the document has ${documentLength}`
+    );
+  }
+
+  const normalized = [];
+  ops.forEach(c => pushComponent(normalized, c));
+  pushComponent(normalized, documentLength - consumed);
+  return normalized;
+}
+
+/**
+ * Apply an operation to a string
+ */
+function apply(text, operations) {
+  const ops = normalize(toInternal(operations), text.length);
+  return applyInternal(text, ops);
+}
+
+function applyInternal(text, ops) {
+  const parts = [];
+  let index = 0;
+
+  ops.forEach(c => {
+    if (typeof c === 'string') {
+      parts.push(c);
+    } else if (c > 0) {
+      parts.push(text.slice(index, index + c));
+      index += c;
+    } else {
+      index -= c;
+    }
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Transform two operations made against the same document.
+ * Returns [aPrime, bPrime] such that apply(apply(doc, a), bPrime) equals
+ * apply(apply(doc, b), aPrime). When both insert at the same position,
+ * a's text ends up first.
+ */
+function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new OperationError('Cannot transform operations with different base lengths');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (typeof opA === 'string') {
+      pushComponent(aPrime, opA);
+      pushComponent(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (typeof opB === 'string') {
+      pushComponent(aPrime, opB.length);
+      pushComponent(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    // Both remaining components are retains or deletes over the same text
+    const lengthA = Math.abs(opA);
+    const lengthB = Math.abs(opB);
+    const length = Math.min(lengthA, lengthB);
+
+    if (opA > 0 && opB > 0) {
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+    } else if (opA < 0 && opB > 0) {
+      pushComponent(aPrime, -length);
+    } else if (opA > 0 && opB < 0) {
+      pushComponent(bPrime, -length);
+    }
+    // Both deleted the same text: nothing left for either side to do
+
+    opA = lengthA > length ? Math.sign(opA) * (lengthA - length) : a[i++];
+    opB = lengthB > length ? Math.sign(opB) * (lengthB - length) : b[j++];
+  }
+
+  return [aPrime, bPrime];
+}
+
+/**
+ * Rebase an incoming operation over operations that were applied after the
+ * version it was built on. `history` holds one entry per newer version,
+ * oldest first, each with the normalized operations that produced it.
+ *
+ * Returns the transformed operation and the resulting body.
+ */
+function rebaseAndApply(text, operations, history = []) {
+  const baseTextLength = history.length > 0
+    ? baseLength(toInternal(history[0].operations))
+    : text.length;
+  let ops = normalize(toInternal(operations), baseTextLength);
+
+  history.forEach(entry => {
+    const applied = toInternal(entry.operations);
+    // Already-applied edits win ties so earlier inserts stay first
+    const [, rebased] = transform(applied, ops);
+    ops = rebased;
+  });
+
+  if (baseLength(ops) !== text.length) {
+    throw new OperationError('Operation history does not match the current document');
+  }
+
+  return {
+    operations: toPublic(ops),
+    body: applyInternal(text, ops)
+  };
+}
+
+/**
+ * Map a position in the input document to the output document. `assoc`
+ * decides where a position lands when text is inserted exactly at it:
+ * 'after' moves it past the insert, 'before' leaves it in front. A
+ * position inside deleted text moves to where the deletion happened.
+ */
+function transformIndex(operations, index, assoc = 'after') {
+  const ops = toInternal(operations);
+  let consumed = 0;
+  let shift = 0;
+
+  for (const c of ops) {
+    if (consumed > index) break;
+
+    if (typeof c === 'string') {
+      if (consumed < index || assoc === 'after') shift += c.length;
+    } else if (c > 0) {
+      consumed += c;
+    } else {
+      const count = -c;
+      if (consumed < index) shift -= Math.min(count, index - consumed);
+      consumed += count;
+    }
+  }
+
+  return index + shift;
+}
+
+module.exports = {
+  OperationError,
+  apply,
+  transform: (a, b) => transform(toInternal(a), toInternal(b)).map(toPublic),
+  rebaseAndApply,
+  transformIndex,
+  normalize: (operations, documentLength) => toPublic(normalize(toInternal(operations), documentLength))
+};
@@ -0,0 +1,312 @@
+const path = require('path');
+const { DynamoDBService, S3Service } = require('../config/storage');
+const { reindexNotebookSafely } = require('./search');
+const { compareVersions } = require('./versionDiff');
+const { decodeVersions, restoreState, recordVersionSafely } = require('./versions');
+
+/**
+ * Point-in-time restore. The state of a notebook at a moment is the newest
+ * of what was recorded at or before it: the live notebook, a version, a
+ * backup snapshot (backups/<id>/) or a save copy (notebooks/<id>/, content
+ * only). Restoring writes that state as a new version, so nothing in the
+ * history is lost. Notebooks deleted since are recreated from their
+ * deletion archive (archives/deleted/<id>/).
+ */
+
+class RestoreError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'RestoreError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Sources recorded at the same moment hold the same state; prefer the fullest
+const SOURCE_PRIORITY = ['current', 'version', 'backup', 'snapshot'];
+
+function parseTimestamp(value) {
+  const at = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(at.getTime())) {
+    throw new RestoreError('`at` must be an ISO 8601 timestamp', 400, 'INVALID_TIMESTAMP');
+  }
+  if (at.getTime() > Date.now()) {
+    throw new RestoreError('`at` is in the future', 400, 'INVALID_TIMESTAMP');
+  }
+  return at;
+}
+
+// Backup and save copy keys start with the epoch milliseconds they were written at
+function objectTime(object) {
+  const written = Number(path.posix.basename(object.key).match(/^\d+/)?.[0]);
+  return Number.isFinite(written) ? written : new Date(object.lastModified).getTime();
+}
+
+function stateOf(item) {
+  return {
+    content: item.content,
+    ...(typeof item.title === 'string' ? { title: item.title } : {}),
+    ...(Array.isArray(item.tags) ? { tags: item.tags } : {})
+  };
+}
+
+async function readJson(key) {
+  try {
+    return JSON.parse(await S3Service.getObjectText(key));
+  } catch (error) {
+    console.warn(`Skipping unreadable restore source ${key}:`, error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * The newest recorded state of a notebook at or before `at`, or null.
+ * `notebook` is the live notebook, null once deleted; `createdAt` is when
+ * the notebook was created.
+ */
+async function findStateAt(notebookId, at, notebook, { createdAt = notebook?.created_at } = {}) {
+  const time = at.getTime();
+  const candidates = [];
+
+  // The creation version is recorded just after the notebook is stored, but
+  // holds its state from the moment it was created
+  const recordedTime = row => (row.version === 1 && createdAt
+    ? Math.min(new Date(row.created_at).getTime(), new Date(createdAt).getTime())
+    : new Date(row.created_at).getTime());
+
+  if (notebook && new Date(notebook.updated_at).getTime() <= time) {
+    candidates.push({
+      source: 'current',
+      timestamp: new Date(notebook.updated_at).getTime(),
+      load: async () => ({ version: notebook.version, state: stateOf(notebook) })
+    });
+  }
+
+  // Only the newest version row can win; older ones are superseded by it
+  const [row] = (await DynamoDBService.getNotebookVersions(notebookId))
+    .filter(version => recordedTime(version) <= time)
+    .sort((a, b) => recordedTime(b) - recordedTime(a) || b.version - a.version);
+  const versionCandidate = row && {
+    source: 'version',
+    timestamp: recordedTime(row),
+    load: async () => {
+      const [version] = await decodeVersions(notebookId, [row]);
+      return { version: version.version, state: stateOf(version) };
+    }
+  };
+  if (versionCandidate) candidates.push(versionCandidate);
+
+  const [backups, copies] = await Promise.all([
+    S3Service.listObjects(`backups/${notebookId}/`, { maxKeys: Infinity }),
+    S3Service.listObjects(`notebooks/${notebookId}/`, { maxKeys: Infinity })
+  ]);
+  backups.filter(object => objectTime(object) <= time).forEach(object => candidates.push({
+    source: 'backup',
+    key: object.key,
+    timestamp: objectTime(object),
+    load: async () => {
+      const backup = await readJson(object.key);
+      return backup?.notebook ? { version: backup.notebook.version, state: stateOf(backup.notebook) } : null;
+    }
+  }));
+  copies.filter(object => objectTime(object) <= time).forEach(object => candidates.push({
+    source: 'snapshot',
+    key: object.key,
+    timestamp: objectTime(object),
+    load: async () => {
+      const copy = await readJson(object.key);
+      // Spilled version content shares the prefix but is not a save
+      if (!copy || copy.metadata?.storage === 'spill' || copy.content === undefined) return null;
+      return { version: Number(copy.metadata?.version) || null, state: { content: copy.content } };
+    }
+  }));
+
+  candidates.sort((a, b) => b.timestamp - a.timestamp ||
+    SOURCE_PRIORITY.indexOf(a.source) - SOURCE_PRIORITY.indexOf(b.source));
+
+  for (let candidate of candidates) {
+    let loaded = await candidate.load();
+    // A copy of a version that has a row is read from the row, which also
+    // has the title and tags
+    if (loaded && versionCandidate && candidate !== versionCandidate && loaded.version && loaded.version <= row.version) {
+      candidate = versionCandidate;
+      loaded = await candidate.load();
+    }
+    if (loaded) {
+      return {
+        source: candidate.source,
+        ...(candidate.key ? { key: candidate.key } : {}),
+        recordedAt: new Date(candidate.timestamp).toISOString(),
+        version: loaded.version,
+        state: loaded.state
+      };
+    }
+  }
+  return null;
+}
+
+function isUnchanged(notebook, state) {
+  return JSON.stringify(state.content) === JSON.stringify(notebook.content) &&
+    (state.title === undefined || state.title === notebook.title) &&
+    (state.tags === undefined || JSON.stringify(state.tags) === JSON.stringify(notebook.tags));
+}
+
+function restoreMetadata(at, found) {
+  return {
+    restoredAt: at.toISOString(),
+    restoredFrom: found.source,
+    ...(found.version ? { restoredFromVersion: found.version } : {}),
+    ...(found.key ? { restoredFromKey: found.key } : {})
+  };
+}
+
+/**
+ * Restore a notebook to its state at `at` (an ISO timestamp) as a new
+ * version. With `dryRun` nothing is written and the result previews the
+ * state found, where it came from and how it differs from the notebook now.
+ */
+async function restoreNotebookAt(notebookId, atValue, user, { dryRun = false } = {}) {
+  const at = parseTimestamp(atValue);
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new RestoreError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+
+  const found = new Date(notebook.created_at) <= at ? await findStateAt(notebookId, at, notebook) : null;
+  if (!found) {
+    throw new RestoreError(`Notebook has no recorded state at ${at.toISOString()}`, 404, 'STATE_NOT_FOUND');
+  }
+
+  const unchanged = isUnchanged(notebook, found.state);
+  const preview = {
+    notebookId,
+    at: at.toISOString(),
+    source: found.source,
+    ...(found.key ? { key: found.key } : {}),
+    recordedAt: found.recordedAt,
+    version: found.version,
+    currentVersion: notebook.version,
+    unchanged,
+    state: found.state,
+    differences: compareVersions(notebook, { ...notebook, ...found.state })
+  };
+
+  if (dryRun || unchanged) {
+    return { ...preview, dryRun, newVersion: null };
+  }
+
+  const { newVersion } = await restoreState(notebookId, found.state, user, restoreMetadata(at, found));
+  return { ...preview, dryRun, newVersion };
+}
+
+/**
+ * Bring back a deleted notebook from its deletion archive with `state`,
+ * numbering the new version after everything in its history
+ */
+async function recreateNotebook(archived, state, user, metadata) {
+  const history = await DynamoDBService.getNotebookVersions(archived.id);
+  const version = Math.max(archived.version || 0, ...history.map(row => row.version)) + 1;
+
+  await DynamoDBService.createNotebook({ ...archived, ...state });
+  await DynamoDBService.updateNotebook(archived.id, {
+    created_at: archived.created_at,
+    version,
+    updated_by: user.id
+  }, { expectedVersion: 1 });
+
+  const notebook = await DynamoDBService.getNotebook(archived.id);
+  await recordVersionSafely(notebook, user, 'restore', { ...metadata, recreated: true });
+  await reindexNotebookSafely(archived.id);
+  return version;
+}
+
+/**
+ * Deleted notebooks last seen owned by `userId` that were deleted after `at`,
+ * as archived when deleted
+ */
+async function deletedNotebooksSince(userId, at) {
+  const archives = (await S3Service.listObjects('archives/deleted/', { maxKeys: Infinity }))
+    .filter(object => new Date(object.lastModified) > at)
+    .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+
+  const notebooks = new Map();
+  for (const object of archives) {
+    const archive = await readJson(object.key);
+    const notebook = archive?.originalNotebook;
+    if (notebook?.owner === userId && !notebooks.has(notebook.id)) {
+      notebooks.set(notebook.id, notebook);
+    }
+  }
+  return [...notebooks.values()];
+}
+
+/**
+ * Restore every notebook `userId` owns, or owned when it was deleted, to
+ * its state at `at`. Deleted notebooks are recreated; notebooks created
+ * since, or already in that state, are left alone. With `dryRun` the report
+ * shows what would happen. One notebook failing does not stop the rest.
+ */
+async function restoreUserNotebooksAt(userId, atValue, user, { dryRun = false } = {}) {
+  const at = parseTimestamp(atValue);
+  if (!await DynamoDBService.getUserById(userId)) {
+    throw new RestoreError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const owned = [];
+  let cursor;
+  do {
+    const page = await DynamoDBService.listNotebooks(userId, { ownership: 'mine', limit: 100, cursor });
+    owned.push(...page.notebooks);
+    cursor = page.cursor;
+  } while (cursor);
+  const ownedIds = new Set(owned.map(notebook => notebook.id));
+  const deleted = [];
+  for (const notebook of await deletedNotebooksSince(userId, at)) {
+    if (!ownedIds.has(notebook.id) && !await DynamoDBService.getNotebook(notebook.id)) {
+      deleted.push(notebook);
+    }
+  }
+
+  const report = { userId, at: at.toISOString(), dryRun, restored: [], skipped: [], failed: [] };
+  for (const notebook of [...owned, ...deleted]) {
+    const live = ownedIds.has(notebook.id);
+    const entry = { notebookId: notebook.id, title: notebook.title, deleted: !live };
+    try {
+      if (new Date(notebook.created_at) > at) {
+        report.skipped.push({ ...entry, reason: 'created_after' });
+        continue;
+      }
+      const found = await findStateAt(notebook.id, at, live ? notebook : null, { createdAt: notebook.created_at });
+      if (!found) {
+        report.skipped.push({ ...entry, reason: 'no_state' });
+        continue;
+      }
+      if (live && isUnchanged(notebook, found.state)) {
+        report.skipped.push({ ...entry, reason: 'unchanged' });
+        continue;
+      }
+
+      const restored = { ...entry, source: found.source, recordedAt: found.recordedAt, version: found.version };
+      if (!dryRun) {
+        const metadata = restoreMetadata(at, found);
+        restored.newVersion = live
+          ? (await restoreState(notebook.id, found.state, user, metadata)).newVersion
+          : await recreateNotebook(notebook, found.state, user, metadata);
+      }
+      report.restored.push(restored);
+    } catch (error) {
+      console.warn(`Restoring notebook ${notebook.id} to ${report.at} failed:`, error?.message || error);
+      report.failed.push({ ...entry, error: error?.message || String(error) });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  RestoreError,
+  objectTime,
+  findStateAt,
+  restoreNotebookAt,
+  restoreUserNotebooksAt
+};
@@ -0,0 +1,172 @@
+const { STORAGE_PROVIDER } = require('../config/storage');
+
+// Entries expire unless refreshed by a heartbeat within this window
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS || '90000');
+
+/**
+ * Presence stores keep one entry per (notebookId, connectionId) that expires
+ * `ttlMs` after its last write. Every store implements:
+ *
+ *   set(notebookId, connectionId, entry, ttlMs)      create or replace
+ *   touch(notebookId, connectionId, fields, ttlMs)   merge fields and extend;
+ *                                                    resolves false if expired
+ *   remove(notebookId, connectionId)
+ *   list(notebookId)                                 unexpired entries
+ */
+
+/**
+ * Single-process store with Redis-style per-key expiry, for local
+ * development and tests
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.notebooks = new Map();
+  }
+
+  entries(notebookId) {
+    const entries = this.notebooks.get(notebookId);
+    if (!entries) return null;
+
+    const now = Date.now();
+    entries.forEach((record, connectionId) => {
+      if (record.expiresAt <= now) entries.delete(connectionId);
+    });
+    if (entries.size === 0) {
+      this.notebooks.delete(notebookId);
+      return null;
+    }
+    return entries;
+  }
+
+  async set(notebookId, connectionId, entry, ttlMs) {
+    if (!this.notebooks.has(notebookId)) {
+      this.notebooks.set(notebookId, new Map());
+    }
+    this.notebooks.get(notebookId).set(connectionId, {
+      entry: { ...entry },
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async touch(notebookId, connectionId, fields, ttlMs) {
+    const record = this.entries(notebookId)?.get(connectionId);
+    if (!record) return false;
+
+    record.entry = { ...record.entry, ...fields };
+    record.expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  async remove(notebookId, connectionId) {
+    const entries = this.notebooks.get(notebookId);
+    if (!entries) return;
+    entries.delete(connectionId);
+    if (entries.size === 0) this.notebooks.delete(notebookId);
+  }
+
+  async list(notebookId) {
+    const entries = this.entries(notebookId);
+    return entries ? Array.from(entries.values()).map(record => ({ ...record.entry })) : [];
+  }
+}
+
+// Offline (local storage) runs are a single process, so memory suffices
+const DEFAULT_PRESENCE_STORE = STORAGE_PROVIDER === 'local' ? 'memory' : 'dynamodb';
+
+function createPresenceStore(type = process.env.PRESENCE_STORE || DEFAULT_PRESENCE_STORE) {
+  switch (type) {
+    case 'memory':
+      return new MemoryPresenceStore();
+    case 'dynamodb': {
+      // Only loaded when selected, so local runs never load the AWS SDK
+      const { DynamoDBPresenceStore } = require('./dynamoPresenceStore');
+      return new DynamoDBPresenceStore();
+    }
+    default:
+      throw new Error(`Unknown presence store: ${type}`);
+  }
+}
+
+let store = createPresenceStore();
+
+/**
+ * Replace the presence store (e.g. with a Redis-backed implementation)
+ */
+function setPresenceStore(presenceStore) {
+  store = presenceStore;
+}
+
+/**
+ * Register a connection (socket id or REST session) as present in a notebook
+ */
+async function joinPresence(notebookId, connectionId, user, metadata = {}) {
+  const now = new Date().toISOString();
+  const entry = {
+    connectionId,
+    userId: user.id,
+    userName: user.name,
+    email: user.email,
+    joinedAt: now,
+    lastSeen: now,
+    status: 'active',
+    cursorPosition: null,
+    isTyping: false,
+    ...metadata
+  };
+  await store.set(notebookId, connectionId, entry, PRESENCE_TTL_MS);
+  return entry;
+}
+
+/**
+ * Refresh a connection's presence, merging any changed fields (cursor,
+ * typing, status). Resolves false when the entry has already expired.
+ */
+function heartbeat(notebookId, connectionId, fields = {}) {
+  return store.touch(notebookId, connectionId, {
+    ...fields,
+    lastSeen: new Date().toISOString()
+  }, PRESENCE_TTL_MS);
+}
+
+function leavePresence(notebookId, connectionId) {
+  return store.remove(notebookId, connectionId);
+}
+
+/**
+ * Users present in a notebook. A user with several connections (tabs,
+ * devices) appears once, with their most recent cursor and status.
+ */
+async function getActiveCollaborators(notebookId) {
+  const entries = await store.list(notebookId);
+  const users = new Map();
+
+  entries
+    .sort((a, b) => a.lastSeen.localeCompare(b.lastSeen))
+    .forEach(entry => {
+      const existing = users.get(entry.userId);
+      users.set(entry.userId, {
+        userId: entry.userId,
+        userName: entry.userName,
+        email: entry.email,
+        joinedAt: existing && existing.joinedAt < entry.joinedAt ? existing.joinedAt : entry.joinedAt,
+        lastSeen: entry.lastSeen,
+        status: entry.status,
+        cursorPosition: entry.cursorPosition ?? existing?.cursorPosition ?? null,
+        isTyping: Boolean(entry.isTyping || existing?.isTyping),
+        connections: (existing?.connections || 0) + 1
+      });
+    });
+
+  return Array.from(users.values());
+}
+
+module.exports = {
+  PRESENCE_TTL_MS,
+  MemoryPresenceStore,
+  createPresenceStore,
+  setPresenceStore,
+  joinPresence,
+  heartbeat,
+  leavePresence,
+  getActiveCollaborators
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+
+class RefreshTokenError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/*
+ * A refresh token reads "<familyId>.<tokenId>.<secret>". The family is one
+ * signed-in device: every rotation adds a token to it, and logout or a
+ * replayed token revokes all of them. Only a hash of the secret is stored.
+ */
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseRefreshToken(refreshToken) {
+  const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => !part)) {
+    throw new RefreshTokenError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+  const [familyId, tokenId, secret] = parts;
+  return { familyId, tokenId, secret };
+}
+
+function secretMatches(secret, tokenHash) {
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  const stored = Buffer.from(tokenHash, 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+}
+
+/**
+ * Look up the stored record for a presented token; unknown tokens and
+ * wrong secrets are indistinguishable to the caller
+ */
+async function findRefreshToken(refreshToken) {
+  const { familyId, tokenId, secret } = parseRefreshToken(refreshToken);
+  const record = await DynamoDBService.getRefreshToken(familyId, tokenId);
+  if (!record || !secretMatches(secret, record.tokenHash)) {
+    throw new RefreshTokenError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+  return record;
+}
+
+/**
+ * Issue a refresh token for a user. Without a `familyId` this starts a new
+ * device session.
+ */
+async function issueRefreshToken(userId, { familyId = uuidv4(), tokenId = uuidv4(), device = '' } = {}) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await DynamoDBService.createRefreshToken({
+    familyId,
+    tokenId,
+    userId,
+    tokenHash: hashSecret(secret),
+    status: 'active',
+    device: device.slice(0, 256),
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  });
+
+  return {
+    refreshToken: `${familyId}.${tokenId}.${secret}`,
+    familyId,
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Exchange a refresh token for its successor. A token that was already
+ * rotated means it leaked (or was replayed), so the whole family is revoked
+ * and the device has to sign in again.
+ */
+async function rotateRefreshToken(refreshToken, { device = '' } = {}) {
+  const record = await findRefreshToken(refreshToken);
+
+  if (record.status === 'revoked') {
+    throw new RefreshTokenError('Refresh token has been revoked', 401, 'REFRESH_TOKEN_REVOKED');
+  }
+  if (record.status === 'rotated') {
+    await DynamoDBService.revokeRefreshTokenFamily(record.familyId);
+    throw new RefreshTokenError('Refresh token was already used; please sign in again', 401, 'REFRESH_TOKEN_REUSED');
+  }
+  if (new Date(record.expiresAt).getTime() <= Date.now()) {
+    throw new RefreshTokenError('Refresh token has expired', 401, 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const successorId = uuidv4();
+  try {
+    await DynamoDBService.markRefreshTokenRotated(record.familyId, record.tokenId, successorId);
+  } catch (error) {
+    // Someone else rotated it between our read and write: same as a replay
+    if (error?.name !== 'ConditionalCheckFailedException') throw error;
+    await DynamoDBService.revokeRefreshTokenFamily(record.familyId);
+    throw new RefreshTokenError('Refresh token was already used; please sign in again', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  const next = await issueRefreshToken(record.userId, {
+    familyId: record.familyId,
+    tokenId: successorId,
+    device
+  });
+
+  // A replay racing this rotation can revoke the family before the
+  // successor exists; it must not survive that
+  const rotated = await DynamoDBService.getRefreshToken(record.familyId, record.tokenId);
+  if (rotated?.status === 'revoked') {
+    await DynamoDBService.revokeRefreshTokenFamily(record.familyId);
+    throw new RefreshTokenError('Refresh token was already used; please sign in again', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  return { userId: record.userId, ...next };
+}
+
+/**
+ * Sign a device out by revoking its token family. Unknown tokens are
+ * ignored so logout is idempotent.
+ */
+async function revokeRefreshToken(refreshToken) {
+  try {
+    const record = await findRefreshToken(refreshToken);
+    await DynamoDBService.revokeRefreshTokenFamily(record.familyId);
+    return true;
+  } catch (error) {
+    if (error instanceof RefreshTokenError) return false;
+    throw error;
+  }
+}
+
+async function revokeRefreshTokenFamily(familyId) {
+  return DynamoDBService.revokeRefreshTokenFamily(familyId);
+}
+
+module.exports = {
+  RefreshTokenError,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokenFamily,
+  REFRESH_TOKEN_TTL_DAYS
+};
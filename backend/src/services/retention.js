@@ -0,0 +1,385 @@
+const { DynamoDBService, S3Service } = require('../config/storage');
+const { ROLES } = require('../middleware/auth');
+const { objectTime } = require('./pointInTime');
+const { encodeDelta } = require('./versionDelta');
+const { SNAPSHOT_INTERVAL, decodeVersions } = require('./versions');
+
+/**
+ * Version retention. A policy keeps every version from the last
+ * `keepAllDays` days, then the newest version of each hour up to
+ * `hourlyDays`, of each day up to `dailyDays` and of each week up to
+ * `weeklyDays` (forever when null); older versions are pruned. The current
+ * version, labeled and pinned versions and the versions branches were
+ * forked from are always kept.
+ *
+ * Policies are set per notebook or per role (the notebook owner's); a
+ * notebook without either follows DEFAULT_POLICY. Compacting a notebook
+ * prunes what its policy no longer keeps and re-encodes what is left as
+ * full snapshots with deltas in between. The save copies under
+ * notebooks/<id>/ are thinned by the same windows.
+ */
+
+class RetentionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'RetentionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DEFAULT_POLICY = {
+  keepAllDays: 7,
+  hourlyDays: 30,
+  dailyDays: 180,
+  weeklyDays: null
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function policyOf(stored) {
+  const { keepAllDays, hourlyDays, dailyDays, weeklyDays } = stored;
+  return { keepAllDays, hourlyDays, dailyDays, weeklyDays: weeklyDays ?? null };
+}
+
+function notebookScope(notebookId) {
+  return `notebook:${notebookId}`;
+}
+
+function roleScope(role) {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new RetentionError(`Unknown role "${role}"`, 400, 'INVALID_ROLE');
+  }
+  return `role:${role}`;
+}
+
+async function getNotebookOrThrow(notebookId) {
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new RetentionError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+  return notebook;
+}
+
+// Pruning history is the owner's call
+function assertCanManage(notebook, user) {
+  if (notebook.owner !== user.id && user.role !== ROLES.ADMIN) {
+    throw new RetentionError('Only the notebook owner can change its retention', 403, 'INSUFFICIENT_PERMISSIONS');
+  }
+}
+
+/**
+ * The policy a notebook follows and where it comes from: `notebook`,
+ * `role` (with the owner's `role`) or `default`
+ */
+async function resolvePolicy(notebook) {
+  const notebookPolicy = await DynamoDBService.getRetentionPolicy(notebookScope(notebook.id));
+  if (notebookPolicy) {
+    return { policy: policyOf(notebookPolicy), source: 'notebook' };
+  }
+
+  const owner = await DynamoDBService.getUserById(notebook.owner).catch(() => null);
+  const rolePolicy = owner?.role ? await DynamoDBService.getRetentionPolicy(roleScope(owner.role)) : null;
+  if (rolePolicy) {
+    return { policy: policyOf(rolePolicy), source: 'role', role: owner.role };
+  }
+
+  return { policy: DEFAULT_POLICY, source: 'default' };
+}
+
+async function getNotebookPolicy(notebookId) {
+  return resolvePolicy(await getNotebookOrThrow(notebookId));
+}
+
+async function setNotebookPolicy(notebookId, policy, user) {
+  assertCanManage(await getNotebookOrThrow(notebookId), user);
+  const stored = await DynamoDBService.putRetentionPolicy(notebookScope(notebookId), { ...policyOf(policy), updated_by: user.id });
+  return { policy: policyOf(stored), source: 'notebook' };
+}
+
+/**
+ * Drop a notebook's own policy so it follows its owner's role again
+ */
+async function clearNotebookPolicy(notebookId, user) {
+  const notebook = await getNotebookOrThrow(notebookId);
+  assertCanManage(notebook, user);
+  await DynamoDBService.deleteRetentionPolicy(notebookScope(notebookId));
+  return resolvePolicy(notebook);
+}
+
+/**
+ * Each role's policy, `null` where the role has none
+ */
+async function listRolePolicies() {
+  const stored = await DynamoDBService.listRetentionPolicies();
+  return Object.values(ROLES).map(role => {
+    const policy = stored.find(item => item.scope === roleScope(role));
+    return { role, policy: policy ? policyOf(policy) : null };
+  });
+}
+
+async function setRolePolicy(role, policy, user) {
+  const stored = await DynamoDBService.putRetentionPolicy(roleScope(role), { ...policyOf(policy), updated_by: user.id });
+  return { role, policy: policyOf(stored) };
+}
+
+async function clearRolePolicy(role) {
+  await DynamoDBService.deleteRetentionPolicy(roleScope(role));
+  return { role, policy: null };
+}
+
+/**
+ * Which versions a policy keeps, newest first in `versions`, and why:
+ * Map of version number to its reasons. `protect` maps versions kept
+ * regardless of age to their reason.
+ */
+function selectVersions(versions, policy, { now = Date.now(), protect = new Map() } = {}) {
+  const kept = new Map();
+  const keep = (version, reason) => kept.set(version, [...(kept.get(version) || []), reason]);
+  protect.forEach((reasons, version) => reasons.forEach(reason => keep(version, reason)));
+
+  const tiers = [
+    { reason: 'hourly', days: policy.hourlyDays, bucket: time => Math.floor(time / HOUR) },
+    { reason: 'daily', days: policy.dailyDays, bucket: time => Math.floor(time / DAY) },
+    // Weeks start on Monday; the epoch was a Thursday
+    { reason: 'weekly', days: policy.weeklyDays ?? Infinity, bucket: time => Math.floor((time / DAY + 3) / 7) }
+  ];
+  const seen = new Set();
+
+  versions.forEach(version => {
+    const time = new Date(version.created_at).getTime();
+    const age = now - time;
+    if (age < policy.keepAllDays * DAY) {
+      keep(version.version, 'recent');
+      return;
+    }
+
+    const tier = tiers.find(candidate => age < candidate.days * DAY);
+    if (!tier) return;
+    const bucket = `${tier.reason}:${tier.bucket(time)}`;
+    if (!seen.has(bucket)) {
+      seen.add(bucket);
+      keep(version.version, tier.reason);
+    }
+  });
+
+  return kept;
+}
+
+function contentSize(content) {
+  return Buffer.byteLength(JSON.stringify(content ?? null));
+}
+
+/**
+ * How to store the kept versions, oldest first: a full row at least every
+ * SNAPSHOT_INTERVAL rows and deltas against it in between where smaller.
+ * The newest row keeps its encoding, since saves under way encode against
+ * it or its snapshot.
+ */
+function planEncoding(kept, newest) {
+  const forcedFull = new Set(newest.encoding === 'delta' ? [newest.baseVersion] : []);
+  const plan = [];
+  let snapshot = null;
+  let deltas = 0;
+
+  [...kept].sort((a, b) => a.version - b.version).forEach(version => {
+    if (version.version === newest.version) {
+      plan.push({ version, encoding: newest.encoding || 'full', baseVersion: newest.baseVersion, size: newest.storedSize });
+      return;
+    }
+
+    if (snapshot && deltas < SNAPSHOT_INTERVAL - 1 && !forcedFull.has(version.version)) {
+      const delta = encodeDelta(snapshot.content, version.content);
+      if (delta && contentSize(delta) < contentSize(version.content)) {
+        plan.push({ version, encoding: 'delta', baseVersion: snapshot.version, delta, size: contentSize(delta) });
+        deltas += 1;
+        return;
+      }
+    }
+
+    plan.push({ version, encoding: 'full', size: contentSize(version.content) });
+    snapshot = version;
+    deltas = 0;
+  });
+
+  return plan;
+}
+
+function isUnchanged(entry, stored) {
+  return (stored.encoding || 'full') === entry.encoding &&
+    (entry.encoding === 'full' || stored.baseVersion === entry.baseVersion);
+}
+
+function storedRow(version, entry) {
+  return entry.encoding === 'delta'
+    ? { ...version, content: entry.delta, encoding: 'delta', baseVersion: entry.baseVersion }
+    : version;
+}
+
+/**
+ * The save copies (notebooks/<id>/, one per save) the policy no longer
+ * keeps, by the same windows as versions. Spilled content shares the
+ * prefix but is storage a row points at, so it is never pruned here.
+ */
+async function selectSaveCopies(notebookId, policy, now) {
+  const objects = await S3Service.listObjects(`notebooks/${notebookId}/`, { maxKeys: Infinity });
+  const copies = [];
+  for (const object of objects) {
+    const created = objectTime(object);
+    // Recent copies are kept whatever they hold; only older ones are read
+    if (now - created >= policy.keepAllDays * DAY) {
+      let stored;
+      try {
+        stored = JSON.parse(await S3Service.getObjectText(object.key));
+      } catch (error) {
+        console.warn(`Skipping unreadable save copy ${object.key}:`, error?.message || error);
+        continue;
+      }
+      if (stored?.metadata?.storage === 'spill') continue;
+    }
+    copies.push({ version: object.key, created_at: new Date(created).toISOString() });
+  }
+  copies.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const kept = selectVersions(copies, policy, { now });
+  return {
+    kept: copies.filter(copy => kept.has(copy.version)).length,
+    pruned: copies.filter(copy => !kept.has(copy.version)).map(copy => ({ key: copy.version, created_at: copy.created_at }))
+  };
+}
+
+/**
+ * Apply a notebook's retention policy. With `dryRun` nothing changes and
+ * the report shows what would be kept (with reasons), what would be pruned
+ * and the stored content size before and after, and how many save copies
+ * would be kept and which pruned.
+ */
+async function compactVersions(notebookId, { dryRun = false, user, now = Date.now() } = {}) {
+  const notebook = await getNotebookOrThrow(notebookId);
+  if (!dryRun && user) assertCanManage(notebook, user);
+
+  const { policy, source, role } = await resolvePolicy(notebook);
+  const stored = await DynamoDBService.getNotebookVersions(notebookId);
+  const report = {
+    notebookId,
+    dryRun,
+    policy,
+    policySource: source,
+    ...(role ? { role } : {}),
+    kept: [],
+    pruned: [],
+    storage: { before: 0, after: 0, snapshots: 0, deltas: 0 },
+    saveCopies: await selectSaveCopies(notebookId, policy, now)
+  };
+  if (stored.length === 0) {
+    if (!dryRun) await S3Service.deleteObjects(report.saveCopies.pruned.map(copy => copy.key));
+    return report;
+  }
+
+  const versions = await decodeVersions(notebookId, stored);
+  const storedByVersion = new Map(stored.map(row => [row.version, row]));
+  const newest = { ...stored[0], storedSize: contentSize(stored[0].content) };
+
+  const protect = new Map();
+  const addProtected = (version, reason) => protect.set(version, [...(protect.get(version) || []), reason]);
+  addProtected(notebook.version, 'current');
+  versions.forEach(version => {
+    if (version.label) addProtected(version.version, 'labeled');
+    if (version.pinned) addProtected(version.version, 'pinned');
+  });
+  const branches = await DynamoDBService.getNotebookBranches(notebookId);
+  branches
+    .filter(branch => branch.status === 'open')
+    .forEach(branch => addProtected(branch.baseVersion, 'branch'));
+  if (newest.encoding === 'delta') addProtected(newest.baseVersion, 'snapshot');
+
+  const reasons = selectVersions(versions, policy, { now, protect });
+  const kept = versions.filter(version => reasons.has(version.version) || version.version === newest.version);
+  const pruned = versions.filter(version => !kept.includes(version));
+  const plan = planEncoding(kept, newest);
+
+  report.kept = kept.map(version => ({
+    version: version.version,
+    created_at: version.created_at,
+    label: version.label,
+    pinned: version.pinned,
+    reasons: reasons.get(version.version) || ['latest']
+  }));
+  report.pruned = pruned.map(version => ({
+    version: version.version,
+    created_at: version.created_at,
+    action: version.action,
+    contributor: version.contributor
+  }));
+  report.storage = {
+    before: stored.reduce((sum, row) => sum + contentSize(row.content), 0),
+    after: plan.reduce((sum, entry) => sum + entry.size, 0),
+    snapshots: plan.filter(entry => entry.encoding === 'full').length,
+    deltas: plan.filter(entry => entry.encoding === 'delta').length
+  };
+
+  if (dryRun) return report;
+
+  // Snapshots first, so every delta written has its full row in place;
+  // deltas newest first, so rows still encoded against a row being
+  // re-encoded are rewritten before it
+  const changes = plan.filter(entry => !isUnchanged(entry, storedByVersion.get(entry.version.version)));
+  for (const entry of changes.filter(change => change.encoding === 'full')) {
+    await DynamoDBService.createNotebookVersion(notebookId, storedRow(entry.version, entry));
+  }
+  for (const entry of changes.filter(change => change.encoding === 'delta').reverse()) {
+    await DynamoDBService.createNotebookVersion(notebookId, storedRow(entry.version, entry));
+  }
+  for (const version of pruned) {
+    await DynamoDBService.deleteNotebookVersion(notebookId, version.version);
+  }
+  await S3Service.deleteObjects(report.saveCopies.pruned.map(copy => copy.key));
+
+  report.rewritten = changes.length;
+  return report;
+}
+
+/**
+ * compactVersions for every stored notebook, a page at a time. Totals
+ * across notebooks; a notebook that fails is logged and skipped.
+ */
+async function compactAllVersions({ dryRun = false, now = Date.now() } = {}) {
+  const totals = { notebooks: 0, failed: 0, kept: 0, pruned: 0, prunedCopies: 0, before: 0, after: 0 };
+  let cursor;
+  do {
+    const page = await DynamoDBService.scanNotebooks({ limit: 100, cursor });
+    for (const notebook of page.notebooks) {
+      try {
+        const report = await compactVersions(notebook.id, { dryRun, now });
+        totals.kept += report.kept.length;
+        totals.pruned += report.pruned.length;
+        totals.prunedCopies += report.saveCopies.pruned.length;
+        totals.before += report.storage.before;
+        totals.after += report.storage.after;
+        totals.notebooks += 1;
+      } catch (error) {
+        console.warn(`Compacting notebook ${notebook.id} failed:`, error?.message || error);
+        totals.failed += 1;
+      }
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  return totals;
+}
+
+module.exports = {
+  RetentionError,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  getNotebookPolicy,
+  setNotebookPolicy,
+  clearNotebookPolicy,
+  listRolePolicies,
+  setRolePolicy,
+  clearRolePolicy,
+  selectVersions,
+  compactVersions,
+  compactAllVersions
+};
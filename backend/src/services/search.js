@@ -0,0 +1,358 @@
+const { STOP_WORDS, parseQuery, tokenize } = require('./textAnalysis');
+const { embedDocument, removeEmbeddings, rankBySimilarity } = require('./semanticSearch');
+const { searchEngine, SEARCH_INDEX_IS_PERSISTENT } = require('../config/searchEngine');
+const { matchesFilters } = require('../config/localSearch');
+
+// Notebooks read per page while rebuilding the index
+const REINDEX_PAGE_SIZE = 100;
+
+// Notebooks listed per page while ranking by similarity
+const SEMANTIC_PAGE_SIZE = 100;
+
+// Keyword hits considered when merging with semantic results, and the
+// reciprocal rank fusion constant (higher flattens the rank curve)
+const HYBRID_CANDIDATES = 100;
+const RRF_K = 60;
+
+// Distinct words kept per notebook for autocomplete
+const MAX_SUGGESTION_WORDS = 1000;
+
+// Candidates fetched per suggestion type, and the order types are listed
+// in when counts tie
+const SUGGESTIONS_PER_TYPE = 5;
+const SUGGESTION_TYPES = ['title', 'tag', 'course', 'subject', 'term'];
+
+// "Updated within" facet buckets
+const DATE_BUCKETS = [
+  { value: 'week', label: 'Last week', days: 7 },
+  { value: 'month', label: 'Last month', days: 30 },
+  { value: '3months', label: 'Last 3 months', days: 90 },
+  { value: 'year', label: 'Last year', days: 365 }
+];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Distinct words of a text as written (lowercased, not stemmed), for
+ * completing what the user is typing
+ */
+function suggestionWords(text) {
+  const words = new Set();
+  for (const { word } of tokenize(text)) {
+    if (words.size >= MAX_SUGGESTION_WORDS) break;
+    if (word.length >= 3 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)) words.add(word);
+  }
+  return [...words];
+}
+
+/**
+ * Flat record the search engines index for a notebook
+ */
+function searchDocument(notebook) {
+  const content = notebook.content;
+  let body = '';
+  if (typeof content === 'string') {
+    body = content;
+  } else if (typeof content?.body === 'string') {
+    body = content.body;
+  }
+
+  return {
+    id: notebook.id,
+    title: notebook.title || '',
+    body,
+    attachments: (Array.isArray(content?.attachments) ? content.attachments : [])
+      .map(attachment => attachment?.name)
+      .filter(Boolean),
+    tags: notebook.tags || [],
+    subject: notebook.subject || '',
+    course: notebook.course || '',
+    words: suggestionWords(`${notebook.title || ''} ${body}`),
+    owner: notebook.owner,
+    collaborators: notebook.collaborators || [],
+    created_at: notebook.created_at,
+    updated_at: notebook.updated_at
+  };
+}
+
+// A non-persistent index is filled from storage once per process
+let loadingIndex = null;
+
+async function ensureIndexLoaded() {
+  if (SEARCH_INDEX_IS_PERSISTENT) return;
+  if (!loadingIndex) {
+    loadingIndex = SearchService.reindexAll();
+    loadingIndex.catch(() => { loadingIndex = null; });
+  }
+  await loadingIndex;
+}
+
+class SearchService {
+  static async indexNotebook(notebook) {
+    const doc = searchDocument(notebook);
+    await searchEngine.indexDocument(doc);
+    // Missing embeddings are rebuilt on the next semantic search
+    try {
+      await embedDocument(doc);
+    } catch (error) {
+      console.warn(`Embedding failed for ${notebook.id} (non-fatal):`, error?.message || error);
+    }
+  }
+
+  static async removeNotebook(notebookId) {
+    await searchEngine.removeDocument(notebookId);
+    await removeEmbeddings(notebookId);
+  }
+
+  /**
+   * Re-read a notebook from storage and index it, or drop it from the index
+   * if it no longer exists
+   */
+  static async reindexNotebook(notebookId) {
+    const { DynamoDBService } = require('../config/storage');
+    const notebook = await DynamoDBService.getNotebook(notebookId);
+    if (notebook) {
+      await this.indexNotebook(notebook);
+    } else {
+      await this.removeNotebook(notebookId);
+    }
+  }
+
+  /**
+   * Index every stored notebook. Returns the number indexed.
+   */
+  static async reindexAll() {
+    const { DynamoDBService } = require('../config/storage');
+    let indexed = 0;
+    let cursor;
+    do {
+      const page = await DynamoDBService.scanNotebooks({ limit: REINDEX_PAGE_SIZE, cursor });
+      for (const notebook of page.notebooks) {
+        await this.indexNotebook(notebook);
+        indexed++;
+      }
+      cursor = page.cursor;
+    } while (cursor);
+    return indexed;
+  }
+
+  /**
+   * Notebooks the user can open that contain every word of `query` (and
+   * every "quoted phrase"), best match first. Scores are relative to the
+   * top hit; highlights wrap matched words in <mark>.
+   */
+  static async searchNotebooks(query, userId, filters = {}, { from = 0, size = 20 } = {}) {
+    await ensureIndexLoaded();
+
+    const result = await searchEngine.search({
+      query: { ...parseQuery(query), text: query },
+      userId,
+      filters,
+      from,
+      size
+    });
+
+    return toResults(result);
+  }
+
+  /**
+   * Completions for what the user has typed, from the notebooks they can
+   * open: titles, tags, courses and subjects containing a word that starts
+   * with it, and frequent words completing its last word. Most used first.
+   */
+  static async suggest(typed, userId, { limit = 10 } = {}) {
+    await ensureIndexLoaded();
+
+    const text = String(typed || '').replace(/^\s+/, '').toLowerCase();
+    const head = text.slice(0, text.lastIndexOf(' ') + 1);
+    const result = await searchEngine.suggest({
+      prefix: text.trim(),
+      termPrefix: text.slice(head.length),
+      userId,
+      size: SUGGESTIONS_PER_TYPE
+    });
+
+    const suggestions = [
+      ...result.titles.map(title => ({ type: 'title', text: title.value, count: title.count, notebookId: title.notebookId })),
+      ...result.tags.map(tag => ({ type: 'tag', text: tag.value, count: tag.count })),
+      ...result.courses.map(course => ({ type: 'course', text: course.value, count: course.count })),
+      ...result.subjects.map(subject => ({ type: 'subject', text: subject.value, count: subject.count })),
+      ...result.terms.map(term => ({ type: 'term', text: `${head}${term.value}`, count: term.count }))
+    ].sort((a, b) => b.count - a.count || SUGGESTION_TYPES.indexOf(a.type) - SUGGESTION_TYPES.indexOf(b.type));
+
+    // The same text as a tag and a word is offered once
+    const seen = new Set();
+    return suggestions
+      .filter(suggestion => {
+        const key = suggestion.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Value counts for narrowing a search: subjects, courses, tags, owners
+   * and how recently notebooks were updated, over the notebooks the user can
+   * open that match `query` (if any) and `filters`
+   */
+  static async facets(query, userId, filters = {}) {
+    await ensureIndexLoaded();
+
+    const now = Date.now();
+    const dateBuckets = DATE_BUCKETS.map(bucket => ({
+      key: bucket.value,
+      from: new Date(now - bucket.days * DAY_MS).toISOString()
+    }));
+    const result = await searchEngine.facets({
+      query: query ? { ...parseQuery(query), text: query } : null,
+      userId,
+      filters,
+      dateBuckets
+    });
+
+    return {
+      total: result.total,
+      facets: {
+        subjects: result.subject,
+        courses: result.course,
+        tags: result.tags,
+        owners: result.owner,
+        dateRanges: DATE_BUCKETS.map((bucket, i) => ({
+          label: bucket.label,
+          value: bucket.value,
+          dateFrom: dateBuckets[i].from,
+          count: result.updated[i].count
+        }))
+      }
+    };
+  }
+
+  /**
+   * Notebooks the user can open ranked by how close their contents are in
+   * meaning to `query`. Scores are cosine similarities of the closest
+   * passage, which is returned as the highlight.
+   */
+  static async semanticSearch(query, userId, filters = {}, { from = 0, size = 20 } = {}) {
+    const ranked = await rankSemantically(query, userId, filters);
+    return {
+      total: ranked.length,
+      results: ranked.slice(from, from + size).map(match => ({
+        notebookId: match.notebookId,
+        score: match.similarity,
+        highlights: match.passage ? [match.passage] : [],
+        matchedFields: [match.passage ? 'body' : 'title']
+      }))
+    };
+  }
+
+  /**
+   * Keyword and semantic results merged by reciprocal rank fusion, so a
+   * notebook ranked well by either appears near the top. Scores are
+   * relative to the top result.
+   */
+  static async hybridSearch(query, userId, filters = {}, { from = 0, size = 20 } = {}) {
+    const [keyword, semantic] = await Promise.all([
+      this.searchNotebooks(query, userId, filters, { from: 0, size: HYBRID_CANDIDATES }),
+      rankSemantically(query, userId, filters)
+    ]);
+
+    const merged = new Map();
+    const entry = notebookId => {
+      if (!merged.has(notebookId)) {
+        merged.set(notebookId, { notebookId, score: 0, highlights: [], matchedFields: new Set() });
+      }
+      return merged.get(notebookId);
+    };
+    keyword.results.forEach((result, rank) => {
+      const item = entry(result.notebookId);
+      item.score += 1 / (RRF_K + rank + 1);
+      item.highlights = result.highlights;
+      result.matchedFields.forEach(field => item.matchedFields.add(field));
+    });
+    semantic.forEach((match, rank) => {
+      const item = entry(match.notebookId);
+      item.score += 1 / (RRF_K + rank + 1);
+      if (item.highlights.length === 0 && match.passage) item.highlights = [match.passage];
+      item.matchedFields.add(match.passage ? 'body' : 'title');
+    });
+
+    const results = [...merged.values()].sort((a, b) => b.score - a.score);
+    const top = results.length > 0 ? results[0].score : 0;
+    return {
+      total: results.length,
+      results: results.slice(from, from + size).map(item => ({
+        ...item,
+        score: top > 0 ? item.score / top : 0,
+        matchedFields: [...item.matchedFields]
+      }))
+    };
+  }
+
+  /**
+   * Notebooks the user can open that match a parsed advanced query (see
+   * services/searchQuery). `sort` is 'relevance', 'updated_at' or
+   * 'created_at'; `order` applies to the date sorts.
+   */
+  static async advancedSearch(tree, userId, filters = {}, { sort = 'relevance', order = 'desc', from = 0, size = 20 } = {}) {
+    await ensureIndexLoaded();
+
+    const result = await searchEngine.advancedSearch({ tree, userId, filters, sort, order, from, size });
+    return toResults(result);
+  }
+}
+
+/**
+ * Notebooks the user can open that match `filters`, read a page at a time
+ * without their content (only ids and updated_at are needed to find
+ * their stored embeddings)
+ */
+async function* accessibleNotebooks(userId, filters) {
+  const { DynamoDBService } = require('../config/storage');
+  let cursor;
+  do {
+    const page = await DynamoDBService.listNotebooks(userId, {
+      subject: filters.subject,
+      course: filters.course,
+      tags: filters.tags,
+      limit: SEMANTIC_PAGE_SIZE,
+      cursor,
+      withContent: false
+    });
+    yield* page.notebooks.filter(notebook => matchesFilters(notebook, null, filters));
+    cursor = page.cursor;
+  } while (cursor);
+}
+
+function rankSemantically(query, userId, filters) {
+  return rankBySimilarity(query, accessibleNotebooks(userId, filters));
+}
+
+function toResults(result) {
+  return {
+    total: result.total,
+    results: result.hits.map(hit => ({
+      notebookId: hit.id,
+      score: result.maxScore > 0 ? hit.score / result.maxScore : 0,
+      highlights: hit.highlights,
+      matchedFields: hit.matchedFields
+    }))
+  };
+}
+
+/**
+ * Reindex after a write without failing the write
+ */
+async function reindexNotebookSafely(notebookId) {
+  try {
+    await SearchService.reindexNotebook(notebookId);
+  } catch (error) {
+    console.warn(`Search indexing failed for ${notebookId} (non-fatal):`, error?.message || error);
+  }
+}
+
+module.exports = {
+  SearchService,
+  reindexNotebookSafely,
+  searchDocument
+};
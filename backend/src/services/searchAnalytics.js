@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/storage');
+
+class SearchAnalyticsError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'SearchAnalyticsError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Searches expire after this many days
+const RETENTION_DAYS = parseInt(process.env.SEARCH_EVENT_RETENTION_DAYS || '180');
+
+// Longest range one analytics request reads, one query per day
+const MAX_RANGE_DAYS = 90;
+
+const TOP_QUERIES = 20;
+const TOP_GROUPS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Queries that differ only in case or spacing are counted together
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Log a search with what it returned. `results` are the returned page, each
+ * with `notebookId` and, when enhanced, `notebook.course`. The search counts
+ * toward its course filter, or else the course of its top result.
+ */
+async function recordSearch(user, { query, mode, filters = {}, total, results = [], offset = 0, latencyMs }) {
+  const timestamp = new Date().toISOString();
+  const applied = Object.fromEntries(Object.entries(filters).filter(([, value]) =>
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  ));
+
+  const event = {
+    searchId: `${timestamp}#${uuidv4()}`,
+    userId: user.id,
+    userName: user.name || '',
+    userRole: user.role || '',
+    query,
+    normalizedQuery: normalizeQuery(query),
+    mode,
+    filters: applied,
+    course: applied.course || results[0]?.notebook?.course || null,
+    resultCount: total,
+    resultIds: results.map(result => result.notebookId),
+    offset,
+    latencyMs,
+    timestamp,
+    clicks: []
+  };
+
+  await DynamoDBService.createSearchEvent({
+    ...event,
+    expiresAt: new Date(Date.parse(timestamp) + RETENTION_DAYS * DAY_MS).toISOString()
+  });
+
+  return event;
+}
+
+/**
+ * recordSearch that never fails the search; resolves to the search id, or
+ * null when it could not be logged
+ */
+async function recordSearchSafely(user, search) {
+  try {
+    return (await recordSearch(user, search)).searchId;
+  } catch (error) {
+    console.warn('Failed to log search (non-fatal):', error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Record that the user who ran `searchId` opened one of its results. The
+ * position is the result's rank across pages, starting at 1.
+ */
+async function recordClick(user, searchId, notebookId) {
+  const search = DATE_PATTERN.test(String(searchId).slice(0, 10))
+    ? await DynamoDBService.getSearchEvent(searchId)
+    : null;
+  if (!search || search.userId !== user.id) {
+    throw new SearchAnalyticsError('Search not found', 404, 'SEARCH_NOT_FOUND');
+  }
+
+  const index = search.resultIds.indexOf(notebookId);
+  if (index === -1) {
+    throw new SearchAnalyticsError('Notebook was not a result of this search', 400, 'NOT_A_RESULT');
+  }
+
+  const click = {
+    notebookId,
+    position: search.offset + index + 1,
+    timestamp: new Date().toISOString()
+  };
+  try {
+    await DynamoDBService.appendSearchClick(searchId, click);
+  } catch (error) {
+    // The search expired between reading and writing
+    if (error?.name === 'ConditionalCheckFailedException') {
+      throw new SearchAnalyticsError('Search not found', 404, 'SEARCH_NOT_FOUND');
+    }
+    throw error;
+  }
+  return click;
+}
+
+function parseDay(value, name) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00.000Z`))) {
+    throw new SearchAnalyticsError(`${name} must be a date (YYYY-MM-DD)`, 400, 'VALIDATION_ERROR');
+  }
+  return Date.parse(`${value}T00:00:00.000Z`);
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+/**
+ * Searches, zero-result searches and click-through of a set of searches.
+ * A search is clicked through when at least one of its results was opened.
+ */
+function summarize(events) {
+  const clicked = events.filter(event => event.clicks.length > 0).length;
+  const clicks = events.reduce((sum, event) => sum + event.clicks.length, 0);
+  return {
+    searches: events.length,
+    zeroResultSearches: events.filter(event => event.resultCount === 0).length,
+    clickThroughRate: rate(clicked, events.length),
+    clicks
+  };
+}
+
+function groupBy(events, keyOf) {
+  const groups = new Map();
+  events.forEach(event => {
+    const key = keyOf(event);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+  return groups;
+}
+
+// Most searched queries, each with how often it found nothing and was clicked
+function topQueries(events, limit = TOP_QUERIES) {
+  return Array.from(groupBy(events, event => event.normalizedQuery).entries())
+    .map(([query, searches]) => {
+      const { clickThroughRate, zeroResultSearches } = summarize(searches);
+      return {
+        query,
+        count: searches.length,
+        zeroResultSearches,
+        averageResults: Math.round(searches.reduce((sum, event) => sum + event.resultCount, 0) / searches.length * 10) / 10,
+        clickThroughRate,
+        lastSearchedAt: searches[searches.length - 1].timestamp
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.lastSearchedAt.localeCompare(a.lastSearchedAt))
+    .slice(0, limit);
+}
+
+function zeroResultQueries(events, limit = TOP_QUERIES) {
+  return topQueries(events.filter(event => event.resultCount === 0), limit)
+    .map(({ query, count, lastSearchedAt }) => ({ query, count, lastSearchedAt }));
+}
+
+/**
+ * Search analytics over a date range (inclusive days, YYYY-MM-DD; the last
+ * 30 days by default). Admins see every search; other viewers see searches
+ * by students. `course` and `userId` narrow the searches, and `groupBy`
+ * ('user' or 'course') breaks the totals down.
+ */
+async function getSearchAnalytics(viewer, { from, to, course, userId, groupBy: grouping = 'course' } = {}) {
+  const now = Date.now();
+  const toDay = to ? parseDay(to, 'to') : now - (now % DAY_MS);
+  const fromDay = from ? parseDay(from, 'from') : toDay - 29 * DAY_MS;
+  if (fromDay > toDay) {
+    throw new SearchAnalyticsError('from must not be after to', 400, 'VALIDATION_ERROR');
+  }
+  if ((toDay - fromDay) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    throw new SearchAnalyticsError(`Ranges are limited to ${MAX_RANGE_DAYS} days`, 400, 'VALIDATION_ERROR');
+  }
+  if (!['user', 'course'].includes(grouping)) {
+    throw new SearchAnalyticsError('groupBy must be user or course', 400, 'VALIDATION_ERROR');
+  }
+
+  const days = [];
+  for (let day = fromDay; day <= toDay; day += DAY_MS) {
+    days.push(new Date(day).toISOString().slice(0, 10));
+  }
+
+  const events = (await Promise.all(days.map(day => DynamoDBService.getSearchEvents(day))))
+    .flat()
+    .filter(event =>
+      (viewer.role === 'admin' || event.userRole === 'student') &&
+      (!course || (event.course || '').toLowerCase() === course.toLowerCase()) &&
+      (!userId || event.userId === userId)
+    );
+
+  const byDay = groupBy(events, event => event.timestamp.slice(0, 10));
+  const clickedNotebooks = groupBy(events.flatMap(event => event.clicks), click => click.notebookId);
+  const totals = summarize(events);
+
+  const groups = Array.from(groupBy(events, event => (grouping === 'user' ? event.userId : event.course)).entries())
+    .map(([key, searches]) => ({
+      ...(grouping === 'user'
+        ? { userId: key, userName: searches[searches.length - 1].userName }
+        : { course: key }),
+      ...summarize(searches),
+      topQueries: topQueries(searches, 5).map(({ query, count }) => ({ query, count })),
+      zeroResultQueries: zeroResultQueries(searches, 5).map(({ query, count }) => ({ query, count }))
+    }))
+    .sort((a, b) => b.searches - a.searches)
+    .slice(0, TOP_GROUPS);
+
+  return {
+    range: { from: days[0], to: days[days.length - 1] },
+    ...totals,
+    averageResultsPerSearch: events.length > 0
+      ? Math.round(events.reduce((sum, event) => sum + event.resultCount, 0) / events.length * 10) / 10
+      : 0,
+    averageLatencyMs: events.length > 0
+      ? Math.round(events.reduce((sum, event) => sum + event.latencyMs, 0) / events.length)
+      : 0,
+    topQueries: topQueries(events),
+    zeroResultQueries: zeroResultQueries(events),
+    mostClickedNotebooks: Array.from(clickedNotebooks.entries())
+      .map(([notebookId, clicks]) => ({ notebookId, clicks: clicks.length }))
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, 10),
+    groupBy: grouping,
+    groups,
+    searchTrends: days.map(date => {
+      const { searches, zeroResultSearches, clicks } = summarize(byDay.get(date) || []);
+      return { date, searches, zeroResultSearches, clicks };
+    })
+  };
+}
+
+module.exports = {
+  SearchAnalyticsError,
+  normalizeQuery,
+  recordSearch,
+  recordSearchSafely,
+  recordClick,
+  getSearchAnalytics
+};
@@ -0,0 +1,219 @@
+// Boolean query language for advanced search, e.g.
+//   tag:ml AND course:"CS 229" -draft updated:>2026-01-01
+// Parsed into a tree the search engines evaluate:
+//   { type: 'and' | 'or', clauses }, { type: 'not', clause },
+//   { type: 'text', field, text, phrase }, { type: 'keyword', field, value },
+//   { type: 'range', field, op, value }
+
+class SearchQueryError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Names accepted before a colon, and the indexed field each one targets
+const FIELD_ALIASES = {
+  title: 'title',
+  body: 'body',
+  content: 'body',
+  attachment: 'attachments',
+  attachments: 'attachments',
+  tag: 'tags',
+  tags: 'tags',
+  subject: 'subject',
+  course: 'course',
+  owner: 'owner',
+  created: 'created_at',
+  created_at: 'created_at',
+  updated: 'updated_at',
+  updated_at: 'updated_at'
+};
+const QUERY_FIELDS = Object.keys(FIELD_ALIASES);
+
+const TEXT_FIELDS = ['title', 'body', 'attachments'];
+const DATE_FIELDS = ['created_at', 'updated_at'];
+
+// updated:>2026-01-01, created:<=2026-03-01T12:00:00Z, updated:2026-01-15
+const DATE_VALUE = /^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?)?)$/;
+
+/**
+ * Split a query string into parentheses, AND/OR/NOT, leading "-" and
+ * optionally field-prefixed words or "quoted phrases"
+ */
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '(' || c === ')') {
+      tokens.push({ type: c });
+      i++;
+      continue;
+    }
+    if (c === '-' && i + 1 < input.length && !/[\s()]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+      continue;
+    }
+
+    let field = null;
+    const prefix = /^([A-Za-z_]+):(?=\S)/.exec(input.slice(i));
+    if (prefix) {
+      field = FIELD_ALIASES[prefix[1].toLowerCase()];
+      if (!field) {
+        throw new SearchQueryError(`Unknown search field "${prefix[1]}"`, 400, 'INVALID_SEARCH_QUERY');
+      }
+      i += prefix[0].length;
+    }
+
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new SearchQueryError('Unterminated quote in search query', 400, 'INVALID_SEARCH_QUERY');
+      }
+      tokens.push({ type: 'TERM', field, value: input.slice(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+
+    const word = /^[^\s()"]+/.exec(input.slice(i))[0];
+    i += word.length;
+    if (!field && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+      tokens.push({ type: word });
+    } else {
+      tokens.push({ type: 'TERM', field, value: word, quoted: false });
+    }
+  }
+  return tokens;
+}
+
+function termNode(field, value, quoted) {
+  if (DATE_FIELDS.includes(field)) {
+    const match = DATE_VALUE.exec(value);
+    if (!match || Number.isNaN(Date.parse(match[2]))) {
+      throw new SearchQueryError(
+        `Invalid date "${value}"; use YYYY-MM-DD, optionally after >, >=, < or <=`,
+        400,
+        'INVALID_SEARCH_QUERY'
+      );
+    }
+    return { type: 'range', field, op: match[1] || '=', value: match[2] };
+  }
+  if (field && !TEXT_FIELDS.includes(field)) {
+    return { type: 'keyword', field, value };
+  }
+  return { type: 'text', field, text: value, phrase: quoted };
+}
+
+function combine(type, clauses) {
+  return clauses.length === 1 ? clauses[0] : { type, clauses };
+}
+
+/**
+ * Parse the query syntax. Terms next to each other must all match; OR
+ * binds looser than AND, "-term" and NOT exclude, parentheses group.
+ * Bare words search `defaultField`, or every text field when it is unset.
+ */
+function parseSearchQuery(input, { defaultField = null } = {}) {
+  const tokens = lex(String(input || ''));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message) => {
+    throw new SearchQueryError(message, 400, 'INVALID_SEARCH_QUERY');
+  };
+
+  function parseOr() {
+    const clauses = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      index++;
+      clauses.push(parseAnd());
+    }
+    return combine('or', clauses);
+  }
+
+  function parseAnd() {
+    const clauses = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') index++;
+      clauses.push(parseUnary());
+    }
+    return combine('and', clauses);
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'NOT') {
+      index++;
+      return { type: 'not', clause: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) {
+      fail(index > 1 ? `Expected a search term after ${tokens[index - 2].type}` : 'Search query is empty');
+    }
+    if (token.type === '(') {
+      if (peek()?.type === ')') fail('Empty parentheses in search query');
+      const node = parseOr();
+      if (tokens[index++]?.type !== ')') fail('Missing closing parenthesis in search query');
+      return node;
+    }
+    if (token.type === 'TERM') {
+      return termNode(token.field || defaultField, token.value, token.quoted);
+    }
+    return fail(`Unexpected ${token.type} in search query`);
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) fail(`Unexpected ${tokens[index].type} in search query`);
+  return tree;
+}
+
+/**
+ * Tree for an advanced search request: the `query` string AND the
+ * `queries` list joined by `operator`. Each entry of `queries` is
+ * { query, field? }, where `field` scopes its bare words.
+ */
+function buildAdvancedQuery({ query, queries = [], operator = 'AND' }) {
+  const clauses = [];
+  if (query && query.trim()) clauses.push(parseSearchQuery(query));
+  if (queries.length > 0) {
+    const parts = queries.map(entry => parseSearchQuery(entry.query, {
+      defaultField: entry.field ? FIELD_ALIASES[entry.field] : null
+    }));
+    clauses.push(combine(operator === 'OR' ? 'or' : 'and', parts));
+  }
+  if (clauses.length === 0) {
+    throw new SearchQueryError('At least one query is required', 400, 'NO_QUERIES');
+  }
+  return combine('and', clauses);
+}
+
+/**
+ * Text clauses that add to a match (not under a NOT), for highlighting
+ */
+function positiveTextClauses(node) {
+  switch (node.type) {
+    case 'text':
+      return [node];
+    case 'and':
+    case 'or':
+      return node.clauses.flatMap(positiveTextClauses);
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  SearchQueryError,
+  QUERY_FIELDS,
+  parseSearchQuery,
+  buildAdvancedQuery,
+  positiveTextClauses
+};
@@ -0,0 +1,144 @@
+const { analyze, buildSnippet } = require('./textAnalysis');
+const { embeddingProvider } = require('../config/embeddings');
+
+// Words per chunk, and words repeated from the previous chunk so a passage
+// cut at a boundary is still whole in one of them
+const CHUNK_WORDS = 60;
+const CHUNK_OVERLAP_WORDS = 10;
+
+const PASSAGE_LENGTH = 160;
+
+// Embeddings by notebook id, as last read or written by this process
+const cache = new Map();
+
+/**
+ * Overlapping windows of about `maxWords` words. Empty text has no chunks.
+ */
+function chunkText(text, { maxWords = CHUNK_WORDS, overlapWords = CHUNK_OVERLAP_WORDS } = {}) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const chunks = [];
+  const step = Math.max(maxWords - overlapWords, 1);
+  for (let start = 0; start < words.length; start += step) {
+    chunks.push(words.slice(start, start + maxWords).join(' '));
+    if (start + maxWords >= words.length) break;
+  }
+  return chunks;
+}
+
+function isCurrent(embeddings, updatedAt) {
+  return Boolean(embeddings) &&
+    embeddings.model === embeddingProvider.model &&
+    embeddings.sourceUpdatedAt === (updatedAt || '');
+}
+
+/**
+ * Chunk and embed a search document (see SearchService) and store the
+ * vectors, unless they are already current for its updated_at and model.
+ * Each chunk is embedded with the notebook title in front of it.
+ */
+async function embedDocument(doc) {
+  const { DynamoDBService } = require('../config/storage');
+
+  const existing = cache.get(doc.id) || await DynamoDBService.getNotebookEmbeddings(doc.id);
+  if (isCurrent(existing, doc.updated_at)) {
+    cache.set(doc.id, existing);
+    return existing;
+  }
+
+  const passages = chunkText(doc.body);
+  const texts = passages.length > 0 ? passages : [''];
+  const vectors = await embeddingProvider.embed(texts.map(text => `${doc.title}\n\n${text}`.trim()));
+
+  const embeddings = {
+    model: embeddingProvider.model,
+    sourceUpdatedAt: doc.updated_at || '',
+    chunks: texts.map((text, i) => ({ text, vector: vectors[i] }))
+  };
+  await DynamoDBService.putNotebookEmbeddings(doc.id, embeddings);
+  cache.set(doc.id, embeddings);
+  return embeddings;
+}
+
+async function removeEmbeddings(notebookId) {
+  const { DynamoDBService } = require('../config/storage');
+  cache.delete(notebookId);
+  await DynamoDBService.deleteNotebookEmbeddings(notebookId);
+}
+
+/**
+ * Current embeddings of a listed notebook. Notebooks saved before
+ * embeddings existed, or embedded by another model, are embedded now.
+ */
+async function embeddingsFor(notebook) {
+  const { DynamoDBService } = require('../config/storage');
+
+  const cached = cache.get(notebook.id);
+  if (isCurrent(cached, notebook.updated_at)) return cached;
+
+  const stored = await DynamoDBService.getNotebookEmbeddings(notebook.id);
+  if (isCurrent(stored, notebook.updated_at)) {
+    cache.set(notebook.id, stored);
+    return stored;
+  }
+
+  const full = await DynamoDBService.getNotebook(notebook.id);
+  if (!full) return null;
+  const { searchDocument } = require('./search');
+  return embedDocument(searchDocument(full));
+}
+
+// Opening words of a passage that shares no words with the query
+function excerpt(text) {
+  if (text.length <= PASSAGE_LENGTH) return text;
+  const space = text.lastIndexOf(' ', PASSAGE_LENGTH);
+  return `${text.slice(0, space > 0 ? space : PASSAGE_LENGTH)}...`;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * `notebooks` (an array or async iterable of listed notebooks) ordered by
+ * the cosine similarity of their closest chunk to `query`, dropping those
+ * below the provider's noise floor. Each result carries that chunk as
+ * `passage`.
+ */
+async function rankBySimilarity(query, notebooks) {
+  const [queryVector] = await embeddingProvider.embed([query]);
+  const terms = analyze(query).map(token => token.term);
+
+  const ranked = [];
+  for await (const notebook of notebooks) {
+    const embeddings = await embeddingsFor(notebook);
+    if (!embeddings) continue;
+
+    let best = null;
+    embeddings.chunks.forEach(chunk => {
+      const similarity = dot(queryVector, chunk.vector);
+      if (!best || similarity > best.similarity) best = { similarity, text: chunk.text };
+    });
+    if (!best || best.similarity < embeddingProvider.minSimilarity) continue;
+
+    ranked.push({
+      notebookId: notebook.id,
+      similarity: best.similarity,
+      passage: best.text
+        ? buildSnippet(best.text, terms, { maxLength: PASSAGE_LENGTH }) || excerpt(best.text)
+        : null
+    });
+  }
+
+  return ranked.sort((a, b) => b.similarity - a.similarity);
+}
+
+module.exports = {
+  chunkText,
+  embedDocument,
+  removeEmbeddings,
+  rankBySimilarity
+};
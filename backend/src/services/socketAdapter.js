@@ -0,0 +1,65 @@
+/**
+ * Socket.IO adapter selection. With more than one backend instance, room
+ * broadcasts, room membership queries (fetchSockets) and server-to-server
+ * events have to go through a shared pub/sub broker.
+ *
+ * SOCKET_ADAPTER=memory  single process (default)
+ * SOCKET_ADAPTER=redis   Redis-compatible broker at REDIS_URL
+ */
+
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const CHANNEL_PREFIX = process.env.SOCKET_ADAPTER_PREFIX || 'academic-notebook';
+
+const adapters = {
+  memory: async () => ({ clustered: false, close: async () => {} }),
+
+  redis: async (io) => {
+    // Only required when selected, so single-process setups need no broker
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: REDIS_URL });
+    const subClient = pubClient.duplicate();
+    [pubClient, subClient].forEach(client => {
+      client.on('error', error => console.error('Socket adapter broker error:', error));
+    });
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient, { key: CHANNEL_PREFIX }));
+
+    return {
+      clustered: true,
+      close: async () => {
+        await Promise.allSettled([pubClient.quit(), subClient.quit()]);
+      }
+    };
+  }
+};
+
+/**
+ * Register another adapter factory. A factory receives the Socket.IO server,
+ * installs its adapter and resolves to { clustered, close }.
+ */
+function registerAdapter(name, factory) {
+  adapters[name] = factory;
+}
+
+/**
+ * Install the configured adapter on the Socket.IO server
+ */
+async function attachAdapter(io, name = SOCKET_ADAPTER) {
+  const factory = adapters[name];
+  if (!factory) {
+    throw new Error(`Unknown socket adapter: ${name}`);
+  }
+
+  const adapter = await factory(io);
+  console.log(`🔁 Socket.IO adapter: ${name}${adapter.clustered ? ' (multi-instance)' : ''}`);
+  return adapter;
+}
+
+module.exports = {
+  attachAdapter,
+  registerAdapter
+};
@@ -0,0 +1,241 @@
+// Tokenizing, stemming and snippet building shared by the search engines
+
+// Common English words left out of the index; they match almost everything
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'they', 'this', 'to', 'was', 'will', 'with'
+]);
+
+// Letters and digits in any script; apostrophes stay inside words ("don't")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * Words of a text with their offsets. `position` counts every word,
+ * including stop words, so phrases line up with the original text.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/['’]/g, ''),
+      position: position++,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Index terms of a text: tokens without stop words, stemmed
+ */
+function analyze(text) {
+  return tokenize(text)
+    .filter(token => !STOP_WORDS.has(token.word))
+    .map(token => ({ ...token, term: stem(token.word) }));
+}
+
+/**
+ * Split a search string into bare terms and "quoted phrases". A phrase
+ * keeps its terms' relative positions so stop words inside it still count
+ * as gaps ("rate of change" needs exactly one word between the two terms).
+ */
+function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const text = String(query || '');
+  const quoted = /"([^"]*)"/g;
+
+  for (const match of text.matchAll(quoted)) {
+    const phraseTerms = analyze(match[1]);
+    if (phraseTerms.length === 1) {
+      terms.push(phraseTerms[0].term);
+    } else if (phraseTerms.length > 1) {
+      const first = phraseTerms[0].position;
+      phrases.push(phraseTerms.map(t => ({ term: t.term, offset: t.position - first })));
+    }
+  }
+  analyze(text.replace(quoted, ' ')).forEach(t => terms.push(t.term));
+  return { terms: [...new Set(terms)], phrases };
+}
+
+/**
+ * Short excerpt of `text` around the first matching term, with matches
+ * wrapped in <mark>. `terms` are stemmed index terms. Returns null when no
+ * word of the text matches.
+ */
+function buildSnippet(text, terms, { maxLength = 160 } = {}) {
+  const wanted = new Set(terms);
+  const matches = analyze(text).filter(token => wanted.has(token.term));
+  if (matches.length === 0) return null;
+
+  const source = String(text);
+  const first = matches[0];
+  let start = Math.max(0, first.start - Math.floor((maxLength - (first.end - first.start)) / 3));
+  let end = Math.min(source.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+  // Don't cut words in half at either edge
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > first.end) end = space;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  matches
+    .filter(token => token.start >= start && token.end <= end)
+    .forEach(token => {
+      snippet += source.slice(cursor, token.start) + '<mark>' + source.slice(token.start, token.end) + '</mark>';
+      cursor = token.end;
+    });
+  snippet += source.slice(cursor, end);
+  snippet = snippet.replace(/\s+/g, ' ').trim();
+
+  return `${start > 0 ? '...' : ''}${snippet}${end < source.length ? '...' : ''}`;
+}
+
+// Porter stemming algorithm (M.F. Porter, 1980), as in the reference
+// implementation: "connections", "connected" and "connecting" all become
+// "connect".
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences in word[0..end)
+function measure(word, end = word.length) {
+  let m = 0;
+  let i = 0;
+  while (i < end && isConsonant(word, i)) i++;
+  while (i < end) {
+    while (i < end && !isConsonant(word, i)) i++;
+    if (i >= end) break;
+    m++;
+    while (i < end && isConsonant(word, i)) i++;
+  }
+  return m;
+}
+
+function hasVowel(word, end = word.length) {
+  for (let i = 0; i < end; i++) {
+    if (!isConsonant(word, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant, where the last consonant is not w, x or y
+function endsCvc(word, end = word.length) {
+  if (end < 3) return false;
+  return isConsonant(word, end - 3) && !isConsonant(word, end - 2) && isConsonant(word, end - 1) &&
+    !'wxy'.includes(word[end - 1]);
+}
+
+// Replace `suffix` with `replacement` when the stem before it has measure > min
+function replaceSuffix(word, suffix, replacement, min) {
+  if (!word.endsWith(suffix)) return null;
+  const stemEnd = word.length - suffix.length;
+  return measure(word, stemEnd) > min ? word.slice(0, stemEnd) + replacement : word;
+}
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+function stem(input) {
+  let word = input;
+  if (word.length <= 2 || /[^a-z]/.test(word)) return word;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (!word.endsWith('ss') && word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  let cleanup = false;
+  if (word.endsWith('eed')) {
+    if (measure(word, word.length - 3) > 0) word = word.slice(0, -1);
+  } else if (word.endsWith('ed') && hasVowel(word, word.length - 2)) {
+    word = word.slice(0, -2);
+    cleanup = true;
+  } else if (word.endsWith('ing') && hasVowel(word, word.length - 3)) {
+    word = word.slice(0, -3);
+    cleanup = true;
+  }
+  if (cleanup) {
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+      word = word.slice(0, -1);
+    } else if (measure(word) === 1 && endsCvc(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: y -> i after a vowel
+  if (word.endsWith('y') && hasVowel(word, word.length - 1)) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: map double and single suffixes
+  for (const [suffix, replacement] of STEP2_SUFFIXES) {
+    const replaced = replaceSuffix(word, suffix, replacement, 0);
+    if (replaced !== null) { word = replaced; break; }
+  }
+  for (const [suffix, replacement] of STEP3_SUFFIXES) {
+    const replaced = replaceSuffix(word, suffix, replacement, 0);
+    if (replaced !== null) { word = replaced; break; }
+  }
+
+  // Step 4: drop suffixes from long stems
+  for (const suffix of STEP4_SUFFIXES) {
+    if (!word.endsWith(suffix)) continue;
+    const stemEnd = word.length - suffix.length;
+    if (measure(word, stemEnd) > 1 && (suffix !== 'ion' || 'st'.includes(word[stemEnd - 1]))) {
+      word = word.slice(0, stemEnd);
+    }
+    break;
+  }
+
+  // Step 5: trailing e and double l
+  if (word.endsWith('e')) {
+    const m = measure(word, word.length - 1);
+    if (m > 1 || (m === 1 && !endsCvc(word, word.length - 1))) word = word.slice(0, -1);
+  }
+  if (word.endsWith('ll') && measure(word) > 1) word = word.slice(0, -1);
+
+  return word;
+}
+
+module.exports = {
+  STOP_WORDS,
+  tokenize,
+  analyze,
+  parseQuery,
+  buildSnippet,
+  stem
+};
@@ -0,0 +1,76 @@
+const { DynamoDBService } = require('../config/storage');
+const { recordCurrentVersionSafely } = require('./versions');
+
+/*
+ * Live edits and collaboration operations bump a notebook's version every
+ * few seconds. Rather than a version row per bump, the version they reach
+ * is recorded at checkpoints: once editing has been idle for
+ * CHECKPOINT_IDLE_MS, after CHECKPOINT_EDITS edits, after
+ * CHECKPOINT_INTERVAL_MS of continuous editing, and when the last editor
+ * leaves. Saves record the version they replace anyway.
+ */
+
+const CHECKPOINT_IDLE_MS = parseInt(process.env.VERSION_CHECKPOINT_IDLE_MS) || 60 * 1000;
+const CHECKPOINT_INTERVAL_MS = parseInt(process.env.VERSION_CHECKPOINT_INTERVAL_MS) || 10 * 60 * 1000;
+const CHECKPOINT_EDITS = parseInt(process.env.VERSION_CHECKPOINT_EDITS) || 100;
+
+// Notebooks with edits since their last checkpoint
+const pendingCheckpoints = new Map();
+
+/**
+ * Count an edit that bumped the notebook's version. Resolves once a
+ * checkpoint it triggers is recorded; otherwise one is scheduled.
+ */
+async function recordEditCheckpoint(notebookId, { now = Date.now() } = {}) {
+  const pending = pendingCheckpoints.get(notebookId) || { edits: 0, since: now, timer: null };
+  pendingCheckpoints.set(notebookId, pending);
+  pending.edits += 1;
+  clearTimeout(pending.timer);
+
+  if (pending.edits >= CHECKPOINT_EDITS || now - pending.since >= CHECKPOINT_INTERVAL_MS) {
+    await flushCheckpoint(notebookId);
+    return;
+  }
+
+  pending.timer = setTimeout(() => {
+    flushCheckpoint(notebookId).catch(error => {
+      console.error(`Failed to record a version checkpoint for ${notebookId}:`, error);
+    });
+  }, CHECKPOINT_IDLE_MS);
+  pending.timer.unref();
+}
+
+/**
+ * Record the version a notebook's pending edits reached, if it has any
+ */
+async function flushCheckpoint(notebookId) {
+  const pending = pendingCheckpoints.get(notebookId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingCheckpoints.delete(notebookId);
+
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (notebook) await recordCurrentVersionSafely(notebook);
+}
+
+/**
+ * Record every pending checkpoint (used on shutdown)
+ */
+async function flushAllCheckpoints() {
+  for (const notebookId of Array.from(pendingCheckpoints.keys())) {
+    try {
+      await flushCheckpoint(notebookId);
+    } catch (error) {
+      console.error(`Failed to record a version checkpoint for ${notebookId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  CHECKPOINT_IDLE_MS,
+  CHECKPOINT_INTERVAL_MS,
+  CHECKPOINT_EDITS,
+  recordEditCheckpoint,
+  flushCheckpoint,
+  flushAllCheckpoints
+};
@@ -0,0 +1,54 @@
+const { diffOperations } = require('./diff');
+const { apply } = require('./operationalTransform');
+
+/**
+ * Version content stored as a delta against a full snapshot: retain/insert/
+ * delete operations on the body, plus the other content fields that differ.
+ */
+
+// Diffing costs grow faster than the body, so larger bodies are only ever
+// stored as full snapshots
+const MAX_DELTA_BODY_BYTES = parseInt(process.env.VERSION_DELTA_MAX_BYTES) || 64 * 1024;
+
+function bodyOf(content) {
+  return typeof content?.body === 'string' ? content.body : '';
+}
+
+/**
+ * Delta turning `snapshot` into `content`, or null when either body is
+ * over MAX_DELTA_BODY_BYTES
+ */
+function encodeDelta(snapshot, content) {
+  if ([snapshot, content].some(value => Buffer.byteLength(bodyOf(value)) > MAX_DELTA_BODY_BYTES)) {
+    return null;
+  }
+
+  const set = {};
+  Object.keys(content || {})
+    .filter(key => key !== 'body' && JSON.stringify(content[key]) !== JSON.stringify(snapshot?.[key]))
+    .forEach(key => { set[key] = content[key]; });
+
+  return {
+    body: diffOperations(bodyOf(snapshot), bodyOf(content)),
+    ...(typeof content?.body === 'string' ? {} : { noBody: true }),
+    set,
+    unset: Object.keys(snapshot || {}).filter(key => key !== 'body' && !(key in (content || {})))
+  };
+}
+
+function applyDelta(snapshot, delta) {
+  const content = { ...snapshot, ...delta.set };
+  delta.unset.forEach(key => { delete content[key]; });
+  if (delta.noBody) {
+    delete content.body;
+  } else {
+    content.body = apply(bodyOf(snapshot), delta.body);
+  }
+  return content;
+}
+
+module.exports = {
+  MAX_DELTA_BODY_BYTES,
+  encodeDelta,
+  applyDelta
+};
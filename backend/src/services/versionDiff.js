@@ -0,0 +1,175 @@
+const { diffText } = require('./diff');
+
+// Unchanged lines kept around each change of the body
+const DEFAULT_CONTEXT_LINES = 3;
+const MAX_CONTEXT_LINES = 20;
+
+function bodyOf(content) {
+  return typeof content?.body === 'string' ? content.body : '';
+}
+
+function attachmentsOf(content) {
+  return Array.isArray(content?.attachments) ? content.attachments : [];
+}
+
+// Attachments keep their id across versions; inline ones only have a name
+function attachmentKey(attachment) {
+  return attachment.id || `name:${attachment.name}`;
+}
+
+function describeAttachment(attachment) {
+  return {
+    id: attachment.id || null,
+    name: attachment.name,
+    type: attachment.type || null,
+    size: attachment.size ?? null
+  };
+}
+
+// Inline attachments also compare their data
+function sameAttachment(a, b) {
+  return JSON.stringify(describeAttachment(a)) === JSON.stringify(describeAttachment(b)) &&
+    a.dataUrl === b.dataUrl;
+}
+
+function compareAttachments(before, after) {
+  const previous = new Map(attachmentsOf(before).map(attachment => [attachmentKey(attachment), attachment]));
+  const current = new Map(attachmentsOf(after).map(attachment => [attachmentKey(attachment), attachment]));
+
+  return {
+    added: Array.from(current.entries())
+      .filter(([key]) => !previous.has(key))
+      .map(([, attachment]) => describeAttachment(attachment)),
+    removed: Array.from(previous.entries())
+      .filter(([key]) => !current.has(key))
+      .map(([, attachment]) => describeAttachment(attachment)),
+    changed: Array.from(current.entries())
+      .filter(([key, attachment]) => previous.has(key) && !sameAttachment(previous.get(key), attachment))
+      .map(([key, attachment]) => ({
+        before: describeAttachment(previous.get(key)),
+        after: describeAttachment(attachment)
+      }))
+  };
+}
+
+/**
+ * Tag changes, or null when either side predates versions recording tags
+ */
+function compareTags(before, after) {
+  if (!Array.isArray(before) || !Array.isArray(after)) return null;
+  return {
+    added: after.filter(tag => !before.includes(tag)),
+    removed: before.filter(tag => !after.includes(tag))
+  };
+}
+
+// Content fields other than the body and attachments whose value changed
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return Array.from(keys)
+    .filter(key => key !== 'body' && key !== 'attachments')
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .sort();
+}
+
+/**
+ * One row per line, removed lines before the lines that replaced them
+ */
+function inlineRows(blocks) {
+  return blocks.flatMap(block => {
+    if (block.type === 'equal') {
+      return block.lines.map(line => ({ type: 'equal', ...line }));
+    }
+    if (block.type === 'skip') return [block];
+    return [
+      ...block.removed.map(line => ({ type: 'delete', ...line })),
+      ...block.added.map(line => ({ type: 'insert', ...line }))
+    ];
+  });
+}
+
+/**
+ * Rows of { left, right }: the old line beside the new one. A side is null
+ * where a change removed or added more lines than the other side.
+ */
+function sideBySideRows(blocks) {
+  return blocks.flatMap(block => {
+    if (block.type === 'equal') {
+      return block.lines.map(line => ({
+        type: 'equal',
+        left: { line: line.oldLine, text: line.text },
+        right: { line: line.newLine, text: line.text }
+      }));
+    }
+    if (block.type === 'skip') return [block];
+
+    const rows = [];
+    for (let i = 0; i < Math.max(block.removed.length, block.added.length); i++) {
+      const removed = block.removed[i];
+      const added = block.added[i];
+      rows.push({
+        type: 'change',
+        left: removed ? { line: removed.oldLine, text: removed.text, ...(removed.words ? { words: removed.words } : {}) } : null,
+        right: added ? { line: added.newLine, text: added.text, ...(added.words ? { words: added.words } : {}) } : null
+      });
+    }
+    return rows;
+  });
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function summarize({ title, tags, attachments, fields, body }) {
+  const parts = [];
+  if (body.stats.linesAdded || body.stats.linesRemoved) {
+    parts.push(`${plural(body.stats.linesAdded, 'line')} added, ${body.stats.linesRemoved} removed`);
+  }
+  if (title) parts.push('title changed');
+  if (tags && (tags.added.length || tags.removed.length)) parts.push('tags changed');
+  if (attachments.added.length) parts.push(`${plural(attachments.added.length, 'attachment')} added`);
+  if (attachments.removed.length) parts.push(`${plural(attachments.removed.length, 'attachment')} removed`);
+  if (attachments.changed.length) parts.push(`${plural(attachments.changed.length, 'attachment')} changed`);
+  if (fields.length) parts.push(`${fields.join(', ')} changed`);
+  return parts.length > 0 ? parts.join('; ') : 'No changes';
+}
+
+/**
+ * Structural diff between two notebook states, each { content, title?,
+ * tags? }: a line and word diff of the body in inline and side-by-side
+ * form, attachment, title and tag changes, and any other content fields
+ * that differ. A side without a title or tags is not compared on it.
+ * `context` unchanged lines (0-20, default 3) are kept around each change.
+ */
+function compareVersions(before, after, { context } = {}) {
+  const lines = parseInt(context);
+  const { blocks, stats } = diffText(bodyOf(before.content), bodyOf(after.content), {
+    context: Number.isNaN(lines) ? DEFAULT_CONTEXT_LINES : Math.min(Math.max(lines, 0), MAX_CONTEXT_LINES)
+  });
+
+  const differences = {
+    title: before.title !== undefined && after.title !== undefined && before.title !== after.title
+      ? { before: before.title, after: after.title }
+      : null,
+    tags: compareTags(before.tags, after.tags),
+    attachments: compareAttachments(before.content, after.content),
+    fields: changedFields(before.content, after.content),
+    body: {
+      stats,
+      inline: inlineRows(blocks),
+      sideBySide: sideBySideRows(blocks)
+    }
+  };
+
+  const summary = summarize(differences);
+  return {
+    identical: summary === 'No changes',
+    summary,
+    ...differences
+  };
+}
+
+module.exports = {
+  compareVersions
+};
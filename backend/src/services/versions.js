@@ -0,0 +1,458 @@
+const path = require('path');
+const { DynamoDBService, S3Service } = require('../config/storage');
+const { externalizeAttachments } = require('./attachments');
+const { remapThreadsSafely } = require('./comments');
+const { reindexNotebookSafely } = require('./search');
+const { encodeDelta, applyDelta } = require('./versionDelta');
+
+/**
+ * Notebook history. Every version lives in the versions table under its
+ * version number, holding the notebook as it was at that version. Saves,
+ * restores and conflict resolutions record the version they create; versions
+ * reached by live edits are recorded when a save replaces them. S3 copies
+ * written on save are backups, not history.
+ *
+ * Rows are stored in full every SNAPSHOT_INTERVAL versions; in between, a
+ * row may hold its content as a delta against the latest full row
+ * (`encoding: 'delta'`, `baseVersion`). Reads here always return full content.
+ */
+
+const SNAPSHOT_INTERVAL = Math.max(parseInt(process.env.VERSION_SNAPSHOT_INTERVAL) || 10, 1);
+
+class VersionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'VersionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function parseVersionNumber(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new VersionError('Version must be a positive integer', 400, 'INVALID_VERSION');
+  }
+  return version;
+}
+
+function contentSize(content) {
+  return Buffer.byteLength(JSON.stringify(content ?? null));
+}
+
+/**
+ * Store a version row, as a delta against the latest full row when it is
+ * within SNAPSHOT_INTERVAL versions of it and the delta is smaller. Any
+ * encoding `versionData` carries is replaced; its content must be full.
+ */
+async function storeVersion(notebookId, versionData) {
+  const { encoding, baseVersion, ...version } = versionData;
+
+  const { versions: latest } = await DynamoDBService.listNotebookVersions(notebookId, { limit: 2 });
+  const previous = latest.find(row => row.version < version.version);
+  const snapshotVersion = previous && (previous.encoding === 'delta' ? previous.baseVersion : previous.version);
+  if (!previous || version.version - snapshotVersion >= SNAPSHOT_INTERVAL) {
+    return DynamoDBService.createNotebookVersion(notebookId, version);
+  }
+
+  const snapshot = previous.encoding === 'delta'
+    ? await DynamoDBService.getNotebookVersion(notebookId, snapshotVersion)
+    : previous;
+  const delta = snapshot && encodeDelta(snapshot.content, version.content);
+  if (!delta || contentSize(delta) >= contentSize(version.content)) {
+    return DynamoDBService.createNotebookVersion(notebookId, version);
+  }
+
+  await DynamoDBService.createNotebookVersion(notebookId, {
+    ...version,
+    content: delta,
+    encoding: 'delta',
+    baseVersion: snapshotVersion
+  });
+  return version;
+}
+
+/**
+ * Decoder for stored rows, reusing full rows among `rows` as snapshots
+ */
+function versionDecoder(notebookId, rows = []) {
+  const snapshots = new Map(rows
+    .filter(row => row.encoding !== 'delta')
+    .map(row => [row.version, Promise.resolve(row)]));
+
+  return async row => {
+    if (!row || row.encoding !== 'delta') return row;
+    if (!snapshots.has(row.baseVersion)) {
+      snapshots.set(row.baseVersion, DynamoDBService.getNotebookVersion(notebookId, row.baseVersion));
+    }
+    const snapshot = await snapshots.get(row.baseVersion);
+    if (!snapshot || snapshot.encoding === 'delta') {
+      throw new VersionError(`Version ${row.version} cannot be read: its snapshot is missing`, 500, 'SNAPSHOT_MISSING');
+    }
+
+    const { encoding, baseVersion, ...version } = row;
+    return { ...version, content: applyDelta(snapshot.content, row.content) };
+  };
+}
+
+function decodeVersions(notebookId, rows) {
+  return Promise.all(rows.map(versionDecoder(notebookId, rows)));
+}
+
+/**
+ * A recorded version with its full content, or null
+ */
+async function readVersion(notebookId, version) {
+  const row = await DynamoDBService.getNotebookVersion(notebookId, version);
+  return versionDecoder(notebookId)(row);
+}
+
+async function getNotebookOrThrow(notebookId) {
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (!notebook) {
+    throw new VersionError('Notebook not found', 404, 'NOTEBOOK_NOT_FOUND');
+  }
+  return notebook;
+}
+
+/**
+ * Record `notebook` as it is now under its version number. `user` is who
+ * made the version ({ id, name?, email? }); recording a number again
+ * replaces the earlier record. `createdAt` backdates the record to when
+ * the version was reached.
+ */
+async function recordVersion(notebook, user, action, metadata = {}, { createdAt } = {}) {
+  const version = {
+    version: notebook.version,
+    content: notebook.content,
+    title: notebook.title,
+    tags: notebook.tags,
+    contributor: user.id,
+    contributorName: user.name || user.email || user.id,
+    action,
+    metadata: { ...metadata, timestamp: new Date().toISOString() },
+    ...(createdAt ? { created_at: createdAt } : {})
+  };
+  await storeVersion(notebook.id, version);
+  return version;
+}
+
+/**
+ * recordVersion that never fails the change it records
+ */
+async function recordVersionSafely(notebook, user, action, metadata) {
+  try {
+    return await recordVersion(notebook, user, action, metadata);
+  } catch (error) {
+    console.warn('Version tracking failed (non-fatal):', error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Record the notebook's current version if nothing has yet, crediting its
+ * last editor. Call before replacing a version that live edits or
+ * collaboration operations may have reached.
+ */
+async function recordCurrentVersion(notebook) {
+  if (await DynamoDBService.getNotebookVersion(notebook.id, notebook.version)) return;
+
+  const editorId = notebook.updated_by || notebook.owner;
+  const editor = await DynamoDBService.getUserById(editorId).catch(() => null);
+  // The notebook has been in this state since its last update
+  await recordVersion(notebook, editor || { id: editorId }, 'edit', {}, { createdAt: notebook.updated_at });
+}
+
+async function recordCurrentVersionSafely(notebook) {
+  try {
+    await recordCurrentVersion(notebook);
+  } catch (error) {
+    console.warn('Version tracking failed (non-fatal):', error?.message || error);
+  }
+}
+
+/**
+ * Bring the current version's record up to date after a change that kept
+ * the version number (title or tags), still crediting whoever made it
+ */
+async function refreshCurrentVersionSafely(notebook) {
+  try {
+    const recorded = await DynamoDBService.getNotebookVersion(notebook.id, notebook.version);
+    if (!recorded) return;
+    await storeVersion(notebook.id, {
+      ...recorded,
+      content: notebook.content,
+      title: notebook.title,
+      tags: notebook.tags
+    });
+  } catch (error) {
+    console.warn('Version tracking failed (non-fatal):', error?.message || error);
+  }
+}
+
+// The live notebook as a version, for a head that has not been recorded
+function headVersion(notebook) {
+  return {
+    id: `${notebook.id}-v${notebook.version}`,
+    notebookId: notebook.id,
+    version: notebook.version,
+    content: notebook.content,
+    title: notebook.title,
+    tags: notebook.tags,
+    contributor: notebook.updated_by || notebook.owner,
+    contributorName: notebook.updated_by || notebook.owner,
+    action: 'edit',
+    label: null,
+    pinned: false,
+    created_at: notebook.updated_at,
+    metadata: {}
+  };
+}
+
+/**
+ * A notebook's versions, newest first, the current one marked `current`.
+ * With `limit`, one page and a `cursor` for the next.
+ */
+async function listVersions(notebookId, { limit, cursor } = {}) {
+  const notebook = await getNotebookOrThrow(notebookId);
+
+  const page = limit !== undefined || cursor !== undefined
+    ? await DynamoDBService.listNotebookVersions(notebookId, { limit, cursor })
+    : { versions: await DynamoDBService.getNotebookVersions(notebookId), cursor: null };
+
+  let versions = await decodeVersions(notebookId, page.versions);
+  if (!cursor && !versions.some(version => version.version === notebook.version)) {
+    versions = [headVersion(notebook), ...versions];
+  }
+
+  return {
+    versions: versions.map(version => ({ ...version, current: version.version === notebook.version })),
+    cursor: page.cursor
+  };
+}
+
+/**
+ * One version of a notebook; the current version even if unrecorded
+ */
+async function getVersion(notebookId, versionNumber) {
+  const version = parseVersionNumber(versionNumber);
+  const recorded = await readVersion(notebookId, version);
+  if (recorded) return recorded;
+
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  if (notebook && notebook.version === version) return headVersion(notebook);
+
+  throw new VersionError('Version not found', 404, 'VERSION_NOT_FOUND');
+}
+
+/**
+ * Write a state ({ content, title?, tags?, subject?, course? }) as a new head
+ * version recorded with `action` and `metadata`; nothing in the history is
+ * rewritten. Fails with 409 VERSION_CONFLICT if the notebook is not at
+ * `expectedVersion`, when given, or changes while writing.
+ */
+async function writeVersion(notebookId, state, user, { action, metadata = {}, expectedVersion } = {}) {
+  const current = await getNotebookOrThrow(notebookId);
+  if (expectedVersion !== undefined && current.version !== expectedVersion) {
+    throw new VersionError('Notebook changed meanwhile; try again', 409, 'VERSION_CONFLICT');
+  }
+
+  await recordCurrentVersionSafely(current);
+
+  const newVersion = current.version + 1;
+  const { content } = await externalizeAttachments(notebookId, state.content, user.id);
+  const fields = Object.fromEntries(['title', 'subject', 'course']
+    .filter(field => typeof state[field] === 'string')
+    .map(field => [field, state[field]]));
+  try {
+    await DynamoDBService.updateNotebook(notebookId, {
+      content,
+      ...fields,
+      ...(Array.isArray(state.tags) ? { tags: state.tags } : {}),
+      version: newVersion,
+      updated_by: user.id
+    }, { expectedVersion: current.version });
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') {
+      throw new VersionError('Notebook changed meanwhile; try again', 409, 'VERSION_CONFLICT');
+    }
+    throw error;
+  }
+
+  const written = await DynamoDBService.getNotebook(notebookId);
+  await recordVersionSafely(written, user, action, { ...metadata, previousVersion: current.version });
+
+  await remapThreadsSafely(notebookId, {
+    fromVersion: current.version,
+    toVersion: newVersion,
+    previousBody: current.content?.body || '',
+    body: content?.body || ''
+  });
+  await reindexNotebookSafely(notebookId);
+
+  try {
+    await S3Service.uploadNotebook(notebookId, content, {
+      ...metadata,
+      contributor: user.id,
+      action,
+      version: newVersion
+    });
+  } catch (error) {
+    console.warn(`S3 backup (${action}) failed (non-fatal):`, error?.message || error);
+  }
+
+  return { newVersion, notebook: written };
+}
+
+/**
+ * Write an earlier state as a new head version recorded as a restore
+ */
+function restoreState(notebookId, state, user, metadata = {}) {
+  return writeVersion(notebookId, state, user, { action: 'restore', metadata });
+}
+
+/**
+ * Restore a version by writing its content, title and tags as a new head
+ * version
+ */
+async function restoreVersion(notebookId, versionNumber, user) {
+  const target = await getVersion(notebookId, versionNumber);
+  const { newVersion, notebook } = await restoreState(notebookId, target, user, {
+    restoredFromVersion: target.version
+  });
+  return { restoredVersion: target.version, newVersion, notebook };
+}
+
+/**
+ * Label a version (a null label clears it) and pin or unpin it; labeled and
+ * pinned versions are kept by retention cleanup. Labels are unique within a
+ * notebook, ignoring case.
+ */
+async function labelVersion(notebookId, versionNumber, { label, pinned }) {
+  const version = parseVersionNumber(versionNumber);
+  const notebook = await getNotebookOrThrow(notebookId);
+  if (version === notebook.version) {
+    await recordCurrentVersion(notebook);
+  }
+
+  if (label) {
+    const taken = (await DynamoDBService.getNotebookVersions(notebookId)).find(other =>
+      other.version !== version && other.label && other.label.toLowerCase() === label.toLowerCase()
+    );
+    if (taken) {
+      throw new VersionError(`Version ${taken.version} is already labeled "${taken.label}"`, 409, 'LABEL_EXISTS');
+    }
+  }
+
+  try {
+    const labeled = await DynamoDBService.updateNotebookVersionLabel(notebookId, version, { label, pinned });
+    return await versionDecoder(notebookId)(labeled);
+  } catch (error) {
+    if (error?.name === 'ConditionalCheckFailedException') {
+      throw new VersionError('Version not found', 404, 'VERSION_NOT_FOUND');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Labeled and pinned versions, newest first
+ */
+async function listCheckpoints(notebookId) {
+  const { versions } = await listVersions(notebookId);
+  return versions.filter(version => version.label || version.pinned);
+}
+
+/**
+ * Record versions that only exist as S3 save snapshots
+ * (notebooks/<id>/<timestamp>.json, from before the versions table was the
+ * only history) and the current version if unrecorded. Existing records
+ * are kept. Returns how many versions were recorded.
+ */
+async function reconcileVersions(notebook) {
+  const recorded = new Set((await DynamoDBService.getNotebookVersions(notebook.id)).map(version => version.version));
+  const objects = await S3Service.listObjects(`notebooks/${notebook.id}/`, { maxKeys: Infinity });
+
+  // Latest snapshot of each unrecorded version
+  const snapshots = new Map();
+  for (const object of objects) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await S3Service.getObjectText(object.key));
+    } catch (error) {
+      console.warn(`Skipping unreadable snapshot ${object.key}:`, error?.message || error);
+      continue;
+    }
+    const version = Number(snapshot?.metadata?.version);
+    if (!Number.isInteger(version) || version < 1 || version > notebook.version || recorded.has(version)) continue;
+
+    const previous = snapshots.get(version);
+    if (!previous || new Date(object.lastModified) > new Date(previous.lastModified)) {
+      snapshots.set(version, { ...snapshot, key: object.key, lastModified: object.lastModified });
+    }
+  }
+
+  for (const [version, snapshot] of snapshots) {
+    const contributorId = snapshot.metadata.contributor || notebook.owner;
+    const contributor = await DynamoDBService.getUserById(contributorId).catch(() => null);
+    // Snapshots carry content only; the title and tags are today's
+    await DynamoDBService.createNotebookVersion(notebook.id, {
+      version,
+      content: snapshot.content,
+      title: notebook.title,
+      tags: notebook.tags,
+      contributor: contributorId,
+      contributorName: contributor?.name || contributor?.email || contributorId,
+      action: snapshot.metadata.action || 'update',
+      created_at: new Date(snapshot.lastModified).toISOString(),
+      metadata: { migratedFrom: path.posix.basename(snapshot.key) }
+    });
+  }
+
+  const headRecorded = recorded.has(notebook.version) || snapshots.has(notebook.version);
+  if (!headRecorded) await recordCurrentVersion(notebook);
+
+  return snapshots.size + (headRecorded ? 0 : 1);
+}
+
+/**
+ * reconcileVersions for every stored notebook, a page at a time
+ */
+async function reconcileAllVersions() {
+  let cursor;
+  let notebooks = 0;
+  let recorded = 0;
+  do {
+    const page = await DynamoDBService.scanNotebooks({ limit: 100, cursor });
+    for (const notebook of page.notebooks) {
+      recorded += await reconcileVersions(notebook);
+      notebooks += 1;
+    }
+    cursor = page.cursor;
+  } while (cursor);
+
+  return { notebooks, recorded };
+}
+
+module.exports = {
+  VersionError,
+  SNAPSHOT_INTERVAL,
+  parseVersionNumber,
+  storeVersion,
+  decodeVersions,
+  readVersion,
+  recordVersion,
+  recordVersionSafely,
+  recordCurrentVersion,
+  recordCurrentVersionSafely,
+  refreshCurrentVersionSafely,
+  listVersions,
+  getVersion,
+  writeVersion,
+  restoreState,
+  restoreVersion,
+  labelVersion,
+  listCheckpoints,
+  reconcileVersions,
+  reconcileAllVersions
+};
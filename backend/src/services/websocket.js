@@ -1,17 +1,41 @@
 const jwt = require('jsonwebtoken');
 const { canAccessNotebook } = require('../middleware/auth');
+const {
+  joinDocument,
+  syncDocument,
+  applyDocumentUpdate,
+  applyDocumentOperations,
+  applyRemoteDocumentUpdate,
+  leaveDocument
+} = require('./documentSync');
+const { recordCollaborationEvent, recordEdit, flushEdits } = require('./collaborationEvents');
+const { postMessage, announce, ChatError } = require('./chat');
+const {
+  joinPresence,
+  heartbeat,
+  leavePresence,
+  getActiveCollaborators
+} = require('./presence');
 
 let io = null;
 
-// Store active connections and their notebook subscriptions
+// Whether other backend instances share rooms through the adapter
+let clustered = false;
+
+// Sockets connected to this process and their notebook subscriptions;
+// who is in each notebook lives in the shared presence store
 const activeConnections = new Map();
-const notebookRooms = new Map();
+
+// Cursor moves and edits refresh presence at most this often
+const PRESENCE_WRITE_INTERVAL_MS = 5000;
 
 /**
- * Setup WebSocket server for real-time collaboration
+ * Setup WebSocket server for real-time collaboration. `clustered` is set
+ * when the adapter connects this server to other instances.
  */
-function setupWebSocket(socketIO) {
+function setupWebSocket(socketIO, options = {}) {
   io = socketIO;
+  clustered = Boolean(options.clustered);
 
   io.use(async (socket, next) => {
     try {
@@ -31,6 +55,8 @@ function setupWebSocket(socketIO) {
         role: decoded.role,
         name: decoded.name
       };
+      // Visible to other instances through fetchSockets()
+      socket.data.user = socket.user;
 
       next();
     } catch (error) {
@@ -47,9 +73,13 @@ function setupWebSocket(socketIO) {
       socket,
       user: socket.user,
       notebooks: new Set(),
+      presence: new Map(),
       lastActivity: Date.now()
     });
 
+    // Personal room for notifications such as chat mentions
+    socket.join(`user-${socket.user.id}`);
+
     // Handle notebook subscription
     socket.on('join-notebook', async (data) => {
       await handleJoinNotebook(socket, data);
@@ -65,6 +95,11 @@ function setupWebSocket(socketIO) {
       await handleOperation(socket, data);
     });
 
+    // Handle catch-up requests from reconnecting clients
+    socket.on('sync-document', async (data) => {
+      await handleSyncDocument(socket, data);
+    });
+
     // Handle cursor position updates
     socket.on('cursor-position', async (data) => {
       await handleCursorPosition(socket, data);
@@ -96,6 +131,15 @@ function setupWebSocket(socketIO) {
     });
   });
 
+  // Live document changes made on other instances
+  io.on('document-update', async ({ notebookId, update }) => {
+    try {
+      await applyRemoteDocumentUpdate(notebookId, update);
+    } catch (error) {
+      console.error('Error applying document update from another instance:', error);
+    }
+  });
+
   // Cleanup inactive connections periodically
   setInterval(cleanupInactiveConnections, 30000); // Every 30 seconds
 
@@ -134,19 +178,11 @@ async function handleJoinNotebook(socket, data) {
       connection.lastActivity = Date.now();
     }
 
-    // Update notebook room tracking
-    if (!notebookRooms.has(notebookId)) {
-      notebookRooms.set(notebookId, new Map());
+    // Register presence for this socket
+    await joinPresence(notebookId, socket.id, socket.user);
+    if (connection) {
+      connection.presence.set(notebookId, { fields: {}, lastWrite: Date.now() });
     }
-    
-    const notebookRoom = notebookRooms.get(notebookId);
-    notebookRoom.set(userId, {
-      socketId: socket.id,
-      user: socket.user,
-      joinedAt: new Date().toISOString(),
-      cursorPosition: null,
-      isTyping: false
-    });
 
     // Notify other users in the room
     socket.to(roomName).emit('user-joined', {
@@ -160,21 +196,20 @@ async function handleJoinNotebook(socket, data) {
     });
 
     // Send current room status to the joining user
-    const activeUsers = Array.from(notebookRoom.values()).map(conn => ({
-      id: conn.user.id,
-      name: conn.user.name,
-      email: conn.user.email,
-      joinedAt: conn.joinedAt,
-      cursorPosition: conn.cursorPosition,
-      isTyping: conn.isTyping
-    }));
+    const activeUsers = (await getActiveCollaborators(notebookId)).map(toActiveUser);
 
     socket.emit('notebook-joined', {
       notebookId,
       activeUsers,
-      roomSize: notebookRoom.size
+      roomSize: activeUsers.length
     });
 
+    // Send the full document state so the client starts from the live copy
+    const documentState = await joinDocument(notebookId, socket.id, socket.user);
+    socket.emit('document-state', documentState);
+
+    trackEvent(notebookId, socket.user, 'join');
+
     console.log(`User ${socket.user.name} joined notebook ${notebookId}`);
   } catch (error) {
     console.error('Error handling join notebook:', error);
@@ -188,7 +223,6 @@ async function handleJoinNotebook(socket, data) {
 async function handleLeaveNotebook(socket, data) {
   try {
     const { notebookId } = data;
-    const userId = socket.user.id;
 
     if (!notebookId) {
       socket.emit('error', { message: 'Notebook ID required' });
@@ -202,18 +236,12 @@ async function handleLeaveNotebook(socket, data) {
     const connection = activeConnections.get(socket.id);
     if (connection) {
       connection.notebooks.delete(notebookId);
+      connection.presence.delete(notebookId);
     }
 
-    // Update notebook room tracking
-    const notebookRoom = notebookRooms.get(notebookId);
-    if (notebookRoom) {
-      notebookRoom.delete(userId);
-      
-      // Clean up empty rooms
-      if (notebookRoom.size === 0) {
-        notebookRooms.delete(notebookId);
-      }
-    }
+    await leavePresence(notebookId, socket.id);
+    await leaveDocument(notebookId, socket.id);
+    trackLeave(notebookId, socket.user, 'leave');
 
     // Notify other users
     socket.to(roomName).emit('user-left', {
@@ -234,16 +262,18 @@ async function handleLeaveNotebook(socket, data) {
 }
 
 /**
- * Handle real-time operations for collaborative editing
+ * Handle real-time edits for collaborative editing. Clients send either a
+ * binary CRDT `update` or retain/insert/delete `operations`; both are merged
+ * into the server-owned document and relayed as a CRDT update.
  */
 async function handleOperation(socket, data) {
   try {
-    const { notebookId, operations, baseVersion } = data;
+    const { notebookId, update, operations } = data;
     const userId = socket.user.id;
     const userRole = socket.user.role;
 
-    if (!notebookId || !operations) {
-      socket.emit('error', { message: 'Notebook ID and operations required' });
+    if (!notebookId || (!update && !operations)) {
+      socket.emit('error', { message: 'Notebook ID and update or operations required' });
       return;
     }
 
@@ -256,26 +286,33 @@ async function handleOperation(socket, data) {
 
     // Update connection activity
     const connection = activeConnections.get(socket.id);
-    if (connection) {
-      connection.lastActivity = Date.now();
+    if (!connection || !connection.notebooks.has(notebookId)) {
+      socket.emit('error', { message: 'Join the notebook before editing' });
+      return;
+    }
+    connection.lastActivity = Date.now();
+
+    let documentUpdate = update;
+    if (update) {
+      await applyDocumentUpdate(notebookId, update, socket.id);
+    } else {
+      documentUpdate = await applyDocumentOperations(notebookId, operations, socket.id);
     }
 
-    // Broadcast operations to other users in the notebook
+    // Relay the merged update to other users in the notebook
     const roomName = `notebook-${notebookId}`;
-    socket.to(roomName).emit('operation', {
+    socket.to(roomName).emit('document-update', {
       notebookId,
-      operations,
+      update: documentUpdate,
       userId,
       userName: socket.user.name,
       timestamp: new Date().toISOString()
     });
 
-    // Update notebook room with latest activity
-    const notebookRoom = notebookRooms.get(notebookId);
-    if (notebookRoom && notebookRoom.has(userId)) {
-      const userInfo = notebookRoom.get(userId);
-      userInfo.lastOperation = new Date().toISOString();
-    }
+    // Update presence with latest activity
+    await refreshPresence(socket, notebookId, { lastOperation: new Date().toISOString() });
+
+    recordEdit(notebookId, socket.user, operations ? operations.length : 1);
 
     console.log(`Operation applied by ${socket.user.name} in notebook ${notebookId}`);
   } catch (error) {
@@ -284,6 +321,52 @@ async function handleOperation(socket, data) {
   }
 }
 
+/**
+ * Handle a reconnecting client catching up. The client sends its state
+ * vector (and optionally the updates it made while offline) and receives
+ * everything it is missing plus the server's state vector.
+ */
+async function handleSyncDocument(socket, data) {
+  try {
+    const { notebookId, stateVector, update } = data;
+    const userId = socket.user.id;
+
+    if (!notebookId) {
+      socket.emit('error', { message: 'Notebook ID required' });
+      return;
+    }
+
+    const connection = activeConnections.get(socket.id);
+    if (!connection || !connection.notebooks.has(notebookId)) {
+      socket.emit('error', { message: 'Join the notebook before syncing' });
+      return;
+    }
+    connection.lastActivity = Date.now();
+
+    if (update) {
+      const hasAccess = await canAccessNotebook(userId, socket.user.role, notebookId, 'write');
+      if (!hasAccess) {
+        socket.emit('error', { message: 'Write access denied' });
+        return;
+      }
+
+      await applyDocumentUpdate(notebookId, update, socket.id);
+      socket.to(`notebook-${notebookId}`).emit('document-update', {
+        notebookId,
+        update,
+        userId,
+        userName: socket.user.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    socket.emit('document-sync', await syncDocument(notebookId, stateVector));
+  } catch (error) {
+    console.error('Error handling document sync:', error);
+    socket.emit('error', { message: 'Failed to sync document' });
+  }
+}
+
 /**
  * Handle cursor position updates
  */
@@ -296,12 +379,8 @@ async function handleCursorPosition(socket, data) {
       return;
     }
 
-    // Update cursor position in room tracking
-    const notebookRoom = notebookRooms.get(notebookId);
-    if (notebookRoom && notebookRoom.has(userId)) {
-      const userInfo = notebookRoom.get(userId);
-      userInfo.cursorPosition = position;
-    }
+    // Update cursor position in presence
+    await refreshPresence(socket, notebookId, { cursorPosition: position });
 
     // Broadcast cursor position to other users
     const roomName = `notebook-${notebookId}`;
@@ -329,12 +408,8 @@ async function handleTyping(socket, data) {
       return;
     }
 
-    // Update typing status in room tracking
-    const notebookRoom = notebookRooms.get(notebookId);
-    if (notebookRoom && notebookRoom.has(userId)) {
-      const userInfo = notebookRoom.get(userId);
-      userInfo.isTyping = isTyping;
-    }
+    // Update typing status in presence; start and stop are written at once
+    await refreshPresence(socket, notebookId, { isTyping: Boolean(isTyping) }, { force: true });
 
     // Broadcast typing status
     const roomName = `notebook-${notebookId}`;
@@ -351,14 +426,23 @@ async function handleTyping(socket, data) {
 }
 
 /**
- * Handle user presence updates
+ * Handle presence heartbeats and status changes (e.g. 'active', 'idle').
+ * Clients send one at least every PRESENCE_TTL_MS / 3 while a notebook is open.
  */
 async function handlePresence(socket, data) {
   try {
     const { notebookId, status } = data;
     const userId = socket.user.id;
 
-    if (!notebookId || !status) {
+    const connection = activeConnections.get(socket.id);
+    if (!notebookId || !connection || !connection.notebooks.has(notebookId)) {
+      return;
+    }
+    connection.lastActivity = Date.now();
+
+    await refreshPresence(socket, notebookId, status ? { status } : {}, { force: true });
+
+    if (!status) {
       return;
     }
 
@@ -377,38 +461,35 @@ async function handlePresence(socket, data) {
 }
 
 /**
- * Handle chat messages in collaborative sessions
+ * Handle chat messages in collaborative sessions. Messages are stored so
+ * late joiners can load the history.
  */
 async function handleChatMessage(socket, data) {
   try {
     const { notebookId, message } = data;
-    const userId = socket.user.id;
 
     if (!notebookId || !message) {
       socket.emit('error', { message: 'Notebook ID and message required' });
       return;
     }
 
-    // Validate message content
-    if (typeof message !== 'string' || message.trim().length === 0) {
-      socket.emit('error', { message: 'Invalid message content' });
+    const connection = activeConnections.get(socket.id);
+    if (!connection || !connection.notebooks.has(notebookId)) {
+      socket.emit('error', { message: 'Join the notebook before chatting' });
       return;
     }
+    connection.lastActivity = Date.now();
 
-    // Broadcast chat message to room
-    const roomName = `notebook-${notebookId}`;
-    const chatMessage = {
-      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      notebookId,
-      userId,
-      userName: socket.user.name,
-      message: message.trim(),
-      timestamp: new Date().toISOString()
-    };
+    const chatMessage = await postMessage(notebookId, socket.user, message);
+    announce('chat-message', chatMessage, chatMessage.mentions);
+    trackEvent(notebookId, socket.user, 'chat', { messageId: chatMessage.id });
 
-    io.to(roomName).emit('chat-message', chatMessage);
     console.log(`Chat message from ${socket.user.name} in notebook ${notebookId}`);
   } catch (error) {
+    if (error instanceof ChatError) {
+      socket.emit('error', { message: error.message, code: error.code });
+      return;
+    }
     console.error('Error handling chat message:', error);
     socket.emit('error', { message: 'Failed to send message' });
   }
@@ -440,16 +521,15 @@ function handleDisconnect(socket) {
         timestamp: new Date().toISOString()
       });
 
-      // Clean up notebook room tracking
-      const notebookRoom = notebookRooms.get(notebookId);
-      if (notebookRoom) {
-        notebookRoom.delete(userId);
-        
-        // Clean up empty rooms
-        if (notebookRoom.size === 0) {
-          notebookRooms.delete(notebookId);
-        }
-      }
+      // Remove presence; entries left by a crashed process expire instead
+      leavePresence(notebookId, socket.id).catch(error => {
+        console.error('Error removing presence:', error);
+      });
+
+      leaveDocument(notebookId, socket.id).catch(error => {
+        console.error('Error releasing live document:', error);
+      });
+      trackLeave(notebookId, socket.user, 'disconnect');
     });
 
     // Remove connection
@@ -460,7 +540,56 @@ function handleDisconnect(socket) {
 }
 
 /**
- * Clean up inactive connections
+ * Record a collaboration event in the background; analytics must never
+ * hold up or break the live session
+ */
+function trackEvent(notebookId, user, action, metadata = {}) {
+  recordCollaborationEvent(notebookId, user.id, action, {
+    userName: user.name,
+    source: 'websocket',
+    ...metadata
+  }).catch(error => {
+    console.error(`Error recording ${action} event:`, error);
+  });
+}
+
+/**
+ * Write the user's batched edits before the leave event that closes the session
+ */
+function trackLeave(notebookId, user, reason) {
+  flushEdits(notebookId, user.id)
+    .then(() => trackEvent(notebookId, user, 'leave', { reason }));
+}
+
+/**
+ * Write a socket's presence fields to the store. Frequent updates (cursor
+ * moves, edits) are coalesced unless `force` is set; an entry that expired
+ * meanwhile is registered again.
+ */
+async function refreshPresence(socket, notebookId, fields = {}, { force = false } = {}) {
+  const connection = activeConnections.get(socket.id);
+  const state = connection?.presence.get(notebookId);
+  if (!state) {
+    return;
+  }
+
+  Object.assign(state.fields, fields);
+  if (!force && Date.now() - state.lastWrite < PRESENCE_WRITE_INTERVAL_MS) {
+    return;
+  }
+
+  const pending = state.fields;
+  state.fields = {};
+  state.lastWrite = Date.now();
+
+  const refreshed = await heartbeat(notebookId, socket.id, pending);
+  if (!refreshed) {
+    await joinPresence(notebookId, socket.id, socket.user, pending);
+  }
+}
+
+/**
+ * Clean up inactive connections and keep presence alive for the rest
  */
 function cleanupInactiveConnections() {
   const now = Date.now();
@@ -471,10 +600,30 @@ function cleanupInactiveConnections() {
       console.log(`Cleaning up inactive connection for ${connection.user.name}`);
       connection.socket.disconnect(true);
       activeConnections.delete(socketId);
+      return;
     }
+
+    connection.notebooks.forEach(notebookId => {
+      refreshPresence(connection.socket, notebookId, {}, { force: true }).catch(error => {
+        console.error('Error refreshing presence:', error);
+      });
+    });
   });
 }
 
+function toActiveUser(collaborator) {
+  return {
+    id: collaborator.userId,
+    name: collaborator.userName,
+    email: collaborator.email,
+    joinedAt: collaborator.joinedAt,
+    lastSeen: collaborator.lastSeen,
+    status: collaborator.status,
+    cursorPosition: collaborator.cursorPosition,
+    isTyping: collaborator.isTyping
+  };
+}
+
 /**
  * Get current WebSocket IO instance
  */
@@ -483,32 +632,49 @@ function getIO() {
 }
 
 /**
- * Get active connections count
+ * Get active connections count on this instance
  */
 function getActiveConnectionsCount() {
   return activeConnections.size;
 }
 
 /**
- * Get notebook room information
+ * Users with a socket in a notebook room, on any instance
+ */
+async function getNotebookMembers(notebookId) {
+  if (!io) {
+    return [];
+  }
+
+  const sockets = await io.in(`notebook-${notebookId}`).fetchSockets();
+  const members = new Map();
+  sockets.forEach(remote => {
+    const user = remote.data.user;
+    if (!user) return;
+    const member = members.get(user.id) || { id: user.id, name: user.name, email: user.email, connections: 0 };
+    member.connections += 1;
+    members.set(user.id, member);
+  });
+  return Array.from(members.values());
+}
+
+/**
+ * Get notebook room information across all instances
  */
-function getNotebookRoomInfo(notebookId) {
-  const room = notebookRooms.get(notebookId);
-  if (!room) {
+async function getNotebookRoomInfo(notebookId) {
+  const [collaborators, members] = await Promise.all([
+    getActiveCollaborators(notebookId),
+    getNotebookMembers(notebookId)
+  ]);
+  if (collaborators.length === 0 && members.length === 0) {
     return null;
   }
 
   return {
     notebookId,
-    activeUsers: Array.from(room.values()).map(conn => ({
-      id: conn.user.id,
-      name: conn.user.name,
-      email: conn.user.email,
-      joinedAt: conn.joinedAt,
-      cursorPosition: conn.cursorPosition,
-      isTyping: conn.isTyping
-    })),
-    roomSize: room.size
+    activeUsers: collaborators.map(toActiveUser),
+    connectedUsers: members,
+    roomSize: members.reduce((sum, member) => sum + member.connections, 0)
   };
 }
 
@@ -525,10 +691,36 @@ function broadcastToNotebook(notebookId, event, data) {
   io.to(roomName).emit(event, data);
 }
 
+/**
+ * Send an event to every connection of one user, on any instance
+ */
+function notifyUser(userId, event, data) {
+  if (!io) {
+    console.error('WebSocket not initialized');
+    return;
+  }
+
+  io.to(`user-${userId}`).emit(event, data);
+}
+
+/**
+ * Send an event to the other backend instances (not to clients)
+ */
+function publishToInstances(event, data) {
+  if (!io || !clustered) {
+    return;
+  }
+
+  io.serverSideEmit(event, data);
+}
+
 module.exports = {
   setupWebSocket,
   getIO,
   getActiveConnectionsCount,
+  getNotebookMembers,
   getNotebookRoomInfo,
-  broadcastToNotebook
+  broadcastToNotebook,
+  notifyUser,
+  publishToInstances
 };
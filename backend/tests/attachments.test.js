@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+
+const { DynamoDBService, S3Service } = require('../src/config/storage');
+const {
+  AttachmentError,
+  createUpload,
+  completeUpload,
+  getDownloadUrl,
+  listAttachments,
+  externalizeAttachments,
+  migrateInlineAttachments,
+  MAX_ATTACHMENT_BYTES
+} = require('../src/services/attachments');
+
+/*
+ * Attachments on the local provider, whose signed /api/storage/objects URLs
+ * stand in for S3 presigned URLs: the browser's upload is a real PUT to
+ * that route.
+ */
+
+const USER = { id: 'user-1' };
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let server;
+let baseUrl;
+let notebookCount = 0;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/storage', require('../src/routes/storage'));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+async function createNotebook(content) {
+  notebookCount += 1;
+  const notebook = {
+    id: `notebook-${notebookCount}`,
+    title: 'Lab notes',
+    content,
+    owner: USER.id
+  };
+  await DynamoDBService.createNotebook(notebook);
+  return DynamoDBService.getNotebook(notebook.id);
+}
+
+function dataUrl(type, data) {
+  return `data:${type};base64,${data.toString('base64')}`;
+}
+
+function upload(url, body, contentType) {
+  return fetch(`${baseUrl}${url}`, { method: 'PUT', headers: { 'Content-Type': contentType }, body });
+}
+
+describe('presigned uploads', () => {
+  it('uploads through the signed URL and downloads what was uploaded', async () => {
+    const { id: notebookId } = await createNotebook({ body: '' });
+    const { attachment, upload: target } = await createUpload(notebookId, USER, {
+      name: 'diagram.png',
+      type: 'image/png',
+      size: PNG.length
+    });
+
+    expect(attachment).toMatchObject({ name: 'diagram.png', type: 'image/png', status: 'pending' });
+    expect(target).toMatchObject({ method: 'PUT', headers: { 'Content-Type': 'image/png' } });
+    expect(await listAttachments(notebookId)).toEqual([]);
+
+    const response = await upload(target.url, PNG, 'image/png');
+    expect(response.status).toBe(200);
+
+    const ready = await completeUpload(notebookId, attachment.id);
+    expect(ready).toMatchObject({ status: 'ready', size: PNG.length });
+    expect(await listAttachments(notebookId)).toEqual([
+      expect.objectContaining({ id: attachment.id, name: 'diagram.png', uploadedBy: USER.id })
+    ]);
+
+    const { url } = await getDownloadUrl(notebookId, attachment.id);
+    const download = await fetch(`${baseUrl}${url}`);
+    expect(download.status).toBe(200);
+    expect(download.headers.get('content-type')).toBe('image/png');
+    expect(download.headers.get('content-disposition')).toContain("filename*=UTF-8''diagram.png");
+    expect(Buffer.from(await download.arrayBuffer())).toEqual(PNG);
+  });
+
+  it('rejects an upload with a different content type than was signed', async () => {
+    const { id: notebookId } = await createNotebook({ body: '' });
+    const { attachment, upload: target } = await createUpload(notebookId, USER, {
+      name: 'scan.pdf',
+      type: 'application/pdf',
+      size: 4
+    });
+
+    const response = await upload(target.url, Buffer.from('%PDF'), 'text/html');
+    expect(response.status).toBe(403);
+    await expect(completeUpload(notebookId, attachment.id)).rejects.toMatchObject({ code: 'UPLOAD_INCOMPLETE' });
+  });
+
+  it('rejects an upload to a tampered URL', async () => {
+    const { id: notebookId } = await createNotebook({ body: '' });
+    const { upload: target } = await createUpload(notebookId, USER, { name: 'a.png', type: 'image/png', size: 1 });
+
+    const response = await upload(target.url.replace('/a.png?', '/b.png?'), PNG, 'image/png');
+    expect(response.status).toBe(403);
+  });
+
+  it('keeps an attachment pending until its upload arrives', async () => {
+    const { id: notebookId } = await createNotebook({ body: '' });
+    const { attachment } = await createUpload(notebookId, USER, { name: 'a.png', type: 'image/png', size: 1 });
+
+    await expect(completeUpload(notebookId, attachment.id)).rejects.toMatchObject({ status: 409, code: 'UPLOAD_INCOMPLETE' });
+    await expect(getDownloadUrl(notebookId, attachment.id)).rejects.toMatchObject({ code: 'UPLOAD_INCOMPLETE' });
+  });
+
+  it.each([
+    [{ name: '', type: 'image/png', size: 1 }, 'INVALID_ATTACHMENT_NAME'],
+    [{ name: 'run.sh', type: 'text/x-shellscript', size: 1 }, 'UNSUPPORTED_ATTACHMENT_TYPE'],
+    [{ name: 'huge.png', type: 'image/png', size: MAX_ATTACHMENT_BYTES + 1 }, 'ATTACHMENT_TOO_LARGE'],
+    [{ name: 'empty.png', type: 'image/png', size: 0 }, 'ATTACHMENT_TOO_LARGE']
+  ])('refuses to sign %p', async (file, code) => {
+    await expect(createUpload('notebook-x', USER, file)).rejects.toMatchObject({ status: 400, code });
+  });
+
+  it('reports an unknown attachment', async () => {
+    await expect(completeUpload('notebook-x', 'missing')).rejects.toBeInstanceOf(AttachmentError);
+  });
+});
+
+describe('inline dataUrl migration', () => {
+  it('moves inline attachments to storage without changing the version', async () => {
+    const notebook = await createNotebook({
+      body: 'See figure',
+      attachments: [{ name: 'figure.png', type: 'image/png', dataUrl: dataUrl('image/png', PNG) }]
+    });
+
+    const migrated = await migrateInlineAttachments(notebook);
+    const [reference] = migrated.content.attachments;
+    expect(reference).toEqual({ id: expect.stringMatching(/^inline-/), name: 'figure.png', type: 'image/png', size: PNG.length });
+
+    const stored = await DynamoDBService.getNotebook(notebook.id);
+    expect(stored.version).toBe(notebook.version);
+    expect(stored.content).toEqual({ body: 'See figure', attachments: [reference] });
+    expect(JSON.stringify(stored.content)).not.toContain('base64');
+
+    const attachment = await DynamoDBService.getAttachment(notebook.id, reference.id);
+    expect(attachment.status).toBe('ready');
+    expect((await S3Service.getObject(attachment.key)).body).toEqual(PNG);
+  });
+
+  it('stores the same inline file once', async () => {
+    const inline = { name: 'figure.png', type: 'image/png', dataUrl: dataUrl('image/png', PNG) };
+    const { id: notebookId } = await createNotebook({ body: '' });
+
+    const first = await externalizeAttachments(notebookId, { attachments: [inline] }, USER.id);
+    const second = await externalizeAttachments(notebookId, { attachments: [inline, { ...inline, name: 'copy.png' }] }, USER.id);
+
+    expect(second.content.attachments.map(attachment => attachment.id))
+      .toEqual([first.content.attachments[0].id, first.content.attachments[0].id]);
+    expect(await DynamoDBService.getAttachments(notebookId)).toHaveLength(1);
+  });
+
+  it('keeps existing references and drops what it cannot read', async () => {
+    const { id: notebookId } = await createNotebook({ body: '' });
+    const { content, migrated } = await externalizeAttachments(notebookId, {
+      attachments: [
+        { id: 'kept', name: 'kept.png', type: 'image/png', size: 3, url: 'https://signed.example/kept' },
+        { name: 'broken.png', dataUrl: 'data:image/png,not-base64' },
+        null
+      ]
+    }, USER.id);
+
+    expect(migrated).toBe(0);
+    expect(content.attachments).toEqual([{ id: 'kept', name: 'kept.png', type: 'image/png', size: 3 }]);
+  });
+
+  it('leaves a save that landed during the migration in place', async () => {
+    const notebook = await createNotebook({
+      body: 'old',
+      attachments: [{ name: 'figure.png', type: 'image/png', dataUrl: dataUrl('image/png', PNG) }]
+    });
+    await DynamoDBService.updateNotebook(notebook.id, { content: { body: 'newer save' }, version: 2 }, { expectedVersion: 1 });
+
+    const migrated = await migrateInlineAttachments(notebook);
+    expect(migrated.content.attachments[0].id).toMatch(/^inline-/);
+    expect((await DynamoDBService.getNotebook(notebook.id)).content).toEqual({ body: 'newer save' });
+  });
+
+  it('returns notebooks without inline attachments untouched', async () => {
+    const notebook = await createNotebook({ body: 'plain', attachments: [{ id: 'a', name: 'a.png', type: 'image/png', size: 1 }] });
+    expect(await migrateInlineAttachments(notebook)).toBe(notebook);
+  });
+});
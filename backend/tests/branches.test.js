@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'branches-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const { BranchError, createBranch, listBranches, mergeBranch } = require('../src/services/branches');
+const { recordVersion, writeVersion } = require('../src/services/versions');
+
+const OWNER = { id: 'user-1', name: 'Ada' };
+const COLLABORATOR = { id: 'user-2', name: 'Grace' };
+const BODY = 'Aim\nMethod\nResults\nDiscussion\n';
+
+let notebookCount = 0;
+
+async function createNotebook(body = BODY) {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({
+    id,
+    title: 'Lab notes',
+    content: { body },
+    owner: OWNER.id,
+    collaborators: [COLLABORATOR.id],
+    tags: ['chemistry']
+  });
+  await recordVersion(await DynamoDBService.getNotebook(id), OWNER, 'create');
+  return id;
+}
+
+function edit(notebookId, body, user = OWNER) {
+  return writeVersion(notebookId, { content: { body } }, user, { action: 'update' });
+}
+
+async function thrown(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('createBranch', () => {
+  it('forks the current version into a notebook shared with the main one', async () => {
+    const notebookId = await createNotebook();
+
+    const { branch, notebook } = await createBranch(notebookId, { name: 'rewrite' }, COLLABORATOR);
+
+    expect(branch).toMatchObject({ notebookId, name: 'rewrite', baseVersion: 1, status: 'open', createdBy: COLLABORATOR.id });
+    expect(notebook).toMatchObject({
+      id: branch.branchNotebookId,
+      title: 'Lab notes (rewrite)',
+      content: { body: BODY },
+      owner: COLLABORATOR.id,
+      collaborators: [OWNER.id],
+      tags: ['chemistry'],
+      version: 1
+    });
+    expect(await DynamoDBService.getNotebook(branch.branchNotebookId)).toMatchObject({ content: { body: BODY } });
+    expect((await listBranches(notebookId)).map(listed => listed.branchId)).toEqual([branch.branchId]);
+  });
+
+  it('forks an earlier version when asked', async () => {
+    const notebookId = await createNotebook();
+    await edit(notebookId, 'Aim\nMethod\n');
+
+    const { branch, notebook } = await createBranch(notebookId, { name: 'original', fromVersion: 1 }, OWNER);
+
+    expect(branch.baseVersion).toBe(1);
+    expect(notebook.content.body).toBe(BODY);
+  });
+
+  it('refuses a second branch with the same name', async () => {
+    const notebookId = await createNotebook();
+    await createBranch(notebookId, { name: 'Draft' }, OWNER);
+
+    const error = await thrown(createBranch(notebookId, { name: 'draft' }, OWNER));
+
+    expect(error).toBeInstanceOf(BranchError);
+    expect(error).toMatchObject({ status: 409, code: 'BRANCH_EXISTS' });
+  });
+});
+
+describe('mergeBranch', () => {
+  it('merges changes to separate passages as a new version without conflicts', async () => {
+    const notebookId = await createNotebook();
+    const { branch } = await createBranch(notebookId, { name: 'results' }, OWNER);
+    await edit(branch.branchNotebookId, 'Aim\nMethod\nResults: 42\nDiscussion\n');
+    await edit(notebookId, 'Aim of the experiment\nMethod\nResults\nDiscussion\n', COLLABORATOR);
+
+    const result = await mergeBranch(notebookId, branch.branchId, OWNER);
+
+    expect(result).toMatchObject({ version: 3, conflicts: [], branch: { status: 'merged', mergedVersion: 3 } });
+    expect(await DynamoDBService.getNotebook(notebookId)).toMatchObject({
+      version: 3,
+      title: 'Lab notes',
+      content: { body: 'Aim of the experiment\nMethod\nResults: 42\nDiscussion\n' }
+    });
+    expect(await DynamoDBService.getNotebookConflicts(notebookId)).toEqual([]);
+  });
+
+  it('only previews a dry run', async () => {
+    const notebookId = await createNotebook();
+    const { branch } = await createBranch(notebookId, { name: 'preview' }, OWNER);
+    await edit(branch.branchNotebookId, `${BODY}Conclusion\n`);
+
+    const preview = await mergeBranch(notebookId, branch.branchId, OWNER, { dryRun: true });
+
+    expect(preview).toMatchObject({ dryRun: true, version: 1, conflicts: [] });
+    expect(preview.differences.summary).toBe('1 line added, 0 removed');
+    expect((await DynamoDBService.getNotebook(notebookId)).content.body).toBe(BODY);
+    expect((await DynamoDBService.getNotebookBranch(notebookId, branch.branchId)).status).toBe('open');
+  });
+
+  it('keeps the branch text and records a branch_merge conflict where both sides changed a passage', async () => {
+    const notebookId = await createNotebook();
+    const { branch } = await createBranch(notebookId, { name: 'results' }, OWNER);
+    await edit(branch.branchNotebookId, 'Aim\nMethod\nResults: 42\nDiscussion\n');
+    await edit(notebookId, 'Aim\nMethod\nResults: 41\nDiscussion\n', COLLABORATOR);
+
+    const result = await mergeBranch(notebookId, branch.branchId, OWNER);
+
+    expect((await DynamoDBService.getNotebook(notebookId)).content.body).toBe('Aim\nMethod\nResults: 42\nDiscussion\n');
+    const conflicts = await DynamoDBService.getNotebookConflicts(notebookId);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      type: 'branch_merge',
+      mine: 'Results: 42\n',
+      theirs: 'Results: 41\n',
+      base: 'Results\n',
+      baseVersion: 1,
+      version: result.version,
+      users: [OWNER.id, COLLABORATOR.id],
+      resolved: false
+    });
+    expect(result.conflicts.map(conflict => conflict.conflictId)).toEqual([conflicts[0].conflictId]);
+    expect(result.branch.conflicts).toEqual([conflicts[0].conflictId]);
+  });
+
+  it('refuses to merge a branch twice', async () => {
+    const notebookId = await createNotebook();
+    const { branch } = await createBranch(notebookId, { name: 'once' }, OWNER);
+    await mergeBranch(notebookId, branch.branchId, OWNER);
+
+    const error = await thrown(mergeBranch(notebookId, branch.branchId, OWNER));
+
+    expect(error).toMatchObject({ status: 409, code: 'BRANCH_MERGED' });
+    expect(await thrown(mergeBranch(notebookId, 'missing', OWNER))).toMatchObject({ status: 404, code: 'BRANCH_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,175 @@
+const {
+  diffSequences,
+  splitLines,
+  mergeThreeWay,
+  diffOperations
+} = require('../src/services/diff');
+const { apply } = require('../src/services/operationalTransform');
+
+// Both sides of an edit script, rebuilt from its runs
+function sides(runs) {
+  return {
+    before: runs.filter(run => run.type !== 'insert').flatMap(run => run.items),
+    after: runs.filter(run => run.type !== 'delete').flatMap(run => run.items)
+  };
+}
+
+function lines(count, label) {
+  return Array.from({ length: count }, (_, i) => `${label} line ${i} of the notebook body\n`).join('');
+}
+
+describe('diffSequences', () => {
+  it('reports identical inputs as one equal run', () => {
+    expect(diffSequences(['a', 'b'], ['a', 'b'])).toEqual([{ type: 'equal', items: ['a', 'b'] }]);
+    expect(diffSequences([], [])).toEqual([]);
+  });
+
+  it('finds inserts and deletes between equal runs', () => {
+    expect(diffSequences(['a', 'b', 'c'], ['a', 'x', 'b', 'c'])).toEqual([
+      { type: 'equal', items: ['a'] },
+      { type: 'insert', items: ['x'] },
+      { type: 'equal', items: ['b', 'c'] }
+    ]);
+    expect(diffSequences(['a', 'b', 'c'], ['a', 'c'])).toEqual([
+      { type: 'equal', items: ['a'] },
+      { type: 'delete', items: ['b'] },
+      { type: 'equal', items: ['c'] }
+    ]);
+    expect(diffSequences([], ['a'])).toEqual([{ type: 'insert', items: ['a'] }]);
+    expect(diffSequences(['a'], [])).toEqual([{ type: 'delete', items: ['a'] }]);
+  });
+
+  it('keeps as much in common as possible', () => {
+    const a = 'abcabba'.split('');
+    const b = 'cbabac'.split('');
+    const runs = diffSequences(a, b);
+
+    expect(sides(runs)).toEqual({ before: a, after: b });
+    // The longest common subsequence of the two has length 4
+    expect(runs.filter(run => run.type === 'equal').flatMap(run => run.items)).toHaveLength(4);
+  });
+
+  it('replaces regions further apart than maxCost whole', () => {
+    const runs = diffSequences(['a', 'b', 'c', 'd'], ['x', 'b', 'y', 'd'], undefined, { maxCost: 0 });
+
+    expect(runs).toEqual([
+      { type: 'delete', items: ['a', 'b', 'c'] },
+      { type: 'insert', items: ['x', 'b', 'y'] },
+      { type: 'equal', items: ['d'] }
+    ]);
+  });
+
+  it('diffs a large rewrite in bounded memory', () => {
+    const before = splitLines(lines(5000, 'old'));
+    const after = splitLines(lines(5000, 'new'));
+    const heapBefore = process.memoryUsage().heapUsed;
+
+    const runs = diffSequences(before, after);
+
+    expect(sides(runs)).toEqual({ before, after });
+    expect(process.memoryUsage().heapUsed - heapBefore).toBeLessThan(100 * 1024 * 1024);
+  });
+});
+
+describe('splitLines', () => {
+  it('keeps line endings, including CRLF', () => {
+    expect(splitLines('a\r\nb\nc')).toEqual(['a\r\n', 'b\n', 'c']);
+    expect(splitLines('')).toEqual([]);
+    expect(splitLines(null)).toEqual([]);
+  });
+});
+
+describe('mergeThreeWay', () => {
+  const base = 'one\ntwo\nthree\nfour\n';
+
+  it('returns identical inputs unchanged', () => {
+    expect(mergeThreeWay(base, base, base)).toEqual({ body: base, conflicts: [] });
+  });
+
+  it('takes whichever side changed', () => {
+    expect(mergeThreeWay(base, base, 'one\n2\nthree\nfour\n')).toEqual({ body: 'one\n2\nthree\nfour\n', conflicts: [] });
+    expect(mergeThreeWay(base, 'one\ntwo\nthree\n', base)).toEqual({ body: 'one\ntwo\nthree\n', conflicts: [] });
+  });
+
+  it('combines changes to separate lines', () => {
+    const mine = 'zero\none\ntwo\nthree\nfour\n';
+    const theirs = 'one\ntwo\nthree\n4\n';
+
+    expect(mergeThreeWay(base, mine, theirs)).toEqual({ body: 'zero\none\ntwo\nthree\n4\n', conflicts: [] });
+  });
+
+  it('accepts the same change made on both sides', () => {
+    const changed = 'one\n2\nthree\nfour\n';
+    expect(mergeThreeWay(base, changed, changed)).toEqual({ body: changed, conflicts: [] });
+  });
+
+  it('keeps mine and reports a conflict where both sides changed the same lines', () => {
+    const { body, conflicts } = mergeThreeWay(base, 'one\nTWO\nthree\nfour\n', 'one\n2\n3\nfour\n');
+
+    expect(body).toBe('one\nTWO\nthree\nfour\n');
+    expect(conflicts).toEqual([{
+      start: 4,
+      end: 14,
+      mine: 'TWO\nthree\n',
+      theirs: '2\n3\n',
+      base: 'two\nthree\n'
+    }]);
+    expect(body.slice(conflicts[0].start, conflicts[0].end)).toBe(conflicts[0].mine);
+  });
+
+  it('reports two inserts at the same place as a conflict', () => {
+    const { body, conflicts } = mergeThreeWay('a\n', 'a\nmine\n', 'a\ntheirs\n');
+
+    expect(body).toBe('a\nmine\n');
+    expect(conflicts).toEqual([{ start: 2, end: 7, mine: 'mine\n', theirs: 'theirs\n', base: '' }]);
+  });
+
+  it('merges empty bodies', () => {
+    expect(mergeThreeWay('', '', '')).toEqual({ body: '', conflicts: [] });
+    expect(mergeThreeWay('', 'new\n', '')).toEqual({ body: 'new\n', conflicts: [] });
+    expect(mergeThreeWay(base, '', base)).toEqual({ body: '', conflicts: [] });
+  });
+
+  it('merges CRLF bodies line by line', () => {
+    const crlf = 'one\r\ntwo\r\nthree\r\n';
+    const { body, conflicts } = mergeThreeWay(crlf, 'zero\r\none\r\ntwo\r\nthree\r\n', 'one\r\ntwo\r\n3\r\n');
+
+    expect(body).toBe('zero\r\none\r\ntwo\r\n3\r\n');
+    expect(conflicts).toEqual([]);
+  });
+});
+
+describe('diffOperations', () => {
+  it.each([
+    ['identical', 'same text\n', 'same text\n'],
+    ['an insert', 'one\nthree\n', 'one\ntwo\nthree\n'],
+    ['a delete', 'one\ntwo\nthree\n', 'one\nthree\n'],
+    ['a word change', 'the quick brown fox\n', 'the slow brown fox\n'],
+    ['a CRLF body', 'one\r\ntwo\r\n', 'one\r\n2\r\n'],
+    ['an empty before', '', 'all new\n'],
+    ['an empty after', 'all gone\n', ''],
+    ['no newline at the end', 'a\nb', 'a\nb\nc']
+  ])('turns the old body into the new one for %s', (_, before, after) => {
+    expect(apply(before, diffOperations(before, after))).toBe(after);
+  });
+
+  it('retains everything between identical bodies', () => {
+    expect(diffOperations('same\n', 'same\n')).toEqual([{ type: 'retain', count: 5 }]);
+    expect(diffOperations('', '')).toEqual([]);
+  });
+
+  it('keeps untouched words of a changed line in place', () => {
+    expect(diffOperations('the quick brown fox\n', 'the slow brown fox\n')).toEqual([
+      { type: 'retain', count: 4 },
+      { type: 'delete', count: 5 },
+      { type: 'insert', text: 'slow' },
+      { type: 'retain', count: 11 }
+    ]);
+  });
+
+  it('handles a rewrite of a large body', () => {
+    const before = lines(2000, 'old');
+    const after = lines(2000, 'new');
+    expect(apply(before, diffOperations(before, after))).toBe(after);
+  });
+});
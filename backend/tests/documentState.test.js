@@ -0,0 +1,161 @@
+process.env.AUTO_CREATE_DYNAMODB_TABLES = 'false';
+process.env.CRDT_STATE_SPILL_THRESHOLD_BYTES = '1024';
+
+const {
+  DynamoDBClient,
+  GetItemCommand,
+  UpdateItemCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { DynamoDBService } = require('../src/config/aws');
+
+/*
+ * The AWS provider against in-memory stand-ins for one notebook item and
+ * the bucket, covering how live document state moves between the item and
+ * S3 as it grows and shrinks.
+ */
+
+const NOTEBOOK_ID = 'notebook-1';
+
+let item;
+let objects;
+
+function conditionalCheckFailed() {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+// Just enough of UpdateExpression for `SET #a = :a, ... REMOVE #b, ...`
+function applyUpdate({ UpdateExpression, ConditionExpression, ExpressionAttributeNames: names, ExpressionAttributeValues: values }) {
+  if (ConditionExpression) {
+    const [name, value] = ConditionExpression.split(' = ');
+    if (item[names[name]]?.N !== values[value].N) throw conditionalCheckFailed();
+  }
+
+  const attribute = token => names[token] || token;
+  const [set, remove = ''] = UpdateExpression.replace(/^SET /, '').split(' REMOVE ');
+  set.split(', ').forEach(assignment => {
+    const [name, value] = assignment.split(' = ');
+    item[attribute(name)] = values[value];
+  });
+  remove.split(', ').filter(Boolean).forEach(name => {
+    delete item[attribute(name)];
+  });
+  return { Attributes: item };
+}
+
+beforeEach(() => {
+  item = {
+    id: { S: NOTEBOOK_ID },
+    content: { S: JSON.stringify({ body: 'hello' }) },
+    version: { N: '1' }
+  };
+  objects = new Map();
+
+  jest.spyOn(DynamoDBClient.prototype, 'send').mockImplementation(async command => {
+    if (command instanceof GetItemCommand) return { Item: item };
+    if (command instanceof UpdateItemCommand) return applyUpdate(command.input);
+    throw new Error(`Unexpected DynamoDB command ${command.constructor.name}`);
+  });
+
+  jest.spyOn(S3Client.prototype, 'send').mockImplementation(async command => {
+    const { Key } = command.input;
+    if (command instanceof PutObjectCommand) {
+      objects.set(Key, Uint8Array.from(command.input.Body));
+      return {};
+    }
+    if (command instanceof GetObjectCommand) {
+      const body = objects.get(Key);
+      return { Body: { transformToByteArray: async () => body } };
+    }
+    if (command instanceof DeleteObjectsCommand) {
+      command.input.Delete.Objects.forEach(object => objects.delete(object.Key));
+      return {};
+    }
+    throw new Error(`Unexpected S3 command ${command.constructor.name}`);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function stateOfSize(size, fill = 1) {
+  return new Uint8Array(size).fill(fill);
+}
+
+function saveState(state, version) {
+  return DynamoDBService.updateNotebook(NOTEBOOK_ID, {
+    crdt_state: state,
+    version: version + 1
+  }, { expectedVersion: version });
+}
+
+describe('live document state storage', () => {
+  it('keeps small state on the notebook item', async () => {
+    const state = stateOfSize(100);
+    await saveState(state, 1);
+
+    expect(item.crdt_state.B).toEqual(state);
+    expect(item.crdt_state_s3_key).toBeUndefined();
+    expect(objects.size).toBe(0);
+    expect((await DynamoDBService.getNotebookDocumentState(NOTEBOOK_ID)).state).toEqual(state);
+  });
+
+  it('moves state past the threshold to S3 and reads it back', async () => {
+    const state = stateOfSize(4096);
+    await saveState(state, 1);
+
+    expect(item.crdt_state).toBeUndefined();
+    expect(item.crdt_state_s3_key.S).toMatch(new RegExp(`^documents/${NOTEBOOK_ID}/`));
+    expect(item.crdt_state_size.N).toBe('4096');
+    expect(objects.has(item.crdt_state_s3_key.S)).toBe(true);
+
+    const stored = await DynamoDBService.getNotebookDocumentState(NOTEBOOK_ID);
+    expect(stored.version).toBe(2);
+    expect(stored.content).toEqual({ body: 'hello' });
+    expect(Buffer.compare(Buffer.from(stored.state), Buffer.from(state))).toBe(0);
+  });
+
+  it('keeps one object per notebook as the state keeps growing', async () => {
+    await saveState(stateOfSize(2048), 1);
+    await saveState(stateOfSize(3072), 2);
+    await saveState(stateOfSize(4096), 3);
+
+    expect([...objects.keys()]).toEqual([item.crdt_state_s3_key.S]);
+    expect((await DynamoDBService.getNotebookDocumentState(NOTEBOOK_ID)).state.byteLength).toBe(4096);
+  });
+
+  it('moves state back inline and deletes the object once it is small again', async () => {
+    await saveState(stateOfSize(4096), 1);
+    await saveState(stateOfSize(10), 2);
+
+    expect(item.crdt_state.B.byteLength).toBe(10);
+    expect(item.crdt_state_s3_key).toBeUndefined();
+    expect(item.crdt_state_sha256).toBeUndefined();
+    expect(objects.size).toBe(0);
+  });
+
+  it('deletes the object written for a rejected update and keeps the stored one', async () => {
+    await saveState(stateOfSize(2048), 1);
+    const storedKey = item.crdt_state_s3_key.S;
+
+    await expect(saveState(stateOfSize(4096), 1)).rejects.toMatchObject({ name: 'ConditionalCheckFailedException' });
+
+    expect([...objects.keys()]).toEqual([storedKey]);
+    expect((await DynamoDBService.getNotebookDocumentState(NOTEBOOK_ID)).state.byteLength).toBe(2048);
+  });
+
+  it('refuses spilled state that does not match its hash', async () => {
+    await saveState(stateOfSize(2048), 1);
+    objects.set(item.crdt_state_s3_key.S, stateOfSize(2048, 2));
+
+    await expect(DynamoDBService.getNotebookDocumentState(NOTEBOOK_ID)).rejects.toThrow('does not match its recorded hash');
+  });
+});
@@ -0,0 +1,175 @@
+const net = require('net');
+
+/*
+ * A Redis-compatible pub/sub broker small enough to run inside a test: the
+ * RESP commands @socket.io/redis-adapter uses (SUBSCRIBE, PSUBSCRIBE,
+ * PUBLISH, PUBSUB NUMSUB and their unsubscribes), nothing else. Messages
+ * are passed through as bytes, so the adapter's binary payloads survive.
+ */
+
+function bulk(value) {
+  if (value === null) return Buffer.from('$-1\r\n');
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+function array(items) {
+  return Buffer.concat([
+    Buffer.from(`*${items.length}\r\n`),
+    ...items.map(item => (typeof item === 'number' ? Buffer.from(`:${item}\r\n`) : bulk(item)))
+  ]);
+}
+
+/**
+ * The next command (an array of bulk strings) in `buffer` from `offset`, or
+ * null if it has not fully arrived
+ */
+function parseCommand(buffer, offset) {
+  const line = end => buffer.indexOf('\r\n', end);
+  let cursor = offset;
+  const header = line(cursor);
+  if (header === -1) return null;
+  if (buffer[cursor] !== 0x2a) { // '*'
+    // Inline command, as sent by telnet-style clients
+    return { args: buffer.slice(cursor, header).toString().trim().split(/\s+/).map(arg => Buffer.from(arg)), next: header + 2 };
+  }
+
+  const count = Number(buffer.slice(cursor + 1, header));
+  cursor = header + 2;
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const lengthEnd = line(cursor);
+    if (lengthEnd === -1) return null;
+    const length = Number(buffer.slice(cursor + 1, lengthEnd));
+    const start = lengthEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+    args.push(buffer.slice(start, start + length));
+    cursor = start + length + 2;
+  }
+  return { args, next: cursor };
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Start a broker on a free local port. Resolves to { port, url, close }.
+ */
+async function startBroker() {
+  const clients = new Set();
+
+  function subscriberCount(channel) {
+    return [...clients].filter(client => client.channels.has(channel)).length;
+  }
+
+  function publish(channel, message) {
+    let receivers = 0;
+    clients.forEach(client => {
+      if (client.channels.has(channel)) {
+        client.socket.write(array(['message', channel, message]));
+        receivers += 1;
+      }
+      client.patterns.forEach((regExp, pattern) => {
+        if (regExp.test(channel)) {
+          client.socket.write(array(['pmessage', pattern, channel, message]));
+          receivers += 1;
+        }
+      });
+    });
+    return receivers;
+  }
+
+  function handle(client, args) {
+    const [name, ...rest] = args;
+    const command = name.toString().toUpperCase();
+    const subscriptions = () => client.channels.size + client.patterns.size;
+
+    switch (command) {
+      case 'SUBSCRIBE':
+        rest.forEach(channel => {
+          client.channels.add(channel.toString());
+          client.socket.write(array(['subscribe', channel, subscriptions()]));
+        });
+        return;
+      case 'PSUBSCRIBE':
+        rest.forEach(pattern => {
+          client.patterns.set(pattern.toString(), globToRegExp(pattern.toString()));
+          client.socket.write(array(['psubscribe', pattern, subscriptions()]));
+        });
+        return;
+      case 'UNSUBSCRIBE':
+      case 'PUNSUBSCRIBE': {
+        const set = command === 'UNSUBSCRIBE' ? client.channels : client.patterns;
+        const kind = command.toLowerCase();
+        const targets = rest.length ? rest.map(arg => arg.toString()) : [...set.keys()];
+        if (targets.length === 0) {
+          client.socket.write(array([kind, null, subscriptions()]));
+        }
+        targets.forEach(target => {
+          set.delete(target);
+          client.socket.write(array([kind, target, subscriptions()]));
+        });
+        return;
+      }
+      case 'PUBLISH':
+        client.socket.write(Buffer.from(`:${publish(rest[0].toString(), rest[1])}\r\n`));
+        return;
+      case 'PUBSUB': {
+        if (rest[0]?.toString().toUpperCase() !== 'NUMSUB') break;
+        const channels = rest.slice(1).map(arg => arg.toString());
+        client.socket.write(array(channels.flatMap(channel => [channel, subscriberCount(channel)])));
+        return;
+      }
+      case 'PING':
+        client.socket.write(subscriptions() > 0 ? array(['pong', '']) : Buffer.from('+PONG\r\n'));
+        return;
+      case 'QUIT':
+        client.socket.end('+OK\r\n');
+        return;
+      case 'CLIENT':
+      case 'SELECT':
+        client.socket.write(Buffer.from('+OK\r\n'));
+        return;
+      default:
+        break;
+    }
+    client.socket.write(Buffer.from(`-ERR unknown command '${command}'\r\n`));
+  }
+
+  const server = net.createServer(socket => {
+    const client = { socket, channels: new Set(), patterns: new Map(), pending: Buffer.alloc(0) };
+    clients.add(client);
+
+    socket.on('data', data => {
+      client.pending = Buffer.concat([client.pending, data]);
+      let offset = 0;
+      let parsed;
+      while ((parsed = parseCommand(client.pending, offset))) {
+        offset = parsed.next;
+        if (parsed.args.length) handle(client, parsed.args);
+      }
+      client.pending = client.pending.slice(offset);
+    });
+    socket.on('close', () => clients.delete(client));
+    socket.on('error', () => clients.delete(client));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+
+  return {
+    port,
+    url: `redis://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => {
+      clients.forEach(client => client.socket.destroy());
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { startBroker };
@@ -0,0 +1,178 @@
+const { LocalSearchEngine } = require('../src/config/localSearch');
+const { parseSearchQuery } = require('../src/services/searchQuery');
+const { analyze, parseQuery } = require('../src/services/textAnalysis');
+
+const NOTEBOOKS = [
+  {
+    id: 'networks',
+    title: 'Neural networks',
+    body: 'Backpropagation trains deep neural networks layer by layer.',
+    tags: ['ml', 'deep'],
+    subject: 'Computer Science',
+    course: 'CS 229',
+    owner: 'ada',
+    updated_at: '2026-02-01T10:00:00.000Z'
+  },
+  {
+    id: 'graphs',
+    title: 'Graph models',
+    body: 'Graph neural models differ from networks of neurons.',
+    tags: ['graphs', 'learning'],
+    subject: 'Computer Science',
+    course: 'CS 224W',
+    owner: 'ada',
+    updated_at: '2026-01-10T10:00:00.000Z'
+  },
+  {
+    id: 'shared',
+    title: 'Reading list',
+    body: 'A survey of neural networks in biology.',
+    tags: [],
+    subject: 'Biology',
+    owner: 'grace',
+    collaborators: ['ada'],
+    updated_at: '2026-03-01T10:00:00.000Z'
+  },
+  {
+    id: 'private',
+    title: 'Neural networks, privately',
+    body: 'Neural networks everywhere.',
+    tags: ['ml'],
+    owner: 'grace',
+    updated_at: '2026-03-02T10:00:00.000Z'
+  }
+];
+
+// The index term for a word
+function term(word) {
+  return analyze(word)[0].term;
+}
+
+async function engineWith(notebooks = NOTEBOOKS) {
+  const engine = new LocalSearchEngine();
+  for (const notebook of notebooks) {
+    await engine.indexDocument(notebook);
+  }
+  return engine;
+}
+
+async function searchIds(engine, query, options = {}) {
+  const { hits } = await engine.search({ query: parseQuery(query), userId: 'ada', ...options });
+  return hits.map(hit => hit.id);
+}
+
+async function advancedIds(engine, query, options = {}) {
+  const { hits } = await engine.advancedSearch({ tree: parseSearchQuery(query), userId: 'ada', ...options });
+  return hits.map(hit => hit.id);
+}
+
+describe('inverted index', () => {
+  it('posts each term with its positions per field', async () => {
+    const engine = await engineWith();
+    const postings = engine.postings.get(term('networks'));
+
+    expect([...postings.keys()].sort()).toEqual(['graphs', 'networks', 'private', 'shared']);
+    expect(postings.get('networks').get('title')).toEqual([1]);
+    expect([...postings.get('networks').keys()].sort()).toEqual(['body', 'title']);
+    expect(engine.postings.get(term('backpropagation')).get('networks').get('body')).toEqual([0]);
+  });
+
+  it('drops a removed document from postings and field lengths', async () => {
+    const engine = await engineWith();
+    await engine.removeDocument('networks');
+
+    expect(engine.postings.has(term('backpropagation'))).toBe(false);
+    expect(engine.postings.get(term('neural')).has('networks')).toBe(false);
+
+    const empty = await engineWith([]);
+    for (const notebook of NOTEBOOKS) await engine.removeDocument(notebook.id);
+    expect(engine.postings.size).toBe(0);
+    expect(engine.fieldLengthTotals).toEqual(empty.fieldLengthTotals);
+  });
+
+  it('replaces what a re-indexed document used to contain', async () => {
+    const engine = await engineWith();
+    await engine.indexDocument({ ...NOTEBOOKS[0], body: 'Thermodynamics and entropy.' });
+
+    expect(engine.postings.has(term('backpropagation'))).toBe(false);
+    expect(await searchIds(engine, 'entropy')).toEqual(['networks']);
+    expect(engine.documents.size).toBe(NOTEBOOKS.length);
+  });
+});
+
+describe('LocalSearchEngine.search', () => {
+  it('finds notebooks containing every term, only those the user can open', async () => {
+    const engine = await engineWith();
+
+    expect((await searchIds(engine, 'neural networks')).sort()).toEqual(['graphs', 'networks', 'shared']);
+    expect(await searchIds(engine, 'neural backpropagation')).toEqual(['networks']);
+    expect(await searchIds(engine, 'neural quantum')).toEqual([]);
+  });
+
+  it('matches phrases only where the words are adjacent', async () => {
+    const engine = await engineWith();
+
+    expect((await searchIds(engine, '"neural networks"')).sort()).toEqual(['networks', 'shared']);
+    expect(await searchIds(engine, '"networks neural"')).toEqual([]);
+  });
+
+  it('does not match a phrase across two tags', async () => {
+    const engine = await engineWith();
+
+    expect(await searchIds(engine, 'ml deep')).toEqual(['networks']);
+    expect(await searchIds(engine, '"ml deep"')).toEqual([]);
+  });
+
+  it('ranks title matches above body matches', async () => {
+    const engine = await engineWith();
+    const { hits } = await engine.search({ query: parseQuery('networks'), userId: 'ada' });
+
+    expect(hits[0]).toMatchObject({ id: 'networks', matchedFields: expect.arrayContaining(['title', 'body']) });
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    expect(hits[0].highlights[0]).toContain('<mark>');
+  });
+
+  it('applies filters and pages', async () => {
+    const engine = await engineWith();
+
+    expect(await searchIds(engine, 'neural', { filters: { subject: 'Biology' } })).toEqual(['shared']);
+    expect(await searchIds(engine, 'neural', { filters: { tags: ['ml'] } })).toEqual(['networks']);
+    const { total, hits } = await engine.search({ query: parseQuery('neural'), userId: 'ada', from: 1, size: 1 });
+    expect(total).toBe(3);
+    expect(hits).toHaveLength(1);
+  });
+});
+
+describe('LocalSearchEngine.advancedSearch', () => {
+  it('evaluates AND, OR and NOT', async () => {
+    const engine = await engineWith();
+
+    expect(await advancedIds(engine, 'neural -biology')).not.toContain('shared');
+    expect((await advancedIds(engine, 'backpropagation OR survey')).sort()).toEqual(['networks', 'shared']);
+    expect(await advancedIds(engine, 'neural (graph OR backpropagation) -graph')).toEqual(['networks']);
+  });
+
+  it('scopes terms and phrases to a field', async () => {
+    const engine = await engineWith();
+
+    expect(await advancedIds(engine, 'title:neural')).toEqual(['networks']);
+    expect((await advancedIds(engine, 'body:"neural networks"')).sort()).toEqual(['networks', 'shared']);
+    expect(await advancedIds(engine, 'title:"networks neural"')).toEqual([]);
+  });
+
+  it('matches keywords exactly and dates by range', async () => {
+    const engine = await engineWith();
+
+    expect(await advancedIds(engine, 'tag:ML')).toEqual(['networks']);
+    expect(await advancedIds(engine, 'course:"CS 229"')).toEqual(['networks']);
+    expect(await advancedIds(engine, 'course:CS')).toEqual([]);
+    expect((await advancedIds(engine, 'updated:>=2026-02-01')).sort()).toEqual(['networks', 'shared']);
+    expect(await advancedIds(engine, 'updated:2026-01-10')).toEqual(['graphs']);
+  });
+
+  it('orders by a date field when asked', async () => {
+    const engine = await engineWith();
+
+    expect(await advancedIds(engine, 'neural', { sort: 'updated_at', order: 'asc' })).toEqual(['graphs', 'networks', 'shared']);
+  });
+});
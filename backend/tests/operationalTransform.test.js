@@ -0,0 +1,151 @@
+const {
+  OperationError,
+  apply,
+  transform,
+  rebaseAndApply,
+  transformIndex,
+  normalize
+} = require('../src/services/operationalTransform');
+
+const retain = count => ({ type: 'retain', count });
+const insert = text => ({ type: 'insert', text });
+const del = count => ({ type: 'delete', count });
+
+// Both orders of applying a pair of concurrent operations
+function converge(doc, a, b) {
+  const [aPrime, bPrime] = transform(normalize(a, doc.length), normalize(b, doc.length));
+  return [apply(apply(doc, a), bPrime), apply(apply(doc, b), aPrime)];
+}
+
+describe('apply', () => {
+  it('retains whatever the operation does not cover', () => {
+    expect(apply('hello world', [retain(5), insert(',')])).toBe('hello, world');
+    expect(apply('hello world', [del(6)])).toBe('world');
+  });
+
+  it('rejects operations longer than the document', () => {
+    expect(() => apply('abc', [retain(4)])).toThrow(OperationError);
+  });
+
+  it('rejects unknown components', () => {
+    expect(() => apply('abc', [{ type: 'replace', text: 'x' }])).toThrow('Unknown operation type: replace');
+  });
+});
+
+describe('transform', () => {
+  it.each([
+    ['inserts at different positions', 'abcdef', [retain(1), insert('X')], [retain(4), insert('Y')]],
+    ['an insert inside a delete', 'abcdef', [retain(2), del(3)], [retain(3), insert('Y')]],
+    ['a delete against a retain', 'abcdef', [del(2)], [retain(6)]],
+    ['edits at both ends', 'abcdef', [insert('<')], [retain(6), insert('>')]]
+  ])('converges for %s', (name, doc, a, b) => {
+    const [left, right] = converge(doc, a, b);
+    expect(left).toBe(right);
+  });
+
+  it('puts the first operation\'s text first for inserts at the same position', () => {
+    const [left, right] = converge('abc', [retain(1), insert('X')], [retain(1), insert('Y')]);
+    expect(left).toBe('aXYbc');
+    expect(right).toBe('aXYbc');
+
+    const [swappedLeft, swappedRight] = converge('abc', [retain(1), insert('Y')], [retain(1), insert('X')]);
+    expect(swappedLeft).toBe('aYXbc');
+    expect(swappedRight).toBe('aYXbc');
+  });
+
+  it('removes text deleted by both operations once', () => {
+    const [left, right] = converge('abcdefgh', [retain(1), del(4)], [retain(3), del(4)]);
+    expect(left).toBe('ah');
+    expect(right).toBe('ah');
+  });
+
+  it('leaves nothing to do when both delete the same text', () => {
+    const [aPrime, bPrime] = transform([retain(2), del(3), retain(1)], [retain(2), del(3), retain(1)]);
+    expect(aPrime).toEqual([retain(3)]);
+    expect(bPrime).toEqual([retain(3)]);
+  });
+
+  it('rejects operations on different documents', () => {
+    expect(() => transform([retain(3)], [retain(4)])).toThrow(OperationError);
+  });
+});
+
+describe('rebaseAndApply', () => {
+  it('applies directly when there is nothing to rebase over', () => {
+    expect(rebaseAndApply('abc', [retain(3), insert('d')])).toEqual({
+      operations: [retain(3), insert('d')],
+      body: 'abcd'
+    });
+  });
+
+  it('rebases over every version applied since the base, in order', () => {
+    // Versions 2 and 3 were applied to "hello world" after the client's base
+    const history = [
+      { version: 2, operations: normalize([insert('Oh, ')], 11) },
+      { version: 3, operations: normalize([retain(4), del(6)], 15) }
+    ];
+    const current = apply(apply('hello world', history[0].operations), history[1].operations);
+    expect(current).toBe('Oh, world');
+
+    const result = rebaseAndApply(current, [retain(11), insert('!')], history);
+    expect(result.body).toBe('Oh, world!');
+  });
+
+  it('lands on the same text as applying the edit first and the history after it', () => {
+    const doc = 'the quick brown fox';
+    const first = normalize([retain(4), del(6)], doc.length);
+    const afterFirst = apply(doc, first);
+    const second = normalize([retain(afterFirst.length), insert(' jumps')], afterFirst.length);
+    const history = [
+      { version: 2, operations: first },
+      { version: 3, operations: second }
+    ];
+    const incoming = [retain(10), insert('red ')];
+
+    const result = rebaseAndApply(apply(afterFirst, second), incoming, history);
+
+    let ops = normalize(incoming, doc.length);
+    let other = apply(doc, ops);
+    history.forEach(entry => {
+      const [appliedPrime, rebased] = transform(entry.operations, ops);
+      other = apply(other, appliedPrime);
+      ops = rebased;
+    });
+    expect(result.body).toBe('the red brown fox jumps');
+    expect(other).toBe(result.body);
+  });
+
+  it('keeps earlier inserts first at the same position', () => {
+    const history = [{ version: 2, operations: normalize([retain(1), insert('X')], 3) }];
+    const result = rebaseAndApply('aXbc', [retain(1), insert('Y')], history);
+    expect(result.body).toBe('aXYbc');
+  });
+
+  it('drops the part of a delete that was already deleted', () => {
+    const history = [{ version: 2, operations: normalize([retain(1), del(4)], 8) }];
+    const result = rebaseAndApply('afgh', [retain(3), del(4)], history);
+    expect(result.body).toBe('ah');
+    expect(result.operations).toEqual([retain(1), del(2), retain(1)]);
+  });
+
+  it('rejects a history that does not lead to the current document', () => {
+    const history = [{ version: 2, operations: normalize([insert('X')], 3) }];
+    expect(() => rebaseAndApply('abc', [retain(1)], history)).toThrow('Operation history does not match the current document');
+  });
+});
+
+describe('transformIndex', () => {
+  it('moves positions past inserted text', () => {
+    expect(transformIndex([retain(2), insert('XY')], 4)).toBe(6);
+  });
+
+  it('keeps a position in front of an insert at it when asked', () => {
+    expect(transformIndex([retain(2), insert('XY')], 2, 'before')).toBe(2);
+    expect(transformIndex([retain(2), insert('XY')], 2, 'after')).toBe(4);
+  });
+
+  it('moves positions inside deleted text to the deletion point', () => {
+    expect(transformIndex([retain(2), del(5)], 4)).toBe(2);
+    expect(transformIndex([retain(2), del(5)], 9)).toBe(4);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'point-in-time-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const { recordVersion, writeVersion } = require('../src/services/versions');
+const { findStateAt, restoreNotebookAt } = require('../src/services/pointInTime');
+
+const USER = { id: 'user-1', name: 'Ada' };
+
+let notebookCount = 0;
+
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+/**
+ * A notebook created as the notebooks route does: stored first, its
+ * creation version recorded a moment later, then edited once
+ */
+async function createEditedNotebook() {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body: 'first draft' }, owner: USER.id, tags: [] });
+  const created = await DynamoDBService.getNotebook(id);
+  await tick();
+  await recordVersion(created, USER, 'create');
+  await tick();
+  await writeVersion(id, { content: { body: 'second draft' } }, USER, { action: 'update' });
+  return created;
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('restoreNotebookAt', () => {
+  it('restores the creation state at exactly created_at', async () => {
+    const created = await createEditedNotebook();
+    const [v1] = (await DynamoDBService.getNotebookVersions(created.id)).filter(version => version.version === 1);
+    expect(new Date(v1.created_at).getTime()).toBeGreaterThan(new Date(created.created_at).getTime());
+
+    const result = await restoreNotebookAt(created.id, created.created_at, USER);
+
+    expect(result).toMatchObject({
+      source: 'version',
+      version: 1,
+      recordedAt: created.created_at,
+      state: { content: { body: 'first draft' }, title: 'Lab notes' },
+      newVersion: 3
+    });
+    expect((await DynamoDBService.getNotebook(created.id)).content).toEqual({ body: 'first draft' });
+  });
+
+  it('finds nothing before the notebook was created', async () => {
+    const created = await createEditedNotebook();
+    const before = new Date(new Date(created.created_at).getTime() - 1).toISOString();
+
+    await expect(restoreNotebookAt(created.id, before, USER)).rejects.toMatchObject({ status: 404, code: 'STATE_NOT_FOUND' });
+  });
+
+  it('keeps later versions at their own time', async () => {
+    const created = await createEditedNotebook();
+    const found = await findStateAt(created.id, new Date(), await DynamoDBService.getNotebook(created.id));
+
+    expect(found.version).toBe(2);
+    expect(found.state.content).toEqual({ body: 'second draft' });
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-tokens-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const {
+  RefreshTokenError,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  REFRESH_TOKEN_TTL_DAYS
+} = require('../src/services/refreshTokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function storedToken(refreshToken) {
+  const [familyId, tokenId] = refreshToken.split('.');
+  return DynamoDBService.getRefreshToken(familyId, tokenId);
+}
+
+// Statuses along a family, following each rotation from its first token
+async function familyStatuses(refreshToken) {
+  const [familyId, firstId] = refreshToken.split('.');
+  const statuses = [];
+  for (let tokenId = firstId; tokenId;) {
+    const record = await DynamoDBService.getRefreshToken(familyId, tokenId);
+    statuses.push(record.status);
+    tokenId = record.replacedBy;
+  }
+  return statuses;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('issueRefreshToken', () => {
+  it('stores only a hash of the secret', async () => {
+    const issuedToken = await issueRefreshToken('user-1', { device: 'laptop' });
+    const [familyId, tokenId, secret] = issuedToken.refreshToken.split('.');
+    const record = await DynamoDBService.getRefreshToken(familyId, tokenId);
+
+    expect(record).toMatchObject({ userId: 'user-1', status: 'active', device: 'laptop' });
+    expect(record.tokenHash).not.toContain(secret);
+    expect(JSON.stringify(record)).not.toContain(secret);
+  });
+
+  it('expires after the configured number of days', async () => {
+    const before = Date.now();
+    const { expiresAt } = await issueRefreshToken('user-1');
+    const lifetime = new Date(expiresAt).getTime() - before;
+
+    expect(lifetime).toBeGreaterThan(REFRESH_TOKEN_TTL_DAYS * DAY - 5000);
+    expect(lifetime).toBeLessThanOrEqual(REFRESH_TOKEN_TTL_DAYS * DAY + 5000);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('exchanges a token for a successor in the same family', async () => {
+    const first = await issueRefreshToken('user-1');
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    expect(second.userId).toBe('user-1');
+    expect(second.familyId).toBe(first.familyId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+
+    const [, successorId] = second.refreshToken.split('.');
+    expect(await storedToken(first.refreshToken)).toMatchObject({ status: 'rotated', replacedBy: successorId });
+    expect(await storedToken(second.refreshToken)).toMatchObject({ status: 'active' });
+
+    const third = await rotateRefreshToken(second.refreshToken);
+    expect(third.familyId).toBe(first.familyId);
+  });
+
+  it('revokes the whole family when a rotated token is replayed', async () => {
+    const first = await issueRefreshToken('user-1');
+    const second = await rotateRefreshToken(first.refreshToken);
+    const third = await rotateRefreshToken(second.refreshToken);
+    const otherDevice = await issueRefreshToken('user-1');
+
+    await expect(rotateRefreshToken(first.refreshToken)).rejects.toMatchObject({
+      status: 401,
+      code: 'REFRESH_TOKEN_REUSED'
+    });
+
+    expect(await familyStatuses(first.refreshToken)).toEqual(['revoked', 'revoked', 'revoked']);
+    await expect(rotateRefreshToken(third.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+
+    // Other devices stay signed in
+    expect(await storedToken(otherDevice.refreshToken)).toMatchObject({ status: 'active' });
+  });
+
+  it('treats two rotations of the same token racing as a replay', async () => {
+    const first = await issueRefreshToken('user-1');
+    const results = await Promise.allSettled([
+      rotateRefreshToken(first.refreshToken),
+      rotateRefreshToken(first.refreshToken)
+    ]);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected.length).toBeGreaterThan(0);
+    rejected.forEach(result => expect(result.reason.code).toBe('REFRESH_TOKEN_REUSED'));
+
+    // No successor outlives the revocation, whichever write landed first
+    expect(await familyStatuses(first.refreshToken)).toEqual(['revoked', 'revoked']);
+    for (const result of results.filter(settled => settled.status === 'fulfilled')) {
+      await expect(rotateRefreshToken(result.value.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+    }
+  });
+
+  it('rejects an expired token without rotating it', async () => {
+    const first = await issueRefreshToken('user-1');
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + (REFRESH_TOKEN_TTL_DAYS + 1) * DAY);
+
+    await expect(rotateRefreshToken(first.refreshToken)).rejects.toMatchObject({
+      status: 401,
+      code: 'REFRESH_TOKEN_EXPIRED'
+    });
+    expect(await storedToken(first.refreshToken)).toMatchObject({ status: 'active' });
+  });
+
+  it('rejects a token with the wrong secret', async () => {
+    const first = await issueRefreshToken('user-1');
+    const [familyId, tokenId] = first.refreshToken.split('.');
+
+    await expect(rotateRefreshToken(`${familyId}.${tokenId}.not-the-secret`)).rejects.toMatchObject({
+      code: 'INVALID_REFRESH_TOKEN'
+    });
+    expect(await storedToken(first.refreshToken)).toMatchObject({ status: 'active' });
+  });
+
+  it.each([undefined, '', 'one.two', 'a..c', 42])('rejects a malformed token (%p)', async refreshToken => {
+    await expect(rotateRefreshToken(refreshToken)).rejects.toBeInstanceOf(RefreshTokenError);
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('signs the device out', async () => {
+    const first = await issueRefreshToken('user-1');
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    expect(await revokeRefreshToken(second.refreshToken)).toBe(true);
+    expect(await familyStatuses(first.refreshToken)).toEqual(['revoked', 'revoked']);
+    await expect(rotateRefreshToken(second.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+  });
+
+  it('ignores unknown tokens', async () => {
+    expect(await revokeRefreshToken('family.token.secret')).toBe(false);
+    expect(await revokeRefreshToken('garbage')).toBe(false);
+  });
+});
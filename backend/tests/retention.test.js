@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+
+const { DynamoDBService, S3Service } = require('../src/config/storage');
+const { recordVersion } = require('../src/services/versions');
+const { compactVersions } = require('../src/services/retention');
+
+const USER = { id: 'user-1', name: 'Ada' };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 5, 15, 12, 30);
+
+let notebookCount = 0;
+
+async function createNotebook({ withVersion = true } = {}) {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body: 'now' }, owner: USER.id, tags: [] });
+  if (withVersion) await recordVersion(await DynamoDBService.getNotebook(id), USER, 'create');
+  return id;
+}
+
+// A save copy as written `ago` before NOW
+async function writeCopy(notebookId, ago, metadata = { action: 'update' }) {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW - ago);
+  const { key } = await S3Service.uploadNotebook(notebookId, { body: `saved ${ago}` }, metadata);
+  Date.now.mockRestore();
+  return key;
+}
+
+async function copyKeys(notebookId) {
+  return (await S3Service.listObjects(`notebooks/${notebookId}/`, { maxKeys: Infinity })).map(object => object.key).sort();
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('compactVersions save copies', () => {
+  it('thins save copies by the policy windows', async () => {
+    const notebookId = await createNotebook();
+    const recent = [await writeCopy(notebookId, HOUR), await writeCopy(notebookId, HOUR + 1000)];
+    const hourly = await writeCopy(notebookId, 10 * DAY);
+    const sameHour = await writeCopy(notebookId, 10 * DAY + 60 * 1000);
+    const daily = await writeCopy(notebookId, 60 * DAY);
+    const sameDay = await writeCopy(notebookId, 60 * DAY + 2 * HOUR);
+
+    const report = await compactVersions(notebookId, { now: NOW });
+
+    expect(report.saveCopies.kept).toBe(4);
+    expect(report.saveCopies.pruned.map(copy => copy.key).sort()).toEqual([sameDay, sameHour].sort());
+    expect(await copyKeys(notebookId)).toEqual([...recent, hourly, daily].sort());
+  });
+
+  it('never prunes spilled content stored under the same prefix', async () => {
+    const notebookId = await createNotebook({ withVersion: false });
+    const copy = await writeCopy(notebookId, 60 * DAY);
+    const spilled = await writeCopy(notebookId, 60 * DAY + HOUR, { version: 1, storage: 'spill' });
+    const olderCopy = await writeCopy(notebookId, 60 * DAY + 2 * HOUR);
+
+    const report = await compactVersions(notebookId, { now: NOW });
+
+    expect(report.saveCopies.pruned.map(pruned => pruned.key)).toEqual([olderCopy]);
+    expect(await copyKeys(notebookId)).toEqual([copy, spilled].sort());
+  });
+
+  it('only reports what it would prune on a dry run', async () => {
+    const notebookId = await createNotebook();
+    await writeCopy(notebookId, 60 * DAY);
+    const older = await writeCopy(notebookId, 60 * DAY + HOUR);
+
+    const report = await compactVersions(notebookId, { dryRun: true, now: NOW });
+
+    expect(report.saveCopies.pruned.map(pruned => pruned.key)).toEqual([older]);
+    expect(await copyKeys(notebookId)).toContain(older);
+  });
+});
@@ -0,0 +1,122 @@
+const {
+  SearchQueryError,
+  parseSearchQuery,
+  buildAdvancedQuery,
+  positiveTextClauses
+} = require('../src/services/searchQuery');
+
+function text(value, { field = null, phrase = false } = {}) {
+  return { type: 'text', field, text: value, phrase };
+}
+
+describe('parseSearchQuery', () => {
+  it('parses a bare word as text in every field', () => {
+    expect(parseSearchQuery('entropy')).toEqual(text('entropy'));
+  });
+
+  it('keeps a quoted phrase together', () => {
+    expect(parseSearchQuery('"neural networks"')).toEqual(text('neural networks', { phrase: true }));
+    expect(parseSearchQuery('title:"deep learning" notes')).toEqual({
+      type: 'and',
+      clauses: [text('deep learning', { field: 'title', phrase: true }), text('notes')]
+    });
+  });
+
+  it('scopes bare words to the default field', () => {
+    expect(parseSearchQuery('entropy body:heat', { defaultField: 'title' })).toEqual({
+      type: 'and',
+      clauses: [text('entropy', { field: 'title' }), text('heat', { field: 'body' })]
+    });
+  });
+
+  it('requires adjacent terms to all match', () => {
+    expect(parseSearchQuery('heat AND entropy engine')).toEqual({
+      type: 'and',
+      clauses: [text('heat'), text('entropy'), text('engine')]
+    });
+  });
+
+  it.each([
+    ['a b OR c', { type: 'or', clauses: [{ type: 'and', clauses: [text('a'), text('b')] }, text('c')] }],
+    ['a OR b AND c', { type: 'or', clauses: [text('a'), { type: 'and', clauses: [text('b'), text('c')] }] }],
+    ['(a OR b) c', { type: 'and', clauses: [{ type: 'or', clauses: [text('a'), text('b')] }, text('c')] }],
+    ['a (b OR (c d))', {
+      type: 'and',
+      clauses: [text('a'), { type: 'or', clauses: [text('b'), { type: 'and', clauses: [text('c'), text('d')] }] }]
+    }],
+    ['NOT a OR b', { type: 'or', clauses: [{ type: 'not', clause: text('a') }, text('b')] }],
+    ['a -b', { type: 'and', clauses: [text('a'), { type: 'not', clause: text('b') }] }],
+    ['NOT (a OR b)', { type: 'not', clause: { type: 'or', clauses: [text('a'), text('b')] } }]
+  ])('binds OR looser than AND and NOT tightest in %p', (query, tree) => {
+    expect(parseSearchQuery(query)).toEqual(tree);
+  });
+
+  it('reads operators as words when they are lower case or fielded', () => {
+    expect(parseSearchQuery('cats or dogs')).toEqual({
+      type: 'and',
+      clauses: [text('cats'), text('or'), text('dogs')]
+    });
+    expect(parseSearchQuery('title:OR')).toEqual(text('OR', { field: 'title' }));
+  });
+
+  it('matches keyword fields exactly and date fields by range', () => {
+    expect(parseSearchQuery('tag:ml course:"CS 229" updated:>2026-01-01 created:2026-03-01T12:00:00Z')).toEqual({
+      type: 'and',
+      clauses: [
+        { type: 'keyword', field: 'tags', value: 'ml' },
+        { type: 'keyword', field: 'course', value: 'CS 229' },
+        { type: 'range', field: 'updated_at', op: '>', value: '2026-01-01' },
+        { type: 'range', field: 'created_at', op: '=', value: '2026-03-01T12:00:00Z' }
+      ]
+    });
+  });
+
+  it.each([
+    ['(a OR b', 'Missing closing parenthesis in search query'],
+    ['a (b c', 'Missing closing parenthesis in search query'],
+    ['a OR b)', 'Unexpected ) in search query'],
+    [')', 'Unexpected ) in search query'],
+    ['()', 'Empty parentheses in search query'],
+    ['a OR', 'Expected a search term after OR'],
+    ['', 'Search query is empty'],
+    ['"open phrase', 'Unterminated quote in search query'],
+    ['colour:red', 'Unknown search field "colour"'],
+    ['updated:>last-week', 'Invalid date ">last-week"; use YYYY-MM-DD, optionally after >, >=, < or <=']
+  ])('rejects %p', (query, message) => {
+    let error;
+    try {
+      parseSearchQuery(query);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error).toBeInstanceOf(SearchQueryError);
+    expect(error).toMatchObject({ message, status: 400, code: 'INVALID_SEARCH_QUERY' });
+  });
+});
+
+describe('buildAdvancedQuery', () => {
+  it('ANDs the query with the field queries joined by the operator', () => {
+    expect(buildAdvancedQuery({
+      query: 'tag:ml',
+      queries: [{ query: 'entropy', field: 'title' }, { query: 'heat' }],
+      operator: 'OR'
+    })).toEqual({
+      type: 'and',
+      clauses: [
+        { type: 'keyword', field: 'tags', value: 'ml' },
+        { type: 'or', clauses: [text('entropy', { field: 'title' }), text('heat')] }
+      ]
+    });
+  });
+
+  it('needs at least one query', () => {
+    expect(() => buildAdvancedQuery({ query: '  ' })).toThrow(expect.objectContaining({ code: 'NO_QUERIES' }));
+  });
+});
+
+describe('positiveTextClauses', () => {
+  it('leaves out excluded and non-text clauses', () => {
+    const tree = parseSearchQuery('(heat OR "heat engine") -entropy tag:ml');
+    expect(positiveTextClauses(tree)).toEqual([text('heat'), text('heat engine', { phrase: true })]);
+  });
+});
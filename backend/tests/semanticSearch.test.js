@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-search-'));
+process.env.SEARCH_ENGINE = 'local';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const { DynamoDBService } = require('../src/config/storage');
+const { LocalEmbeddingModel } = require('../src/config/localEmbeddings');
+const { chunkText } = require('../src/services/semanticSearch');
+const { SearchService } = require('../src/services/search');
+
+const NOTEBOOKS = [
+  {
+    id: 'descent',
+    title: 'Optimisation notes',
+    content: { body: 'Gradient descent minimises the loss by stepping against the gradient of the loss.' },
+    subject: 'Computer Science',
+    owner: 'ada'
+  },
+  {
+    id: 'poetry',
+    title: 'Medieval poetry',
+    content: { body: 'Chaucer wrote The Canterbury Tales in Middle English verse.' },
+    subject: 'Literature',
+    owner: 'ada'
+  },
+  {
+    id: 'shared',
+    title: 'Training deep networks',
+    content: { body: 'Stochastic gradient descent with momentum, and learning rate schedules.' },
+    subject: 'Computer Science',
+    owner: 'grace',
+    collaborators: ['ada']
+  },
+  {
+    id: 'private',
+    title: 'Gradient descent',
+    content: { body: 'Gradient descent, privately.' },
+    owner: 'grace'
+  }
+];
+
+const model = new LocalEmbeddingModel();
+
+function words(count) {
+  return Array.from({ length: count }, (_, i) => `w${i}`).join(' ');
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+async function similarity(a, b) {
+  const [first, second] = await model.embed([a, b]);
+  return dot(first, second);
+}
+
+function ids(result) {
+  return result.results.map(item => item.notebookId);
+}
+
+beforeAll(async () => {
+  for (const notebook of NOTEBOOKS) {
+    await DynamoDBService.createNotebook(notebook);
+    await SearchService.reindexNotebook(notebook.id);
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('chunkText', () => {
+  it('has no chunks for empty text and one for short text', () => {
+    expect(chunkText('')).toEqual([]);
+    expect(chunkText(null)).toEqual([]);
+    expect(chunkText('  a   short\nnote ')).toEqual(['a short note']);
+  });
+
+  it('overlaps consecutive chunks and ends on the last word', () => {
+    const chunks = chunkText(words(130), { maxWords: 60, overlapWords: 10 });
+
+    expect(chunks.map(chunk => chunk.split(' ').length)).toEqual([60, 60, 30]);
+    expect(chunks[1].split(' ')[0]).toBe('w50');
+    expect(chunks[0].split(' ').slice(-10)).toEqual(chunks[1].split(' ').slice(0, 10));
+    expect(chunks[2].split(' ').pop()).toBe('w129');
+  });
+
+  it('does not add a chunk that only repeats the overlap', () => {
+    expect(chunkText(words(60), { maxWords: 60, overlapWords: 10 })).toHaveLength(1);
+  });
+});
+
+describe('LocalEmbeddingModel', () => {
+  it('embeds the same text to the same unit length vector', async () => {
+    const [first, second] = await model.embed(['Gradient descent', 'Gradient descent']);
+
+    expect(first).toBeInstanceOf(Float32Array);
+    expect(first).toHaveLength(model.dimensions);
+    expect(Array.from(first)).toEqual(Array.from(second));
+    expect(dot(first, first)).toBeCloseTo(1, 5);
+  });
+
+  it('embeds text without words as a zero vector', async () => {
+    const [vector] = await model.embed(['']);
+    expect(vector.every(value => value === 0)).toBe(true);
+  });
+
+  it('places texts sharing words and stems closer than unrelated ones', async () => {
+    const related = await similarity('gradient descent optimiser', 'descending the gradient');
+    const unrelated = await similarity('gradient descent optimiser', 'Canterbury Tales verse');
+
+    expect(related).toBeGreaterThan(model.minSimilarity);
+    expect(unrelated).toBeLessThan(model.minSimilarity);
+  });
+});
+
+describe('SearchService.semanticSearch', () => {
+  it('ranks the notebooks the user can open by similarity, dropping unrelated ones', async () => {
+    const result = await SearchService.semanticSearch('gradient descent', 'ada');
+
+    expect(ids(result).sort()).toEqual(['descent', 'shared']);
+    expect(result.results[0].score).toBeGreaterThanOrEqual(result.results[1].score);
+    expect(result.results[0].highlights[0]).toContain('<mark>');
+  });
+
+  it('applies filters', async () => {
+    expect(ids(await SearchService.semanticSearch('gradient descent', 'ada', { owner: 'grace' }))).toEqual(['shared']);
+    expect(ids(await SearchService.semanticSearch('Chaucer verse', 'ada', { subject: 'Literature' }))).toEqual(['poetry']);
+    expect(ids(await SearchService.semanticSearch('gradient descent', 'ada', { subject: 'Literature' }))).toEqual([]);
+  });
+
+  it('reads stored embeddings without loading notebook content', async () => {
+    const listNotebooks = jest.spyOn(DynamoDBService, 'listNotebooks');
+    const getNotebook = jest.spyOn(DynamoDBService, 'getNotebook');
+
+    await SearchService.semanticSearch('gradient descent', 'ada');
+
+    expect(listNotebooks).toHaveBeenCalledWith('ada', expect.objectContaining({ withContent: false }));
+    const listed = await listNotebooks.mock.results[0].value;
+    expect(listed.notebooks[0]).not.toHaveProperty('content');
+    expect(getNotebook).not.toHaveBeenCalled();
+  });
+
+  it('embeds a notebook again once it has changed', async () => {
+    await DynamoDBService.createNotebook({
+      id: 'changing',
+      title: 'Scratch',
+      content: { body: 'Medieval verse.' },
+      owner: 'ada'
+    });
+    await SearchService.reindexNotebook('changing');
+    await DynamoDBService.updateNotebook('changing', { content: { body: 'Momentum and gradient descent.' } });
+
+    expect(ids(await SearchService.semanticSearch('gradient descent momentum', 'ada'))).toContain('changing');
+    const { updated_at: updatedAt } = await DynamoDBService.getNotebook('changing');
+    expect((await DynamoDBService.getNotebookEmbeddings('changing')).sourceUpdatedAt).toBe(updatedAt);
+
+    await DynamoDBService.deleteNotebook('changing');
+    await SearchService.reindexNotebook('changing');
+  });
+});
+
+describe('SearchService.hybridSearch', () => {
+  it('puts notebooks both rankings agree on first and scores relative to the top', async () => {
+    const keyword = await SearchService.searchNotebooks('gradient', 'ada');
+    const semantic = await SearchService.semanticSearch('gradient', 'ada');
+    const hybrid = await SearchService.hybridSearch('gradient', 'ada');
+
+    expect(ids(keyword)[0]).toBe(ids(semantic)[0]);
+    expect(ids(hybrid)[0]).toBe(ids(keyword)[0]);
+    expect(hybrid.results[0].score).toBe(1);
+    expect(hybrid.total).toBe(new Set([...ids(keyword), ...ids(semantic)]).size);
+  });
+
+  it('includes notebooks only the semantic ranking finds', async () => {
+    // "descending" shares no indexed term with "descent", only trigrams
+    const keyword = await SearchService.searchNotebooks('descending optimiser', 'ada');
+    const hybrid = await SearchService.hybridSearch('descending optimiser', 'ada');
+
+    expect(ids(keyword)).toEqual([]);
+    expect(ids(hybrid)).toContain('descent');
+    expect(hybrid.results.every(result => result.score > 0 && result.score <= 1)).toBe(true);
+  });
+});
@@ -0,0 +1,235 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Y = require('yjs');
+const { io: connect } = require('socket.io-client');
+const { startBroker } = require('./helpers/pubsubBroker');
+
+/*
+ * Two backend processes on the redis adapter, sharing one broker: events
+ * sent on one instance have to reach clients connected to the other. Runs
+ * against REDIS_URL when set, otherwise against an in-process broker.
+ */
+
+jest.setTimeout(60000);
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const JWT_SECRET = 'socket-adapter-test-secret';
+const EVENT_TIMEOUT_MS = 10000;
+
+let broker = null;
+let redisUrl;
+let storageDir;
+const instances = [];
+const clients = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startInstance() {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['src/index.js'], {
+    cwd: BACKEND_ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      JWT_SECRET,
+      STORAGE_PROVIDER: 'local',
+      LOCAL_STORAGE_DIR: storageDir,
+      SOCKET_ADAPTER: 'redis',
+      REDIS_URL: redisUrl,
+      // Keeps runs against a shared broker apart
+      SOCKET_ADAPTER_PREFIX: `socket-adapter-test-${process.pid}`
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const instance = { child, port, url: `http://127.0.0.1:${port}`, output: '' };
+  instances.push(instance);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Instance on port ${port} did not start:\n${instance.output}`)), 30000);
+    const collect = data => {
+      instance.output += data;
+      if (instance.output.includes(`running on port ${port}`)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Instance on port ${port} exited with ${code}:\n${instance.output}`));
+    });
+  });
+  return instance;
+}
+
+function stopInstance(instance) {
+  if (instance.child.exitCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    instance.child.once('exit', resolve);
+    instance.child.kill('SIGKILL');
+  });
+}
+
+async function request(instance, method, url, token, body) {
+  const response = await fetch(`${instance.url}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${method} ${url} failed with ${response.status}: ${JSON.stringify(data)}`);
+  }
+  return data;
+}
+
+async function waitForVersion(instance, token, notebookId, version) {
+  const deadline = Date.now() + EVENT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { notebook } = await request(instance, 'GET', `/api/notebooks/${notebookId}`, token);
+    if (notebook.version >= version) return;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Notebook ${notebookId} did not reach version ${version}`);
+}
+
+function nextEvent(socket, event, matches = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, EVENT_TIMEOUT_MS);
+    function listener(payload) {
+      if (!matches(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, listener);
+      resolve(payload);
+    }
+    socket.on(event, listener);
+  });
+}
+
+async function connectClient(instance, token) {
+  const socket = connect(instance.url, {
+    auth: { token },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  clients.push(socket);
+  await nextEvent(socket, 'connect');
+  return socket;
+}
+
+async function joinNotebook(socket, notebookId) {
+  const joined = nextEvent(socket, 'notebook-joined', payload => payload.notebookId === notebookId);
+  const state = nextEvent(socket, 'document-state', payload => payload.notebookId === notebookId);
+  socket.emit('join-notebook', { notebookId });
+  await joined;
+
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, new Uint8Array((await state).update));
+  return doc;
+}
+
+beforeAll(async () => {
+  if (process.env.REDIS_URL) {
+    redisUrl = process.env.REDIS_URL;
+  } else {
+    broker = await startBroker();
+    redisUrl = broker.url;
+  }
+  storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'socket-adapter-'));
+
+  await startInstance();
+  await startInstance();
+});
+
+afterAll(async () => {
+  clients.forEach(socket => socket.disconnect());
+  await Promise.all(instances.map(stopInstance));
+  await broker?.close();
+  if (storageDir) await fs.rm(storageDir, { recursive: true, force: true });
+});
+
+describe('redis socket adapter across instances', () => {
+  let token;
+  let notebookId;
+  let first;
+  let second;
+  let secondDoc;
+
+  beforeAll(async () => {
+    const [instanceA] = instances;
+    // Everything is written through one instance; the local provider
+    // caches tables per process
+    ({ token } = await request(instanceA, 'POST', '/api/auth/register', null, {
+      name: 'Ada Adapter',
+      email: 'ada.adapter@example.com',
+      password: 'Password123!',
+      role: 'student'
+    }));
+    ({ notebook: { id: notebookId } } = await request(instanceA, 'POST', '/api/notebooks', token, {
+      title: 'Shared across instances',
+      content: { body: 'hello' }
+    }));
+  });
+
+  it('delivers a room broadcast from one instance to a client on the other', async () => {
+    first = await connectClient(instances[0], token);
+    await joinNotebook(first, notebookId);
+    // The first instance to load a notebook stores the CRDT state it built,
+    // so every other instance loads the same history
+    await waitForVersion(instances[0], token, notebookId, 2);
+
+    second = await connectClient(instances[1], token);
+    const userJoined = nextEvent(first, 'user-joined', payload => payload.notebookId === notebookId);
+    secondDoc = await joinNotebook(second, notebookId);
+
+    const payload = await userJoined;
+    expect(payload.user.email).toBe('ada.adapter@example.com');
+    expect(secondDoc.getText('body').toString()).toBe('hello');
+  });
+
+  it('relays a document-update made on one instance to a client on the other', async () => {
+    const update = nextEvent(second, 'document-update', payload => payload.notebookId === notebookId);
+    first.emit('operation', {
+      notebookId,
+      operations: [{ type: 'retain', count: 5 }, { type: 'insert', text: ', world' }]
+    });
+
+    const payload = await update;
+    Y.applyUpdate(secondDoc, new Uint8Array(payload.update));
+    expect(secondDoc.getText('body').toString()).toBe('hello, world');
+  });
+
+  it('keeps the live document on the other instance in step', async () => {
+    // The server-to-server document-update may land after the client relay
+    let body;
+    for (let attempt = 0; attempt < 20 && body !== 'hello, world'; attempt++) {
+      const synced = nextEvent(second, 'document-sync', payload => payload.notebookId === notebookId);
+      second.emit('sync-document', { notebookId });
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, new Uint8Array((await synced).update));
+      body = doc.getText('body').toString();
+      if (body !== 'hello, world') await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    expect(body).toBe('hello, world');
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'version-checkpoints-'));
+process.env.VERSION_CHECKPOINT_IDLE_MS = '50';
+process.env.VERSION_CHECKPOINT_EDITS = '3';
+process.env.VERSION_CHECKPOINT_INTERVAL_MS = '60000';
+
+const { DynamoDBService } = require('../src/config/storage');
+const { recordVersion } = require('../src/services/versions');
+const {
+  CHECKPOINT_INTERVAL_MS,
+  recordEditCheckpoint,
+  flushCheckpoint
+} = require('../src/services/versionCheckpoints');
+
+const USER = { id: 'user-1', name: 'Ada' };
+
+let notebookCount = 0;
+
+async function createNotebook() {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body: '' }, owner: USER.id, tags: [] });
+  await recordVersion(await DynamoDBService.getNotebook(id), USER, 'create');
+  return id;
+}
+
+// A live edit or collaboration operation: bump the version, then count it
+async function edit(notebookId, text, options) {
+  const notebook = await DynamoDBService.getNotebook(notebookId);
+  await DynamoDBService.updateNotebook(notebookId, {
+    content: { body: notebook.content.body + text },
+    version: notebook.version + 1,
+    updated_by: USER.id
+  }, { expectedVersion: notebook.version });
+  await recordEditCheckpoint(notebookId, options);
+}
+
+async function recordedVersions(notebookId) {
+  return (await DynamoDBService.getNotebookVersions(notebookId)).map(version => version.version).sort((a, b) => a - b);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('version checkpoints', () => {
+  it('records nothing per edit, then the version reached once editing goes idle', async () => {
+    const notebookId = await createNotebook();
+    await edit(notebookId, 'a');
+    await edit(notebookId, 'b');
+    expect(await recordedVersions(notebookId)).toEqual([1]);
+
+    await wait(150);
+    expect(await recordedVersions(notebookId)).toEqual([1, 3]);
+    const [latest] = await DynamoDBService.getNotebookVersions(notebookId);
+    expect(latest).toMatchObject({ version: 3, action: 'edit', contributor: USER.id });
+  });
+
+  it('records every CHECKPOINT_EDITS edits while editing continues', async () => {
+    const notebookId = await createNotebook();
+    for (const text of ['a', 'b', 'c', 'd']) await edit(notebookId, text);
+
+    expect(await recordedVersions(notebookId)).toEqual([1, 4]);
+    await flushCheckpoint(notebookId);
+    expect(await recordedVersions(notebookId)).toEqual([1, 4, 5]);
+  });
+
+  it('records after CHECKPOINT_INTERVAL_MS of continuous editing', async () => {
+    const notebookId = await createNotebook();
+    const start = Date.now();
+    await edit(notebookId, 'a', { now: start });
+    await edit(notebookId, 'b', { now: start + CHECKPOINT_INTERVAL_MS });
+
+    expect(await recordedVersions(notebookId)).toEqual([1, 3]);
+  });
+
+  it('records the version reached when the session ends, once', async () => {
+    const notebookId = await createNotebook();
+    await edit(notebookId, 'a');
+
+    await flushCheckpoint(notebookId);
+    await flushCheckpoint(notebookId);
+    await wait(100);
+    expect(await recordedVersions(notebookId)).toEqual([1, 2]);
+  });
+});
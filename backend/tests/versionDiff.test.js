@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'version-diff-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const { authenticateToken, generateToken } = require('../src/middleware/auth');
+const { diffText } = require('../src/services/diff');
+const { compareVersions } = require('../src/services/versionDiff');
+const { recordVersion, writeVersion } = require('../src/services/versions');
+
+const USER = { id: 'user-1', name: 'Ada', email: 'ada@example.edu', role: 'student' };
+const STRANGER = { id: 'user-2', name: 'Grace', email: 'grace@example.edu', role: 'student' };
+
+let server;
+let baseUrl;
+let notebookCount = 0;
+
+function numbered(count, label = 'line') {
+  return Array.from({ length: count }, (_, i) => `${label} ${i + 1}\n`).join('');
+}
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/versions', authenticateToken, require('../src/routes/versions'));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+function get(url, user = USER) {
+  return fetch(`${baseUrl}${url}`, { headers: user ? { Authorization: `Bearer ${generateToken(user)}` } : {} });
+}
+
+describe('diffText', () => {
+  it('numbers removed and added lines on their own side', () => {
+    const { blocks, stats } = diffText('one\ntwo\nthree\n', 'one\nthe quick brown fox\nthree\nfour\n');
+
+    expect(blocks).toEqual([
+      { type: 'equal', lines: [{ oldLine: 1, newLine: 1, text: 'one' }] },
+      { type: 'change', removed: [{ oldLine: 2, text: 'two' }], added: [{ newLine: 2, text: 'the quick brown fox' }] },
+      { type: 'equal', lines: [{ oldLine: 3, newLine: 3, text: 'three' }] },
+      { type: 'change', removed: [], added: [{ newLine: 4, text: 'four' }] }
+    ]);
+    expect(stats).toEqual({ linesAdded: 2, linesRemoved: 1, wordsAdded: 5, wordsRemoved: 1 });
+  });
+
+  it('marks the changed words of a line that still mostly matches', () => {
+    const { blocks, stats } = diffText('the quick brown fox\n', 'the slow brown fox\n');
+
+    expect(blocks).toEqual([{
+      type: 'change',
+      removed: [{
+        oldLine: 1,
+        text: 'the quick brown fox',
+        words: [{ type: 'equal', text: 'the ' }, { type: 'delete', text: 'quick' }, { type: 'equal', text: ' brown fox' }]
+      }],
+      added: [{
+        newLine: 1,
+        text: 'the slow brown fox',
+        words: [{ type: 'equal', text: 'the ' }, { type: 'insert', text: 'slow' }, { type: 'equal', text: ' brown fox' }]
+      }]
+    }]);
+    expect(stats).toMatchObject({ wordsAdded: 1, wordsRemoved: 1 });
+  });
+
+  it('collapses unchanged lines beyond the context into a skip', () => {
+    const after = numbered(10).replace('line 9\n', 'nine\n');
+    const { blocks } = diffText(numbered(10), after, { context: 2 });
+
+    expect(blocks.map(block => block.type)).toEqual(['skip', 'equal', 'change', 'equal']);
+    expect(blocks[0]).toEqual({ type: 'skip', count: 6, oldLine: 1, newLine: 1 });
+    expect(blocks[1].lines.map(line => line.text)).toEqual(['line 7', 'line 8']);
+    expect(blocks[3].lines.map(line => line.text)).toEqual(['line 10']);
+  });
+
+  it('collapses identical texts entirely and leaves empty ones empty', () => {
+    expect(diffText('a\nb\n', 'a\nb\n').blocks).toEqual([{ type: 'skip', count: 2, oldLine: 1, newLine: 1 }]);
+    expect(diffText('', '')).toEqual({ blocks: [], stats: { linesAdded: 0, linesRemoved: 0, wordsAdded: 0, wordsRemoved: 0 } });
+  });
+
+  it('compares CRLF lines without their line endings', () => {
+    const { blocks } = diffText('one\r\ntwo\r\n', 'one\r\n2\r\n');
+
+    expect(blocks[0].lines[0].text).toBe('one');
+    expect(blocks[1]).toMatchObject({ removed: [{ oldLine: 2, text: 'two' }], added: [{ newLine: 2, text: '2' }] });
+  });
+});
+
+describe('compareVersions', () => {
+  const before = {
+    title: 'Lab notes',
+    tags: ['physics'],
+    content: { body: 'one\ntwo\nthree\n', attachments: [{ id: 'a1', name: 'plot.png', type: 'image/png', size: 10 }] }
+  };
+
+  it('lists removed lines before the lines that replaced them inline', () => {
+    const { body } = compareVersions(before, { ...before, content: { ...before.content, body: 'one\n2\nextra\nthree\n' } });
+
+    expect(body.inline.map(row => [row.type, row.text])).toEqual([
+      ['equal', 'one'],
+      ['delete', 'two'],
+      ['insert', '2'],
+      ['insert', 'extra'],
+      ['equal', 'three']
+    ]);
+    expect(body.stats).toMatchObject({ linesAdded: 2, linesRemoved: 1 });
+  });
+
+  it('pairs old and new lines side by side, leaving a side empty for unmatched lines', () => {
+    const { body } = compareVersions(before, { ...before, content: { ...before.content, body: 'one\n2\nextra\nthree\n' } });
+
+    expect(body.sideBySide).toEqual([
+      { type: 'equal', left: { line: 1, text: 'one' }, right: { line: 1, text: 'one' } },
+      { type: 'change', left: { line: 2, text: 'two' }, right: { line: 2, text: '2' } },
+      { type: 'change', left: null, right: { line: 3, text: 'extra' } },
+      { type: 'equal', left: { line: 3, text: 'three' }, right: { line: 4, text: 'three' } }
+    ]);
+  });
+
+  it('reports title, tag, attachment and field changes in the summary', () => {
+    const differences = compareVersions(before, {
+      title: 'Lab notes (final)',
+      tags: ['physics', 'optics'],
+      content: {
+        body: 'one\ntwo\nthree\n',
+        attachments: [{ id: 'a1', name: 'plot.png', type: 'image/png', size: 12 }, { id: 'a2', name: 'data.csv' }],
+        format: 'markdown'
+      }
+    });
+
+    expect(differences).toMatchObject({
+      identical: false,
+      title: { before: 'Lab notes', after: 'Lab notes (final)' },
+      tags: { added: ['optics'], removed: [] },
+      fields: ['format'],
+      summary: 'title changed; tags changed; 1 attachment added; 1 attachment changed; format changed'
+    });
+    expect(differences.attachments.added).toEqual([{ id: 'a2', name: 'data.csv', type: null, size: null }]);
+    expect(differences.attachments.changed[0]).toMatchObject({ before: { size: 10 }, after: { size: 12 } });
+  });
+
+  it('reports identical states, and skips tags a side does not record', () => {
+    expect(compareVersions(before, before)).toMatchObject({ identical: true, summary: 'No changes' });
+    expect(compareVersions({ content: before.content }, before).tags).toBeNull();
+  });
+
+  it('keeps the requested context, clamped to 0-20 lines', () => {
+    const long = { content: { body: numbered(50) } };
+    const edited = { content: { body: numbered(50).replace('line 25\n', 'twenty-five\n') } };
+    const equalRows = context => compareVersions(long, edited, { context }).body.inline.filter(row => row.type === 'equal').length;
+
+    expect(equalRows(undefined)).toBe(6);
+    expect(equalRows('0')).toBe(0);
+    expect(equalRows('100')).toBe(40);
+  });
+});
+
+describe('GET /api/versions/:notebookId/compare/:version1/:version2', () => {
+  async function createNotebookWithVersions() {
+    notebookCount += 1;
+    const id = `notebook-${notebookCount}`;
+    await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body: 'one\ntwo\n' }, owner: USER.id, tags: [] });
+    await recordVersion(await DynamoDBService.getNotebook(id), USER, 'create');
+    await writeVersion(id, { content: { body: 'one\n2\n' }, title: 'Lab notes v2' }, USER, { action: 'update' });
+    return id;
+  }
+
+  it('returns both versions and their differences', async () => {
+    const notebookId = await createNotebookWithVersions();
+
+    const resp = await get(`/api/versions/${notebookId}/compare/1/2?context=0`);
+    const data = await resp.json();
+
+    expect(resp.status).toBe(200);
+    expect(data).toMatchObject({
+      notebookId,
+      version1: { version: 1, data: { content: { body: 'one\ntwo\n' } } },
+      version2: { version: 2, data: { content: { body: 'one\n2\n' } } },
+      differences: {
+        identical: false,
+        summary: '1 line added, 1 removed; title changed',
+        title: { before: 'Lab notes', after: 'Lab notes v2' }
+      }
+    });
+    expect(data.differences.body.inline).toEqual([
+      { type: 'skip', count: 1, oldLine: 1, newLine: 1 },
+      { type: 'delete', oldLine: 2, text: 'two' },
+      { type: 'insert', newLine: 2, text: '2' }
+    ]);
+  });
+
+  it('responds 404 for a version that does not exist', async () => {
+    const notebookId = await createNotebookWithVersions();
+
+    const resp = await get(`/api/versions/${notebookId}/compare/1/9`);
+
+    expect(resp.status).toBe(404);
+    expect((await resp.json()).error.code).toBe('VERSION_NOT_FOUND');
+  });
+
+  it('refuses users who cannot read the notebook', async () => {
+    const notebookId = await createNotebookWithVersions();
+
+    expect((await get(`/api/versions/${notebookId}/compare/1/2`, STRANGER)).status).toBe(403);
+    expect((await get(`/api/versions/${notebookId}/compare/1/2`, null)).status).toBe(401);
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'version-labels-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const { authenticateToken, generateToken } = require('../src/middleware/auth');
+const { recordVersion } = require('../src/services/versions');
+const { compactVersions } = require('../src/services/retention');
+
+const USER = { id: 'user-1', name: 'Ada', email: 'ada@example.edu', role: 'student' };
+const STRANGER = { id: 'user-2', name: 'Grace', email: 'grace@example.edu', role: 'student' };
+const DAY = 24 * 60 * 60 * 1000;
+
+let server;
+let baseUrl;
+let notebookCount = 0;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notebooks', authenticateToken, require('../src/routes/notebooks'));
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+function request(method, url, body, user = USER) {
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateToken(user)}` },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+}
+
+/**
+ * A notebook with `count` versions, each recorded at the time `createdAt`
+ * gives for its number (now by default)
+ */
+async function createNotebook(count, createdAt = () => undefined) {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body: 'draft 1' }, owner: USER.id, tags: [] });
+  for (let version = 1; version <= count; version++) {
+    if (version > 1) await DynamoDBService.updateNotebook(id, { content: { body: `draft ${version}` }, version });
+    await recordVersion(await DynamoDBService.getNotebook(id), USER, 'update', {}, { createdAt: createdAt(version) });
+  }
+  return id;
+}
+
+describe('PUT /api/notebooks/:id/versions/:version/label', () => {
+  it('labels and pins a version and lists it as a checkpoint', async () => {
+    const notebookId = await createNotebook(3);
+
+    const resp = await request('PUT', `/api/notebooks/${notebookId}/versions/2/label`, { label: ' Submitted HW3 ', pinned: true });
+
+    expect(resp.status).toBe(200);
+    expect((await resp.json()).version).toMatchObject({ version: 2, label: 'Submitted HW3', pinned: true });
+    const checkpoints = await (await request('GET', `/api/notebooks/${notebookId}/checkpoints`)).json();
+    expect(checkpoints.checkpoints.map(version => [version.version, version.label, version.pinned])).toEqual([[2, 'Submitted HW3', true]]);
+  });
+
+  it('pins or unpins without touching the label, and clears an empty label', async () => {
+    const notebookId = await createNotebook(2);
+    await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { label: 'Baseline', pinned: true });
+
+    const unpinned = await (await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { pinned: false })).json();
+    expect(unpinned.version).toMatchObject({ label: 'Baseline', pinned: false });
+
+    const cleared = await (await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { label: '' })).json();
+    expect(cleared.version).toMatchObject({ label: null, pinned: false });
+  });
+
+  it('rejects a label another version already has', async () => {
+    const notebookId = await createNotebook(2);
+    await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { label: 'Final' });
+
+    const resp = await request('PUT', `/api/notebooks/${notebookId}/versions/2/label`, { label: 'final' });
+
+    expect(resp.status).toBe(409);
+    expect((await resp.json()).error).toMatchObject({ code: 'LABEL_EXISTS', message: 'Version 1 is already labeled "Final"' });
+  });
+
+  it('validates the request and checks the version and access', async () => {
+    const notebookId = await createNotebook(1);
+
+    expect((await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, {})).status).toBe(400);
+    const missing = await request('PUT', `/api/notebooks/${notebookId}/versions/9/label`, { pinned: true });
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).error.code).toBe('VERSION_NOT_FOUND');
+    expect((await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { pinned: true }, STRANGER)).status).toBe(403);
+  });
+});
+
+describe('retention of labeled and pinned versions', () => {
+  it('keeps them when compaction prunes their neighbours', async () => {
+    const now = Date.now();
+    // Versions 1-3 were recorded the same day 100 days ago; 4 is current
+    const notebookId = await createNotebook(4, version => (version < 4
+      ? new Date(now - 100 * DAY + version * 60 * 1000).toISOString()
+      : undefined));
+
+    const before = await compactVersions(notebookId, { dryRun: true, now });
+    expect(before.pruned.map(version => version.version)).toEqual([2, 1]);
+
+    await request('PUT', `/api/notebooks/${notebookId}/versions/1/label`, { pinned: true });
+    await request('PUT', `/api/notebooks/${notebookId}/versions/2/label`, { label: 'Submitted' });
+    const report = await compactVersions(notebookId, { now });
+
+    expect(report.pruned).toEqual([]);
+    expect(report.kept.find(version => version.version === 1).reasons).toEqual(['pinned']);
+    expect(report.kept.find(version => version.version === 2).reasons).toEqual(['labeled']);
+    expect((await DynamoDBService.getNotebookVersions(notebookId)).map(version => version.version).sort()).toEqual([1, 2, 3, 4]);
+  });
+});
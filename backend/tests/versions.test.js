@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'versions-'));
+
+const { DynamoDBService } = require('../src/config/storage');
+const { recordVersion, getVersion } = require('../src/services/versions');
+const { MAX_DELTA_BODY_BYTES } = require('../src/services/versionDelta');
+
+const USER = { id: 'user-1', name: 'Ada' };
+
+let notebookCount = 0;
+
+async function createNotebook(body) {
+  notebookCount += 1;
+  const id = `notebook-${notebookCount}`;
+  await DynamoDBService.createNotebook({ id, title: 'Lab notes', content: { body }, owner: USER.id, tags: [] });
+  const notebook = await DynamoDBService.getNotebook(id);
+  await recordVersion(notebook, USER, 'create');
+  return notebook;
+}
+
+// Record `body` as the notebook's next version
+async function save(notebook, body) {
+  const next = { ...notebook, content: { body }, version: notebook.version + 1 };
+  await recordVersion(next, USER, 'update');
+  return next;
+}
+
+function lines(count, label) {
+  return Array.from({ length: count }, (_, i) => `${label} line ${i} of the notebook body\n`).join('');
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true });
+});
+
+describe('storing versions', () => {
+  it('stores a small change as a delta against the snapshot', async () => {
+    const created = await createNotebook(lines(50, 'draft'));
+    const body = lines(50, 'draft').replace('draft line 7', 'final line 7');
+    await save(created, body);
+
+    expect(await DynamoDBService.getNotebookVersion(created.id, 2)).toMatchObject({ encoding: 'delta', baseVersion: 1 });
+    expect((await getVersion(created.id, 2)).content.body).toBe(body);
+  });
+
+  it('stores a large rewritten body in full', async () => {
+    const before = lines(3000, 'old');
+    const after = lines(3000, 'new');
+    expect(Buffer.byteLength(after)).toBeGreaterThan(MAX_DELTA_BODY_BYTES);
+
+    const created = await createNotebook(before);
+    await save(created, after);
+
+    const stored = await DynamoDBService.getNotebookVersion(created.id, 2);
+    expect(stored.encoding).toBeUndefined();
+    expect((await getVersion(created.id, 2)).content.body).toBe(after);
+  });
+});
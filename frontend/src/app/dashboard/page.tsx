@@ -1,7 +1,36 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import Link from 'next/link';
+import { authFetch, endSession } from '@/contexts/AuthContext';
+
+const PAGE_SIZE = 20;
+
+type NotebookSort = 'updated_at' | 'created_at' | 'title';
+type NotebookOwnership = 'all' | 'mine' | 'shared';
+type SearchMode = 'keyword' | 'semantic' | 'hybrid';
+type FacetFilter = 'subject' | 'course' | 'tags';
+type SearchFilters = Partial<Record<FacetFilter, string>>;
+
+const FACET_GROUPS: [string, FacetFilter, string][] = [
+  ['subjects', 'subject', 'Subject'],
+  ['courses', 'course', 'Course'],
+  ['tags', 'tags', 'Tag']
+];
+
+// Search highlights wrap matched words in <mark>; render those as marks and
+// everything else as plain text
+function Highlight({ text }: { text: string }) {
+  return (
+    <>
+      {text.split(/(<mark>.*?<\/mark>)/g).map((part, idx) =>
+        part.startsWith('<mark>') && part.endsWith('</mark>')
+          ? <mark key={idx} className="bg-yellow-200 rounded">{part.slice(6, -7)}</mark>
+          : <span key={idx}>{part}</span>
+      )}
+    </>
+  );
+}
 
 export default function DashboardPage() {
   const [user, setUser] = useState<any>(null);
@@ -13,33 +42,55 @@ export default function DashboardPage() {
   const [selectedIds, setSelectedIds] = useState<Record<string, boolean>>({});
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState<any[]>([]);
+  const [searchId, setSearchId] = useState<string | null>(null);
   const [isSearching, setIsSearching] = useState(false);
   const [showSearchResults, setShowSearchResults] = useState(false);
+  const [searchMode, setSearchMode] = useState<SearchMode>('keyword');
+  const [searchFilters, setSearchFilters] = useState<SearchFilters>({});
+  const [facets, setFacets] = useState<any>(null);
+  const [suggestions, setSuggestions] = useState<any[]>([]);
+  const [sort, setSort] = useState<NotebookSort>('updated_at');
+  const [ownership, setOwnership] = useState<NotebookOwnership>('all');
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
+  // Bumped on every reload so a page for an old sort or filter is dropped
+  const listRequestRef = useRef(0);
+
+  const fetchNotebookPage = useCallback(async (cursor: string | null) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort, ownership });
+    if (cursor) params.set('cursor', cursor);
+
+    const resp = await authFetch(`/api/notebooks?${params}`);
+    if (!resp.ok) {
+      const e = await resp.json().catch(() => ({} as any));
+      throw new Error(e?.error?.message || 'Failed to load notebooks');
+    }
+    return resp.json();
+  }, [sort, ownership]);
+
+  const reloadNotebooks = useCallback(async () => {
+    const request = ++listRequestRef.current;
+    const data = await fetchNotebookPage(null);
+    if (request !== listRequestRef.current) return;
+    setNotebooks(data.notebooks || []);
+    setNextCursor(data.nextCursor || null);
+  }, [fetchNotebookPage]);
 
   useEffect(() => {
     const load = async () => {
-      const token = localStorage.getItem('token');
-      if (!token) {
+      if (!localStorage.getItem('token')) {
         window.location.href = '/auth/login';
         return;
       }
 
       try {
-        setIsLoading(true);
         setError('');
 
         // Optionally, fetch the current user profile here in the future
         setUser({});
 
-        const resp = await fetch('/api/notebooks', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
-        if (!resp.ok) {
-          const e = await resp.json().catch(() => ({} as any));
-          throw new Error(e?.error?.message || 'Failed to load notebooks');
-        }
-        const data = await resp.json();
-        setNotebooks(data.notebooks || []);
+        await reloadNotebooks();
       } catch (err: any) {
         setError(err?.message || 'Failed to load notebooks');
       } finally {
@@ -48,16 +99,43 @@ export default function DashboardPage() {
     };
 
     load();
-  }, []);
+  }, [reloadNotebooks]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const request = listRequestRef.current;
+    try {
+      setIsLoadingMore(true);
+      const data = await fetchNotebookPage(nextCursor);
+      if (request !== listRequestRef.current) return;
+      setNotebooks(prev => {
+        const seen = new Set(prev.map(n => n.id));
+        return [...prev, ...(data.notebooks || []).filter((n: any) => !seen.has(n.id))];
+      });
+      setNextCursor(data.nextCursor || null);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to load notebooks');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore, fetchNotebookPage]);
+
+  // Fetch the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0]?.isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore]);
 
   const openShare = async (notebookId: string) => {
     setShowShareForId(notebookId);
     setSelectedIds({});
     try {
-      const token = localStorage.getItem('token');
-      const resp = await fetch('/api/auth/users', {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const resp = await authFetch('/api/auth/users');
       if (!resp.ok) {
         const e = await resp.json().catch(() => ({} as any));
         throw new Error(e?.error?.message || 'Failed to load users');
@@ -78,17 +156,11 @@ export default function DashboardPage() {
       return;
     }
 
-    const token = localStorage.getItem('token');
-    if (!token) return;
-
     try {
       setError('');
-      const resp = await fetch(`/api/notebooks/${showShareForId}/collaborate`, {
+      const resp = await authFetch(`/api/notebooks/${showShareForId}/collaborate`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           collaboratorIds: selectedUserIds
         })
@@ -103,39 +175,60 @@ export default function DashboardPage() {
       setSelectedIds({});
       
       // Refresh notebooks to show updated collaborators
-      const notebooksResp = await fetch('/api/notebooks', {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      if (notebooksResp.ok) {
-        const data = await notebooksResp.json();
-        setNotebooks(data.notebooks || []);
-      }
+      await reloadNotebooks();
     } catch (err: any) {
       setError(err?.message || 'Failed to share notebook');
     }
   };
 
-  const performSearch = async (query: string) => {
+  // Autocomplete while typing, a moment after the last keystroke
+  useEffect(() => {
+    if (!searchQuery.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const resp = await authFetch(`/api/search/suggestions?${new URLSearchParams({ q: searchQuery })}`).catch(() => null);
+      if (!cancelled && resp?.ok) {
+        const data = await resp.json();
+        setSuggestions(data.suggestions || []);
+      }
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  const performSearch = async (query: string, filters: SearchFilters = searchFilters) => {
     if (!query.trim()) {
       setShowSearchResults(false);
       return;
     }
 
-    const token = localStorage.getItem('token');
-    if (!token) return;
-
     try {
       setIsSearching(true);
       setError('');
-      const resp = await fetch(`/api/search?q=${encodeURIComponent(query)}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
+      const filterParams = Object.fromEntries(
+        Object.entries(filters).filter((entry): entry is [string, string] => Boolean(entry[1]))
+      );
+      const params = new URLSearchParams({ q: query, mode: searchMode, ...filterParams });
+      // Facets count keyword matches, so other modes facet on the filters alone
+      const facetParams = new URLSearchParams(searchMode === 'keyword' ? { q: query, ...filterParams } : filterParams);
+      const [resp, facetsResp] = await Promise.all([
+        authFetch(`/api/search?${params}`),
+        authFetch(`/api/search/facets?${facetParams}`)
+      ]);
       if (!resp.ok) {
         const e = await resp.json().catch(() => ({} as any));
         throw new Error(e?.error?.message || 'Search failed');
       }
       const data = await resp.json();
       setSearchResults(data.results || []);
+      setSearchId(data.searchId || null);
+      setFacets(facetsResp.ok ? (await facetsResp.json()).facets : null);
       setShowSearchResults(true);
     } catch (e: any) {
       setError(e?.message || 'Search failed');
@@ -146,12 +239,32 @@ export default function DashboardPage() {
 
   const handleSearchSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    performSearch(searchQuery);
+    setSearchFilters({});
+    performSearch(searchQuery, {});
+  };
+
+  // Report which result was opened for search analytics, without waiting
+  const openSearchResult = (notebookId: string) => {
+    if (searchId) {
+      authFetch('/api/search/clicks', {
+        method: 'POST',
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ searchId, notebookId })
+      }).catch(() => {});
+    }
+    window.location.href = `/notebooks/${notebookId}`;
+  };
+
+  // Clicking a facet narrows the results to it; clicking it again clears it
+  const applyFacet = (filter: FacetFilter, value: string) => {
+    const next = { ...searchFilters, [filter]: searchFilters[filter] === value ? undefined : value };
+    setSearchFilters(next);
+    performSearch(searchQuery, next);
   };
 
   const handleCreateNotebook = async () => {
-    const token = localStorage.getItem('token');
-    if (!token) {
+    if (!localStorage.getItem('token')) {
       window.location.href = '/auth/login';
       return;
     }
@@ -161,12 +274,9 @@ export default function DashboardPage() {
 
     try {
       setError('');
-      const resp = await fetch('/api/notebooks', {
+      const resp = await authFetch('/api/notebooks', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           title,
           content: {},
@@ -192,8 +302,8 @@ export default function DashboardPage() {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleLogout = async () => {
+    await endSession();
     window.location.href = '/';
   };
 
@@ -240,10 +350,27 @@ export default function DashboardPage() {
               <input
                 type="text"
                 placeholder="Search notebooks, content, attachments..."
+                list="search-suggestions"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
                 className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-200 focus:border-blue-500"
               />
+              <datalist id="search-suggestions">
+                {suggestions.map((suggestion: any) => (
+                  <option key={`${suggestion.type}:${suggestion.text}`} value={suggestion.text}>
+                    {suggestion.type}
+                  </option>
+                ))}
+              </datalist>
+              <select
+                value={searchMode}
+                onChange={(e) => setSearchMode(e.target.value as SearchMode)}
+                className="text-sm border rounded-lg px-2 py-2"
+              >
+                <option value="keyword">Exact words</option>
+                <option value="semantic">Similar meaning</option>
+                <option value="hybrid">Both</option>
+              </select>
               <button
                 type="submit"
                 disabled={isSearching}
@@ -264,7 +391,7 @@ export default function DashboardPage() {
               </div>
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-600">Total Notebooks</p>
-                <p className="text-2xl font-semibold text-gray-900">{notebooks.length}</p>
+                <p className="text-2xl font-semibold text-gray-900">{notebooks.length}{nextCursor ? '+' : ''}</p>
               </div>
             </div>
           </div>
@@ -301,6 +428,29 @@ export default function DashboardPage() {
               <h3 className="text-lg font-medium text-gray-900">
                 Search Results for "{searchQuery}" ({searchResults.length} found)
               </h3>
+              {facets && (
+                <div className="mt-3 space-y-2">
+                  {FACET_GROUPS.map(([group, filter, label]) => facets[group]?.length > 0 && (
+                    <div key={group} className="flex flex-wrap items-center gap-2 text-xs">
+                      <span className="text-gray-500 w-16">{label}</span>
+                      {facets[group].slice(0, 8).map((facet: any) => (
+                        <button
+                          key={facet.value}
+                          type="button"
+                          onClick={() => applyFacet(filter, facet.value)}
+                          className={`px-2 py-1 rounded-full border ${
+                            searchFilters[filter] === facet.value
+                              ? 'bg-blue-600 text-white border-blue-600'
+                              : 'bg-white text-gray-700 hover:bg-gray-50'
+                          }`}
+                        >
+                          {facet.value} ({facet.count})
+                        </button>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
             <div className="divide-y divide-gray-200">
               {searchResults.length === 0 ? (
@@ -326,9 +476,9 @@ export default function DashboardPage() {
                         {result.highlights && result.highlights.length > 0 && (
                           <div className="text-sm text-gray-700 mb-2">
                             {result.highlights.map((highlight: string, idx: number) => (
-                              <span key={idx} className="bg-yellow-100 px-1 rounded">
-                                {highlight}
-                              </span>
+                              <p key={idx} className="mb-1">
+                                <Highlight text={highlight} />
+                              </p>
                             ))}
                           </div>
                         )}
@@ -339,7 +489,7 @@ export default function DashboardPage() {
                       </div>
                       <div className="flex items-center space-x-2">
                         <button 
-                          onClick={() => window.location.href = `/notebooks/${result.notebookId}`}
+                          onClick={() => openSearchResult(result.notebookId)}
                           className="text-blue-600 hover:text-blue-800 text-sm font-medium"
                         >
                           Open
@@ -357,9 +507,29 @@ export default function DashboardPage() {
         <div className="bg-white rounded-lg shadow">
           <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
             <h3 className="text-lg font-medium text-gray-900">My Notebooks</h3>
-            <button onClick={handleCreateNotebook} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
-              + New Notebook
-            </button>
+            <div className="flex items-center gap-3">
+              <select
+                value={ownership}
+                onChange={(e) => setOwnership(e.target.value as NotebookOwnership)}
+                className="text-sm border rounded-lg px-2 py-2"
+              >
+                <option value="all">All notebooks</option>
+                <option value="mine">Mine</option>
+                <option value="shared">Shared with me</option>
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value as NotebookSort)}
+                className="text-sm border rounded-lg px-2 py-2"
+              >
+                <option value="updated_at">Recently updated</option>
+                <option value="created_at">Recently created</option>
+                <option value="title">Title</option>
+              </select>
+              <button onClick={handleCreateNotebook} className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+                + New Notebook
+              </button>
+            </div>
           </div>
 
           {error && (
@@ -403,10 +573,8 @@ export default function DashboardPage() {
                         if (!notebook?.id) return;
                         if (!confirm('Delete this notebook?')) return;
                         try {
-                          const token = localStorage.getItem('token');
-                          const resp = await fetch(`/api/notebooks/${notebook.id}`, {
-                            method: 'DELETE',
-                            headers: { Authorization: `Bearer ${token}` }
+                          const resp = await authFetch(`/api/notebooks/${notebook.id}`, {
+                            method: 'DELETE'
                           });
                           if (!resp.ok) {
                             const e = await resp.json().catch(() => ({} as any));
@@ -426,6 +594,12 @@ export default function DashboardPage() {
             ))}
           </div>
 
+          {nextCursor && (
+            <div ref={sentinelRef} className="p-4 text-center text-sm text-gray-500">
+              {isLoadingMore ? 'Loading more notebooks...' : ''}
+            </div>
+          )}
+
           {notebooks.length === 0 && (
             <div className="p-12 text-center">
               <span className="text-6xl mb-4 block">📝</span>
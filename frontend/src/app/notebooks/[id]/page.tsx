@@ -2,25 +2,72 @@
 
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { io } from 'socket.io-client';
+import { authFetch, refreshSession } from '@/contexts/AuthContext';
+import VersionDiff, { VersionDifferences } from '@/components/VersionDiff';
+
+// Attachments are stored in S3; `url` is a short-lived link for display.
+// `dataUrl` only appears on notebooks not yet migrated off inline files.
+type Attachment = { id: string; name: string; type: string; size?: number; url: string; dataUrl?: string };
+
+const toEditorAttachments = (list: any): Attachment[] =>
+  (Array.isArray(list) ? list : [])
+    .filter((a: any) => a && a.name && a.type && (a.url || a.dataUrl))
+    .map((a: any) => ({
+      id: a.id || `${Date.now()}-${Math.random()}`,
+      name: a.name,
+      type: a.type,
+      size: a.size,
+      url: a.url || a.dataUrl,
+      ...(a.dataUrl ? { dataUrl: a.dataUrl } : {})
+    }));
+
+type CommentThread = {
+  threadId: string;
+  anchor: { start: number; end: number; version: number; quote: string; detached: boolean };
+  status: 'open' | 'resolved';
+  createdBy: { id: string; name: string };
+  createdAt: string;
+  comments: Array<{ id: string; userId: string; userName: string; text: string; createdAt: string }>;
+};
 
 export default function NotebookEditor({ params }: { params: { id: string } }) {
   const router = useRouter();
   const { id } = params;
   const [title, setTitle] = useState('');
   const [body, setBody] = useState('');
-  const [attachments, setAttachments] = useState<Array<{ id: string; name: string; type: string; dataUrl: string }>>([]);
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [uploading, setUploading] = useState(0);
   const [versions, setVersions] = useState<any[]>([]);
   const [showVersionHistory, setShowVersionHistory] = useState(false);
+  const [branches, setBranches] = useState<any[]>([]);
+  // What restoring a version would change, opened from the history panel
+  const [versionDiff, setVersionDiff] = useState<{ version: number; differences: VersionDifferences } | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
   const [textRef, setTextRef] = useState<HTMLTextAreaElement | null>(null);
   const [fileInputRef, setFileInputRef] = useState<HTMLInputElement | null>(null);
+  // Version the editor content is based on, sent with saves so a
+  // collaborator's newer save is never silently overwritten
+  const [version, setVersion] = useState<number | null>(null);
+  const [mergeState, setMergeState] = useState<{
+    serverVersion: number;
+    serverTitle: string;
+    serverBody: string;
+    mergedBody: string;
+    conflicts: Array<{ mine: string; theirs: string; choice?: 'mine' | 'theirs' }>;
+  } | null>(null);
+  // Body as last loaded or saved; comment ranges refer to this text
+  const [savedBody, setSavedBody] = useState('');
+  const [threads, setThreads] = useState<CommentThread[]>([]);
+  const [showComments, setShowComments] = useState(false);
+  const [commentDraft, setCommentDraft] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState<Record<string, string>>({});
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (!token) {
+    if (!localStorage.getItem('token')) {
       router.push('/auth/login');
       return;
     }
@@ -29,23 +76,18 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
       try {
         setIsLoading(true);
         setError('');
-        const resp = await fetch(`/api/notebooks/${id}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const resp = await authFetch(`/api/notebooks/${id}`);
         if (!resp.ok) {
           const e = await resp.json().catch(() => ({} as any));
           throw new Error(e?.error?.message || 'Failed to load notebook');
         }
         const data = await resp.json();
         setTitle(data.notebook?.title || 'Untitled');
+        setVersion(data.notebook?.version ?? null);
         const content = data.notebook?.content || {};
         setBody((content.body as string) || '');
-        const loadedAtts = Array.isArray(content.attachments) ? content.attachments : [];
-        setAttachments(
-          loadedAtts
-            .filter((a: any) => a && a.name && a.type && a.dataUrl)
-            .map((a: any) => ({ id: a.id || `${Date.now()}-${Math.random()}`, name: a.name, type: a.type, dataUrl: a.dataUrl }))
-        );
+        setSavedBody((content.body as string) || '');
+        setAttachments(toEditorAttachments(content.attachments));
       } catch (err: any) {
         setError(err?.message || 'Failed to load notebook');
       } finally {
@@ -54,54 +96,313 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
     };
 
     load();
+    loadComments();
   }, [id, router]);
 
-  const loadVersionHistory = async () => {
-    const token = localStorage.getItem('token');
-    if (!token) return;
+  // Comment threads update live through the notebook's socket room
+  useEffect(() => {
+    if (!localStorage.getItem('token')) return;
 
-    try {
-      const resp = await fetch(`/api/notebooks/${id}/versions`, {
-        headers: { Authorization: `Bearer ${token}` }
+    // Read the token on every (re)connect so a refreshed one is used
+    const socket = io(process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:5000', {
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    });
+    socket.on('connect', () => socket.emit('join-notebook', { notebookId: id }));
+    socket.on('connect_error', async (err) => {
+      if (err.message === 'Authentication failed' && await refreshSession()) socket.connect();
+    });
+
+    const upsertThread = (thread: CommentThread) => {
+      setThreads(prev => {
+        const next = prev.some(t => t.threadId === thread.threadId)
+          ? prev.map(t => (t.threadId === thread.threadId ? thread : t))
+          : [...prev, thread];
+        return next.sort((a, b) => a.anchor.start - b.anchor.start);
       });
+    };
+    socket.on('comment-thread-created', upsertThread);
+    socket.on('comment-thread-updated', upsertThread);
+    socket.on('comment-anchors-updated', (data: { anchors: Array<{ threadId: string; anchor: CommentThread['anchor'] }> }) => {
+      const moved = new Map(data.anchors.map(a => [a.threadId, a.anchor]));
+      setThreads(prev => prev
+        .map(t => (moved.has(t.threadId) ? { ...t, anchor: moved.get(t.threadId)! } : t))
+        .sort((a, b) => a.anchor.start - b.anchor.start));
+    });
+
+    return () => {
+      socket.emit('leave-notebook', { notebookId: id });
+      socket.disconnect();
+    };
+  }, [id]);
+
+  const loadComments = async () => {
+    try {
+      const resp = await authFetch(`/api/collaboration/${id}/comments`);
       if (resp.ok) {
         const data = await resp.json();
+        setThreads(data.threads || []);
+      }
+    } catch (e) {
+      console.error('Failed to load comments:', e);
+    }
+  };
+
+  const commentRequest = async (path: string, payload?: object) => {
+    if (!localStorage.getItem('token')) {
+      router.push('/auth/login');
+      return null;
+    }
+    const resp = await authFetch(`/api/collaboration/${id}/comments${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload || {})
+    });
+    const data = await resp.json().catch(() => ({} as any));
+    if (!resp.ok) {
+      throw new Error(data?.error?.message || 'Comment request failed');
+    }
+    return data.thread as CommentThread;
+  };
+
+  const addComment = async () => {
+    const el = textRef;
+    if (!el || !commentDraft.trim()) return;
+    const start = el.selectionStart || 0;
+    const end = el.selectionEnd || 0;
+    if (end <= start) {
+      setError('Select some text to comment on');
+      return;
+    }
+
+    try {
+      setError('');
+      const thread = await commentRequest('', { start, end, version, text: commentDraft });
+      if (thread) {
+        setThreads(prev => prev.some(t => t.threadId === thread.threadId)
+          ? prev
+          : [...prev, thread].sort((a, b) => a.anchor.start - b.anchor.start));
+      }
+      setCommentDraft('');
+    } catch (err: any) {
+      setError(err?.message || 'Failed to add comment');
+    }
+  };
+
+  const replyToThread = async (threadId: string) => {
+    const text = replyDrafts[threadId];
+    if (!text?.trim()) return;
+
+    try {
+      setError('');
+      const thread = await commentRequest(`/${threadId}/replies`, { text });
+      if (thread) setThreads(prev => prev.map(t => (t.threadId === threadId ? thread : t)));
+      setReplyDrafts(prev => ({ ...prev, [threadId]: '' }));
+    } catch (err: any) {
+      setError(err?.message || 'Failed to reply');
+    }
+  };
+
+  const setThreadStatus = async (threadId: string, action: 'resolve' | 'reopen') => {
+    try {
+      setError('');
+      const thread = await commentRequest(`/${threadId}/${action}`);
+      if (thread) setThreads(prev => prev.map(t => (t.threadId === threadId ? thread : t)));
+    } catch (err: any) {
+      setError(err?.message || `Failed to ${action} comment`);
+    }
+  };
+
+  const selectThreadRange = (thread: CommentThread) => {
+    const el = textRef;
+    if (!el || thread.anchor.detached || body !== savedBody) return;
+    el.focus();
+    el.setSelectionRange(thread.anchor.start, thread.anchor.end);
+  };
+
+  const loadVersionHistory = async () => {
+    try {
+      const [versionsResp, branchesResp] = await Promise.all([
+        authFetch(`/api/notebooks/${id}/versions`),
+        authFetch(`/api/notebooks/${id}/branches`)
+      ]);
+      if (versionsResp.ok) {
+        const data = await versionsResp.json();
         setVersions(data.versions || []);
       }
+      if (branchesResp.ok) {
+        const data = await branchesResp.json();
+        setBranches(data.branches || []);
+      }
     } catch (e) {
       console.error('Failed to load version history:', e);
     }
   };
 
-  const restoreVersion = async (version: number) => {
-    const token = localStorage.getItem('token');
-    if (!token) return;
+  // Replace the editor content with the stored notebook
+  const reloadNotebook = async () => {
+    const resp = await authFetch(`/api/notebooks/${id}`);
+    if (!resp.ok) return;
+    const data = await resp.json();
+    setTitle(data.notebook?.title || 'Untitled');
+    setVersion(data.notebook?.version ?? null);
+    setMergeState(null);
+    const content = data.notebook?.content || {};
+    setBody((content.body as string) || '');
+    setSavedBody((content.body as string) || '');
+    setAttachments(toEditorAttachments(content.attachments));
+  };
+
+  const labelVersion = async (version: number, changes: { label?: string | null; pinned?: boolean }) => {
+    try {
+      const resp = await authFetch(`/api/notebooks/${id}/versions/${version}/label`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      if (!resp.ok) {
+        const e = await resp.json().catch(() => ({} as any));
+        throw new Error(e?.error?.message || 'Failed to label version');
+      }
+      loadVersionHistory();
+    } catch (e: any) {
+      setError(e?.message || 'Failed to label version');
+    }
+  };
+
+  const promptLabel = (version: { version: number; label?: string | null }) => {
+    const label = prompt(`Label for version ${version.version} (leave empty to remove)`, version.label || '');
+    if (label === null) return;
+    labelVersion(version.version, label.trim() ? { label: label.trim(), pinned: true } : { label: null });
+  };
+
+  const branchFromVersion = async (fromVersion: number) => {
+    const name = prompt(`Name a branch from version ${fromVersion}`);
+    if (!name?.trim()) return;
+
+    try {
+      const resp = await authFetch(`/api/notebooks/${id}/branches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim(), fromVersion })
+      });
+      const data = await resp.json().catch(() => ({} as any));
+      if (!resp.ok) throw new Error(data?.error?.message || 'Failed to create branch');
+      router.push(`/notebooks/${data.notebook.id}`);
+    } catch (e: any) {
+      setError(e?.message || 'Failed to create branch');
+    }
+  };
+
+  const mergeBranch = async (branch: { branchId: string; name: string }) => {
+    const merge = (dryRun: boolean) => authFetch(`/api/notebooks/${id}/branches/${branch.branchId}/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dryRun })
+    });
+
+    try {
+      const previewResp = await merge(true);
+      const preview = await previewResp.json().catch(() => ({} as any));
+      if (!previewResp.ok) throw new Error(preview?.error?.message || 'Failed to merge branch');
+
+      const conflicts = preview.conflicts?.length || 0;
+      const question = `Merge "${branch.name}": ${preview.differences?.summary || 'no changes'}.` +
+        (conflicts > 0 ? ` ${conflicts} passage(s) changed on both sides will keep the branch's text and be listed as conflicts.` : '');
+      if (!confirm(question)) return;
+
+      setSaving(true);
+      const resp = await merge(false);
+      const data = await resp.json().catch(() => ({} as any));
+      if (!resp.ok) throw new Error(data?.error?.message || 'Failed to merge branch');
+
+      setMessage(`Merged "${branch.name}" as version ${data.version}`);
+      setVersionDiff(null);
+      await reloadNotebook();
+      loadVersionHistory();
+    } catch (e: any) {
+      setError(e?.message || 'Failed to merge branch');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const restoreToTime = async () => {
+    const input = prompt('Restore the notebook as it was at (local time, YYYY-MM-DD HH:MM)');
+    if (!input?.trim()) return;
+    const at = new Date(input.trim().replace(' ', 'T'));
+    if (Number.isNaN(at.getTime())) {
+      setError('Enter a date and time such as 2024-03-01 14:30');
+      return;
+    }
+
+    const restore = (dryRun: boolean) => authFetch(`/api/notebooks/${id}/restore?at=${encodeURIComponent(at.toISOString())}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dryRun })
+    });
 
+    try {
+      const previewResp = await restore(true);
+      const preview = await previewResp.json().catch(() => ({} as any));
+      if (!previewResp.ok) throw new Error(preview?.error?.message || 'Failed to restore notebook');
+      if (preview.unchanged) {
+        setMessage(`The notebook is already as it was at ${at.toLocaleString()}`);
+        return;
+      }
+
+      const recorded = new Date(preview.recordedAt).toLocaleString();
+      if (!confirm(`Restore the state saved ${recorded}${preview.version ? ` (version ${preview.version})` : ''}: ${preview.differences?.summary || 'no changes'}?`)) return;
+
+      setSaving(true);
+      const resp = await restore(false);
+      const data = await resp.json().catch(() => ({} as any));
+      if (!resp.ok) throw new Error(data?.error?.message || 'Failed to restore notebook');
+
+      setMessage(`Restored the notebook as of ${recorded} as version ${data.newVersion}`);
+      setVersionDiff(null);
+      await reloadNotebook();
+      loadVersionHistory();
+    } catch (e: any) {
+      setError(e?.message || 'Failed to restore notebook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const compareVersion = async (version: number) => {
+    if (versionDiff?.version === version) {
+      setVersionDiff(null);
+      return;
+    }
+
+    try {
+      const resp = await authFetch(`/api/notebooks/${id}/versions/${version}/compare`);
+      if (!resp.ok) {
+        const e = await resp.json().catch(() => ({} as any));
+        throw new Error(e?.error?.message || 'Failed to compare versions');
+      }
+      const data = await resp.json();
+      setVersionDiff({ version, differences: data.differences });
+    } catch (e: any) {
+      setError(e?.message || 'Failed to compare versions');
+    }
+  };
+
+  const restoreVersion = async (version: number) => {
     if (!confirm(`Are you sure you want to restore to version ${version}? This will overwrite the current content.`)) {
       return;
     }
 
     try {
       setSaving(true);
-      const resp = await fetch(`/api/notebooks/${id}/versions/${version}/restore`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` }
+      const resp = await authFetch(`/api/notebooks/${id}/versions/${version}/restore`, {
+        method: 'POST'
       });
       
       if (resp.ok) {
         setMessage(`Restored to version ${version}`);
-        // Reload the notebook content
-        const loadResp = await fetch(`/api/notebooks/${id}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
-        if (loadResp.ok) {
-          const data = await loadResp.json();
-          setTitle(data.notebook?.title || 'Untitled');
-          const content = data.notebook?.content || {};
-          setBody((content.body as string) || '');
-          const loadedAtts = Array.isArray(content.attachments) ? content.attachments : [];
-          setAttachments(loadedAtts.filter((a: any) => a && a.name && a.type && a.dataUrl));
-        }
+        setVersionDiff(null);
+        await reloadNotebook();
         loadVersionHistory();
       } else {
         const e = await resp.json().catch(() => ({} as any));
@@ -114,31 +415,56 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
     }
   };
 
-  const handleSave = async () => {
-    const token = localStorage.getItem('token');
-    if (!token) {
+  const saveNotebook = async (saveTitle: string, saveBody: string, baseVersion: number | null) => {
+    if (!localStorage.getItem('token')) {
       router.push('/auth/login');
       return;
     }
+
     try {
       setSaving(true);
       setError('');
       setMessage('');
-      const resp = await fetch(`/api/notebooks/${id}`, {
+      const resp = await authFetch(`/api/notebooks/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`
+          ...(baseVersion !== null ? { 'If-Match': `"${baseVersion}"` } : {})
         },
         body: JSON.stringify({
-          title,
-          content: { body, attachments }
+          title: saveTitle,
+          content: {
+            body: saveBody,
+            // Only references are saved; the files are already in S3
+            attachments: attachments.map(({ url, ...reference }) => reference)
+          }
         })
       });
+      if (resp.status === 409) {
+        // Someone saved first: offer a three-way merge instead of overwriting
+        const data = await resp.json().catch(() => ({} as any));
+        const serverBody = (data.notebook?.content?.body as string) || '';
+        setMergeState({
+          serverVersion: data.notebook?.version,
+          serverTitle: data.notebook?.title || saveTitle,
+          serverBody,
+          mergedBody: typeof data.merge?.body === 'string' ? data.merge.body : saveBody,
+          conflicts: Array.isArray(data.merge?.conflicts)
+            ? data.merge.conflicts.map((c: any) => ({ mine: c.mine || '', theirs: c.theirs || '' }))
+            : [{ mine: saveBody, theirs: serverBody }]
+        });
+        return;
+      }
       if (!resp.ok) {
         const e = await resp.json().catch(() => ({} as any));
         throw new Error(e?.error?.message || 'Failed to save notebook');
       }
+      const data = await resp.json().catch(() => ({} as any));
+      setVersion(data.notebook?.version ?? baseVersion);
+      setTitle(saveTitle);
+      setBody(saveBody);
+      setSavedBody(saveBody);
+      setMergeState(null);
       setMessage('Saved');
       setTimeout(() => setMessage(''), 1500);
       // Refresh version history if it's open
@@ -152,6 +478,35 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
     }
   };
 
+  const handleSave = () => saveNotebook(title, body, version);
+
+  const chooseConflictSide = (index: number, choice: 'mine' | 'theirs') => {
+    setMergeState(prev => {
+      if (!prev) return prev;
+      const conflict = prev.conflicts[index];
+      const current = conflict.choice === 'theirs' ? conflict.theirs : conflict.mine;
+      const replacement = choice === 'theirs' ? conflict.theirs : conflict.mine;
+      const at = current ? prev.mergedBody.indexOf(current) : -1;
+      const mergedBody = at === -1
+        ? prev.mergedBody
+        : prev.mergedBody.slice(0, at) + replacement + prev.mergedBody.slice(at + current.length);
+      return {
+        ...prev,
+        mergedBody,
+        conflicts: prev.conflicts.map((c, i) => (i === index ? { ...c, choice } : c))
+      };
+    });
+  };
+
+  const acceptServerCopy = () => {
+    if (!mergeState) return;
+    setTitle(mergeState.serverTitle);
+    setBody(mergeState.serverBody);
+    setSavedBody(mergeState.serverBody);
+    setVersion(mergeState.serverVersion);
+    setMergeState(null);
+  };
+
   const wrapSelection = (wrapperLeft: string, wrapperRight?: string) => {
     const el = textRef;
     if (!el) return;
@@ -187,21 +542,61 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
         setError('Only images and PDFs are allowed');
         continue;
       }
-      const dataUrl = await new Promise<string>((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(String(reader.result));
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsDataURL(f);
-      });
-      setAttachments(prev => [
-        ...prev,
-        { id: `${Date.now()}-${Math.random()}`, name: f.name, type: f.type, dataUrl }
-      ]);
+      setUploading(n => n + 1);
+      try {
+        // Register the file, upload it straight to S3, then confirm
+        const startResp = await authFetch(`/api/notebooks/${id}/attachments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: f.name, type: f.type, size: f.size })
+        });
+        const started = await startResp.json().catch(() => ({} as any));
+        if (!startResp.ok) throw new Error(started?.error?.message || 'Failed to start upload');
+
+        const uploadResp = await fetch(started.upload.url, {
+          method: started.upload.method,
+          headers: started.upload.headers,
+          body: f
+        });
+        if (!uploadResp.ok) throw new Error(`Failed to upload ${f.name}`);
+
+        const attachmentId = started.attachment.id;
+        const completeResp = await authFetch(`/api/notebooks/${id}/attachments/${attachmentId}/complete`, { method: 'POST' });
+        const completed = await completeResp.json().catch(() => ({} as any));
+        if (!completeResp.ok) throw new Error(completed?.error?.message || 'Failed to finish upload');
+
+        const linkResp = await authFetch(`/api/notebooks/${id}/attachments/${attachmentId}/download?inline=true`);
+        const link = await linkResp.json().catch(() => ({} as any));
+        setAttachments(prev => [...prev, { ...completed.attachment, url: link.url || '' }]);
+      } catch (err: any) {
+        setError(err?.message || `Failed to upload ${f.name}`);
+      } finally {
+        setUploading(n => n - 1);
+      }
     }
     // reset input
     if (fileInputRef) fileInputRef.value = '' as any;
   };
 
+  const downloadAttachment = async (att: Attachment) => {
+    if (att.dataUrl) {
+      const a = document.createElement('a');
+      a.href = att.dataUrl;
+      a.download = att.name;
+      a.click();
+      return;
+    }
+
+    try {
+      const resp = await authFetch(`/api/notebooks/${id}/attachments/${att.id}/download`);
+      const data = await resp.json().catch(() => ({} as any));
+      if (!resp.ok) throw new Error(data?.error?.message || 'Failed to download attachment');
+      window.location.href = data.url;
+    } catch (err: any) {
+      setError(err?.message || 'Failed to download attachment');
+    }
+  };
+
   const removeAttachment = (idToRemove: string) => {
     setAttachments(prev => prev.filter(a => a.id !== idToRemove));
   };
@@ -241,7 +636,7 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
         <div className="max-w-5xl mx-auto px-4 pb-3 flex items-center gap-2">
           <button onClick={() => wrapSelection('**')} className="px-3 py-1 text-sm rounded border hover:bg-gray-50" title="Bold">B</button>
           <button onClick={() => wrapSelection('_')} className="px-3 py-1 text-sm rounded border hover:bg-gray-50" title="Italic">I</button>
-          <button onClick={handleAddAttachmentClick} className="px-3 py-1 text-sm rounded border hover:bg-gray-50" title="Attach files">Attach</button>
+          <button onClick={handleAddAttachmentClick} className="px-3 py-1 text-sm rounded border hover:bg-gray-50" title="Attach files" disabled={uploading > 0}>{uploading > 0 ? 'Uploading…' : 'Attach'}</button>
           <button 
             onClick={() => {
               setShowVersionHistory(!showVersionHistory);
@@ -252,6 +647,16 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
           >
             📚 History
           </button>
+          <button
+            onClick={() => {
+              setShowComments(!showComments);
+              if (!showComments) loadComments();
+            }}
+            className="px-3 py-1 text-sm rounded border hover:bg-gray-50"
+            title="Comments"
+          >
+            💬 Comments{threads.some(t => t.status === 'open') ? ` (${threads.filter(t => t.status === 'open').length})` : ''}
+          </button>
           <input ref={setFileInputRef} onChange={handleFilesSelected} type="file" multiple accept="image/*,application/pdf" className="hidden" />
         </div>
       </header>
@@ -267,32 +672,256 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
         </div>
       )}
 
+      {mergeState && (
+        <div className="max-w-5xl mx-auto mt-4 px-4">
+          <div className="bg-white border border-amber-300 rounded-lg p-4">
+            <h3 className="text-lg font-semibold mb-1">Someone else saved this notebook</h3>
+            <p className="text-sm text-gray-600 mb-3">
+              Version {mergeState.serverVersion} was saved while you were editing. Review the merge below before saving.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+              <div>
+                <div className="text-sm font-medium mb-1">Your version</div>
+                <pre className="text-xs bg-gray-50 border rounded p-2 h-40 overflow-auto whitespace-pre-wrap">{body}</pre>
+              </div>
+              <div>
+                <div className="text-sm font-medium mb-1">Their version</div>
+                <pre className="text-xs bg-gray-50 border rounded p-2 h-40 overflow-auto whitespace-pre-wrap">{mergeState.serverBody}</pre>
+              </div>
+            </div>
+            {mergeState.conflicts.length > 0 && (
+              <div className="space-y-2 mb-3">
+                {mergeState.conflicts.map((conflict, index) => (
+                  <div key={index} className="border rounded p-2 text-sm flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="truncate"><span className="text-gray-500">Yours:</span> {conflict.mine || '(removed)'}</div>
+                      <div className="truncate"><span className="text-gray-500">Theirs:</span> {conflict.theirs || '(removed)'}</div>
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      <button
+                        onClick={() => chooseConflictSide(index, 'mine')}
+                        className={`px-2 py-1 rounded border ${conflict.choice !== 'theirs' ? 'bg-blue-50 border-blue-300' : ''}`}
+                      >
+                        Keep mine
+                      </button>
+                      <button
+                        onClick={() => chooseConflictSide(index, 'theirs')}
+                        className={`px-2 py-1 rounded border ${conflict.choice === 'theirs' ? 'bg-blue-50 border-blue-300' : ''}`}
+                      >
+                        Keep theirs
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="text-sm font-medium mb-1">Merged result</div>
+            <textarea
+              className="w-full h-48 p-2 border rounded text-sm"
+              value={mergeState.mergedBody}
+              onChange={(e) => setMergeState({ ...mergeState, mergedBody: e.target.value })}
+            />
+            <div className="mt-3 flex gap-2 justify-end">
+              <button onClick={acceptServerCopy} className="px-3 py-1 text-sm rounded border hover:bg-gray-50">
+                Discard my changes
+              </button>
+              <button
+                onClick={() => saveNotebook(title, mergeState.mergedBody, mergeState.serverVersion)}
+                disabled={saving}
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save merged
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {showVersionHistory && (
         <div className="max-w-5xl mx-auto mt-4 px-4">
           <div className="bg-white border rounded-lg p-4">
-            <h3 className="text-lg font-semibold mb-3">Version History</h3>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold">Version History</h3>
+              <button
+                onClick={restoreToTime}
+                disabled={saving}
+                className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                Restore to time…
+              </button>
+            </div>
+            {branches.length > 0 && (
+              <div className="mb-4">
+                <h4 className="text-sm font-semibold text-gray-700 mb-2">Branches</h4>
+                <ul className="space-y-1">
+                  {branches.map((branch) => (
+                    <li key={branch.branchId} className="flex items-center justify-between text-sm">
+                      <span>
+                        {branch.name}
+                        <span className="text-gray-500"> • from version {branch.baseVersion}</span>
+                        {branch.status === 'merged' && (
+                          <span className="text-gray-500"> • merged as version {branch.mergedVersion}</span>
+                        )}
+                      </span>
+                      <span className="flex gap-2">
+                        <button
+                          onClick={() => router.push(`/notebooks/${branch.branchNotebookId}`)}
+                          className="px-3 py-1 border rounded hover:bg-gray-50"
+                        >
+                          Open
+                        </button>
+                        {branch.status === 'open' && (
+                          <button
+                            onClick={() => mergeBranch(branch)}
+                            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+                          >
+                            Merge
+                          </button>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             {versions.length === 0 ? (
               <p className="text-gray-500">No version history available</p>
             ) : (
               <div className="space-y-2">
                 {versions.map((version) => (
-                  <div key={version.id} className="flex items-center justify-between p-3 border rounded">
-                    <div>
-                      <div className="font-medium">Version {version.version}</div>
-                      <div className="text-sm text-gray-500">
-                        {new Date(version.created_at).toLocaleString()} • 
-                        {version.action} by {version.contributorName || version.contributor}
+                  <div key={version.id} className="p-3 border rounded">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <div className="font-medium">
+                          Version {version.version}
+                          {version.label && <span className="ml-2 px-2 rounded bg-yellow-100 text-xs">{version.label}</span>}
+                          {version.pinned && <span className="ml-2 text-xs text-gray-500" title="Kept by retention cleanup">📌</span>}
+                          {version.current && <span className="ml-2 text-xs text-green-700">Current</span>}
+                        </div>
+                        <div className="text-sm text-gray-500">
+                          {new Date(version.created_at).toLocaleString()} • 
+                          {version.action} by {version.contributorName || version.contributor}
+                        </div>
+                        {version.metadata?.restoredFromVersion && (
+                          <div className="text-xs text-blue-600">Restored from version {version.metadata.restoredFromVersion}</div>
+                        )}
                       </div>
-                      {version.metadata?.changeType && (
-                        <div className="text-xs text-blue-600">{version.metadata.changeType}</div>
-                      )}
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => promptLabel(version)}
+                          className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+                        >
+                          Label
+                        </button>
+                        <button
+                          onClick={() => labelVersion(version.version, { pinned: !version.pinned })}
+                          className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+                        >
+                          {version.pinned ? 'Unpin' : 'Pin'}
+                        </button>
+                        <button
+                          onClick={() => branchFromVersion(version.version)}
+                          className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+                        >
+                          Branch
+                        </button>
+                        {!version.current && (
+                          <>
+                            <button
+                              onClick={() => compareVersion(version.version)}
+                              className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+                            >
+                              {versionDiff?.version === version.version ? 'Hide changes' : 'Changes'}
+                            </button>
+                            <button
+                              onClick={() => restoreVersion(version.version)}
+                              className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+                            >
+                              Restore
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    {versionDiff && versionDiff.version === version.version && (
+                      <div className="mt-3 pt-3 border-t">
+                        <VersionDiff
+                          differences={versionDiff.differences}
+                          fromLabel="Current"
+                          toLabel={`Version ${version.version}`}
+                        />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showComments && (
+        <div className="max-w-5xl mx-auto mt-4 px-4">
+          <div className="bg-white border rounded-lg p-4">
+            <h3 className="text-lg font-semibold mb-3">Comments</h3>
+            <div className="flex gap-2 mb-3">
+              <input
+                className="flex-1 px-2 py-1 text-sm border rounded"
+                placeholder={body === savedBody ? 'Select text in the editor, then comment…' : 'Save your changes before commenting'}
+                value={commentDraft}
+                onChange={(e) => setCommentDraft(e.target.value)}
+                disabled={body !== savedBody}
+              />
+              <button
+                onClick={addComment}
+                disabled={body !== savedBody || !commentDraft.trim()}
+                className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Comment on selection
+              </button>
+            </div>
+            {threads.length === 0 ? (
+              <p className="text-gray-500">No comments yet</p>
+            ) : (
+              <div className="space-y-3">
+                {threads.map(thread => (
+                  <div key={thread.threadId} className={`border rounded p-3 ${thread.status === 'resolved' ? 'opacity-60' : ''}`}>
+                    <div className="flex items-center justify-between gap-3 mb-2">
+                      <button
+                        onClick={() => selectThreadRange(thread)}
+                        className="text-left text-sm italic text-gray-600 truncate hover:underline"
+                        title={thread.anchor.detached ? 'The commented text was removed' : 'Select in editor'}
+                      >
+                        “{thread.anchor.quote}”{thread.anchor.detached ? ' (removed)' : ''}
+                      </button>
+                      <button
+                        onClick={() => setThreadStatus(thread.threadId, thread.status === 'open' ? 'resolve' : 'reopen')}
+                        className="px-2 py-1 text-xs rounded border hover:bg-gray-50 shrink-0"
+                      >
+                        {thread.status === 'open' ? 'Resolve' : 'Reopen'}
+                      </button>
+                    </div>
+                    <div className="space-y-1 mb-2">
+                      {thread.comments.map(comment => (
+                        <div key={comment.id} className="text-sm">
+                          <span className="font-medium">{comment.userName}</span>{' '}
+                          <span className="text-xs text-gray-500">{new Date(comment.createdAt).toLocaleString()}</span>
+                          <div className="whitespace-pre-wrap">{comment.text}</div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex gap-2">
+                      <input
+                        className="flex-1 px-2 py-1 text-sm border rounded"
+                        placeholder="Reply…"
+                        value={replyDrafts[thread.threadId] || ''}
+                        onChange={(e) => setReplyDrafts(prev => ({ ...prev, [thread.threadId]: e.target.value }))}
+                        onKeyDown={(e) => { if (e.key === 'Enter') replyToThread(thread.threadId); }}
+                      />
+                      <button onClick={() => replyToThread(thread.threadId)} className="px-2 py-1 text-xs rounded border hover:bg-gray-50">
+                        Reply
+                      </button>
                     </div>
-                    <button
-                      onClick={() => restoreVersion(version.version)}
-                      className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
-                    >
-                      Restore
-                    </button>
                   </div>
                 ))}
               </div>
@@ -307,7 +936,7 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
             {attachments.map(att => (
               <div key={att.id} className="border rounded p-3 bg-white flex items-center gap-3">
                 {att.type.startsWith('image/') ? (
-                  <img src={att.dataUrl} alt={att.name} className="w-16 h-16 object-cover rounded" />
+                  <img src={att.url} alt={att.name} className="w-16 h-16 object-cover rounded" />
                 ) : (
                   <div className="w-16 h-16 flex items-center justify-center bg-gray-100 rounded text-gray-500">PDF</div>
                 )}
@@ -316,8 +945,8 @@ export default function NotebookEditor({ params }: { params: { id: string } }) {
                   <div className="text-xs text-gray-500 truncate">{att.type}</div>
                 </div>
                 <div className="flex items-center gap-2">
-                  <a href={att.dataUrl} download={att.name} className="text-blue-600 text-sm hover:underline">Download</a>
-                  <a href={att.dataUrl} target="_blank" rel="noreferrer" className="text-gray-600 text-sm hover:underline">View</a>
+                  <button onClick={() => downloadAttachment(att)} className="text-blue-600 text-sm hover:underline">Download</button>
+                  <a href={att.url} target="_blank" rel="noreferrer" className="text-gray-600 text-sm hover:underline">View</a>
                   <button onClick={() => removeAttachment(att.id)} className="text-red-500 text-sm">Remove</button>
                 </div>
               </div>
@@ -0,0 +1,179 @@
+'use client';
+
+import { useState } from 'react';
+
+type WordRun = { type: 'equal' | 'insert' | 'delete'; text: string };
+type DiffLine = { line: number; text: string; words?: WordRun[] };
+type SkipRow = { type: 'skip'; count: number; oldLine: number; newLine: number };
+type InlineRow =
+  | { type: 'equal'; oldLine: number; newLine: number; text: string }
+  | { type: 'delete'; oldLine: number; text: string; words?: WordRun[] }
+  | { type: 'insert'; newLine: number; text: string; words?: WordRun[] }
+  | SkipRow;
+type SideBySideRow =
+  | { type: 'equal' | 'change'; left: DiffLine | null; right: DiffLine | null }
+  | SkipRow;
+type AttachmentSummary = { id: string | null; name: string; type: string | null; size: number | null };
+
+export type VersionDifferences = {
+  identical: boolean;
+  summary: string;
+  title: { before: string; after: string } | null;
+  tags: { added: string[]; removed: string[] } | null;
+  attachments: {
+    added: AttachmentSummary[];
+    removed: AttachmentSummary[];
+    changed: Array<{ before: AttachmentSummary; after: AttachmentSummary }>;
+  };
+  fields: string[];
+  body: {
+    stats: { linesAdded: number; linesRemoved: number; wordsAdded: number; wordsRemoved: number };
+    inline: InlineRow[];
+    sideBySide: SideBySideRow[];
+  };
+};
+
+interface VersionDiffProps {
+  differences: VersionDifferences;
+  fromLabel: string;
+  toLabel: string;
+}
+
+const LINE_STYLES = {
+  equal: '',
+  insert: 'bg-green-50',
+  delete: 'bg-red-50',
+  change: ''
+};
+
+const WORD_STYLES = {
+  equal: '',
+  insert: 'bg-green-200',
+  delete: 'bg-red-200 line-through'
+};
+
+function LineText({ text, words }: { text: string; words?: WordRun[] }) {
+  if (!words) return <>{text || ' '}</>;
+  return (
+    <>
+      {words.map((run, i) => (
+        <span key={i} className={WORD_STYLES[run.type]}>{run.text}</span>
+      ))}
+    </>
+  );
+}
+
+function Skipped({ count }: { count: number }) {
+  return (
+    <div className="px-2 py-1 text-xs text-gray-400 bg-gray-50 border-y">
+      ⋯ {count} unchanged line{count === 1 ? '' : 's'}
+    </div>
+  );
+}
+
+export default function VersionDiff({ differences, fromLabel, toLabel }: VersionDiffProps) {
+  const [layout, setLayout] = useState<'inline' | 'split'>('inline');
+  const { title, tags, attachments, fields, body } = differences;
+
+  if (differences.identical) {
+    return <p className="text-sm text-gray-500">{toLabel} is identical to {fromLabel}.</p>;
+  }
+
+  const bodyChanged = body.stats.linesAdded > 0 || body.stats.linesRemoved > 0;
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="text-gray-700">
+          {fromLabel} → {toLabel}: {differences.summary}
+        </div>
+        {bodyChanged && (
+          <select
+            value={layout}
+            onChange={(e) => setLayout(e.target.value as 'inline' | 'split')}
+            className="text-xs border rounded px-2 py-1"
+          >
+            <option value="inline">Inline</option>
+            <option value="split">Side by side</option>
+          </select>
+        )}
+      </div>
+
+      {title && (
+        <div>
+          Title: <span className="bg-red-100 line-through">{title.before}</span>{' '}
+          <span className="bg-green-100">{title.after}</span>
+        </div>
+      )}
+
+      {tags && (tags.added.length > 0 || tags.removed.length > 0) && (
+        <div className="flex flex-wrap gap-1 items-center">
+          Tags:
+          {tags.removed.map((tag) => (
+            <span key={`-${tag}`} className="px-2 rounded bg-red-100 line-through">{tag}</span>
+          ))}
+          {tags.added.map((tag) => (
+            <span key={`+${tag}`} className="px-2 rounded bg-green-100">{tag}</span>
+          ))}
+        </div>
+      )}
+
+      {(attachments.added.length > 0 || attachments.removed.length > 0 || attachments.changed.length > 0) && (
+        <ul className="space-y-1">
+          {attachments.added.map((a) => (
+            <li key={`+${a.id || a.name}`} className="text-green-700">+ {a.name}</li>
+          ))}
+          {attachments.removed.map((a) => (
+            <li key={`-${a.id || a.name}`} className="text-red-700">− {a.name}</li>
+          ))}
+          {attachments.changed.map(({ before, after }) => (
+            <li key={`~${after.id || after.name}`} className="text-amber-700">
+              ~ {before.name}{before.name !== after.name ? ` → ${after.name}` : ''}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {fields.length > 0 && (
+        <div className="text-gray-500">Also changed: {fields.join(', ')}</div>
+      )}
+
+      {bodyChanged && (
+        <div className="border rounded font-mono text-xs overflow-x-auto max-h-96 overflow-y-auto">
+          {layout === 'inline'
+            ? body.inline.map((row, i) => {
+              if (row.type === 'skip') return <Skipped key={i} count={row.count} />;
+              return (
+                <div key={i} className={`flex ${LINE_STYLES[row.type]}`}>
+                  <span className="w-10 shrink-0 text-right pr-2 text-gray-400">{row.type !== 'insert' ? row.oldLine : ''}</span>
+                  <span className="w-10 shrink-0 text-right pr-2 text-gray-400">{row.type !== 'delete' ? row.newLine : ''}</span>
+                  <span className="w-4 shrink-0">{row.type === 'insert' ? '+' : row.type === 'delete' ? '−' : ''}</span>
+                  <span className="whitespace-pre-wrap">
+                    <LineText text={row.text} words={row.type === 'equal' ? undefined : row.words} />
+                  </span>
+                </div>
+              );
+            })
+            : body.sideBySide.map((row, i) => {
+              if (row.type === 'skip') return <Skipped key={i} count={row.count} />;
+              return (
+                <div key={i} className="grid grid-cols-2 divide-x">
+                  {[row.left, row.right].map((side, s) => (
+                    <div
+                      key={s}
+                      className={`flex ${row.type === 'change' && side ? (s === 0 ? LINE_STYLES.delete : LINE_STYLES.insert) : ''}`}
+                    >
+                      <span className="w-10 shrink-0 text-right pr-2 text-gray-400">{side?.line ?? ''}</span>
+                      <span className="whitespace-pre-wrap">
+                        {side && <LineText text={side.text} words={side.words} />}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -13,44 +13,178 @@ interface AuthContextType {
   user: User | null;
   isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
   register: (userData: any) => Promise<void>;
+  authFetch: typeof authFetch;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Remember the tokens returned by login, register or refresh
+ */
+export const storeSession = (data: { token: string; refreshToken?: string }) => {
+  localStorage.setItem('token', data.token);
+  if (data.refreshToken) {
+    localStorage.setItem('refreshToken', data.refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// One refresh at a time: concurrent requests wait for the same rotation
+// instead of replaying the refresh token, which would sign the device out
+let refreshing: Promise<string | null> | null = null;
+
+/**
+ * Exchange the stored refresh token for a new access token. Resolves to
+ * null (and clears the session) when the device has to sign in again.
+ */
+export const refreshSession = (): Promise<string | null> => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      try {
+        const response = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+
+        if (!response.ok) {
+          // Another tab may have rotated the token while this request ran
+          if (localStorage.getItem('refreshToken') !== refreshToken) {
+            return localStorage.getItem('token');
+          }
+          if (response.status === 401 || response.status === 400) {
+            clearSession();
+          }
+          return null;
+        }
+
+        const data = await response.json();
+        storeSession(data);
+        return data.token as string;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+/**
+ * fetch with the current access token. An expired token is refreshed and
+ * the request retried once.
+ */
+export const authFetch = async (input: RequestInfo | URL, init: RequestInit = {}): Promise<Response> => {
+  const send = (token: string | null) => {
+    const headers = new Headers(init.headers);
+    if (token) headers.set('Authorization', `Bearer ${token}`);
+    return fetch(input, { ...init, headers });
+  };
+
+  const token = localStorage.getItem('token');
+  const response = await send(token);
+  if (response.status !== 401) return response;
+
+  const body = await response.clone().json().catch(() => ({} as any));
+  if (body?.error?.code !== 'TOKEN_EXPIRED') return response;
+
+  // Another request may already have renewed the token
+  const current = localStorage.getItem('token');
+  const renewed = current && current !== token ? current : await refreshSession();
+  return renewed ? send(renewed) : response;
+};
+
+/**
+ * Revoke this device's refresh tokens and forget the session
+ */
+export const endSession = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearSession();
+  if (!refreshToken) return;
+
+  try {
+    await fetch('/api/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+};
+
+function tokenExpiry(token: string): number | null {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [accessToken, setAccessToken] = useState<string | null>(null);
 
   useEffect(() => {
     // Check for existing token on mount
     const token = localStorage.getItem('token');
-    if (token) {
+    if (token || localStorage.getItem('refreshToken')) {
       // Verify token and get user info
-      fetchUser(token);
+      fetchUser();
     } else {
       setIsLoading(false);
     }
   }, []);
 
-  const fetchUser = async (token: string) => {
+  // Renew the access token shortly before it expires so requests rarely
+  // have to wait for a refresh
+  useEffect(() => {
+    if (!user || !accessToken) return;
+    const expiresAt = tokenExpiry(accessToken);
+    if (!expiresAt) return;
+
+    const timer = setTimeout(async () => {
+      const renewed = await refreshSession();
+      if (renewed) {
+        setAccessToken(renewed);
+      } else if (!localStorage.getItem('refreshToken')) {
+        setUser(null);
+      }
+    }, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0));
+
+    return () => clearTimeout(timer);
+  }, [user, accessToken]);
+
+  const fetchUser = async () => {
     try {
-      const response = await fetch('/api/auth/me', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-      
+      const response = await authFetch('/api/auth/me');
+
       if (response.ok) {
         const userData = await response.json();
         setUser(userData.user);
+        setAccessToken(localStorage.getItem('token'));
       } else {
-        localStorage.removeItem('token');
+        clearSession();
       }
     } catch (error) {
       console.error('Error fetching user:', error);
-      localStorage.removeItem('token');
+      clearSession();
     } finally {
       setIsLoading(false);
     }
@@ -69,7 +203,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
       if (response.ok) {
         const data = await response.json();
-        localStorage.setItem('token', data.token);
+        storeSession(data);
+        setAccessToken(data.token);
         setUser(data.user);
       } else {
         const error = await response.json();
@@ -93,7 +228,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
       if (response.ok) {
         const data = await response.json();
-        localStorage.setItem('token', data.token);
+        storeSession(data);
+        setAccessToken(data.token);
         setUser(data.user);
       } else {
         const error = await response.json();
@@ -104,13 +240,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
+  const logout = async () => {
+    await endSession();
+    setAccessToken(null);
     setUser(null);
   };
 
   return (
-    <AuthContext.Provider value={{ user, isLoading, login, logout, register }}>
+    <AuthContext.Provider value={{ user, isLoading, login, logout, register, authFetch }}>
       {children}
     </AuthContext.Provider>
   );
@@ -2,7 +2,7 @@
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import { io, Socket } from 'socket.io-client';
-import { useAuth } from './AuthContext';
+import { useAuth, refreshSession } from './AuthContext';
 
 interface WebSocketContextType {
   socket: Socket | null;
@@ -21,10 +21,15 @@ export const WebSocketProvider: React.FC<{ children: React.ReactNode }> = ({ chi
   useEffect(() => {
     if (user) {
       // Connect to WebSocket when user is authenticated
-      const token = localStorage.getItem('token');
+      // Read the token on every (re)connect so a refreshed one is used
       const newSocket = io(process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:5000', {
-        auth: {
-          token
+        auth: (cb) => cb({ token: localStorage.getItem('token') })
+      });
+
+      // The handshake is rejected once the access token expires
+      newSocket.on('connect_error', async (error) => {
+        if (error.message === 'Authentication failed' && await refreshSession()) {
+          newSocket.connect();
         }
       });
 
@@ -60,6 +60,17 @@ export class AcademicNotebookStack extends cdk.Stack {
     });
 
     // DynamoDB Tables
+    // The dashboard lists a user's notebooks through one Owner*Index per
+    // sort order (title_sort is the lowercased title). CloudFormation adds
+    // one index per table per deploy, so a stack deployed before these
+    // indexes is upgraded in two steps: `-c notebookIndexStep=1` adds
+    // OwnerCreatedIndex, then a plain deploy adds OwnerTitleIndex.
+    const notebookIndexStep = this.node.tryGetContext('notebookIndexStep');
+    const ownerTitleIndex: dynamodb.GlobalSecondaryIndexProps = {
+      indexName: 'OwnerTitleIndex',
+      partitionKey: { name: 'owner', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'title_sort', type: dynamodb.AttributeType.STRING }
+    };
     const notebooksTable = new dynamodb.Table(this, 'NotebooksTable', {
       tableName: 'AcademicNotebooks',
       partitionKey: { name: 'id', type: dynamodb.AttributeType.STRING },
@@ -73,6 +84,12 @@ export class AcademicNotebookStack extends cdk.Stack {
           partitionKey: { name: 'owner', type: dynamodb.AttributeType.STRING },
           sortKey: { name: 'updated_at', type: dynamodb.AttributeType.STRING }
         },
+        {
+          indexName: 'OwnerCreatedIndex',
+          partitionKey: { name: 'owner', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'created_at', type: dynamodb.AttributeType.STRING }
+        },
+        ...(String(notebookIndexStep) === '1' ? [] : [ownerTitleIndex]),
         {
           indexName: 'SubjectIndex',
           partitionKey: { name: 'subject', type: dynamodb.AttributeType.STRING },
@@ -96,7 +113,10 @@ export class AcademicNotebookStack extends cdk.Stack {
       ]
     });
 
-    const versionsTable = new dynamodb.Table(this, 'VersionsTable', {
+    // The original versions table, keyed by notebook_id/version_id. Key
+    // schemas cannot change in place, so history moved to VersionHistoryTable;
+    // `npm run migrate:versions` copies these rows across. Remove once run.
+    const legacyVersionsTable = new dynamodb.Table(this, 'VersionsTable', {
       tableName: 'NotebookVersions',
       partitionKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
       sortKey: { name: 'version_id', type: dynamodb.AttributeType.STRING },
@@ -106,6 +126,58 @@ export class AcademicNotebookStack extends cdk.Stack {
       removalPolicy: cdk.RemovalPolicy.RETAIN
     });
 
+    // Items are keyed "<notebookId>-v<version>"; history is read newest
+    // first through NotebookVersionIndex
+    const versionsTable = new dynamodb.Table(this, 'VersionHistoryTable', {
+      tableName: 'NotebookVersionsV2',
+      partitionKey: { name: 'id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      pointInTimeRecovery: true,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      globalSecondaryIndexes: [
+        {
+          indexName: 'NotebookVersionIndex',
+          partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'version', type: dynamodb.AttributeType.NUMBER }
+        }
+      ]
+    });
+
+    // Which notebooks are shared with each user (collaborators only; owners
+    // are found through OwnerIndex). Rows copy the notebook's listing
+    // attributes so the User*Index sort orders match the Owner*Index ones.
+    const membersTable = new dynamodb.Table(this, 'MembersTable', {
+      tableName: 'NotebookMembers',
+      partitionKey: { name: 'user_id', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      globalSecondaryIndexes: [
+        {
+          indexName: 'NotebookIndex',
+          partitionKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'user_id', type: dynamodb.AttributeType.STRING }
+        },
+        {
+          indexName: 'UserUpdatedIndex',
+          partitionKey: { name: 'user_id', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'updated_at', type: dynamodb.AttributeType.STRING }
+        },
+        {
+          indexName: 'UserCreatedIndex',
+          partitionKey: { name: 'user_id', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'created_at', type: dynamodb.AttributeType.STRING }
+        },
+        {
+          indexName: 'UserTitleIndex',
+          partitionKey: { name: 'user_id', type: dynamodb.AttributeType.STRING },
+          sortKey: { name: 'title_sort', type: dynamodb.AttributeType.STRING }
+        }
+      ]
+    });
+
     const collaborationsTable = new dynamodb.Table(this, 'CollaborationsTable', {
       tableName: 'NotebookCollaborations',
       partitionKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
@@ -116,6 +188,116 @@ export class AcademicNotebookStack extends cdk.Stack {
       removalPolicy: cdk.RemovalPolicy.RETAIN
     });
 
+    // Applied edit operations, used to rebase concurrent edits
+    const operationsTable = new dynamodb.Table(this, 'OperationsTable', {
+      tableName: 'NotebookOperations',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'version', type: dynamodb.AttributeType.NUMBER },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    const conflictsTable = new dynamodb.Table(this, 'ConflictsTable', {
+      tableName: 'NotebookConflicts',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'conflictId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Branches forked from each notebook, pointing at their branch notebooks
+    const branchesTable = new dynamodb.Table(this, 'BranchesTable', {
+      tableName: 'NotebookBranches',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'branchId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Version retention policies per notebook and per role
+    const retentionPoliciesTable = new dynamodb.Table(this, 'RetentionPoliciesTable', {
+      tableName: 'RetentionPolicies',
+      partitionKey: { name: 'scope', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Who is in each notebook, shared by all backend instances
+    const presenceTable = new dynamodb.Table(this, 'PresenceTable', {
+      tableName: 'NotebookPresence',
+      partitionKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'connection_id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ttl', // Expired heartbeats
+      removalPolicy: cdk.RemovalPolicy.DESTROY
+    });
+
+    // Notebook chat messages
+    const chatTable = new dynamodb.Table(this, 'ChatTable', {
+      tableName: 'NotebookChat',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'messageId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    const commentsTable = new dynamodb.Table(this, 'CommentsTable', {
+      tableName: 'NotebookComments',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'threadId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Attachment metadata; the files themselves live in the storage bucket
+    const attachmentsTable = new dynamodb.Table(this, 'AttachmentsTable', {
+      tableName: 'NotebookAttachments',
+      partitionKey: { name: 'notebookId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'attachmentId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Embedding vectors of notebook body chunks for semantic search; rows
+    // are rebuilt from the notebooks whenever they are stale
+    const embeddingsTable = new dynamodb.Table(this, 'EmbeddingsTable', {
+      tableName: 'NotebookEmbeddings',
+      partitionKey: { name: 'notebook_id', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'chunk', type: dynamodb.AttributeType.NUMBER },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      removalPolicy: cdk.RemovalPolicy.DESTROY
+    });
+
+    // Logged searches and their clicks, one partition per day
+    const searchEventsTable = new dynamodb.Table(this, 'SearchEventsTable', {
+      tableName: 'SearchEvents',
+      partitionKey: { name: 'day', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'search_id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      timeToLiveAttribute: 'ttl',
+      removalPolicy: cdk.RemovalPolicy.RETAIN
+    });
+
+    // Hashed refresh tokens, one partition per signed-in device
+    const refreshTokensTable = new dynamodb.Table(this, 'RefreshTokensTable', {
+      tableName: 'RefreshTokens',
+      partitionKey: { name: 'family_id', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'token_id', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      timeToLiveAttribute: 'ttl', // Expired tokens
+      removalPolicy: cdk.RemovalPolicy.DESTROY
+    });
+
     // Cognito User Pool for Authentication
     this.userPool = new cognito.UserPool(this, 'AcademicUserPool', {
       userPoolName: 'academic-notebook-users',